@@ -0,0 +1,117 @@
+// Jest test suite for achievement milestones, their indexing and the badge book
+import { AchievementBook, paidWithoutMiss, streakAchievements } from "../services/Achievements";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const user = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date("2024-01-01T00:00:00Z");
+const day = (n: number) => new Date(start.getTime() + n * DAY_MS);
+
+describe("achievement milestones", () => {
+  it("counts a weekly streak in weeks", () => {
+    expect(streakAchievements(6, "daily")).toEqual([]);
+    expect(streakAchievements(30, "daily")).toEqual(["streak_7", "streak_30"]);
+    expect(streakAchievements(1, "weekly")).toEqual(["streak_7"]);
+    expect(streakAchievements(53, "weekly")).toEqual(["streak_7", "streak_30", "streak_100", "streak_365"]);
+  });
+
+  it("sees a missed payment in a restarted streak", () => {
+    expect(paidWithoutMiss([{ streak: 1 }, { streak: 2 }, { streak: 2 }, { streak: 3 }])).toBe(true);
+    expect(paidWithoutMiss([{ streak: 1 }, { streak: 2 }, { streak: 1 }])).toBe(false);
+  });
+});
+
+describe("achievement event handlers", () => {
+  const event = (name: string, args: Record<string, string | boolean>, n: number): IndexedEvent => ({
+    name,
+    args: { user, planId: "1", ...args },
+    txHash: `0x${n}`,
+    logIndex: 0,
+    blockNumber: n,
+    blockHash: "0xblock",
+    timestamp: day(n),
+    planId: "plan-1"
+  });
+  const payment = (streak: number, n: number, btcAmount = "1000000000000000") => event(
+    "PaymentProcessed",
+    { usdcAmount: "10000000", btcAmount, streak: String(streak), usesPrepaid: false },
+    n
+  );
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address: user, totalPaid: 0, btcAccumulated: 0 }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1", onchainPlanId: 1, cadence: "daily", graceWindow: 7, targetBTC: 0.012 }]
+  });
+
+  const kinds = (db: FakePrisma) => db.tables.achievement.map((a) => a.kind);
+
+  it("awards streak, BTC and plan milestones once, stamped with the event", async () => {
+    const db = makeDb();
+    for (let n = 1; n <= 6; n++) await contractEventHandlers.PaymentProcessed.apply(db, payment(n, n));
+    expect(kinds(db)).toEqual([]);
+
+    await contractEventHandlers.PaymentProcessed.apply(db, payment(7, 7));
+    expect(db.tables.achievement).toMatchObject([
+      { userId: "user-1", kind: "streak_7", planId: "plan-1", awardedAt: day(7), txHash: "0x7", logIndex: 0 }
+    ]);
+
+    // 0.01 BTC accumulated on the tenth payment, the 0.012 target on the twelfth
+    for (let n = 8; n <= 12; n++) await contractEventHandlers.PaymentProcessed.apply(db, payment(n, n));
+    expect(kinds(db)).toEqual(["streak_7", "first_btc", "perfect_plan"]);
+    expect(db.tables.achievement[1].awardedAt).toEqual(day(10));
+    expect(db.tables.achievement[2].awardedAt).toEqual(day(12));
+  });
+
+  it("does not call a plan with a restarted streak perfect", async () => {
+    const db = makeDb();
+    await contractEventHandlers.PaymentProcessed.apply(db, payment(1, 1, "6000000000000000"));
+    await contractEventHandlers.PaymentProcessed.apply(db, payment(1, 20, "6000000000000000"));
+    expect(kinds(db)).toEqual(["first_btc"]);
+  });
+
+  it("awards dust sweeps and takes badges back when their event is reverted", async () => {
+    const db = makeDb();
+    const swept = event("DustSwept", { dustAmount: "5000000", btcAmount: "10000000000000000" }, 3);
+
+    await contractEventHandlers.DustSwept.apply(db, swept);
+    expect(kinds(db)).toEqual(["dust_swept", "first_btc"]);
+
+    await contractEventHandlers.DustSwept.revert(db, swept);
+    expect(kinds(db)).toEqual([]);
+
+    const seventh = payment(7, 7);
+    await contractEventHandlers.PaymentProcessed.apply(db, seventh);
+    await contractEventHandlers.PaymentProcessed.revert(db, seventh);
+    expect(kinds(db)).toEqual([]);
+  });
+});
+
+describe("AchievementBook", () => {
+  it("lists every badge with the user's earned ones filled in", async () => {
+    const prisma = fakePrisma({
+      dCAUser: [{ id: "user-1", address: user, totalPaid: 0, btcAccumulated: 0 }],
+      achievement: [{ userId: "user-1", kind: "streak_7", planId: "plan-1", awardedAt: day(7), txHash: "0x7", logIndex: 0 }]
+    });
+    const book = new AchievementBook(prisma);
+
+    const result = await book.userAchievements(user.toUpperCase().replace("0X", "0x"));
+    expect(result!.earned).toBe(1);
+    expect(result!.achievements.map((a) => a.kind)).toEqual([
+      "streak_7", "streak_30", "streak_100", "streak_365", "first_btc", "perfect_plan", "dust_swept"
+    ]);
+    expect(result!.achievements[0]).toEqual({
+      kind: "streak_7",
+      title: "7-Day Streak",
+      description: "Kept a streak going for 7 days",
+      earned: true,
+      awardedAt: day(7),
+      planId: "plan-1",
+      txHash: "0x7"
+    });
+    expect(result!.achievements[1]).toMatchObject({ earned: false, awardedAt: null });
+
+    expect(await book.userAchievements("0x0000000000000000000000000000000000000001")).toBeNull();
+  });
+});
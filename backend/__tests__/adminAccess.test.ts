@@ -0,0 +1,88 @@
+// Jest test suite for admin roles and the audit trail
+import { AdminAccess, parseAdminApiKeys, parseAdminWallets } from "../services/AdminAccess";
+import { fakePrisma } from "./fakePrisma";
+
+const OPERATOR_WALLET = "0x2b750c56f09178487F9A96FbA240Ea91Ac6F77fD";
+
+const makeAccess = (db = fakePrisma()) =>
+  new AdminAccess(db, {
+    apiKeys: parseAdminApiKeys("ops-bot:operator:s3cret,finance:treasurer:k:with:colons"),
+    wallets: parseAdminWallets(`${OPERATOR_WALLET.toLowerCase()}:viewer`)
+  });
+
+describe("admin config parsing", () => {
+  it("reads keys and wallets, keeping colons inside keys", () => {
+    expect(parseAdminApiKeys("a:viewer:x, b:treasurer:y:z")).toEqual([
+      { name: "a", role: "viewer", key: "x" },
+      { name: "b", role: "treasurer", key: "y:z" }
+    ]);
+    expect(parseAdminWallets(undefined)).toEqual([]);
+  });
+
+  it("refuses unknown roles and malformed entries", () => {
+    expect(() => parseAdminApiKeys("a:root:x")).toThrow("expected name:role:key");
+    expect(() => parseAdminApiKeys("a:viewer")).toThrow("expected name:role:key");
+    expect(() => parseAdminWallets("0x1234:viewer")).toThrow("expected address:role");
+  });
+});
+
+describe("AdminAccess", () => {
+  it("resolves API keys to their name and role", () => {
+    const access = makeAccess();
+
+    expect(access.fromApiKey("s3cret")).toEqual({ actor: "ops-bot", role: "operator", via: "apiKey" });
+    expect(access.fromApiKey("k:with:colons")?.role).toBe("treasurer");
+    expect(access.fromApiKey("guess")).toBeNull();
+  });
+
+  it("resolves configured wallets regardless of case", () => {
+    const access = makeAccess();
+
+    expect(access.fromWallet(OPERATOR_WALLET.toUpperCase().replace("0X", "0x"))).toEqual({
+      actor: OPERATOR_WALLET,
+      role: "viewer",
+      via: "wallet"
+    });
+    expect(access.fromWallet("0x000000000000000000000000000000000000dEaD")).toBeNull();
+  });
+
+  it("limits each role to its permissions", () => {
+    const access = makeAccess();
+    const operator = access.fromApiKey("s3cret")!;
+    const treasurer = access.fromApiKey("k:with:colons")!;
+    const viewer = access.fromWallet(OPERATOR_WALLET)!;
+
+    expect(access.can(operator, "manageTokens")).toBe(true);
+    expect(access.can(operator, "distributeRewards")).toBe(false);
+    expect(access.can(treasurer, "distributeRewards")).toBe(true);
+    expect(access.can(treasurer, "manageStrategies")).toBe(false);
+    expect(access.can(viewer, "read")).toBe(true);
+    expect(access.can(viewer, "operateCircuitBreaker")).toBe(false);
+  });
+
+  it("writes who did what to the audit log", async () => {
+    const db = fakePrisma();
+    const access = makeAccess(db);
+
+    await access.audit(access.fromApiKey("s3cret")!, {
+      action: "token.update",
+      target: "SupportedToken:usdc",
+      details: { before: { maxAmount: 100 }, after: { maxAmount: 500 }, raw: 10n },
+      ip: "10.0.0.1"
+    });
+
+    expect(db.tables.adminAuditLog).toEqual([
+      {
+        id: expect.any(String),
+        actor: "ops-bot",
+        role: "operator",
+        via: "apiKey",
+        action: "token.update",
+        target: "SupportedToken:usdc",
+        details: { before: { maxAmount: 100 }, after: { maxAmount: 500 }, raw: "10" },
+        ip: "10.0.0.1",
+        createdAt: expect.any(Date)
+      }
+    ]);
+  });
+});
@@ -0,0 +1,250 @@
+// Jest test suite for the Express API in index.js, with Prisma, Redis and cron stubbed
+import fs from "fs";
+import path from "path";
+import request from "supertest";
+import { ethers } from "ethers";
+import { formatSiweMessage } from "../services/SiweAuth";
+import { SignatureService } from "../services/SignatureService";
+import { PriceOracle, PriceOracleError } from "../services/PriceOracle";
+
+// Prisma delegates the routes under test call; anything else resolves to null
+const mockDb: any = new Proxy({}, {
+  get: (target: any, model: string) => target[model] ?? (target[model] = new Proxy({}, {
+    get: (delegate: any, method: string) => delegate[method] ?? (delegate[method] = jest.fn(async () => null))
+  }))
+});
+
+jest.mock("@prisma/client", () => ({
+  ...jest.requireActual("@prisma/client"),
+  PrismaClient: jest.fn(() => mockDb)
+}));
+const mockRedis = {
+  on: jest.fn(),
+  connect: jest.fn(async () => undefined),
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => "OK"),
+  del: jest.fn(async () => 1),
+  keys: jest.fn(async () => []),
+  quit: jest.fn(async () => undefined)
+};
+jest.mock("redis", () => ({ createClient: () => mockRedis }));
+jest.mock("node-cron", () => ({ schedule: jest.fn() }));
+
+process.env.UNISWAP_ROUTER = "0x1234567890123456789012345678901234567890";
+process.env.SIWE_DOMAIN = "app.bitmor.test";
+process.env.SESSION_JWT_SECRET = "test-secret";
+
+// Sign-in checks the message's chain id against the provider's network
+jest.spyOn(ethers.JsonRpcProvider.prototype, "getNetwork").mockResolvedValue(new ethers.Network("sepolia", 11155111));
+
+const app = require("../index");
+
+const user = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+// Anvil's third default account, which is `user`
+const userWallet = new ethers.Wallet("0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a");
+const otherWallet = new ethers.Wallet("0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6");
+
+// Every route index.js guards with requireSelf, read from its source so new ones are covered too
+const indexSource = fs.readFileSync(path.join(__dirname, "../index.js"), "utf8");
+const selfRoutes = [...indexSource
+  .matchAll(/app\.(get|post)\('([^']+)', requireSelf\('(\w+)'\)/g)]
+  .map(([, method, route, field]) => ({ method: method as "get" | "post", route, field }));
+
+// Routes that look up a plan by id and check it belongs to the session's address
+const planRoutes = [...indexSource
+  .matchAll(/app\.(get|post)\('(\/api\/plans\/:planId[^']*)', requireAuth/g)]
+  .map(([, method, route]) => ({ method: method as "get" | "post", route: route.replace(":planId", "plan-1") }));
+
+// Signs in through /api/auth and returns the session token
+const signIn = async (wallet: ethers.Wallet) => {
+  mockDb.authNonce.updateMany.mockResolvedValue({ count: 1 });
+  const { nonce, domain } = (await request(app).get("/api/auth/nonce")).body.data;
+  const message = formatSiweMessage({
+    domain,
+    address: wallet.address,
+    uri: `https://${domain}`,
+    version: "1",
+    chainId: 11155111,
+    nonce,
+    issuedAt: new Date().toISOString()
+  });
+
+  const response = await request(app)
+    .post("/api/auth/verify")
+    .send({ message, signature: await wallet.signMessage(message) });
+  return response.body.data.token as string;
+};
+
+// Sends a user-scoped request for `address`, in the path or in the body
+const callFor = ({ method, route, field }: typeof selfRoutes[number], address: string) => {
+  const url = route.replace(`:${field}`, address).replace(/:\w+/g, "1");
+  return method === "get" ? request(app).get(url) : request(app).post(url).send({ [field]: address });
+};
+
+describe("API app", () => {
+  beforeEach(() => {
+    mockDb.dCAUser.findUnique.mockReset().mockResolvedValue(null);
+  });
+
+  it("loads index.js with its TypeScript services and serves routes", async () => {
+    mockDb.dCAUser.findUnique.mockResolvedValue({ address: user, achievements: [] });
+
+    const response = await request(app).get(`/api/users/${user}/achievements`);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ address: user, earned: 0 });
+  });
+
+  it("backtests a plan with its daily amount in USDC", async () => {
+    const pricesCsv = Array.from({ length: 10 }, (_, i) => `2024-01-${String(i + 1).padStart(2, "0")},40000`).join("\n");
+
+    const response = await request(app).post("/api/plans/backtest").send({
+      targetBTC: "0.01", timePeriodDays: 10, cadence: "daily", startDate: "2024-01-01", pricesCsv
+    });
+    expect(response.status).toBe(200);
+    // 0.01 BTC at 40,000 USDC over 10 days
+    expect(response.body.data).toMatchObject({
+      dailyAmountUSDC: "40.0", purchases: 10, totalInvested: 400, targetReached: true
+    });
+  });
+
+  it("answers unknown users and endpoints with 404", async () => {
+    expect((await request(app).get(`/api/users/${user}/achievements`)).status).toBe(404);
+    expect((await request(app).get("/api/nowhere")).body).toMatchObject({ success: false, error: "Endpoint not found" });
+  });
+});
+
+describe("user-scoped routes", () => {
+  let userToken: string;
+  let otherToken: string;
+
+  beforeAll(async () => {
+    userToken = await signIn(userWallet);
+    otherToken = await signIn(otherWallet);
+  });
+
+  it("finds the guarded routes", () => {
+    expect(selfRoutes).toHaveLength(18);
+    expect(planRoutes).toHaveLength(5);
+  });
+
+  it("opens a session for the signing address", async () => {
+    const response = await request(app).get("/api/auth/session").set("Authorization", `Bearer ${userToken}`);
+    expect(response.body.data.address).toBe(userWallet.address);
+  });
+
+  it.each(selfRoutes)("$method $route requires a session", async (route) => {
+    const response = await callFor(route, user);
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe("AUTH_REQUIRED");
+  });
+
+  it.each(selfRoutes)("$method $route refuses another address's session", async (route) => {
+    const response = await callFor(route, user).set("Authorization", `Bearer ${otherToken}`);
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe("ADDRESS_MISMATCH");
+  });
+
+  it("lets the address's own session through", async () => {
+    const response = await request(app).get(`/api/users/${user}/referral`).set("Authorization", `Bearer ${userToken}`);
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("User not found");
+  });
+
+  it("answers 503 with the oracle's code when the BTC price is unavailable", async () => {
+    jest.spyOn(PriceOracle.prototype, "getBTCPrice").mockRejectedValueOnce(
+      new PriceOracleError("INSUFFICIENT_SOURCES", "Only 1 of 3 BTC price sources usable (need 2)")
+    );
+
+    const response = await request(app).post("/api/strategies/create").set("Authorization", `Bearer ${userToken}`).send({
+      creatorAddress: user, name: "Stack", targetBTC: "0.1", timePeriodDays: 365, withdrawalDelayDays: 30,
+      penaltyMin: 1, penaltyMax: 10, cadence: "daily", fee: 100
+    });
+    expect(response.status).toBe(503);
+    expect(response.body).toEqual({ error: "Only 1 of 3 BTC price sources usable (need 2)", code: "INSUFFICIENT_SOURCES" });
+  });
+
+  it("caches the BTC price with a node-redis expiry", async () => {
+    jest.spyOn(PriceOracle.prototype, "getBTCPrice").mockResolvedValueOnce(
+      { price: 40000, low: 40000, high: 40000, spreadBps: 0, readings: [], rejected: [], timestamp: new Date() }
+    );
+
+    await request(app).post("/api/strategies/create").set("Authorization", `Bearer ${userToken}`).send({
+      creatorAddress: user, name: "Stack", targetBTC: "0.1", timePeriodDays: 365, withdrawalDelayDays: 30,
+      penaltyMin: 1, penaltyMax: 10, cadence: "daily", fee: 100
+    });
+    expect(mockRedis.set).toHaveBeenCalledWith("btc_price", "40000.00000000", { EX: 60 });
+    // 0.1 BTC at 40,000 USDC over 365 days
+    expect(mockDb.dCAStrategy.create).toHaveBeenCalledWith({ data: expect.objectContaining({ dailyAmount: 10.958904 }) });
+  });
+
+  describe("signed plans", () => {
+    const tokens = [{ tokenId: "usdc", weight: 60 }, { tokenId: "usdt", weight: 40 }];
+    let signCreatePlan: jest.SpyInstance;
+
+    beforeEach(() => {
+      jest.spyOn(PriceOracle.prototype, "getBTCPrice").mockResolvedValueOnce(
+        { price: 40000, low: 40000, high: 40000, spreadBps: 0, readings: [], rejected: [], timestamp: new Date() }
+      );
+      // planCount of the user, so the plan is their first
+      jest.spyOn(ethers.JsonRpcProvider.prototype, "call").mockResolvedValueOnce(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0]));
+      signCreatePlan = jest.spyOn(SignatureService.prototype, "signCreatePlan");
+
+      mockDb.$transaction = jest.fn((run: (tx: unknown) => unknown) => run(mockDb));
+      mockDb.dCAUser.findUnique.mockResolvedValue({ id: "user-1", address: user, plans: [] });
+      mockDb.dCAPlan.findUnique.mockReset().mockResolvedValue(null);
+      mockDb.dCAPlan.create.mockReset().mockResolvedValue({ id: "plan-1" });
+      mockDb.planToken.create.mockReset();
+      mockDb.supportedToken.findMany.mockResolvedValue([
+        { id: "usdc", symbol: "USDC", minAmount: 1, maxAmount: 1000 },
+        { id: "usdt", symbol: "USDT", minAmount: 1, maxAmount: 1000 }
+      ]);
+    });
+
+    afterEach(() => signCreatePlan.mockRestore());
+
+    it("creates a plan and signs its daily amount in USDC base units", async () => {
+      const response = await request(app).post("/api/plans/create").set("Authorization", `Bearer ${userToken}`).send({
+        userAddress: user, targetBTC: "0.01", timePeriodDays: 10, withdrawalDelayDays: 30,
+        penaltyMin: 1, penaltyMax: 10, cadence: "daily", tokens
+      });
+
+      expect(response.status).toBe(200);
+      // 0.01 BTC at 40,000 USDC over 10 days
+      expect(signCreatePlan).toHaveBeenCalledWith(user, 1, ethers.parseEther("0.01"), 40_000_000n, 10, 30, 0, false);
+      expect(response.body.data).toMatchObject({
+        planId: "plan-1", onchainPlanId: 1, planConfig: { dailyAmount: "40000000" }, dailyAmountUSDC: "40.0"
+      });
+      expect(mockDb.dCAPlan.create).toHaveBeenCalledWith({ data: expect.objectContaining({ totalDailyAmount: 40 }) });
+      expect(mockDb.planToken.create.mock.calls.map(([{ data }]: any) => [data.tokenId, data.dailyAmount])).toEqual([
+        ["usdc", 24], ["usdt", 16]
+      ]);
+    });
+
+    it("subscribes to a strategy with its terms and fee", async () => {
+      mockDb.dCAStrategy.findUnique.mockResolvedValueOnce({
+        id: "strategy-1", isActive: true, targetBTC: 0.01, timePeriod: 10, withdrawalDelay: 30,
+        penaltyMin: 1, penaltyMax: 10, penaltyExponent: 1.5, cadence: "weekly", fee: 250
+      });
+
+      const response = await request(app).post("/api/strategies/strategy-1/subscribe")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ userAddress: user, tokens });
+
+      expect(response.status).toBe(200);
+      expect(signCreatePlan).toHaveBeenCalledWith(user, 1, ethers.parseEther("0.01"), 40_000_000n, 10, 30, 1, false);
+      expect(response.body.data).toMatchObject({ planId: "plan-1", strategyId: "strategy-1", fee: 250, dailyAmountUSDC: "40.0" });
+      expect(mockDb.dCAPlan.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ strategyId: "strategy-1", creatorFeeBps: 250, cadence: "weekly", totalDailyAmount: 40 })
+      });
+    });
+  });
+
+  it.each(planRoutes)("$method $route refuses another address's plan", async ({ method, route }) => {
+    mockDb.dCAPlan.findUnique.mockResolvedValue({ id: "plan-1", isActive: true, user: { address: user } });
+
+    expect((await request(app)[method](route).send({})).status).toBe(401);
+    const response = await request(app)[method](route).set("Authorization", `Bearer ${otherToken}`).send({});
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe("ADDRESS_MISMATCH");
+  });
+});
@@ -0,0 +1,139 @@
+// Jest test suite for replaying DCA plans against historical prices
+import {
+  BacktestConfig,
+  BacktestError,
+  Backtester,
+  parseDailyClosesCsv,
+  runBacktest,
+  startingPrice
+} from "../services/Backtester";
+import { fakePrisma } from "./fakePrisma";
+
+const closes = (startDate: string, prices: number[]) => prices.map((close, i) => ({
+  date: new Date(Date.parse(`${startDate}T00:00:00Z`) + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+  close
+}));
+
+const config = (overrides: Partial<BacktestConfig> = {}): BacktestConfig => ({
+  targetBTC: 0.001,
+  timePeriodDays: 4,
+  cadence: "daily",
+  dailyAmount: 100,
+  startDate: "2024-01-01",
+  endDate: "2024-01-04",
+  ...overrides
+});
+
+describe("parseDailyClosesCsv", () => {
+  it("reads headerless date,close rows in date order", () => {
+    expect(parseDailyClosesCsv("2024-01-02,42000\n2024-01-01,41000.5\n")).toEqual([
+      { date: "2024-01-01", close: 41000.5 },
+      { date: "2024-01-02", close: 42000 }
+    ]);
+  });
+
+  it("finds the date and close columns by header", () => {
+    const csv = "Timestamp,Open,High,Low,Close\r\n2024-01-01T00:00:00Z,40000,43000,39000,42000\r\n";
+    expect(parseDailyClosesCsv(csv)).toEqual([{ date: "2024-01-01", close: 42000 }]);
+  });
+
+  it("rejects unreadable rows", () => {
+    expect(() => parseDailyClosesCsv("date,close\n2024-01-01,abc")).toThrow("Invalid CSV row 1");
+    expect(() => parseDailyClosesCsv("day,value\n2024-01-01,1")).toThrow(BacktestError);
+  });
+});
+
+describe("startingPrice", () => {
+  const prices = closes("2024-01-02", [50, 60]);
+
+  it("uses the start day's close or the latest before it", () => {
+    expect(startingPrice(prices, "2024-01-02")).toBe(50);
+    expect(startingPrice(prices, "2024-01-05")).toBe(60);
+  });
+
+  it("falls forward to the first close when the data starts later", () => {
+    expect(startingPrice(prices, "2024-01-01")).toBe(50);
+    expect(startingPrice([], "2024-01-01")).toBeNull();
+  });
+});
+
+describe("runBacktest", () => {
+  it("buys every day and compares with a lump sum", () => {
+    const result = runBacktest(config(), closes("2024-01-01", [100, 50, 100, 200]));
+
+    // 1 + 2 + 1 + 0.5 BTC for 400 USDC
+    expect(result).toMatchObject({
+      purchases: 4,
+      skippedPurchases: 0,
+      totalInvested: 400,
+      btcAccumulated: 4.5,
+      finalPrice: 200,
+      finalValue: 900,
+      returnPct: 125,
+      targetReached: true
+    });
+    expect(result.averageCostBasis).toBeCloseTo(88.89, 2);
+    expect(result.lumpSum).toEqual({
+      btcAccumulated: 4,
+      averageCostBasis: 100,
+      finalValue: 800,
+      returnPct: 100,
+      maxDrawdownPct: 50
+    });
+    expect(result.dcaVsLumpSumPct).toBeCloseTo(12.5);
+  });
+
+  it("measures drawdown in value per USDC invested", () => {
+    // Value per USDC: 1, then 150 / 200 = 0.75
+    const result = runBacktest(config({ timePeriodDays: 2 }), closes("2024-01-01", [100, 50, 100, 200]));
+    expect(result.maxDrawdownPct).toBeCloseTo(25);
+  });
+
+  it("buys a week's worth on weekly plans and values through the window end", () => {
+    const prices = closes("2024-01-01", Array.from({ length: 14 }, (_, i) => 100 + i));
+    const result = runBacktest(config({ cadence: "weekly", timePeriodDays: 14, endDate: "2024-01-20" }), prices);
+
+    expect(result.purchases).toBe(2);
+    expect(result.totalInvested).toBe(1400);
+    expect(result.btcAccumulated).toBeCloseTo(700 / 100 + 700 / 107);
+    // Days past the data carry the last close forward
+    expect(result.finalPrice).toBe(113);
+  });
+
+  it("skips purchases before the first known close", () => {
+    const result = runBacktest(config(), closes("2024-01-03", [100, 100]));
+    expect(result).toMatchObject({ purchases: 2, skippedPurchases: 2, totalInvested: 200 });
+  });
+
+  it("carries a close from before the window into its first days", () => {
+    const result = runBacktest(config({ startDate: "2024-01-03", endDate: "2024-01-03", timePeriodDays: 1 }), closes("2024-01-01", [80]));
+    expect(result).toMatchObject({ purchases: 1, btcAccumulated: 100 / 80 });
+  });
+
+  it("rejects empty and oversized windows", () => {
+    expect(() => runBacktest(config(), [])).toThrow("No BTC prices");
+    expect(() => runBacktest(config({ endDate: "2023-12-01" }), [])).toThrow("Window must span");
+    expect(() => runBacktest(config({ startDate: "2024-1-1" }), [])).toThrow("expected YYYY-MM-DD");
+  });
+});
+
+describe("Backtester", () => {
+  it("loads daily candle closes for the window plus the last one before it", async () => {
+    const candle = (interval: string, openTime: string, close: number) =>
+      ({ asset: "BTC", interval, openTime: new Date(openTime), open: close, high: close, low: close, close, source: "import" });
+    const db = fakePrisma({
+      priceCandle: [
+        candle("1d", "2023-12-29T00:00:00Z", 98),
+        candle("1d", "2023-12-30T00:00:00Z", 99),
+        candle("1d", "2024-01-01T00:00:00Z", 101),
+        candle("1h", "2024-01-01T12:00:00Z", 150),
+        candle("1d", "2024-01-03T00:00:00Z", 103)
+      ]
+    });
+
+    expect(await new Backtester(db).loadDailyCloses("2024-01-01", "2024-01-02")).toEqual([
+      { date: "2023-12-30", close: 99 },
+      { date: "2024-01-01", close: 101 }
+    ]);
+  });
+});
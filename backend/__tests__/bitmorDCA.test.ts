@@ -17,14 +17,16 @@ const backendSigner = "0x2b750c56f09178487F9A96FbA240Ea91Ac6F77fD";
 // Mock private key for testing
 const TEST_PRIVATE_KEY = "0x1234567890123456789012345678901234567890123456789012345678901234";
 const TEST_CHAIN_ID = 11155111; // Sepolia testnet
+const TEST_CONTRACT = "0x05b60F3E84c2fe6dfC3EA633F336c550AF8335B7";
 
 // Initialize signature service
-const signatureService = new SignatureService(TEST_PRIVATE_KEY, TEST_CHAIN_ID);
+const signatureService = new SignatureService(TEST_PRIVATE_KEY, TEST_CHAIN_ID, { verifyingContract: TEST_CONTRACT });
 
 // Helper to get valid signature for plan creation
 const getValidPlanSignature = async (planData: any) => {
   const { nonce, signature } = await signatureService.signCreatePlan(
     planData.user,
+    1,
     ethers.parseEther(planData.targetBTC.toString()),
     ethers.parseUnits(planData.dailyAmount.toString(), 6),
     planData.timePeriod,
@@ -39,9 +41,12 @@ const getValidPlanSignature = async (planData: any) => {
 const getValidPaymentSignature = async (paymentData: any) => {
   const { nonce, signature } = await signatureService.signPayment(
     paymentData.user,
+    1,
     ethers.parseUnits(paymentData.usdcAmount.toString(), 6),
     ethers.parseEther(paymentData.btcAmount.toString()),
-    paymentData.usesPrepaid || false
+    paymentData.usesPrepaid || false,
+    ethers.ZeroAddress,
+    0n
   );
   return { nonce, signature };
 };
@@ -393,6 +398,7 @@ describe("BitmorDCA Backend Endpoints", () => {
       
       const { nonce, signature } = await signatureService.signPrepayDays(
         prepayData.user,
+        1,
         ethers.parseUnits(prepayData.usdcAmount.toString(), 6),
         prepayData.days
       );
@@ -433,6 +439,7 @@ describe("BitmorDCA Backend Endpoints", () => {
       
       const { nonce, signature } = await signatureService.signEarlyWithdrawal(
         withdrawalData.user,
+        1,
         ethers.parseEther(withdrawalData.btcAmount.toString()),
         ethers.parseEther(withdrawalData.penaltyAmount.toString()),
         withdrawalData.daysRemaining
@@ -466,7 +473,7 @@ describe("BitmorDCA Backend Endpoints", () => {
 
   describe("completePlan", () => {
     it("should complete plan successfully", async () => {
-      const { nonce, signature } = await signatureService.signCompletePlan(user);
+      const { nonce, signature } = await signatureService.signCompletePlan(user, 1);
       
       const body = {
         user,
@@ -564,13 +571,16 @@ describe("BitmorDCA Backend Endpoints", () => {
         user,
         tokenAmounts: [100, 200],
         tokens: [usdc, wbtc],
+        amountOutMins: [50, 100],
         expectedBTC: 0.001
       };
       
       const { nonce, signature } = await signatureService.signDustSweep(
         dustData.user,
+        1,
         dustData.tokenAmounts.map(a => BigInt(a)),
         dustData.tokens,
+        dustData.amountOutMins.map(a => BigInt(a)),
         ethers.parseEther(dustData.expectedBTC.toString())
       );
       
@@ -617,6 +627,7 @@ describe("BitmorDCA Backend Endpoints", () => {
       
       const { nonce, signature } = await signatureService.signCreatePlan(
         planData.user,
+        1,
         ethers.parseEther(planData.targetBTC.toString()),
         ethers.parseUnits(planData.dailyAmount.toString(), 6),
         planData.timePeriod,
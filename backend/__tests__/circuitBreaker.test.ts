@@ -0,0 +1,93 @@
+// Jest test suite for the price circuit breaker
+import { CircuitBreaker, CircuitBreakerError } from "../services/CircuitBreaker";
+import { fakePrisma } from "./fakePrisma";
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+const minutesAgo = (minutes: number) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+// PriceHistory rows as [minutes ago, price]
+const makeDb = (prices: [number, number][]) =>
+  fakePrisma({ priceHistory: prices.map(([age, price]) => ({ asset: "BTC", price, fetchedAt: minutesAgo(age) })) });
+
+describe("CircuitBreaker", () => {
+  it("stays closed for normal moves with fresh prices", async () => {
+    const db = makeDb([[50, 100_000], [30, 104_000], [2, 101_000]]);
+    const breaker = new CircuitBreaker(db);
+
+    const status = await breaker.evaluate(NOW);
+
+    expect(status.open).toBe(false);
+    await expect(breaker.assertClosed()).resolves.toBeUndefined();
+  });
+
+  it("trips on a move larger than the limit within the window", async () => {
+    // The 80k reading is outside the window and must not count
+    const db = makeDb([[90, 80_000], [40, 100_000], [20, 112_000], [1, 111_000]]);
+    const breaker = new CircuitBreaker(db, { maxMovePercent: 10, windowMinutes: 60 });
+
+    const status = await breaker.evaluate(NOW);
+
+    expect(status.trip).toMatchObject({ reason: "PRICE_MOVE" });
+    expect(status.trip!.detail).toContain("12.00%");
+  });
+
+  it("trips on a crash as well as a spike", async () => {
+    const db = makeDb([[30, 100_000], [1, 88_000]]);
+
+    const status = await new CircuitBreaker(db).evaluate(NOW);
+
+    expect(status.trip?.reason).toBe("PRICE_MOVE");
+  });
+
+  it("trips when the latest price is stale", async () => {
+    const db = makeDb([[45, 100_000]]);
+
+    const status = await new CircuitBreaker(db, { maxPriceAgeMinutes: 15 }).evaluate(NOW);
+
+    expect(status.trip?.reason).toBe("ORACLE_STALE");
+  });
+
+  it("trips when no price was ever recorded", async () => {
+    const status = await new CircuitBreaker(makeDb([])).evaluate(NOW);
+
+    expect(status.trip).toMatchObject({ reason: "ORACLE_STALE", detail: "No BTC price recorded" });
+  });
+
+  it("stays open and calls the trip handler once until reset", async () => {
+    const db = makeDb([[30, 100_000], [1, 120_000]]);
+    const onTrip = jest.fn(async () => undefined);
+    const breaker = new CircuitBreaker(db, { onTrip });
+
+    await breaker.evaluate(NOW);
+    await breaker.evaluate(NOW);
+
+    expect(onTrip).toHaveBeenCalledTimes(1);
+    expect(db.tables.circuitBreakerEvent).toHaveLength(1);
+    await expect(breaker.assertClosed()).rejects.toThrow(CircuitBreakerError);
+    await expect(breaker.assertClosed()).rejects.toMatchObject({ code: "CIRCUIT_BREAKER_OPEN" });
+
+    expect(await breaker.reset("ops")).toBe(true);
+    expect(db.tables.circuitBreakerEvent[0]).toMatchObject({ resetBy: "ops" });
+    await expect(breaker.assertClosed()).resolves.toBeUndefined();
+    expect(await breaker.reset("ops")).toBe(false);
+  });
+
+  it("keeps the trip when the handler fails", async () => {
+    const db = makeDb([[30, 100_000], [1, 120_000]]);
+    const breaker = new CircuitBreaker(db, { onTrip: async () => { throw new Error("webhook down"); } });
+
+    const status = await breaker.evaluate(NOW);
+
+    expect(status.open).toBe(true);
+  });
+
+  it("records the pause transaction on the trip", async () => {
+    const db = makeDb([]);
+    const breaker = new CircuitBreaker(db);
+    const { trip } = await breaker.evaluate(NOW);
+
+    await breaker.recordPause(trip!.id, "0xabc");
+
+    expect(db.tables.circuitBreakerEvent[0]).toMatchObject({ contractPaused: true, pauseTxHash: "0xabc" });
+  });
+});
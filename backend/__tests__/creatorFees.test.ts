@@ -0,0 +1,129 @@
+// Jest test suite for strategy creator fee accounting
+import { ethers } from "ethers";
+import { CreatorFeeLedger, creatorFee } from "../services/CreatorFees";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma } from "./fakePrisma";
+
+const creator = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const subscriber = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+const event = (name: string, args: Record<string, string | boolean>, logIndex = 0): IndexedEvent => ({
+  name,
+  args,
+  txHash: "0xfee",
+  logIndex,
+  blockNumber: 10,
+  blockHash: "0xblock",
+  timestamp: new Date(1_700_000_000_000)
+});
+
+const payment = (usdcAmount: string) => event("PaymentProcessed", {
+  user: subscriber,
+  planId: "1",
+  usdcAmount,
+  btcAmount: "990000000000000",
+  streak: "1",
+  usesPrepaid: false
+});
+
+describe("creatorFee", () => {
+  it("takes basis points of the payment, rounded down", () => {
+    expect(creatorFee(10_000_000n, 100)).toBe(100_000n);
+    expect(creatorFee(999n, 100)).toBe(9n);
+    expect(creatorFee(10_000_000n, 0)).toBe(0n);
+  });
+});
+
+describe("creator fee event handlers", () => {
+  // One subscriber with one plan
+  const makeDb = (plan: Record<string, unknown>) => fakePrisma({
+    dCAStrategy: [{ id: "strategy-1", name: "Steady stack", creator, fee: 150 }],
+    dCAUser: [{ id: "user-1", address: subscriber, totalPaid: 0, btcAccumulated: 0 }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1", onchainPlanId: 1, cadence: "daily", targetBTC: 1, ...plan }]
+  });
+
+  it("books the creator's cut of a subscriber payment", async () => {
+    const db = makeDb({ strategyId: "strategy-1", creatorFeeBps: 150 });
+    await contractEventHandlers.PaymentProcessed.apply(db, payment("10000000"));
+
+    expect(db.tables.creatorFee).toMatchObject([{
+      strategyId: "strategy-1",
+      creator,
+      planId: "plan-1",
+      paymentAmount: 10,
+      feeBps: 150,
+      amount: 0.15,
+      txHash: "0xfee",
+      logIndex: 0
+    }]);
+
+    await contractEventHandlers.PaymentProcessed.revert(db, payment("10000000"));
+    expect(db.tables.creatorFee).toEqual([]);
+  });
+
+  it("books nothing for custom plans", async () => {
+    const db = makeDb({ strategyId: null, creatorFeeBps: 0 });
+    await contractEventHandlers.PaymentProcessed.apply(db, payment("10000000"));
+    expect(db.tables.creatorFee).toEqual([]);
+  });
+
+  it("records claims from CreatorFeesClaimed", async () => {
+    const db = makeDb({});
+    const claimed = event("CreatorFeesClaimed", { creator: ethers.getAddress(creator), amount: "1500000", totalEarned: "2500000" }, 3);
+
+    await contractEventHandlers.CreatorFeesClaimed.apply(db, claimed);
+    expect(db.tables.creatorFeeClaim).toMatchObject([{
+      creator,
+      amount: 1.5,
+      totalEarned: 2.5,
+      txHash: "0xfee",
+      logIndex: 3,
+      claimedAt: claimed.timestamp
+    }]);
+
+    await contractEventHandlers.CreatorFeesClaimed.revert(db, claimed);
+    expect(db.tables.creatorFeeClaim).toEqual([]);
+  });
+});
+
+describe("CreatorFeeLedger", () => {
+  const fee = (strategyId: string, amount: number, logIndex: number) =>
+    ({ strategyId, creator, planId: "plan-1", paymentAmount: amount * 100, feeBps: 100, amount, txHash: "0xfee", logIndex });
+  const makeDb = () => fakePrisma({
+    dCAStrategy: [
+      { id: "strategy-1", name: "Steady stack", creator, fee: 100 },
+      { id: "strategy-2", name: "Weekly whale", creator, fee: 100 }
+    ],
+    creatorFee: [fee("strategy-1", 0.2, 0), fee("strategy-1", 0.05, 1), fee("strategy-1", 0.05, 2), fee("strategy-2", 0.15, 3)],
+    creatorFeeClaim: [{ creator, amount: 0.2, totalEarned: 0.2, txHash: "0xclaim", logIndex: 0, claimedAt: new Date(0) }]
+  });
+
+  it("sums a strategy's fees", async () => {
+    expect(await new CreatorFeeLedger(makeDb()).strategyEarnings("strategy-1")).toEqual({
+      strategyId: "strategy-1",
+      creator,
+      feeBps: 100,
+      totalEarned: 0.3,
+      payments: 3
+    });
+    expect(await new CreatorFeeLedger(makeDb()).strategyEarnings("missing")).toBeNull();
+  });
+
+  it("breaks a creator's earnings down by strategy and subtracts claims", async () => {
+    const earnings = await new CreatorFeeLedger(makeDb()).creatorEarnings(ethers.getAddress(creator));
+
+    expect(earnings).toMatchObject({ creator, totalClaimed: 0.2, claims: [{ amount: 0.2, txHash: "0xclaim" }] });
+    expect(earnings.totalEarned).toBeCloseTo(0.45);
+    expect(earnings.claimable).toBeCloseTo(0.25);
+    expect(earnings.strategies).toEqual([
+      { strategyId: "strategy-1", name: "Steady stack", earned: 0.3, payments: 3 },
+      { strategyId: "strategy-2", name: "Weekly whale", earned: 0.15, payments: 1 }
+    ]);
+  });
+
+  it("signs lifetime earnings in whole USDC base units", async () => {
+    // 0.2 + 0.05 + 0.05 + 0.15 is not exactly 0.45 in floating point
+    expect(await new CreatorFeeLedger(makeDb()).totalEarned(creator)).toBe(450_000n);
+  });
+});
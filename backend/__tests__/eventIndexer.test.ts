@@ -0,0 +1,207 @@
+// Jest test suite for EventIndexer checkpointing, idempotency and reorg handling
+import { ethers } from "ethers";
+import { ContractEventHandler, EventIndexer, IndexedEvent } from "../services/EventIndexer";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const ABI = require("../abis/BitmorDCA.json");
+const iface = new ethers.Interface(ABI);
+
+const CONTRACT = "0x05b60F3E84c2fe6dfC3EA633F336c550AF8335B7";
+const user = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+interface FakeLog {
+  name: string;
+  values: unknown[];
+}
+
+// In-memory chain; `fork` replaces every block from a height onward
+class FakeChain {
+  blocks: { number: number; hash: string; timestamp: number; logs: FakeLog[] }[] = [];
+  getLogsCalls: [number, number][] = [];
+
+  constructor(height: number) {
+    for (let i = 0; i <= height; i++) this.blocks.push(this.makeBlock(i, "a"));
+  }
+
+  makeBlock(number: number, branch: string) {
+    return { number, hash: ethers.id(`${branch}:${number}`), timestamp: 1_700_000_000 + number * 12, logs: [] as FakeLog[] };
+  }
+
+  mine(count: number) {
+    for (let i = 0; i < count; i++) this.blocks.push(this.makeBlock(this.blocks.length, "a"));
+  }
+
+  fork(fromBlock: number, branch: string) {
+    const height = this.blocks.length - 1;
+    this.blocks = this.blocks.slice(0, fromBlock);
+    for (let i = fromBlock; i <= height; i++) this.blocks.push(this.makeBlock(i, branch));
+  }
+
+  emit(blockNumber: number, name: string, values: unknown[]) {
+    this.blocks[blockNumber].logs.push({ name, values });
+  }
+
+  provider(): ethers.Provider {
+    return {
+      getBlockNumber: async () => this.blocks.length - 1,
+      getBlock: async (n: number) => this.blocks[n] ?? null,
+      getLogs: async ({ fromBlock, toBlock }: { fromBlock: number; toBlock: number }) => {
+        this.getLogsCalls.push([fromBlock, toBlock]);
+        return this.blocks.slice(fromBlock, toBlock + 1).flatMap((block) =>
+          block.logs.map((log, index) => ({
+            ...iface.encodeEventLog(log.name, log.values),
+            address: CONTRACT,
+            blockNumber: block.number,
+            blockHash: block.hash,
+            transactionHash: ethers.id(`${block.hash}:tx:${index}`),
+            index
+          }))
+        );
+      }
+    } as unknown as ethers.Provider;
+  }
+}
+
+// Records apply/revert calls as "<action>:<streak>"
+const recordingHandler = (calls: string[]): ContractEventHandler => ({
+  apply: async (_tx, event: IndexedEvent) => {
+    calls.push(`apply:${event.args.streak}`);
+    return "plan-1";
+  },
+  revert: async (_tx, event: IndexedEvent) => {
+    calls.push(`revert:${event.args.streak}`);
+  }
+});
+
+const payment = (streak: number) => [user, 1n, 100_000_000n, 5_000_000n, streak, false];
+
+describe("EventIndexer", () => {
+  let chain: FakeChain;
+  let db: FakePrisma;
+  let calls: string[];
+  let indexer: EventIndexer;
+  const checkpoint = () => db.tables.indexerCheckpoint.find((c) => c.id === "BitmorDCA");
+
+  beforeEach(() => {
+    chain = new FakeChain(30);
+    db = fakePrisma();
+    calls = [];
+    indexer = new EventIndexer(chain.provider(), db, {
+      name: "BitmorDCA",
+      address: CONTRACT,
+      abi: ABI,
+      startBlock: 5,
+      confirmations: 3,
+      batchSize: 10,
+      handlers: { PaymentProcessed: recordingHandler(calls) }
+    });
+  });
+
+  it("backfills from the start block in batches up to the confirmed head", async () => {
+    chain.emit(6, "PaymentProcessed", payment(1));
+    chain.emit(20, "PaymentProcessed", payment(2));
+    chain.emit(29, "PaymentProcessed", payment(3));
+
+    expect(await indexer.poll()).toBe(27);
+    expect(chain.getLogsCalls).toEqual([[5, 14], [15, 24], [25, 27]]);
+    expect(calls).toEqual(["apply:1", "apply:2"]);
+    expect(checkpoint()).toMatchObject({ blockNumber: 27, blockHash: chain.blocks[27].hash });
+  });
+
+  it("resumes from the checkpoint", async () => {
+    await indexer.poll();
+    chain.emit(29, "PaymentProcessed", payment(3));
+    chain.mine(5);
+    chain.getLogsCalls = [];
+
+    expect(await indexer.poll()).toBe(32);
+    expect(chain.getLogsCalls).toEqual([[28, 32]]);
+    expect(calls).toEqual(["apply:3"]);
+  });
+
+  it("applies each (txHash, logIndex) once", async () => {
+    chain.emit(10, "PaymentProcessed", payment(1));
+    chain.emit(10, "PaymentProcessed", payment(2));
+    await indexer.poll();
+
+    // Losing the checkpoint replays the range without reapplying anything
+    await db.indexerCheckpoint.deleteMany();
+    await indexer.poll();
+
+    expect(calls).toEqual(["apply:1", "apply:2"]);
+    expect(db.tables.chainEvent).toHaveLength(2);
+    expect(db.tables.chainEvent[0]).toMatchObject({ eventName: "PaymentProcessed", userAddress: user.toLowerCase(), planId: "plan-1" });
+  });
+
+  it("stores arguments as JSON-safe values", async () => {
+    chain.emit(10, "PaymentProcessed", payment(4));
+    await indexer.poll();
+
+    expect(db.tables.chainEvent[0].args).toEqual({
+      user,
+      planId: "1",
+      usdcAmount: "100000000",
+      btcAmount: "5000000",
+      streak: "4",
+      usesPrepaid: false
+    });
+    expect(db.tables.chainEvent[0].blockTimestamp).toEqual(new Date(chain.blocks[10].timestamp * 1000));
+  });
+
+  it("skips events without a handler", async () => {
+    chain.emit(10, "DustSwept", [user, 1n, 20_000_000n, 1_000n]);
+    await indexer.poll();
+
+    expect(db.tables.chainEvent).toHaveLength(0);
+  });
+
+  it("reverts reorged events newest first and indexes the new branch", async () => {
+    chain.emit(8, "PaymentProcessed", payment(1));
+    chain.emit(20, "PaymentProcessed", payment(2));
+    chain.emit(22, "PaymentProcessed", payment(3));
+    await indexer.poll();
+
+    chain.fork(15, "b");
+    chain.emit(21, "PaymentProcessed", payment(9));
+    await indexer.poll();
+
+    expect(calls).toEqual(["apply:1", "apply:2", "apply:3", "revert:3", "revert:2", "apply:9"]);
+    expect(db.tables.chainEvent.map((e) => e.args.streak)).toEqual(["1", "9"]);
+    expect(checkpoint()!.blockHash).toBe(chain.blocks[27].hash);
+  });
+
+  it("logs events for unknown users and plans as orphans and keeps indexing", async () => {
+    indexer = new EventIndexer(chain.provider(), db, {
+      name: "BitmorDCA",
+      address: CONTRACT,
+      abi: ABI,
+      startBlock: 5,
+      confirmations: 3,
+      handlers: { PaymentProcessed: contractEventHandlers.PaymentProcessed }
+    });
+    chain.emit(10, "PaymentProcessed", payment(1));
+    chain.emit(20, "PaymentProcessed", payment(2));
+
+    expect(await indexer.poll()).toBe(27);
+    expect(db.tables.chainEvent.map((e) => [e.blockNumber, e.planId])).toEqual([[10, null], [20, null]]);
+    expect(db.tables.errorLog).toHaveLength(2);
+    expect(db.tables.errorLog[0]).toMatchObject({
+      path: "event:PaymentProcessed",
+      errorName: "OrphanEvent",
+      errorMessage: expect.stringContaining("User or plan 1 not found for PaymentProcessed")
+    });
+  });
+
+  it("rolls back to before the start block when no indexed block survives", async () => {
+    chain.emit(8, "PaymentProcessed", payment(1));
+    await indexer.poll();
+
+    chain.fork(0, "b");
+    chain.getLogsCalls = [];
+    await indexer.poll();
+
+    expect(calls).toEqual(["apply:1", "revert:1"]);
+    expect(chain.getLogsCalls[0]).toEqual([5, 14]);
+  });
+});
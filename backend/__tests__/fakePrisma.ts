@@ -0,0 +1,428 @@
+// In-memory Prisma client for the service tests, built from the generated schema
+import { isDeepStrictEqual } from "util";
+import { Prisma, PrismaClient } from "@prisma/client";
+
+type Row = Record<string, any>;
+type Model = (typeof Prisma.dmmf.datamodel.models)[number];
+type Field = Model["fields"][number];
+export type ModelKey = Uncapitalize<Prisma.ModelName>;
+export type Tables = Record<ModelKey, Row[]>;
+
+export type FakePrisma = PrismaClient & {
+  // Each model's rows by delegate name, e.g. tables.dCAPlan
+  tables: Tables;
+};
+
+const keyOf = (name: string) => (name[0].toLowerCase() + name.slice(1)) as ModelKey;
+const models = new Map(Prisma.dmmf.datamodel.models.map((model) => [keyOf(model.name), model]));
+const modelNamed = (name: string) => models.get(keyOf(name))!;
+
+const toArray = <T>(value: T | T[]): T[] => (Array.isArray(value) ? value : [value]);
+const isObject = (value: unknown): value is Row =>
+  typeof value === "object" && value !== null && !Array.isArray(value) && !(value instanceof Date);
+const isNullInput = (value: unknown) => value === Prisma.DbNull || value === Prisma.JsonNull;
+const equal = (a: unknown, b: unknown) => isDeepStrictEqual(a, b);
+
+const knownError = (code: string, message: string) =>
+  new Prisma.PrismaClientKnownRequestError(message, { code, clientVersion: Prisma.prismaVersion.client });
+
+// Postgres order: nulls sort after every value
+function compare(a: any, b: any): number {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const [x, y] = a instanceof Date ? [a.getTime(), b.getTime()] : [a, b];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function field(model: Model, name: string): Field {
+  const found = model.fields.find((f) => f.name === name);
+  if (!found) throw new Error(`fakePrisma: ${model.name} has no field ${name}`);
+  return found;
+}
+
+// Rows of `relation`'s model that belong to `row`
+function related(tables: Tables, model: Model, relation: Field, row: Row): Row[] {
+  const rows = tables[keyOf(relation.type)];
+  if (relation.relationFromFields?.length) {
+    const to = relation.relationToFields!;
+    return rows.filter((r) =>
+      relation.relationFromFields!.every((from, i) => row[from] !== null && equal(r[to[i]], row[from]))
+    );
+  }
+  const back = modelNamed(relation.type).fields.find(
+    (f) => f.relationName === relation.relationName && f.relationFromFields?.length
+  )!;
+  return rows.filter((r) => back.relationFromFields!.every((from, i) => equal(r[from], row[back.relationToFields![i]])));
+}
+
+function matchesScalar(value: any, filter: any): boolean {
+  if (!isObject(filter)) return equal(value, filter);
+  const fold = (s: any) => (filter.mode === "insensitive" && typeof s === "string" ? s.toLowerCase() : s);
+
+  return Object.entries(filter).every(([op, arg]) => {
+    // Prisma skips operators left undefined
+    if (arg === undefined) return true;
+    switch (op) {
+      case "equals": return equal(value, arg);
+      case "in": return arg.some((a: unknown) => equal(value, a));
+      case "notIn": return !arg.some((a: unknown) => equal(value, a));
+      case "not": return !matchesScalar(value, arg);
+      case "lt": return value !== null && compare(value, arg) < 0;
+      case "lte": return value !== null && compare(value, arg) <= 0;
+      case "gt": return value !== null && compare(value, arg) > 0;
+      case "gte": return value !== null && compare(value, arg) >= 0;
+      case "contains": return typeof value === "string" && fold(value).includes(fold(arg));
+      case "startsWith": return typeof value === "string" && fold(value).startsWith(fold(arg));
+      case "endsWith": return typeof value === "string" && fold(value).endsWith(fold(arg));
+      case "has": return Array.isArray(value) && value.some((v) => equal(v, arg));
+      case "mode": return true;
+      default: throw new Error(`fakePrisma: unsupported filter ${op}`);
+    }
+  });
+}
+
+function matches(tables: Tables, model: Model, row: Row, where: Row = {}): boolean {
+  return Object.entries(where).every(([key, filter]) => {
+    if (filter === undefined) return true;
+    if (key === "AND") return toArray(filter).every((w: Row) => matches(tables, model, row, w));
+    if (key === "OR") return filter.some((w: Row) => matches(tables, model, row, w));
+    if (key === "NOT") return !toArray(filter).some((w: Row) => matches(tables, model, row, w));
+
+    const f = model.fields.find((candidate) => candidate.name === key);
+    // A compound unique key such as txHash_logIndex
+    if (!f) return matches(tables, model, row, filter);
+    if (f.kind !== "object") return matchesScalar(row[key], filter);
+
+    const target = modelNamed(f.type);
+    const rows = related(tables, model, f, row);
+    if (f.isList) {
+      return Object.entries(filter).every(([op, w]: [string, any]) => {
+        if (op === "some") return rows.some((r) => matches(tables, target, r, w));
+        if (op === "every") return rows.every((r) => matches(tables, target, r, w));
+        if (op === "none") return !rows.some((r) => matches(tables, target, r, w));
+        throw new Error(`fakePrisma: unsupported relation filter ${op}`);
+      });
+    }
+    if (filter === null) return rows.length === 0;
+    if ("is" in filter) return filter.is === null ? rows.length === 0 : rows.some((r) => matches(tables, target, r, filter.is));
+    if ("isNot" in filter) return !rows.some((r) => filter.isNot !== null && matches(tables, target, r, filter.isNot));
+    return rows.some((r) => matches(tables, target, r, filter));
+  });
+}
+
+// orderBy entries as field paths, e.g. { pool: { epoch: "asc" } } orders by the related pool's epoch
+function orderPaths(orderBy: Row | Row[], path: string[] = []): [string[], string][] {
+  return toArray(orderBy).flatMap((o) => Object.entries(o).flatMap(([key, direction]): [string[], string][] => {
+    if (!isObject(direction)) return [[[...path, key], direction]];
+    if ("sort" in direction) return [[[...path, key], direction.sort]];
+    return orderPaths(direction, [...path, key]);
+  }));
+}
+
+function sortRows(tables: Tables, model: Model, rows: Row[], orderBy: Row | Row[]): Row[] {
+  const valueAt = (m: Model, row: Row | undefined, [key, ...rest]: string[]): unknown => {
+    if (!row || rest.length === 0) return row?.[key];
+    // groupBy aggregates, e.g. { _sum: { amount: "desc" } }
+    if (isObject(row[key])) return valueAt(m, row[key], rest);
+    const relation = field(m, key);
+    return valueAt(modelNamed(relation.type), related(tables, m, relation, row)[0], rest);
+  };
+  const paths = orderPaths(orderBy);
+  return [...rows].sort((a, b) => {
+    for (const [path, direction] of paths) {
+      const order = compare(valueAt(model, a, path), valueAt(model, b, path));
+      if (order !== 0) return direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// Copies a row with the fields `select` or `include` ask for
+function project(tables: Tables, model: Model, row: Row, args: Row = {}): Row {
+  const { select, include } = args;
+  const out: Row = {};
+  if (!select) {
+    for (const f of model.fields) if (f.kind !== "object") out[f.name] = row[f.name];
+  }
+
+  for (const [key, spec] of Object.entries(select ?? include ?? {}) as [string, any][]) {
+    if (!spec) continue;
+    if (key === "_count") {
+      out._count = Object.fromEntries(Object.entries(spec.select).filter(([, count]) => count).map(([name, count]: [string, any]) => {
+        const relation = field(model, name);
+        const rows = related(tables, model, relation, row);
+        return [name, rows.filter((r) => matches(tables, modelNamed(relation.type), r, count.where)).length];
+      }));
+      continue;
+    }
+
+    const f = field(model, key);
+    if (f.kind !== "object") {
+      out[key] = row[key];
+      continue;
+    }
+    const target = modelNamed(f.type);
+    const nested = spec === true ? {} : spec;
+    const rows = related(tables, model, f, row);
+    out[key] = f.isList
+      ? findRows(tables, target, rows, nested)
+      : rows[0] ? project(tables, target, rows[0], nested) : null;
+  }
+  return out;
+}
+
+function findRows(tables: Tables, model: Model, rows: Row[], args: Row = {}): Row[] {
+  let found = rows.filter((r) => matches(tables, model, r, args.where));
+  if (args.orderBy) found = sortRows(tables, model, found, args.orderBy);
+  if (args.distinct) {
+    const by = toArray(args.distinct);
+    found = found.filter((r, i) => found.findIndex((o) => by.every((k) => equal(o[k], r[k]))) === i);
+  }
+  const skip = args.skip ?? 0;
+  found = found.slice(skip, args.take === undefined ? undefined : skip + args.take);
+  return found.map((r) => project(tables, model, r, args));
+}
+
+function aggregate(rows: Row[], args: Row): Row {
+  const values = (name: string) => rows.map((r) => r[name]).filter((v) => v !== null && v !== undefined);
+  const fields = (spec: Row) => Object.keys(spec).filter((name) => spec[name]);
+  const result: Row = {};
+
+  if (args._count) {
+    result._count = args._count === true
+      ? rows.length
+      : Object.fromEntries(fields(args._count).map((name) => [name, name === "_all" ? rows.length : values(name).length]));
+  }
+  if (args._sum) {
+    result._sum = Object.fromEntries(fields(args._sum).map((name) => {
+      const vs = values(name);
+      return [name, vs.length ? vs.reduce((sum, v) => sum + v, 0) : null];
+    }));
+  }
+  if (args._avg) {
+    result._avg = Object.fromEntries(fields(args._avg).map((name) => {
+      const vs = values(name);
+      return [name, vs.length ? vs.reduce((sum, v) => sum + v, 0) / vs.length : null];
+    }));
+  }
+  for (const op of ["_min", "_max"] as const) {
+    if (!args[op]) continue;
+    result[op] = Object.fromEntries(fields(args[op]).map((name) => {
+      const vs = values(name).sort(compare);
+      return [name, (op === "_min" ? vs[0] : vs[vs.length - 1]) ?? null];
+    }));
+  }
+  return result;
+}
+
+function writeScalar(f: Field, row: Row, value: any) {
+  if (isNullInput(value)) row[f.name] = null;
+  else if (f.type === "DateTime" && typeof value === "string") row[f.name] = new Date(value);
+  else row[f.name] = value;
+}
+
+/**
+ * A Prisma client over in-memory tables, seeded with rows per delegate name.
+ * Creates fill in schema defaults, check unique keys (P2002) and follow
+ * nested `create` / `connect`; `where`, `orderBy`, `select` and `include`
+ * follow the schema's relations; a `$transaction` that throws is rolled back.
+ */
+export function fakePrisma(seed: Partial<Record<ModelKey, Row[]>> = {}): FakePrisma {
+  const tables = Object.fromEntries([...models.keys()].map((key) => [key, []])) as unknown as Tables;
+  const sequences = new Map<string, number>();
+  const next = (name: string) => {
+    sequences.set(name, (sequences.get(name) ?? 0) + 1);
+    return sequences.get(name)!;
+  };
+
+  function defaultValue(model: Model, f: Field): unknown {
+    if (f.isUpdatedAt) return new Date();
+    if (!f.hasDefaultValue) return f.isList ? [] : null;
+    const value = f.default as any;
+    if (isObject(value) && "name" in value) {
+      switch (value.name) {
+        case "now": return new Date();
+        case "autoincrement": return next(`${model.name}.${f.name}`);
+        case "cuid": case "uuid": case "nanoid": return `${keyOf(model.name)}-${next(model.name)}`;
+        default: return null;
+      }
+    }
+    if (f.type === "Json" && typeof value === "string") return JSON.parse(value);
+    return Array.isArray(value) ? [...value] : value;
+  }
+
+  function uniqueKeys(model: Model): string[][] {
+    return [
+      ...model.fields.filter((f) => f.isId || f.isUnique).map((f) => [f.name]),
+      ...(model.primaryKey ? [model.primaryKey.fields as string[]] : []),
+      ...(model.uniqueFields as string[][])
+    ];
+  }
+
+  function requireUnique(model: Model, row: Row, except?: Row) {
+    for (const key of uniqueKeys(model)) {
+      if (key.some((name) => row[name] === null || row[name] === undefined)) continue;
+      const clash = tables[keyOf(model.name)].find((r) => r !== except && key.every((name) => equal(r[name], row[name])));
+      if (clash) throw knownError("P2002", `Unique constraint failed on the fields: (${key.join(", ")})`);
+    }
+  }
+
+  function createRow(model: Model, data: Row): Row {
+    const row: Row = {};
+    const children: [Field, Row[]][] = [];
+    for (const f of model.fields) {
+      if (f.kind !== "object") {
+        if (data[f.name] === undefined) row[f.name] = defaultValue(model, f);
+        else writeScalar(f, row, data[f.name]);
+      }
+    }
+    for (const [key, value] of Object.entries(data)) {
+      const f = field(model, key);
+      if (f.kind !== "object" || value === undefined) continue;
+      if (f.isList) {
+        children.push([f, [...toArray(value.create ?? []), ...toArray(value.createMany?.data ?? [])]]);
+      } else if (value.connect) {
+        const target = modelNamed(f.type);
+        const parent = tables[keyOf(f.type)].find((r) => matches(tables, target, r, value.connect));
+        if (!parent) throw knownError("P2025", `No ${f.type} found to connect`);
+        f.relationFromFields!.forEach((from, i) => { row[from] = parent[f.relationToFields![i]]; });
+      } else {
+        throw new Error(`fakePrisma: unsupported nested write on ${model.name}.${key}`);
+      }
+    }
+
+    requireUnique(model, row);
+    tables[keyOf(model.name)].push(row);
+
+    for (const [relation, rows] of children) {
+      const target = modelNamed(relation.type);
+      const back = target.fields.find((f) => f.relationName === relation.relationName && f.relationFromFields?.length)!;
+      for (const child of rows) {
+        const keys = Object.fromEntries(back.relationFromFields!.map((from, i) => [from, row[back.relationToFields![i]]]));
+        createRow(target, { ...child, ...keys });
+      }
+    }
+    return row;
+  }
+
+  function updateRow(model: Model, row: Row, data: Row) {
+    const updated = { ...row };
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const f = field(model, key);
+      if (f.kind === "object") throw new Error(`fakePrisma: unsupported nested write on ${model.name}.${key}`);
+      if (!isObject(value) || f.type === "Json" || isNullInput(value)) {
+        writeScalar(f, updated, value);
+        continue;
+      }
+      for (const [op, arg] of Object.entries(value)) {
+        switch (op) {
+          case "set": writeScalar(f, updated, arg); break;
+          case "increment": updated[key] += arg; break;
+          case "decrement": updated[key] -= arg; break;
+          case "multiply": updated[key] *= arg; break;
+          case "divide": updated[key] /= arg; break;
+          case "push": updated[key] = [...updated[key], ...toArray(arg)]; break;
+          default: throw new Error(`fakePrisma: unsupported update ${op}`);
+        }
+      }
+    }
+    for (const f of model.fields) if (f.isUpdatedAt && data[f.name] === undefined) updated[f.name] = new Date();
+    requireUnique(model, updated, row);
+    Object.assign(row, updated);
+  }
+
+  function delegate(key: ModelKey, model: Model) {
+    const rows = () => tables[key];
+    const find = (where?: Row) => rows().filter((r) => matches(tables, model, r, where));
+    const first = (args: Row = {}) => findRows(tables, model, rows(), { ...args, take: 1 })[0] ?? null;
+    const existing = (where: Row) => {
+      const row = find(where)[0];
+      if (!row) throw knownError("P2025", `No ${model.name} found for the update or delete`);
+      return row;
+    };
+    const remove = (doomed: Row[]) => {
+      rows().splice(0, rows().length, ...rows().filter((r) => !doomed.includes(r)));
+      return doomed.length;
+    };
+
+    return {
+      findUnique: async (args: Row) => first(args),
+      findFirst: async (args: Row = {}) => first(args),
+      findUniqueOrThrow: async (args: Row) => first(args) ?? Promise.reject(knownError("P2025", `No ${model.name} found`)),
+      findFirstOrThrow: async (args: Row = {}) => first(args) ?? Promise.reject(knownError("P2025", `No ${model.name} found`)),
+      findMany: async (args: Row = {}) => findRows(tables, model, rows(), args),
+      count: async (args: Row = {}) => find(args.where).length,
+      aggregate: async ({ where, ...args }: Row) => aggregate(find(where), args),
+      groupBy: async ({ by, where, orderBy, ...args }: Row) => {
+        const groups = new Map<string, Row[]>();
+        for (const row of find(where)) {
+          const id = JSON.stringify(toArray(by).map((name: string) => row[name]));
+          groups.set(id, [...(groups.get(id) ?? []), row]);
+        }
+        const result = [...groups.values()].map((group) => ({
+          ...Object.fromEntries(toArray(by).map((name: string) => [name, group[0][name]])),
+          ...aggregate(group, args)
+        }));
+        return orderBy ? sortRows(tables, model, result, orderBy) : result;
+      },
+      create: async ({ data, ...args }: Row) => project(tables, model, createRow(model, data), args),
+      createMany: async ({ data, skipDuplicates }: Row) => {
+        let count = 0;
+        for (const row of toArray(data)) {
+          try {
+            createRow(model, row);
+            count++;
+          } catch (error) {
+            if (!skipDuplicates || (error as { code?: string }).code !== "P2002") throw error;
+          }
+        }
+        return { count };
+      },
+      update: async ({ where, data, ...args }: Row) => {
+        const row = existing(where);
+        updateRow(model, row, data);
+        return project(tables, model, row, args);
+      },
+      updateMany: async ({ where, data }: Row) => {
+        const matched = find(where);
+        matched.forEach((row) => updateRow(model, row, data));
+        return { count: matched.length };
+      },
+      upsert: async ({ where, create, update, ...args }: Row) => {
+        const row = find(where)[0];
+        if (row) updateRow(model, row, update);
+        return project(tables, model, row ?? createRow(model, create), args);
+      },
+      delete: async ({ where, ...args }: Row) => {
+        const row = existing(where);
+        remove([row]);
+        return project(tables, model, row, args);
+      },
+      deleteMany: async ({ where }: Row = {}) => ({ count: remove(find(where)) })
+    };
+  }
+
+  const client: Row = {
+    tables,
+    $connect: async () => undefined,
+    $disconnect: async () => undefined,
+    $transaction: async (work: ((tx: unknown) => Promise<unknown>) | Promise<unknown>[]) => {
+      if (Array.isArray(work)) return Promise.all(work);
+      const snapshot = Object.fromEntries(Object.entries(tables).map(([key, rows]) => [key, rows.map((r) => ({ ...r }))]));
+      try {
+        return await work(client);
+      } catch (error) {
+        for (const [key, rows] of Object.entries(snapshot)) tables[key as ModelKey].splice(0, Infinity, ...rows);
+        throw error;
+      }
+    }
+  };
+  for (const [key, model] of models) client[key] = delegate(key, model);
+
+  for (const [key, rows] of Object.entries(seed) as [ModelKey, Row[]][]) {
+    for (const row of rows) createRow(models.get(key)!, row);
+  }
+  return client as unknown as FakePrisma;
+}
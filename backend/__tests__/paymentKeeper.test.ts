@@ -0,0 +1,242 @@
+// Jest test suite for the auto-pay keeper
+import { ethers } from "ethers";
+import { PaymentKeeper } from "../services/PaymentKeeper";
+import { SignatureService } from "../services/SignatureService";
+import { TransactionManager } from "../services/TransactionManager";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const contractIface = new ethers.Interface(require("../abis/BitmorDCA.json"));
+const erc20Iface = new ethers.Interface(require("../abis/ERC20.json"));
+
+const CONTRACT = "0x05b60F3E84c2fe6dfC3EA633F336c550AF8335B7";
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const BACKEND_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcaec9b4f1b6d9a2f0";
+const KEEPER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const user = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const creator = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+// plans(): totalPaid, btcAccumulated, targetBTC, startTime, lastPaymentTime, streak, maxStreak,
+// prepaidDays, withdrawalDelay, timePeriod, cadence, status, bitmorEnabled, thresholdReached
+const activePlan = [0n, 0n, ethers.parseEther("1"), 0, 0, 0, 0, 0, 30, 365, 0, 1, false, false];
+
+// Answers the keeper's view calls and mines makePaymentFor submissions as they arrive
+class FakeChain {
+  approved = true;
+  allowance = 1_000_000_000n;
+  balance = 1_000_000_000n;
+  // Set to reject the next broadcast after its nonce was handed out
+  failSend = false;
+  // Receipt status for the submissions that follow; null leaves them unmined
+  mineStatus: number | null = 1;
+  sent: ethers.TransactionDescription[] = [];
+  receipts = new Map<string, { hash: string; status: number; blockNumber: number; gasUsed: bigint }>();
+
+  provider(): ethers.Provider {
+    const provider = {
+      getNetwork: async () => new ethers.Network("anvil", 31337n),
+      getTransactionCount: async () => this.sent.length,
+      estimateGas: async () => 200_000n,
+      getFeeData: async () => new ethers.FeeData(1n, 1n, 1n),
+      call: async (tx: { to: string; data: string }) => {
+        if (tx.to.toLowerCase() === USDC.toLowerCase()) {
+          const call = erc20Iface.parseTransaction({ data: tx.data })!;
+          return erc20Iface.encodeFunctionResult(call.fragment, [call.name === "allowance" ? this.allowance : this.balance]);
+        }
+        const call = contractIface.parseTransaction({ data: tx.data })!;
+        return contractIface.encodeFunctionResult(call.fragment, call.name === "plans" ? activePlan : [this.approved]);
+      },
+      broadcastTransaction: async (raw: string) => {
+        const tx = ethers.Transaction.from(raw);
+        if (this.failSend || tx.nonce !== this.sent.length) {
+          this.failSend = false;
+          throw new Error(`bad nonce ${tx.nonce}`);
+        }
+        this.sent.push(contractIface.parseTransaction({ data: tx.data })!);
+        if (this.mineStatus !== null) this.mine(tx.hash!, this.mineStatus);
+        return {};
+      },
+      getTransactionReceipt: async (hash: string) => this.receipts.get(hash) ?? null
+    };
+    return provider as unknown as ethers.Provider;
+  }
+
+  mine(hash: string, status = 1) {
+    this.receipts.set(hash, { hash, status, blockNumber: 100, gasUsed: 90_000n });
+  }
+}
+
+const dayAgo = () => new Date(Date.now() - 25 * 60 * 60 * 1000);
+
+// One opted-in user with daily plans (on-chain ids 1, 2, ...) last paid at `lastPaymentAt`
+const makeDb = (lastPaymentAt: Date, planCount = 1, creatorFeeBps = 0) => {
+  const planIds = Array.from({ length: planCount }, (_, i) => `plan-${i + 1}`);
+  return fakePrisma({
+    dCAStrategy: [{ id: "strategy-1", creator, fee: creatorFeeBps }],
+    dCAUser: [{ id: "user-1", address: user, autoPayEnabled: true }],
+    dCAPlan: planIds.map((id, i) => ({
+      id,
+      userId: "user-1",
+      onchainPlanId: i + 1,
+      creationTxHash: `0x${i + 1}`,
+      cadence: "daily",
+      totalDailyAmount: 10,
+      creatorFeeBps,
+      strategyId: creatorFeeBps > 0 ? "strategy-1" : null
+    })),
+    dCAPayment: planIds.map((planId) => ({ planId, amount: 10, btcAmount: 0.0001, status: "completed", createdAt: lastPaymentAt }))
+  });
+};
+
+const makeKeeper = (chain: FakeChain, db: FakePrisma) => {
+  const provider = chain.provider();
+  const txManager = new TransactionManager(new ethers.Wallet(KEEPER_KEY, provider), db, { pollIntervalMs: 1 });
+  return new PaymentKeeper(provider, txManager, db, {
+    contractAddress: CONTRACT,
+    usdcAddress: USDC,
+    getSignatureService: async () => new SignatureService(BACKEND_KEY, 31337, { verifyingContract: CONTRACT }),
+    quoteBTC: async (usdcAmount) => usdcAmount * 10n ** 7n
+  });
+};
+
+describe("PaymentKeeper", () => {
+  it("submits a signed makePaymentFor for a due, approved user", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo());
+    const result = await makeKeeper(chain, db).runOnce();
+
+    expect(result.submitted).toHaveLength(1);
+    expect(chain.sent).toHaveLength(1);
+    expect(chain.sent[0].name).toBe("makePaymentFor");
+    expect(chain.sent[0].args[0].toLowerCase()).toBe(user);
+    expect(chain.sent[0].args[1]).toBe(1n);
+    expect(chain.sent[0].args[2]).toBe(10_000_000n);
+    expect(db.tables.dCAPayment.slice(1)).toEqual([
+      expect.objectContaining({ planId: "plan-1", amount: 10, status: "completed", txHash: result.submitted[0].txHash })
+    ]);
+  });
+
+  it("submits one payment per due plan with its on-chain plan id", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo(), 2);
+    const result = await makeKeeper(chain, db).runOnce();
+
+    expect(result.submitted.map((s) => s.planId)).toEqual(["plan-1", "plan-2"]);
+    expect(chain.sent.map((tx) => tx.args[1])).toEqual([1n, 2n]);
+    expect(db.tables.dCAPayment.slice(2).map((p) => [p.planId, p.txHash])).toEqual(
+      result.submitted.map((s) => [s.planId, s.txHash])
+    );
+  });
+
+  it("quotes BTC for strategy subscribers net of the creator fee", async () => {
+    const chain = new FakeChain();
+    await makeKeeper(chain, makeDb(dayAgo(), 1, 100)).runOnce();
+
+    // 10 USDC pulled, BTC quoted for the 9.9 USDC left after a 1% fee
+    expect(chain.sent[0].args[2]).toBe(10_000_000n);
+    expect(chain.sent[0].args[3]).toBe(9_900_000n * 10n ** 7n);
+
+    // The 0.1 USDC fee is signed into the payment for the strategy's creator
+    expect(chain.sent[0].args[5]).toBe(creator);
+    expect(chain.sent[0].args[6]).toBe(100_000n);
+  });
+
+  it("checks the allowance against every due plan together", async () => {
+    const chain = new FakeChain();
+    chain.allowance = 15_000_000n;
+    const result = await makeKeeper(chain, makeDb(dayAgo(), 2)).runOnce();
+
+    expect(result.skipped.map((s) => s.reason)).toEqual(["Insufficient USDC allowance", "Insufficient USDC allowance"]);
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("does nothing when no payment is due", async () => {
+    const chain = new FakeChain();
+    const result = await makeKeeper(chain, makeDb(new Date())).runOnce();
+
+    expect(result.submitted).toEqual([]);
+    expect(result.skipped).toEqual([]);
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("waits out a running pause and pays once it has run out", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo(), 2);
+    const hour = 60 * 60 * 1000;
+    const pausedUntil = [new Date(Date.now() + hour), new Date(Date.now() - hour)];
+    db.tables.dCAPlan.forEach((plan, i) => { plan.pausedUntil = pausedUntil[i]; });
+
+    const result = await makeKeeper(chain, db).runOnce();
+
+    expect(result.submitted.map((s) => s.planId)).toEqual(["plan-2"]);
+    expect(result.skipped).toEqual([]);
+  });
+
+  it("skips users who have not approved the keeper", async () => {
+    const chain = new FakeChain();
+    chain.approved = false;
+    const result = await makeKeeper(chain, makeDb(dayAgo())).runOnce();
+
+    expect(result.skipped).toEqual([{ address: user, planId: "plan-1", reason: "Keeper not approved as payment executor" }]);
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("skips users whose allowance does not cover the payment", async () => {
+    const chain = new FakeChain();
+    chain.allowance = 5_000_000n;
+    const result = await makeKeeper(chain, makeDb(dayAgo())).runOnce();
+
+    expect(result.skipped[0].reason).toBe("Insufficient USDC allowance");
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("retries a plan whose payment reverted", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo());
+    const keeper = makeKeeper(chain, db);
+
+    chain.mineStatus = 0;
+    const reverted = await keeper.runOnce();
+    expect(reverted.skipped[0].reason).toMatch(/^Payment reverted: 0x/);
+    expect(db.tables.dCAPayment[1]).toMatchObject({ status: "failed", completedAt: null });
+
+    // A failed payment no longer counts as paid
+    chain.mineStatus = 1;
+    const retried = await keeper.runOnce();
+    expect(retried.submitted).toHaveLength(1);
+    expect(chain.sent).toHaveLength(2);
+  });
+
+  it("settles payments a previous process left pending from their receipts", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo());
+    await db.dCAPayment.create({ data: { planId: "plan-1", amount: 10, btcAmount: 0.0001, status: "pending", txHash: "0xabc" } });
+    const keeper = makeKeeper(chain, db);
+
+    // Still pending: counts as paid, so nothing is resubmitted
+    const waiting = await keeper.runOnce();
+    expect(waiting.settled).toBe(0);
+    expect(waiting.submitted).toEqual([]);
+
+    chain.mine("0xabc");
+    const settled = await keeper.runOnce();
+    expect(settled.settled).toBe(1);
+    expect(db.tables.dCAPayment[1].status).toBe("completed");
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("recovers the nonce after a failed broadcast", async () => {
+    const chain = new FakeChain();
+    const db = makeDb(dayAgo());
+    const keeper = makeKeeper(chain, db);
+
+    chain.failSend = true;
+    const failed = await keeper.runOnce();
+    expect(failed.skipped[0].reason).toContain("bad nonce 0");
+    expect(db.tables.dCAPayment[1].status).toBe("failed");
+
+    // Without a reset the keeper would skip ahead to nonce 1 and be rejected
+    const retried = await keeper.runOnce();
+    expect(retried.submitted).toHaveLength(1);
+    expect(chain.sent).toHaveLength(1);
+  });
+});
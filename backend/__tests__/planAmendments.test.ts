@@ -0,0 +1,132 @@
+// Jest test suite for plan amendment rules and PlanAmended indexing
+import { AmendmentError, PlanTerms, amendPlanTerms } from "../services/PlanAmendments";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma } from "./fakePrisma";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date("2024-01-01T00:00:00Z");
+const day = (n: number) => new Date(start.getTime() + n * DAY_MS);
+
+// 100-day plan with a 10-day withdrawal delay
+const terms: PlanTerms = {
+  dailyAmount: 25,
+  cadence: "daily",
+  timePeriod: 100,
+  startTime: start,
+  withdrawalDelay: 10
+};
+
+describe("amendPlanTerms", () => {
+  it("changes the amount and cadence without touching the period", () => {
+    expect(amendPlanTerms(terms, { dailyAmount: 40.1234567, cadence: "weekly" }, day(5))).toEqual({
+      dailyAmount: 40.123457,
+      cadence: "weekly",
+      timePeriod: 100,
+      startTime: start,
+      endDate: day(100)
+    });
+  });
+
+  it("moves the end out by the extension while keeping the elapsed share", () => {
+    // 60 of 100 days left; 60 + 30 = 90 left needs a 150-day period
+    const amended = amendPlanTerms(terms, { extendDays: 30 }, day(40));
+
+    expect(amended.timePeriod).toBe(150);
+    expect(amended.endDate).toEqual(day(130));
+    // 40% elapsed before and after
+    expect(amended.startTime).toEqual(day(-20));
+  });
+
+  it("rounds the scaled period up to whole days", () => {
+    // 30 + 1 days left of 70 needs 100 * 31 / 30 = 103.3 days
+    const amended = amendPlanTerms(terms, { extendDays: 1 }, day(70));
+    expect(amended.timePeriod).toBe(104);
+    expect(amended.endDate.getTime()).toBeGreaterThanOrEqual(day(101).getTime());
+  });
+
+  it("refuses empty, malformed and unfair amendments", () => {
+    const code = (request: Record<string, unknown>, now = day(40)) => {
+      try {
+        amendPlanTerms(terms, request, now);
+        return undefined;
+      } catch (error) {
+        expect(error).toBeInstanceOf(AmendmentError);
+        return (error as AmendmentError).code;
+      }
+    };
+
+    expect(code({})).toBe("NO_CHANGE");
+    expect(code({ dailyAmount: 25, cadence: "daily" })).toBe("NO_CHANGE");
+    expect(code({ dailyAmount: 0 })).toBe("INVALID_AMOUNT");
+    expect(code({ dailyAmount: "50" })).toBe("INVALID_AMOUNT");
+    expect(code({ cadence: "monthly" })).toBe("INVALID_CADENCE");
+    expect(code({ extendDays: -10 })).toBe("INVALID_EXTENSION");
+    expect(code({ extendDays: 1.5 })).toBe("INVALID_EXTENSION");
+    expect(code({ extendDays: 30 }, day(5))).toBe("WITHDRAWAL_DELAY");
+    expect(code({ extendDays: 30 }, day(100))).toBe("PLAN_ENDED");
+    // Half a day before the end, 200 more days would need a 40100-day period
+    expect(code({ extendDays: 200 }, new Date(day(100).getTime() - DAY_MS / 2))).toBe("INVALID_EXTENSION");
+  });
+});
+
+describe("PlanAmended handler", () => {
+  const event: IndexedEvent = {
+    name: "PlanAmended",
+    args: {
+      user: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc",
+      planId: "1",
+      dailyAmount: "40000000",
+      timePeriod: "150",
+      cadence: "1",
+      startTime: String(day(-20).getTime() / 1000)
+    },
+    txHash: "0xamend",
+    logIndex: 2,
+    blockNumber: 10,
+    blockHash: "0xblock",
+    timestamp: day(40)
+  };
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc", totalPaid: 0, btcAccumulated: 0 }],
+    dCAPlan: [{
+      id: "plan-1", userId: "user-1", onchainPlanId: 1, totalDailyAmount: 25, cadence: "daily",
+      timePeriod: 100, startTime: start, createdAt: start
+    }],
+    planToken: [
+      { id: "token-1", planId: "plan-1", tokenId: "usdc", weight: 60, dailyAmount: 15 },
+      { id: "token-2", planId: "plan-1", tokenId: "usdt", weight: 40, dailyAmount: 10 }
+    ]
+  });
+
+  it("stores the new terms and keeps the old ones as a version", async () => {
+    const db = makeDb();
+    expect(await contractEventHandlers.PlanAmended.apply(db, event)).toBe("plan-1");
+
+    expect(db.tables.planVersion).toEqual([{
+      id: expect.any(String),
+      planId: "plan-1",
+      version: 1,
+      totalDailyAmount: 25,
+      cadence: "daily",
+      timePeriod: 100,
+      startTime: start,
+      replacedAt: day(40),
+      txHash: "0xamend",
+      logIndex: 2
+    }]);
+    expect(db.tables.dCAPlan[0]).toMatchObject({ version: 2, totalDailyAmount: 40, cadence: "weekly", timePeriod: 150, startTime: day(-20) });
+    expect(db.tables.planToken.map((t) => t.dailyAmount)).toEqual([24, 16]);
+  });
+
+  it("restores the replaced terms on revert", async () => {
+    const db = makeDb();
+    await contractEventHandlers.PlanAmended.apply(db, event);
+    await contractEventHandlers.PlanAmended.revert(db, event);
+
+    expect(db.tables.planVersion).toEqual([]);
+    expect(db.tables.dCAPlan[0]).toMatchObject({ version: 1, totalDailyAmount: 25, cadence: "daily", timePeriod: 100, startTime: start });
+    expect(db.tables.planToken.map((t) => t.dailyAmount)).toEqual([15, 10]);
+  });
+});
@@ -0,0 +1,135 @@
+// Jest test suite for plan pauses and PlanPaused/PlanResumed indexing
+import {
+  PauseError,
+  PauseState,
+  isPlanPaused,
+  pauseAdjustedStart,
+  pauseAdjustedTime,
+  pauseAllowance,
+  planPause
+} from "../services/PlanPauses";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma } from "./fakePrisma";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date("2024-01-01T00:00:00Z");
+const day = (n: number) => new Date(start.getTime() + n * DAY_MS);
+
+const unpaused: PauseState = { pausedAt: null, pausedUntil: null, allowanceStart: null, daysUsed: 0 };
+
+describe("pauseAllowance", () => {
+  it("counts the days used in the current allowance year", () => {
+    const state = { ...unpaused, allowanceStart: day(10), daysUsed: 12 };
+
+    expect(pauseAllowance(state, day(100))).toEqual({ maxDays: 30, usedDays: 12, remainingDays: 18, renewsAt: day(375) });
+    expect(pauseAllowance(state, day(375))).toMatchObject({ usedDays: 0, remainingDays: 30, renewsAt: null });
+    expect(pauseAllowance(unpaused, day(0)).remainingDays).toBe(30);
+  });
+});
+
+describe("planPause", () => {
+  it("pauses for whole days within the allowance", () => {
+    expect(planPause(unpaused, 14, day(5))).toEqual({ days: 14, pausedUntil: day(19) });
+  });
+
+  it("refuses bad lengths, a second pause and exhausted allowances", () => {
+    const code = (state: PauseState, days: unknown) => {
+      try {
+        planPause(state, days, day(50));
+        return undefined;
+      } catch (error) {
+        expect(error).toBeInstanceOf(PauseError);
+        return (error as PauseError).code;
+      }
+    };
+
+    expect(code(unpaused, 0)).toBe("INVALID_DAYS");
+    expect(code(unpaused, 2.5)).toBe("INVALID_DAYS");
+    expect(code(unpaused, "7")).toBe("INVALID_DAYS");
+    expect(code(unpaused, 31)).toBe("INVALID_DAYS");
+    expect(code({ ...unpaused, pausedAt: day(48), pausedUntil: day(55) }, 3)).toBe("ALREADY_PAUSED");
+    expect(code({ ...unpaused, allowanceStart: day(0), daysUsed: 25 }, 6)).toBe("ALLOWANCE_EXCEEDED");
+    expect(code({ ...unpaused, allowanceStart: day(0), daysUsed: 25 }, 5)).toBeUndefined();
+  });
+});
+
+describe("pause clocks", () => {
+  const plan = { startTime: start, pausedAt: day(20), pausedUntil: day(30) };
+
+  it("treats a pause as running until pausedUntil", () => {
+    expect(isPlanPaused(plan, day(25))).toBe(true);
+    expect(isPlanPaused(plan, day(30))).toBe(false);
+    expect(isPlanPaused({ pausedUntil: null }, day(25))).toBe(false);
+  });
+
+  it("moves the start by the time paused so far, up to the pause's end", () => {
+    expect(pauseAdjustedStart(plan, day(24))).toEqual(day(4));
+    expect(pauseAdjustedStart(plan, day(40))).toEqual(day(10));
+    expect(pauseAdjustedStart({ ...plan, pausedAt: null, pausedUntil: null }, day(40))).toEqual(start);
+  });
+
+  it("moves a payment time by the pauses after it", () => {
+    const pauses = [
+      { pausedAt: day(5), pausedUntil: day(15), resumedAt: day(8) },
+      { pausedAt: day(20), pausedUntil: day(30), resumedAt: null }
+    ];
+
+    // 3 days resumed early plus the open pause's 4 days so far
+    expect(pauseAdjustedTime(day(1), pauses, day(24))).toEqual(day(8));
+    expect(pauseAdjustedTime(day(10), pauses, day(24))).toEqual(day(14));
+  });
+});
+
+describe("PlanPaused and PlanResumed handlers", () => {
+  const event = (name: string, args: Record<string, string>, logIndex: number, timestamp: Date): IndexedEvent => ({
+    name,
+    args: { user: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc", planId: "1", ...args },
+    txHash: `0x${name.toLowerCase()}`,
+    logIndex,
+    blockNumber: 10,
+    blockHash: "0xblock",
+    timestamp
+  });
+  const seconds = (date: Date) => String(date.getTime() / 1000);
+
+  const paused = event("PlanPaused", { pausedUntil: seconds(day(30)) }, 1, day(20));
+  const resumed = event("PlanResumed", { startTime: seconds(day(4)), pausedDays: "4" }, 3, day(24));
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc", totalPaid: 0, btcAccumulated: 0 }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1", onchainPlanId: 1, cadence: "daily", startTime: start }]
+  });
+
+  it("records a pause and closes it on resume with the moved start", async () => {
+    const db = makeDb();
+
+    expect(await contractEventHandlers.PlanPaused.apply(db, paused)).toBe("plan-1");
+    expect(db.tables.dCAPlan[0]).toMatchObject({ pausedAt: day(20), pausedUntil: day(30) });
+
+    expect(await contractEventHandlers.PlanResumed.apply(db, resumed)).toBe("plan-1");
+    expect(db.tables.dCAPlan[0]).toMatchObject({ pausedAt: null, pausedUntil: null, startTime: day(4) });
+    expect(db.tables.planPause).toEqual([expect.objectContaining({
+      pausedAt: day(20),
+      pausedUntil: day(30),
+      resumedAt: day(24),
+      pausedDays: 4,
+      txHash: "0xplanpaused",
+      resumeTxHash: "0xplanresumed"
+    })]);
+  });
+
+  it("reopens the pause and restores the start when a resume is reverted", async () => {
+    const db = makeDb();
+    await contractEventHandlers.PlanPaused.apply(db, paused);
+    await contractEventHandlers.PlanResumed.apply(db, resumed);
+
+    await contractEventHandlers.PlanResumed.revert(db, resumed);
+    expect(db.tables.dCAPlan[0]).toMatchObject({ pausedAt: day(20), pausedUntil: day(30), startTime: start });
+    expect(db.tables.planPause[0]).toMatchObject({ resumedAt: null, pausedDays: null, resumeTxHash: null });
+
+    await contractEventHandlers.PlanPaused.revert(db, paused);
+    expect(db.tables.dCAPlan[0]).toMatchObject({ pausedAt: null, pausedUntil: null });
+    expect(db.tables.planPause).toEqual([]);
+  });
+});
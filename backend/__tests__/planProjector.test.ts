@@ -0,0 +1,139 @@
+// Jest test suite for forward plan projections
+import { PlanProjector, ProjectionInput, annualizedVolatility, projectPlan } from "../services/PlanProjector";
+import { fakePrisma } from "./fakePrisma";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2024-01-01T00:00:00Z");
+const inDays = (days: number) => new Date(now.getTime() + days * DAY_MS);
+
+// 125 USDC at 1000 USDC/BTC buys 0.125 BTC a day; four more payments reach the target
+const input = (overrides: Partial<ProjectionInput> = {}): ProjectionInput => ({
+  targetBTC: 1,
+  btcAccumulated: 0.5,
+  paymentAmount: 125,
+  creatorFeeBps: 0,
+  cadence: "daily",
+  nextPaymentAt: now,
+  endDate: inDays(10),
+  price: 1000,
+  now,
+  ...overrides
+});
+
+const options = { annualChangePct: 20, annualVolatility: null };
+
+describe("projectPlan", () => {
+  it("projects a surplus and the completion date at a flat price", () => {
+    const projection = projectPlan(input(), options);
+
+    expect(projection.remainingPayments).toBe(10);
+    expect(projection.scenarios.flat).toEqual({
+      annualChangePct: 0,
+      projectedBTC: 1.75,
+      surplusBTC: 0.75,
+      expectedCompletionDate: inDays(3)
+    });
+    expect(projection.scenarios.monteCarlo).toBeNull();
+  });
+
+  it("reports a shortfall and keeps paying past the end date to find completion", () => {
+    const { flat } = projectPlan(input({ endDate: inDays(2) }), options).scenarios;
+
+    expect(flat.projectedBTC).toBe(0.75);
+    expect(flat.surplusBTC).toBe(-0.25);
+    expect(flat.expectedCompletionDate).toEqual(inDays(3));
+  });
+
+  it("buys less BTC as the price rises and more as it falls", () => {
+    const { flat, bull, bear } = projectPlan(input(), options).scenarios;
+
+    expect(bull.annualChangePct).toBe(20);
+    expect(bear.annualChangePct).toBe(-20);
+    expect(bull.projectedBTC).toBeLessThan(flat.projectedBTC);
+    expect(bear.projectedBTC).toBeGreaterThan(flat.projectedBTC);
+  });
+
+  it("schedules weekly payments from the next due one", () => {
+    const projection = projectPlan(input({ cadence: "weekly", nextPaymentAt: inDays(3), endDate: inDays(20) }), options);
+
+    // Days 3, 10 and 17
+    expect(projection.remainingPayments).toBe(3);
+    expect(projection.scenarios.flat.projectedBTC).toBe(0.875);
+    expect(projection.scenarios.flat.expectedCompletionDate).toEqual(inDays(24));
+  });
+
+  it("credits subscribers net of the creator fee", () => {
+    const { flat } = projectPlan(input({ creatorFeeBps: 2000, endDate: inDays(5) }), options).scenarios;
+    // 100 USDC of BTC per payment
+    expect(flat.projectedBTC).toBeCloseTo(1);
+  });
+
+  it("suggests the payment that reaches the target by the end date", () => {
+    expect(projectPlan(input({ endDate: inDays(2) }), options).suggestedPaymentAmount).toBe(250);
+    expect(projectPlan(input({ endDate: inDays(2), creatorFeeBps: 2000 }), options).suggestedPaymentAmount).toBe(312.5);
+    expect(projectPlan(input({ btcAccumulated: 2 }), options).suggestedPaymentAmount).toBe(0);
+    expect(projectPlan(input({ endDate: inDays(-1) }), options).suggestedPaymentAmount).toBeNull();
+  });
+
+  it("treats a plan that already holds its target as complete now", () => {
+    const { flat } = projectPlan(input({ btcAccumulated: 1, endDate: inDays(-1) }), options).scenarios;
+    expect(flat).toMatchObject({ projectedBTC: 1, surplusBTC: 0, expectedCompletionDate: now });
+  });
+});
+
+describe("Monte Carlo projection", () => {
+  it("matches the flat scenario without volatility", () => {
+    const { flat, monteCarlo } = projectPlan(input(), { ...options, annualVolatility: 0, simulations: 50 }).scenarios;
+
+    expect(monteCarlo).toMatchObject({ annualVolatilityPct: 0, simulations: 50, probabilityOfTarget: 1 });
+    expect(monteCarlo!.projectedBTC.p10).toBeCloseTo(flat.projectedBTC);
+    expect(monteCarlo!.projectedBTC.p90).toBeCloseTo(flat.projectedBTC);
+  });
+
+  it("spreads outcomes with volatility and repeats for the same seed", () => {
+    const run = () => projectPlan(input({ endDate: inDays(365), btcAccumulated: 0, targetBTC: 45 }), {
+      ...options,
+      annualVolatility: 0.8,
+      simulations: 200
+    }).scenarios.monteCarlo!;
+
+    const { projectedBTC, probabilityOfTarget } = run();
+    expect(projectedBTC.p10).toBeLessThan(projectedBTC.p50);
+    expect(projectedBTC.p50).toBeLessThan(projectedBTC.p90);
+    expect(probabilityOfTarget).toBeGreaterThan(0);
+    expect(probabilityOfTarget).toBeLessThan(1);
+    expect(run()).toEqual(run());
+  });
+});
+
+describe("annualizedVolatility", () => {
+  it("annualizes the spread of daily log returns", () => {
+    const alternating = Array.from({ length: 41 }, (_, i) => (i % 2 === 0 ? 100 : 110));
+    const returns = alternating.slice(1).map((close, i) => Math.log(close / alternating[i]));
+    const variance = returns.reduce((sum, r) => sum + r * r, 0) / (returns.length - 1);
+
+    expect(annualizedVolatility(alternating)).toBeCloseTo(Math.sqrt(variance * 365));
+    expect(annualizedVolatility(Array.from({ length: 41 }, (_, i) => 100 * 1.01 ** i))).toBeCloseTo(0);
+  });
+
+  it("needs a month of returns", () => {
+    expect(annualizedVolatility(Array(30).fill(100))).toBeNull();
+  });
+});
+
+describe("PlanProjector", () => {
+  it("reads a year of daily candles", async () => {
+    const candle = (interval: string, openTime: Date, close: number) =>
+      ({ asset: "BTC", interval, openTime, open: close, high: close, low: close, close, source: "import" });
+    // A flat month; the older daily candle and the hourly one would add volatility
+    const db = fakePrisma({
+      priceCandle: [
+        candle("1d", inDays(-400), 50),
+        ...Array.from({ length: 31 }, (_, i) => candle("1d", inDays(i - 31), 100)),
+        candle("1h", inDays(-1), 120)
+      ]
+    });
+
+    expect(await new PlanProjector(db).historicalVolatility(365, now)).toBe(0);
+  });
+});
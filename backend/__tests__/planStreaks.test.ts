@@ -0,0 +1,144 @@
+// Jest test suite for plan streak rules and their indexing
+import { applyPayment, gracePeriodDays, planStreak, streakStatus } from "../services/PlanStreaks";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date("2024-01-01T00:00:00Z");
+const day = (n: number) => new Date(start.getTime() + n * DAY_MS);
+
+const daily = { cadence: "daily", graceWindow: 7 };
+const weekly = { cadence: "weekly", graceWindow: 21 };
+const state = (streak: number, lastPaymentTime: Date | null, prepaidDays = 0) =>
+  ({ streak, maxStreak: streak, lastPaymentTime, prepaidDays });
+
+describe("applyPayment", () => {
+  it("follows the contract's grace periods", () => {
+    expect(gracePeriodDays("daily")).toBe(7);
+    expect(gracePeriodDays("weekly")).toBe(21);
+    expect(gracePeriodDays("monthly")).toBe(21);
+  });
+
+  it("extends the streak within the grace period and restarts it after", () => {
+    expect(applyPayment(daily, state(0, null), { at: day(0), usesPrepaid: false }))
+      .toEqual({ state: state(1, day(0)), outcome: "on_time" });
+    expect(applyPayment(daily, state(4, day(0)), { at: day(1), usesPrepaid: false }).outcome).toBe("on_time");
+    expect(applyPayment(daily, state(4, day(0)), { at: day(7), usesPrepaid: false }))
+      .toEqual({ state: state(5, day(7)), outcome: "grace" });
+    expect(applyPayment(weekly, state(4, day(0)), { at: day(21), usesPrepaid: false }).outcome).toBe("grace");
+
+    const late = applyPayment(daily, state(4, day(0)), { at: new Date(day(7).getTime() + 1000), usesPrepaid: false });
+    expect(late.outcome).toBe("reset");
+    expect(late.state).toMatchObject({ streak: 1, maxStreak: 4 });
+  });
+
+  it("spends a prepaid day without touching the streak, however late", () => {
+    expect(applyPayment(daily, state(4, day(0), 2), { at: day(30), usesPrepaid: true }))
+      .toEqual({ state: state(4, day(30), 1), outcome: "prepaid" });
+
+    // Without prepaid days left the contract checks the grace period
+    expect(applyPayment(daily, state(4, day(0)), { at: day(30), usesPrepaid: true }).outcome).toBe("reset");
+  });
+});
+
+describe("streakStatus", () => {
+  it("moves from current to grace to lapsed", () => {
+    expect(streakStatus(daily, state(0, null), [], day(0))).toMatchObject({ status: "new", nextStreak: 1, nextPaymentAt: null });
+    expect(streakStatus(daily, state(3, day(0)), [], day(1))).toMatchObject({ streak: 3, status: "current", nextStreak: 4 });
+    expect(streakStatus(daily, state(3, day(0)), [], day(5))).toEqual({
+      streak: 3,
+      maxStreak: 3,
+      status: "grace",
+      nextStreak: 4,
+      prepaidDays: 0,
+      nextPaymentAt: day(1),
+      graceEndsAt: day(7)
+    });
+    expect(streakStatus(daily, state(3, day(0)), [], day(8))).toMatchObject({ streak: 0, status: "lapsed", nextStreak: 1 });
+  });
+
+  it("keeps a lapsed streak while a prepaid day is left", () => {
+    expect(streakStatus(daily, state(3, day(0), 1), [], day(8))).toMatchObject({ streak: 3, status: "lapsed", nextStreak: 3 });
+  });
+
+  it("does not count paused time", () => {
+    const pauses = [{ pausedAt: day(2), pausedUntil: day(12), resumedAt: day(6) }];
+    expect(streakStatus(daily, state(3, day(0)), pauses, day(10))).toMatchObject({ status: "grace", graceEndsAt: day(11) });
+
+    // An open pause of a plan row holds the clock until it is resumed
+    const plan = { ...daily, streak: 3, maxStreak: 5, lastPaymentTime: day(0), pausedAt: day(2), pausedUntil: day(30) };
+    expect(planStreak(plan, day(20))).toMatchObject({ streak: 3, maxStreak: 5, status: "grace", graceEndsAt: day(25) });
+  });
+});
+
+describe("streak event handlers", () => {
+  const user = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+  const event = (name: string, args: Record<string, string | boolean>, blockNumber: number, timestamp: Date): IndexedEvent => ({
+    name,
+    args: { user, planId: "1", ...args },
+    txHash: `0x${blockNumber}`,
+    logIndex: 0,
+    blockNumber,
+    blockHash: "0xblock",
+    timestamp,
+    planId: "plan-1"
+  });
+  const payment = (streak: number, blockNumber: number, timestamp: Date, usesPrepaid = false) => event(
+    "PaymentProcessed",
+    { usdcAmount: "10000000", btcAmount: "1000000000000000", streak: String(streak), usesPrepaid },
+    blockNumber,
+    timestamp
+  );
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address: user, totalPaid: 0, btcAccumulated: 0 }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1", onchainPlanId: 1, cadence: "daily", graceWindow: 1, targetBTC: 1 }]
+  });
+  const plan = (db: FakePrisma) => db.tables.dCAPlan[0];
+
+  // Applies the event and stores it the way EventIndexer does
+  const index = async (db: FakePrisma, e: IndexedEvent) => {
+    await contractEventHandlers[e.name].apply(db, e);
+    await db.chainEvent.create({
+      data: {
+        txHash: e.txHash, logIndex: e.logIndex, blockNumber: e.blockNumber, blockHash: e.blockHash,
+        blockTimestamp: e.timestamp, eventName: e.name, userAddress: user, planId: e.planId, args: e.args
+      }
+    });
+  };
+
+  it("persists the contract's streak per plan and when the grace period was used", async () => {
+    const db = makeDb();
+    await index(db, payment(1, 10, day(0)));
+    await index(db, payment(2, 11, day(1)));
+    expect(plan(db)).toMatchObject({ streak: 2, maxStreak: 2, lastPaymentTime: day(1), graceWindow: 7, lastGraceUsed: null });
+
+    await index(db, payment(3, 12, day(4)));
+    expect(plan(db)).toMatchObject({ streak: 3, maxStreak: 3, lastGraceUsed: day(4) });
+
+    // A prepaid payment keeps the streak and doesn't use the grace period
+    await index(db, payment(3, 13, day(8), true));
+    expect(plan(db)).toMatchObject({ streak: 3, lastPaymentTime: day(8), lastGraceUsed: day(4) });
+
+    await index(db, payment(1, 14, day(20)));
+    expect(plan(db)).toMatchObject({ streak: 1, maxStreak: 3, lastPaymentTime: day(20) });
+  });
+
+  it("falls back to the plan's previous payment, moved by the pauses resumed since", async () => {
+    const db = makeDb();
+    await index(db, payment(1, 10, day(0)));
+
+    await contractEventHandlers.PlanPaused.apply(db, event("PlanPaused", { pausedUntil: String(day(5).getTime() / 1000) }, 10, day(1)));
+    await contractEventHandlers.PlanResumed.apply(db, event("PlanResumed", { startTime: "0", pausedDays: "3" }, 11, day(4)));
+    expect(plan(db).lastPaymentTime).toEqual(day(3));
+
+    const second = payment(2, 12, day(5));
+    await index(db, second);
+    await contractEventHandlers.PaymentProcessed.revert(db, second);
+    expect(plan(db)).toMatchObject({ streak: 1, lastPaymentTime: day(3) });
+
+    await contractEventHandlers.PlanResumed.revert(db, event("PlanResumed", { startTime: "0", pausedDays: "3" }, 11, day(4)));
+    expect(plan(db).lastPaymentTime).toEqual(day(0));
+  });
+});
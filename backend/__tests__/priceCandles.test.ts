@@ -0,0 +1,163 @@
+// Jest test suite for BTC candle rollup, import and queries
+import {
+  CandleError,
+  PriceCandleStore,
+  candleOpenTime,
+  candlesFromTicks,
+  parseCandleImport,
+  parseCandleQuery
+} from "../services/PriceCandles";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const tick = (price: number, at: string) => ({ price, fetchedAt: new Date(at) });
+
+describe("candleOpenTime", () => {
+  it("floors to the UTC hour or day", () => {
+    const at = new Date("2024-03-05T17:42:10Z");
+    expect(candleOpenTime(at, "1h")).toEqual(new Date("2024-03-05T17:00:00Z"));
+    expect(candleOpenTime(at, "1d")).toEqual(new Date("2024-03-05T00:00:00Z"));
+  });
+});
+
+describe("candlesFromTicks", () => {
+  it("rolls ticks up into OHLC candles in any order", () => {
+    const ticks = [
+      tick(105, "2024-01-01T00:30:00Z"),
+      tick(100, "2024-01-01T00:05:00Z"),
+      tick(110, "2024-01-01T00:15:00Z"),
+      tick(90, "2024-01-01T01:10:00Z")
+    ];
+
+    expect(candlesFromTicks(ticks, "1h")).toEqual([
+      { openTime: new Date("2024-01-01T00:00:00Z"), open: 100, high: 110, low: 100, close: 105, count: 3 },
+      { openTime: new Date("2024-01-01T01:00:00Z"), open: 90, high: 90, low: 90, close: 90, count: 1 }
+    ]);
+    expect(candlesFromTicks(ticks, "1d")).toEqual([
+      { openTime: new Date("2024-01-01T00:00:00Z"), open: 100, high: 110, low: 90, close: 90, count: 4 }
+    ]);
+  });
+});
+
+describe("parseCandleImport", () => {
+  it("reads OHLC CSV with any column order", () => {
+    const csv = "Close,Date,High,Low,Open\r\n42000,2024-01-01,43000,41000,41500\r\n";
+    expect(parseCandleImport(csv, "csv", "1d")).toEqual([
+      { openTime: new Date("2024-01-01T00:00:00Z"), open: 41500, high: 43000, low: 41000, close: 42000 }
+    ]);
+  });
+
+  it("merges close-only hourly rows into daily candles", () => {
+    const csv = "timestamp,price\n1704067200,100\n1704070800,120\n1704153600,90\n";
+    expect(parseCandleImport(csv, "csv", "1d")).toEqual([
+      { openTime: new Date("2024-01-01T00:00:00Z"), open: 100, high: 120, low: 100, close: 120 },
+      { openTime: new Date("2024-01-02T00:00:00Z"), open: 90, high: 90, low: 90, close: 90 }
+    ]);
+  });
+
+  it("reads kline arrays and objects from JSON", () => {
+    const klines = JSON.stringify([[1704067200000, "100", "130", "95", "120", "12.5"]]);
+    expect(parseCandleImport(klines, "json", "1h")).toEqual([
+      { openTime: new Date("2024-01-01T00:00:00Z"), open: 100, high: 130, low: 95, close: 120 }
+    ]);
+
+    const objects = JSON.stringify([{ date: "2024-01-01T00:00:00Z", close: 42000 }]);
+    expect(parseCandleImport(objects, "json", "1d")[0].close).toBe(42000);
+  });
+
+  it("rejects unreadable input", () => {
+    expect(() => parseCandleImport("day,value\n2024-01-01,1", "csv", "1d")).toThrow(CandleError);
+    expect(() => parseCandleImport("date,close\n2024-01-01,abc", "csv", "1d")).toThrow("Invalid row 1");
+    expect(() => parseCandleImport("date,close,high,low\n2024-01-01,100,90,95", "csv", "1d")).toThrow("Invalid row 1");
+    expect(() => parseCandleImport("{}", "json", "1d")).toThrow("must be an array");
+    expect(() => parseCandleImport("[", "json", "1d")).toThrow("Invalid JSON");
+  });
+});
+
+describe("parseCandleQuery", () => {
+  const now = new Date("2024-06-01T00:00:00Z");
+
+  it("defaults to a week of hourly candles up to now", () => {
+    expect(parseCandleQuery({}, now)).toEqual({
+      interval: "1h",
+      from: new Date("2024-05-25T00:00:00Z"),
+      to: now
+    });
+  });
+
+  it("accepts ISO dates and Unix timestamps", () => {
+    expect(parseCandleQuery({ interval: "1d", from: "2024-01-01", to: "1717200000" }, now)).toEqual({
+      interval: "1d",
+      from: new Date("2024-01-01T00:00:00Z"),
+      to: new Date("2024-06-01T00:00:00Z")
+    });
+  });
+
+  it("rejects bad intervals and ranges", () => {
+    expect(() => parseCandleQuery({ interval: "5m" }, now)).toThrow("interval must be 1h or 1d");
+    expect(() => parseCandleQuery({ from: "soon" }, now)).toThrow("from must be an ISO date");
+    expect(() => parseCandleQuery({ from: "2024-06-02" }, now)).toThrow("from must be before to");
+    expect(() => parseCandleQuery({ interval: "1h", from: "2024-01-01" }, now)).toThrow("more than 1000 1h candles");
+  });
+});
+
+describe("PriceCandleStore", () => {
+  const makeDb = (ticks: { price: number; fetchedAt: Date }[] = []) =>
+    fakePrisma({ priceHistory: ticks.map((t) => ({ asset: "BTC", ...t })) });
+  const dailyCandle = (db: FakePrisma, openTime: string) =>
+    db.tables.priceCandle.find((c) => c.interval === "1d" && c.openTime.getTime() === new Date(openTime).getTime());
+
+  it("rebuilds whole days of candles from ticks", async () => {
+    const db = makeDb([
+      tick(100, "2024-01-01T00:05:00Z"),
+      tick(120, "2024-01-01T10:05:00Z"),
+      tick(90, "2024-01-02T00:05:00Z")
+    ]);
+    const store = new PriceCandleStore(db);
+
+    // Starting mid-day still covers that day from midnight
+    expect(await store.rollUp(new Date("2024-01-01T12:00:00Z"), new Date("2024-01-02T00:00:00Z"))).toBe(3);
+    expect(dailyCandle(db, "2024-01-01T00:00:00Z")).toMatchObject({
+      asset: "BTC",
+      open: 100,
+      high: 120,
+      close: 120,
+      tickCount: 2,
+      source: "ticks"
+    });
+
+    // Rerunning over the same ticks rewrites the same candles
+    await store.rollUp(new Date("2024-01-01T00:00:00Z"), new Date("2024-01-03T00:00:00Z"));
+    expect(db.tables.priceCandle).toHaveLength(5);
+  });
+
+  it("keeps existing candles on import unless replacing", async () => {
+    const db = makeDb();
+    const store = new PriceCandleStore(db);
+    const candle = (close: number) => ({ openTime: new Date("2024-01-01T00:00:00Z"), open: 1, high: close, low: 1, close });
+
+    expect(await store.import([candle(10)], "1d")).toBe(1);
+    expect(await store.import([candle(20)], "1d")).toBe(0);
+    expect(dailyCandle(db, "2024-01-01T00:00:00Z")!.close).toBe(10);
+
+    expect(await store.import([candle(20)], "1d", true)).toBe(1);
+    expect(dailyCandle(db, "2024-01-01T00:00:00Z")).toMatchObject({ close: 20, source: "import" });
+  });
+
+  it("measures the 24h change between hourly closes", async () => {
+    const db = makeDb([tick(100, "2024-01-01T09:30:00Z"), tick(105, "2024-01-02T09:10:00Z")]);
+    const store = new PriceCandleStore(db);
+
+    expect(await store.change24h()).toBeNull();
+
+    await store.rollUp(new Date("2024-01-01T00:00:00Z"), new Date("2024-01-02T10:00:00Z"));
+    expect(await store.change24h()).toBeCloseTo(5);
+  });
+
+  it("reports no change without a candle from 24h before", async () => {
+    const db = makeDb([tick(100, "2024-01-01T08:30:00Z"), tick(105, "2024-01-02T09:10:00Z")]);
+    const store = new PriceCandleStore(db);
+
+    await store.rollUp(new Date("2024-01-01T00:00:00Z"), new Date("2024-01-02T10:00:00Z"));
+    expect(await store.change24h()).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+// Jest test suite for BTC price aggregation
+import http from "http";
+import { AddressInfo } from "net";
+import { ethers } from "ethers";
+import {
+  ChainlinkPriceSource,
+  HttpPriceSource,
+  PriceOracle,
+  PriceOracleError,
+  PriceSource,
+  UniswapV3TwapSource
+} from "../services/PriceOracle";
+
+const FEED = "0x64c911996D3c6aC71f9b455B1E8E7266BcbD848F";
+const POOL = "0xfBB6Eed8e7aa03B138556eeDaF5D271A5E1e43ef";
+
+const fixed = (name: string, price: number, ageSeconds = 0): PriceSource => ({
+  name,
+  read: async () => ({ source: name, price, updatedAt: new Date(Date.now() - ageSeconds * 1000) })
+});
+
+const failing = (name: string): PriceSource => ({
+  name,
+  read: async () => { throw new Error("connection refused"); }
+});
+
+describe("PriceOracle", () => {
+  it("returns the median with a confidence band", async () => {
+    const oracle = new PriceOracle([fixed("a", 100_000), fixed("b", 100_400), fixed("c", 99_900)]);
+
+    const result = await oracle.getBTCPrice();
+
+    expect(result.price).toBe(100_000);
+    expect([result.low, result.high]).toEqual([99_900, 100_400]);
+    expect(result.spreadBps).toBe(50);
+    expect(result.rejected).toEqual([]);
+  });
+
+  it("drops stale, failed and outlier readings", async () => {
+    const oracle = new PriceOracle([
+      fixed("a", 100_000),
+      fixed("b", 100_100),
+      fixed("stale", 100_000, 2 * 60 * 60),
+      fixed("outlier", 90_000),
+      failing("down")
+    ]);
+
+    const result = await oracle.getBTCPrice();
+
+    expect(result.readings.map((r) => r.source)).toEqual(["a", "b"]);
+    expect(result.price).toBe(100_050);
+    expect(result.rejected.map((r) => r.source).sort()).toEqual(["down", "outlier", "stale"]);
+  });
+
+  it("refuses to price with too few usable sources", async () => {
+    const oracle = new PriceOracle([fixed("a", 100_000), fixed("stale", 100_000, 2 * 60 * 60), failing("down")]);
+
+    await expect(oracle.getBTCPrice()).rejects.toThrow(PriceOracleError);
+    await expect(oracle.getBTCPrice()).rejects.toMatchObject({ code: "INSUFFICIENT_SOURCES" });
+  });
+
+  it("reuses the aggregate within the cache window", async () => {
+    const read = jest.fn(async () => ({ source: "a", price: 100_000, updatedAt: new Date() }));
+    const oracle = new PriceOracle([{ name: "a", read }], { cacheTtlMs: 60_000 });
+
+    await oracle.getBTCPrice();
+    await oracle.getBTCPrice();
+
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("ChainlinkPriceSource", () => {
+  const iface = new ethers.Interface([
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+    "function decimals() view returns (uint8)"
+  ]);
+
+  const feedReturning = (round: unknown[]) => ({
+    provider: null,
+    call: async (tx: { data: string }) => {
+      const call = iface.parseTransaction({ data: tx.data })!;
+      return iface.encodeFunctionResult(call.fragment, call.name === "decimals" ? [8] : round);
+    }
+  }) as unknown as ethers.Provider;
+
+  it("reads the answer with the feed's decimals", async () => {
+    const updatedAt = Math.floor(Date.now() / 1000);
+    const source = new ChainlinkPriceSource(feedReturning([7n, 65_000n * 10n ** 8n, 0, updatedAt, 7n]), FEED);
+
+    const reading = await source.read();
+
+    expect(reading.price).toBe(65_000);
+    expect(reading.updatedAt.getTime()).toBe(updatedAt * 1000);
+  });
+
+  it("rejects an answer carried over from an earlier round", async () => {
+    const source = new ChainlinkPriceSource(feedReturning([7n, 65_000n * 10n ** 8n, 0, 1, 6n]), FEED);
+    await expect(source.read()).rejects.toThrow("stale answer");
+  });
+});
+
+describe("UniswapV3TwapSource", () => {
+  it("converts the average tick to USD per BTC", async () => {
+    const iface = new ethers.Interface([
+      "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+    ]);
+    // 1.0001^tick * 10^(8 - 6) = 100,000 for cbBTC(8)/USDC(6) with cbBTC as token0
+    const tick = Math.round(Math.log(1000) / Math.log(1.0001));
+    const provider = {
+      provider: null,
+      call: async (tx: { data: string }) => {
+        const call = iface.parseTransaction({ data: tx.data })!;
+        return iface.encodeFunctionResult(call.fragment, [[0n, BigInt(tick * 1800)], [0n, 0n]]);
+      }
+    } as unknown as ethers.Provider;
+
+    const reading = await new UniswapV3TwapSource(provider, { pool: POOL, btcIsToken0: true }).read();
+
+    expect(reading.price).toBeCloseTo(100_000, -2);
+  });
+});
+
+describe("HttpPriceSource", () => {
+  let server: http.Server;
+  let url: string;
+
+  beforeAll(async () => {
+    // Stands in for CoinGecko's /simple/price response
+    server = http.createServer((_req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ bitcoin: { usd: 64_250.5, last_updated_at: 1_700_000_000 } }));
+    });
+    await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/simple/price`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("parses the CoinGecko response shape", async () => {
+    const reading = await new HttpPriceSource({ url }).read();
+
+    expect(reading).toEqual({ source: "http", price: 64_250.5, updatedAt: new Date(1_700_000_000 * 1000) });
+  });
+});
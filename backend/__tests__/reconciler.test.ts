@@ -0,0 +1,216 @@
+// Jest test suite for reconciling Prisma user state with the contract
+import { ethers } from "ethers";
+import {
+  ChainPlanState,
+  ChainUserState,
+  DbPlanState,
+  DbUserState,
+  Reconciler,
+  compareUserState,
+  formatReport,
+  summarizePlans
+} from "../services/Reconciler";
+import { fakePrisma } from "./fakePrisma";
+
+const iface = new ethers.Interface(require("../abis/BitmorDCA.json"));
+
+const CONTRACT = "0x05b60F3E84c2fe6dfC3EA633F336c550AF8335B7";
+const user = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+const dbPlan = (overrides: Partial<DbPlanState> = {}): DbPlanState => ({
+  planId: 1,
+  isActive: true,
+  pendingCreation: false,
+  paymentsTotal: 300,
+  ...overrides
+});
+
+const chainPlan = (overrides: Partial<ChainPlanState> = {}): ChainPlanState => ({
+  planId: 1,
+  totalPaid: 300,
+  btcAccumulated: 0.005,
+  streak: 3,
+  maxStreak: 3,
+  prepaidDays: 0,
+  status: 1,
+  lastPaymentTime: 1_700_000_000,
+  ...overrides
+});
+
+const dbState = (overrides: Partial<DbUserState> = {}): DbUserState => ({
+  address: user,
+  totalPaid: 300,
+  btcAccumulated: 0.005,
+  currentStreak: 3,
+  maxStreak: 3,
+  prepaidDays: 0,
+  status: 1,
+  plans: [dbPlan()],
+  unclaimedRewards: 0,
+  ...overrides
+});
+
+const chainState = (overrides: Partial<ChainUserState> = {}): ChainUserState => ({
+  totalPaid: 300,
+  btcAccumulated: 0.005,
+  streak: 3,
+  maxStreak: 3,
+  prepaidDays: 0,
+  status: 1,
+  rewardBalance: 0,
+  plans: [chainPlan()],
+  ...overrides
+});
+
+describe("compareUserState", () => {
+  it("reports nothing when the database matches the chain", () => {
+    expect(compareUserState(dbState(), chainState())).toEqual([]);
+  });
+
+  it("ignores float rounding below token precision", () => {
+    const db = dbState({ totalPaid: 100.1 + 200.2, btcAccumulated: 0.001 + 0.004, plans: [dbPlan({ paymentsTotal: 100.1 + 200.2 })] });
+    expect(compareUserState(db, chainState({ totalPaid: 300.3, plans: [chainPlan({ totalPaid: 300.3 })] }))).toEqual([]);
+  });
+
+  it("reports drifted user fields as repairable", () => {
+    const discrepancies = compareUserState(
+      dbState({ currentStreak: 0, prepaidDays: 5 }),
+      chainState({ prepaidDays: 2 })
+    );
+
+    expect(discrepancies).toEqual([
+      { address: user, field: "streak", db: 0, chain: 3, repairable: true, repaired: false },
+      { address: user, field: "prepaidDays", db: 5, chain: 2, repairable: true, repaired: false }
+    ]);
+  });
+
+  it("flags payment and reward ledgers for manual repair", () => {
+    const discrepancies = compareUserState(
+      dbState({ plans: [dbPlan({ paymentsTotal: 200 })], unclaimedRewards: 0.0001 }),
+      chainState()
+    );
+
+    expect(discrepancies.map((d) => [d.field, d.planId, d.repairable])).toEqual([
+      ["payments", 1, false],
+      ["rewardBalance", undefined, false]
+    ]);
+  });
+
+  it("closes plans the contract no longer considers active", () => {
+    const [discrepancy] = compareUserState(dbState({ status: 4 }), chainState({ status: 4, plans: [chainPlan({ status: 4 })] }));
+    expect(discrepancy).toMatchObject({ planId: 1, field: "activePlan", db: true, chain: false, repairable: true });
+  });
+
+  it("cannot recreate a plan that only exists on chain", () => {
+    const [discrepancy] = compareUserState(dbState({ plans: [] }), chainState());
+    expect(discrepancy).toMatchObject({ planId: 1, field: "activePlan", repairable: false });
+  });
+
+  it("leaves plans awaiting their PlanCreated transaction alone", () => {
+    const db = dbState({ plans: [dbPlan(), dbPlan({ planId: 2, paymentsTotal: 0, pendingCreation: true })] });
+    expect(compareUserState(db, chainState())).toEqual([]);
+  });
+
+  it("matches each plan by its on-chain id", () => {
+    const db = dbState({ plans: [dbPlan({ planId: 2 }), dbPlan({ planId: 1, isActive: false, paymentsTotal: 100 })] });
+    const chain = chainState({ plans: [chainPlan({ status: 3, totalPaid: 100 }), chainPlan({ planId: 2 })] });
+
+    expect(compareUserState(db, chain)).toEqual([]);
+  });
+});
+
+describe("summarizePlans", () => {
+  it("adds up balances and takes the streak of the last paid plan", () => {
+    const summary = summarizePlans([
+      chainPlan({ totalPaid: 100, btcAccumulated: 0.002, streak: 9, maxStreak: 12, prepaidDays: 2, lastPaymentTime: 200 }),
+      chainPlan({ planId: 2, totalPaid: 50, btcAccumulated: 0.001, streak: 4, maxStreak: 4, prepaidDays: 1, lastPaymentTime: 300, status: 2 })
+    ], 0.5);
+
+    expect(summary).toMatchObject({
+      totalPaid: 150,
+      btcAccumulated: 0.003,
+      streak: 4,
+      maxStreak: 12,
+      prepaidDays: 3,
+      status: 2,
+      rewardBalance: 0.5
+    });
+  });
+
+  it("treats a user without plans as inactive", () => {
+    expect(summarizePlans([], 0)).toMatchObject({ totalPaid: 0, streak: 0, status: 0, plans: [] });
+  });
+});
+
+describe("Reconciler", () => {
+  // Answers getUserPlans()/userExtras() for a single address
+  const fakeProvider = (plans: unknown[][], extras: unknown[]) => ({
+    provider: null,
+    call: async (tx: { data: string }) => {
+      const call = iface.parseTransaction({ data: tx.data })!;
+      return iface.encodeFunctionResult(call.fragment, call.name === "getUserPlans" ? [plans] : extras);
+    }
+  }) as unknown as ethers.Provider;
+
+  // getUserPlans() entries: totalPaid, btcAccumulated, targetBTC, startTime, lastPaymentTime, streak, maxStreak,
+  // prepaidDays, withdrawalDelay, timePeriod, cadence, status, bitmorEnabled, thresholdReached
+  const onchainPlan = [300_000_000n, ethers.parseEther("0.005"), ethers.parseEther("1"), 0, 0, 3, 5, 0, 30, 365, 0, 4, false, false];
+  const chainExtras = [0n, 0n, 0n, 0, 0];
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{
+      id: "user-1",
+      address: user,
+      totalPaid: 300,
+      btcAccumulated: 0.005,
+      currentStreak: 0,
+      maxStreak: 5,
+      prepaidDays: 0,
+      status: 1
+    }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1", onchainPlanId: 1, isActive: true, creationTxHash: "0xabc" }],
+    dCAPayment: [
+      { planId: "plan-1", amount: 100, btcAmount: 0.002, status: "completed" },
+      { planId: "plan-1", amount: 200, btcAmount: 0.003, status: "completed" }
+    ]
+  });
+
+  it("reports without writing by default", async () => {
+    const db = makeDb();
+    const reconciler = new Reconciler(fakeProvider([onchainPlan], chainExtras), db, { contractAddress: CONTRACT });
+
+    const report = await reconciler.run();
+
+    expect(report.usersChecked).toBe(1);
+    expect(report.discrepancies.map((d) => d.field)).toEqual(["streak", "status", "activePlan"]);
+    expect(db.tables.dCAUser[0]).toMatchObject({ currentStreak: 0, status: 1 });
+    expect(db.tables.dCAPlan[0].isActive).toBe(true);
+    expect(formatReport(report)).toContain("status db=ACTIVE chain=EARLY_EXIT");
+    expect(formatReport(report)).toContain(`${user} plan 1 activePlan db=true chain=false`);
+  });
+
+  it("repairs the database from chain state", async () => {
+    const db = makeDb();
+    const reconciler = new Reconciler(fakeProvider([onchainPlan], chainExtras), db, {
+      contractAddress: CONTRACT,
+      autoRepair: true
+    });
+
+    const report = await reconciler.run();
+
+    expect(report.discrepancies.every((d) => d.repaired)).toBe(true);
+    expect(db.tables.dCAUser[0]).toMatchObject({ currentStreak: 3, status: 4 });
+    expect(db.tables.dCAPlan[0].isActive).toBe(false);
+  });
+
+  it("records users whose chain state cannot be read", async () => {
+    const db = makeDb();
+    const failing = { provider: null, call: async () => { throw new Error("rpc down"); } } as unknown as ethers.Provider;
+    const reconciler = new Reconciler(failing, db, { contractAddress: CONTRACT });
+
+    const report = await reconciler.run();
+
+    expect(report.failures).toHaveLength(1);
+    expect(report.failures[0].address).toBe(user);
+  });
+});
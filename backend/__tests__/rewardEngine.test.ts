@@ -0,0 +1,187 @@
+// Jest test suite for the reward engine's weighting, pool and epoch reports
+import {
+  DEFAULT_REWARD_WEIGHTS,
+  RewardEngine,
+  RewardEngineError,
+  RewardParticipant,
+  allocateRewards,
+  epochYieldBTC,
+  parseRewardWeights
+} from "../services/RewardEngine";
+import { verifyRewardProof } from "../services/RewardMerkle";
+import { fakePrisma } from "./fakePrisma";
+
+const RAY = 10n ** 27n;
+
+const plan = (planId: string, streak: number, totalPaid: number, penaltyMax: number, timePeriod: number) =>
+  ({ planId, streak, totalPaid, penaltyMax, timePeriod });
+
+describe("parseRewardWeights", () => {
+  it("overrides the defaults factor by factor", () => {
+    expect(parseRewardWeights(undefined)).toEqual(DEFAULT_REWARD_WEIGHTS);
+    expect(parseRewardWeights("streak:10, duration:0")).toEqual({ streak: 10, commitment: 3, penaltyTier: 2, duration: 0 });
+  });
+
+  it("refuses unknown factors, bad weights and all-zero weights", () => {
+    for (const value of ["loyalty:1", "streak", "streak:-1", "streak:x", "streak:0,commitment:0,penaltyTier:0,duration:0"]) {
+      expect(() => parseRewardWeights(value)).toThrow(RewardEngineError);
+    }
+  });
+});
+
+describe("epochYieldBTC", () => {
+  it("accrues the liquidity rate on the locked USDC and prices it in BTC", () => {
+    // 1M USDC at 5% for a year is 50,000 USDC, one BTC at $50,000
+    const inputs = { totalValueLocked: 1_000_000n * 10n ** 6n, liquidityRate: (5n * RAY) / 100n, btcPriceUSD: 50_000 };
+
+    expect(epochYieldBTC(inputs, 365 * 24 * 60 * 60)).toBe(10n ** 18n);
+    expect(epochYieldBTC({ ...inputs, btcPriceUSD: 0 }, 60)).toBe(0n);
+  });
+});
+
+describe("allocateRewards", () => {
+  const participants: RewardParticipant[] = [
+    { userId: "user-a", address: "0x2", plans: [plan("plan-a", 10, 1000, 10, 100)] },
+    { userId: "user-b", address: "0x1", plans: [plan("plan-b", 5, 500, 5, 100), plan("plan-b2", 0, 5000, 50, 365)] },
+    { userId: "user-c", address: "0x3", plans: [plan("plan-c", 0, 100, 10, 100)] }
+  ];
+
+  it("weights live plans against the epoch's best plan", () => {
+    const allocations = allocateRewards(participants, { yieldBTC: 31n, penaltyBTC: 100n }, DEFAULT_REWARD_WEIGHTS);
+
+    // Ordered by address; plans without a streak are left out
+    expect(allocations.map((a) => a.address)).toEqual(["0x1", "0x2"]);
+    expect(allocations[0].plans.map((p) => p.planId)).toEqual(["plan-b"]);
+    expect(allocations[1].plans[0].factors).toEqual({ streak: 1, commitment: 1, penaltyTier: 1, duration: 1 });
+    expect(allocations.map((a) => a.weight)).toEqual([5.5, 10]);
+  });
+
+  it("splits both pools in full, giving rounding leftovers to the largest remainders", () => {
+    const allocations = allocateRewards(participants, { yieldBTC: 31n, penaltyBTC: 100n }, DEFAULT_REWARD_WEIGHTS);
+
+    expect(allocations.map((a) => a.amount)).toEqual([35n, 65n]);
+    expect(allocations.map((a) => a.boost)).toEqual([11n, 20n]);
+  });
+
+  it("gives the same allocation whatever order participants come in", () => {
+    const pool = { yieldBTC: 10n ** 15n + 7n, penaltyBTC: 3n };
+    expect(allocateRewards([...participants].reverse(), pool, DEFAULT_REWARD_WEIGHTS))
+      .toEqual(allocateRewards(participants, pool, DEFAULT_REWARD_WEIGHTS));
+  });
+});
+
+describe("RewardEngine", () => {
+  const ADDRESS = { a: `0x${"a".repeat(40)}`, b: `0x${"b".repeat(40)}`, c: `0x${"c".repeat(40)}` };
+  const now = new Date("2024-01-10T12:00:00Z");
+  const at = (iso: string) => new Date(iso);
+
+  const makePrisma = () => {
+    const created = at("2023-11-01T00:00:00Z");
+    const plan = (id: string, userId: string, cadence: string, penaltyMax: number, timePeriod: number) =>
+      ({ id, userId, cadence, graceWindow: cadence === "daily" ? 7 : 21, penaltyMax, timePeriod, createdAt: created });
+    const payment = (planId: string, amount: number, streak: number, completedAt: string) =>
+      ({ planId, amount, btcAmount: 0, streak, status: "completed", completedAt: at(completedAt) });
+
+    return fakePrisma({
+      dCAUser: [
+        { id: "user-a", address: ADDRESS.a },
+        { id: "user-b", address: ADDRESS.b },
+        { id: "user-c", address: ADDRESS.c }
+      ],
+      dCAPlan: [
+        plan("plan-a", "user-a", "daily", 10, 365),
+        plan("plan-b", "user-b", "weekly", 50, 365),
+        plan("plan-c", "user-c", "daily", 20, 90)
+      ],
+      dCAPayment: [
+        payment("plan-a", 50, 9, "2024-01-09T10:00:00Z"),
+        payment("plan-a", 40, 8, "2024-01-08T10:00:00Z"),
+        // Last paid a month ago, past the weekly grace period
+        payment("plan-b", 500, 4, "2023-12-10T10:00:00Z"),
+        payment("plan-c", 30, 3, "2024-01-01T00:00:00Z")
+      ],
+      // Paused the day after paying, which holds the grace period
+      planPause: [{
+        planId: "plan-c", pausedAt: at("2024-01-02T00:00:00Z"), pausedUntil: at("2024-01-12T00:00:00Z"),
+        txHash: "0xpause", logIndex: 0
+      }],
+      withdrawal: [{
+        userId: "user-b", planId: "plan-b", amount: 500, btcAmount: 0.01, penaltyAmount: 0.0003, txHash: "0xexit",
+        status: "completed", completedAt: at("2024-01-09T12:00:00Z")
+      }]
+    });
+  };
+
+  const options = {
+    weights: DEFAULT_REWARD_WEIGHTS,
+    epochHours: 24,
+    getYieldInputs: async () => ({
+      totalValueLocked: 1_000_000n * 10n ** 6n,
+      liquidityRate: (5n * RAY) / 100n,
+      btcPriceUSD: 50_000
+    })
+  };
+
+  it("numbers epochs from the Unix epoch", () => {
+    const engine = new RewardEngine(makePrisma(), options);
+    const epoch = engine.lastClosedEpoch(now);
+
+    expect(engine.epochBounds(epoch)).toEqual({ startsAt: at("2024-01-09T00:00:00Z"), endsAt: at("2024-01-10T00:00:00Z") });
+    expect(engine.epochAt(now)).toBe(epoch + 1);
+    expect(() => new RewardEngine(makePrisma(), { ...options, epochHours: NaN })).toThrow(RewardEngineError);
+  });
+
+  it("builds an epoch's report once and serves the stored one after", async () => {
+    const prisma = makePrisma();
+    const create = jest.spyOn(prisma.yieldPool, "create");
+    const engine = new RewardEngine(prisma, options);
+    const epoch = engine.lastClosedEpoch(now);
+
+    const report = await engine.report(epoch, now);
+    expect(await engine.report(epoch, now)).toEqual(report);
+    expect(create).toHaveBeenCalledTimes(1);
+
+    expect(report.pool).toEqual({ yieldBTC: "2739726020000000", penaltyBTC: "300000000000000" });
+    expect(report.allocations.map((a) => a.address)).toEqual([ADDRESS.a, ADDRESS.c]);
+    expect(report.allocations[0].plans[0]).toMatchObject({ planId: "plan-a", streak: 9, totalPaid: 90, weight: 9 });
+
+    const sum = (values: string[]) => values.reduce((total, value) => total + BigInt(value), 0n);
+    expect(sum(report.allocations.map((a) => a.amount))).toBe(300000000000000n);
+    expect(sum(report.allocations.map((a) => a.boost))).toBe(2739726020000000n);
+
+    // Every allocation can be claimed against the stored root
+    for (const a of report.allocations) {
+      const leaf = { address: a.address, amount: BigInt(a.amount), boost: BigInt(a.boost) };
+      expect(verifyRewardProof(report.merkleRoot!, epoch, leaf, a.proof!)).toBe(true);
+    }
+  });
+
+  it("serves published allocations with their proofs and claim state", async () => {
+    const prisma = makePrisma();
+    const engine = new RewardEngine(prisma, options);
+    const epoch = engine.lastClosedEpoch(now);
+    const report = await engine.report(epoch, now);
+
+    prisma.tables.yieldPool[0].distributedAt = now;
+    await prisma.reward.create({
+      data: { userId: "user-c", amount: 0, source: "penalty", epoch, eligibleSince: now, claimed: true, claimedAt: now }
+    });
+
+    expect(await engine.claims(ADDRESS.c.toUpperCase().replace("0X", "0x"))).toEqual([{
+      epoch,
+      amount: report.allocations[1].amount,
+      boost: report.allocations[1].boost,
+      proof: report.allocations[1].proof,
+      claimed: true,
+      claimedAt: now
+    }]);
+  });
+
+  it("only reports epochs that have ended", async () => {
+    const engine = new RewardEngine(makePrisma(), options);
+
+    for (const epoch of [engine.epochAt(now), -1, 1.5]) {
+      await expect(engine.report(epoch, now)).rejects.toMatchObject({ code: "INVALID_EPOCH" });
+    }
+  });
+});
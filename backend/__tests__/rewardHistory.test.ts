@@ -0,0 +1,91 @@
+// Jest test suite for the user reward history
+import { RewardHistory } from "../services/RewardHistory";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { fakePrisma } from "./fakePrisma";
+
+const day = (n: number) => new Date(Date.UTC(2024, 0, 1 + n));
+const address = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+const planWeight = {
+  planId: "plan-1",
+  streak: 12,
+  totalPaid: 300,
+  penaltyMax: 10,
+  timePeriod: 365,
+  factors: { streak: 1, commitment: 0.5, penaltyTier: 1, duration: 1 },
+  weight: 8.5
+};
+
+const reward = (overrides: Record<string, unknown>) => ({
+  userId: "user-1",
+  weight: 1,
+  ...overrides
+});
+
+const payment = (completedAt: Date, streak: number, status = "completed") =>
+  ({ planId: "plan-1", amount: 10, btcAmount: 0.0002, status, completedAt, streak });
+
+describe("RewardHistory", () => {
+  const makePrisma = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address, totalPaid: 300, btcAccumulated: 0.006 }],
+    dCAPlan: [{ id: "plan-1", userId: "user-1" }],
+    // The pending day-3 payment was never made, so its streak does not count
+    dCAPayment: [payment(day(1), 6), payment(day(2), 7), payment(day(3), 9, "pending"), payment(day(4), 8)],
+    yieldPool: [{
+      id: "pool-1",
+      totalAmount: 0.00031,
+      aaveYield: 0.00001,
+      penaltyAmount: 0.0003,
+      epoch: 19735,
+      allocations: {
+        create: [{ userId: "user-1", address, weight: 8.5, amount: "300000000000000", boost: "10000000000000", plans: [planWeight] }]
+      }
+    }],
+    reward: [
+      reward({ id: "r1", epoch: 19735, source: "penalty", amount: 0.0003, weight: 8.5, eligibleSince: day(5), txHash: "0xpublish", claimed: true, claimedAt: day(6), claimTxHash: "0xclaim", claimLogIndex: 2 }),
+      reward({ id: "r2", epoch: 19735, source: "yield", amount: 0.00001, weight: 8.5, eligibleSince: day(5), txHash: "0xpublish", claimed: true, claimedAt: day(6), claimTxHash: "0xclaim", claimLogIndex: 2 }),
+      reward({ id: "r3", source: "penalty", amount: 0.0002, eligibleSince: day(3), txHash: "0xdistribute" })
+    ]
+  });
+
+  it("explains each accrual with its epoch's breakdown or the streak at the time", async () => {
+    const history = await new RewardHistory(makePrisma()).userRewards(address.toUpperCase().replace("0X", "0x"));
+
+    expect(history!.accruals[0]).toMatchObject({ epoch: 19735, source: "penalty", streak: 12, plans: [planWeight], txHash: "0xpublish" });
+    // distributeRewards credit on day 3 takes the day-2 payment's streak
+    expect(history!.accruals[2]).toMatchObject({ epoch: null, streak: 7, plans: [], txHash: "0xdistribute", claimed: false });
+  });
+
+  it("groups claimed amounts and boosts by claim and totals them", async () => {
+    const history = await new RewardHistory(makePrisma()).userRewards(address);
+
+    expect(history!.claims).toEqual([{ epoch: 19735, amount: 0.0003, boost: 0.00001, txHash: "0xclaim", claimedAt: day(6) }]);
+    expect(history!.totalEarned).toBeCloseTo(0.00051, 10);
+    expect(history!.totalClaimed).toBeCloseTo(0.00031, 10);
+  });
+
+  it("returns null for an unknown user", async () => {
+    expect(await new RewardHistory(makePrisma()).userRewards("0x0000000000000000000000000000000000000001")).toBeNull();
+  });
+});
+
+describe("RewardsDistributed handler", () => {
+  it("labels the rewardsPool amount as penalty and the boost as yield", async () => {
+    const db = fakePrisma({ dCAUser: [{ id: "user-1", address, totalPaid: 0, btcAccumulated: 0 }] });
+
+    await contractEventHandlers.RewardsDistributed.apply(db, {
+      name: "RewardsDistributed",
+      args: { user: address, rewardAmount: "200000000000000", yieldBoost: "1000000000000" },
+      txHash: "0xdistribute",
+      logIndex: 4,
+      blockNumber: 10,
+      blockHash: "0xblock",
+      timestamp: day(3)
+    });
+
+    expect(db.tables.reward.map(({ source, amount, txHash }) => ({ source, amount, txHash }))).toEqual([
+      { source: "penalty", amount: 0.0002, txHash: "0xdistribute" },
+      { source: "yield", amount: 0.000001, txHash: "0xdistribute" }
+    ]);
+  });
+});
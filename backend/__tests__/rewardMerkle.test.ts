@@ -0,0 +1,108 @@
+// Jest test suite for reward claim trees and RewardRootPublished/RewardsClaimed indexing
+import { ethers } from "ethers";
+import { buildRewardTree, rewardLeafHash, verifyRewardProof } from "../services/RewardMerkle";
+import { contractEventHandlers } from "../services/contractEventHandlers";
+import { IndexedEvent } from "../services/EventIndexer";
+import { fakePrisma, FakePrisma } from "./fakePrisma";
+
+const epoch = 19731;
+const leaves = ["0x1", "0x2", "0x3", "0x4", "0x5"].map((suffix, i) => ({
+  address: ethers.zeroPadValue(suffix.replace("0x", "0x0"), 20),
+  amount: BigInt(i + 1) * 10n ** 14n,
+  boost: BigInt(i) * 10n ** 12n
+}));
+
+describe("buildRewardTree", () => {
+  it("proves every leaf against the root, including an odd one out", () => {
+    const tree = buildRewardTree(epoch, leaves);
+
+    leaves.forEach((leaf, i) => {
+      expect(verifyRewardProof(tree.root, epoch, leaf, tree.proofs[i])).toBe(true);
+    });
+    // The fifth leaf moves up unpaired until the top level
+    expect(tree.proofs[4]).toHaveLength(1);
+  });
+
+  it("ties a leaf to its epoch, address and amounts", () => {
+    const tree = buildRewardTree(epoch, leaves);
+
+    expect(verifyRewardProof(tree.root, epoch + 1, leaves[0], tree.proofs[0])).toBe(false);
+    expect(verifyRewardProof(tree.root, epoch, { ...leaves[0], address: leaves[1].address }, tree.proofs[0])).toBe(false);
+    expect(verifyRewardProof(tree.root, epoch, { ...leaves[0], boost: 1n }, tree.proofs[0])).toBe(false);
+  });
+
+  it("uses a lone leaf as the root and no root without leaves", () => {
+    expect(buildRewardTree(epoch, [leaves[0]])).toEqual({ root: rewardLeafHash(epoch, leaves[0]), proofs: [[]] });
+    expect(buildRewardTree(epoch, []).root).toBe(ethers.ZeroHash);
+  });
+});
+
+describe("RewardRootPublished and RewardsClaimed handlers", () => {
+  const user = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+  const publishedAt = new Date("2024-01-10T06:00:00Z");
+  const root = buildRewardTree(epoch, [{ address: user, amount: 3n * 10n ** 14n, boost: 10n ** 12n }]).root;
+
+  const event = (name: string, args: Record<string, string>, txHash: string): IndexedEvent => ({
+    name,
+    args,
+    txHash,
+    logIndex: 0,
+    blockNumber: 10,
+    blockHash: "0xblock",
+    timestamp: publishedAt
+  });
+  const published = event("RewardRootPublished", { epoch: String(epoch), root, totalAmount: "300000000000000" }, "0xpublish");
+  const claimed = event("RewardsClaimed", { user, epoch: String(epoch), amount: "300000000000000", boost: "1000000000000" }, "0xclaim");
+
+  const makeDb = () => fakePrisma({
+    dCAUser: [{ id: "user-1", address: user }],
+    yieldPool: [{
+      id: "pool-1",
+      epoch,
+      totalAmount: 0.000301,
+      aaveYield: 0.000001,
+      penaltyAmount: 0.0003,
+      merkleRoot: root,
+      allocations: {
+        create: [{ userId: "user-1", address: user, weight: 7.5, amount: "300000000000000", boost: "1000000000000", plans: [] }]
+      }
+    }]
+  });
+  const pool = (db: FakePrisma) => db.tables.yieldPool[0];
+
+  it("opens an epoch's rewards on publication and closes them on claim", async () => {
+    const db = makeDb();
+
+    await contractEventHandlers.RewardRootPublished.apply(db, published);
+    expect(pool(db).distributedAt).toEqual(publishedAt);
+    expect(db.tables.reward).toEqual([
+      expect.objectContaining({ userId: "user-1", source: "penalty", amount: 0.0003, epoch, weight: 7.5, claimed: false }),
+      expect.objectContaining({ userId: "user-1", source: "yield", amount: 0.000001, epoch, claimed: false })
+    ]);
+
+    await contractEventHandlers.RewardsClaimed.apply(db, claimed);
+    expect(db.tables.reward.every((r) => r.claimed && r.claimTxHash === "0xclaim")).toBe(true);
+  });
+
+  it("undoes a claim and a publication on revert", async () => {
+    const db = makeDb();
+    await contractEventHandlers.RewardRootPublished.apply(db, published);
+    await contractEventHandlers.RewardsClaimed.apply(db, claimed);
+
+    await contractEventHandlers.RewardsClaimed.revert(db, claimed);
+    expect(db.tables.reward.every((r) => !r.claimed && r.claimTxHash === null)).toBe(true);
+
+    await contractEventHandlers.RewardRootPublished.revert(db, published);
+    expect(db.tables.reward).toEqual([]);
+    expect(pool(db).distributedAt).toBeNull();
+  });
+
+  it("logs a root that doesn't match the stored report as an orphan", async () => {
+    const db = makeDb();
+    await contractEventHandlers.RewardRootPublished.apply(db, { ...published, args: { ...published.args, root: ethers.ZeroHash } });
+
+    expect(db.tables.reward).toEqual([]);
+    expect(pool(db).distributedAt).toBeNull();
+    expect(db.tables.errorLog).toEqual([expect.objectContaining({ errorName: "OrphanEvent", errorMessage: expect.stringContaining("No reward report") })]);
+  });
+});
@@ -0,0 +1,412 @@
+// Jest test suite checking SignatureService payloads against BitmorDCA.sol
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { SignatureService, SignedAuthorization } from "../services/SignatureService";
+
+// Anvil's first two default accounts
+const ANVIL_BACKEND_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const ANVIL_USER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const ANVIL_RPC_URL = process.env.ANVIL_RPC_URL;
+
+// Forge build output, present after `forge build` in contract/
+const CONTRACT_ARTIFACT = path.join(__dirname, "../../contract/out/BitmorDCA.sol/BitmorDCA.json");
+
+const TEST_CHAIN_ID = 11155111;
+const TEST_CONTRACT = "0x05b60F3E84c2fe6dfC3EA633F336c550AF8335B7";
+const user = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const token = "0x2b750c56f09178487F9A96FbA240Ea91Ac6F77fD";
+const creator = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// A signed authorization together with the digest the contract would rebuild
+interface SignedCase {
+  name: string;
+  sign: (service: SignatureService) => Promise<SignedAuthorization>;
+  // Mirrors the contract's abi.encodePacked(...) for the given deadline, nonce, chain id and deployment
+  digest: (deadline: number, nonce: string, chainId: number, contract: string) => string;
+  // Mirrors the contract's EIP-712 keccak256(abi.encode(TYPEHASH, ...)), when the action has one
+  structHash?: (deadline: number, nonce: string) => string;
+}
+
+const cases: SignedCase[] = [
+  {
+    name: "createDCAplan",
+    sign: (service) => service.signCreatePlan(user, 1, ethers.parseEther("1"), 100_000_000n, 365, 30, 0, true),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint128", "uint32", "uint32", "uint8", "bool", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, ethers.parseEther("1"), 100_000_000n, 365, 30, 0, true, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint128", "uint32", "uint32", "uint8", "bool", "uint256", "bytes32"],
+      [
+        ethers.id("CreatePlan(address user,uint256 planId,uint128 targetBTC,uint128 dailyAmount,uint32 timePeriod,uint32 withdrawalDelay,uint8 cadence,bool bitmorEnabled,uint256 deadline,bytes32 nonce)"),
+        user, 1, ethers.parseEther("1"), 100_000_000n, 365, 30, 0, true, deadline, nonce
+      ]
+    ))
+  },
+  {
+    name: "makePayment",
+    sign: (service) => service.signPayment(user, 1, 100_000_000n, 5_000_000n, false, creator, 1_000_000n),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint128", "bool", "address", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 100_000_000n, 5_000_000n, false, creator, 1_000_000n, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint128", "bool", "address", "uint128", "uint256", "bytes32"],
+      [
+        ethers.id("Payment(address user,uint256 planId,uint128 usdcAmount,uint128 btcAmount,bool usesPrepaid,address creator,uint128 creatorFee,uint256 deadline,bytes32 nonce)"),
+        user, 1, 100_000_000n, 5_000_000n, false, creator, 1_000_000n, deadline, nonce
+      ]
+    ))
+  },
+  {
+    name: "prepayDays",
+    sign: (service) => service.signPrepayDays(user, 1, 1_000_000_000n, 10),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 1_000_000_000n, 10, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint32", "uint256", "bytes32"],
+      [ethers.id("PrepayDays(address user,uint256 planId,uint128 usdcAmount,uint32 days,uint256 deadline,bytes32 nonce)"), user, 1, 1_000_000_000n, 10, deadline, nonce]
+    ))
+  },
+  {
+    name: "earlyWithdraw",
+    sign: (service) => service.signEarlyWithdrawal(user, 1, 5_000_000n, 1_000_000n, 334),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint128", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 5_000_000n, 1_000_000n, 334, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint128", "uint32", "uint256", "bytes32"],
+      [
+        ethers.id("EarlyWithdraw(address user,uint256 planId,uint128 btcAmount,uint128 penaltyAmount,uint32 daysRemaining,uint256 deadline,bytes32 nonce)"),
+        user, 1, 5_000_000n, 1_000_000n, 334, deadline, nonce
+      ]
+    ))
+  },
+  {
+    name: "completePlan",
+    sign: (service) => service.signCompletePlan(user, 1),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "string", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, "COMPLETE", deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint256", "bytes32"],
+      [ethers.id("CompletePlan(address user,uint256 planId,uint256 deadline,bytes32 nonce)"), user, 1, deadline, nonce]
+    ))
+  },
+  {
+    name: "distributeRewards",
+    sign: (service) => service.signRewardDistribution([user, token], [100n, 200n], [10n, 20n]),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address[]", "uint128[]", "uint128[]", "uint256", "bytes32", "uint256", "address"],
+      [[user, token], [100n, 200n], [10n, 20n], deadline, nonce, chainId, contract]
+    )
+  },
+  {
+    name: "publishRewardRoot",
+    sign: (service) => service.signPublishRewards(19731, ethers.id("root"), 300_000n, 10_000n),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["uint256", "bytes32", "uint128", "uint128", "string", "uint256", "bytes32", "uint256", "address"],
+      [19731, ethers.id("root"), 300_000n, 10_000n, "PUBLISH_REWARDS", deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "uint256", "bytes32", "uint128", "uint128", "uint256", "bytes32"],
+      [
+        ethers.id("PublishRewards(uint256 epoch,bytes32 root,uint128 totalAmount,uint128 totalBoost,uint256 deadline,bytes32 nonce)"),
+        19731, ethers.id("root"), 300_000n, 10_000n, deadline, nonce
+      ]
+    ))
+  },
+  {
+    name: "sweepDust",
+    sign: (service) => service.signDustSweep(user, 1, [5_000_000n, 7_000_000n], [token, user], [12_000n, 13_000n], 25_000n),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128[]", "address[]", "uint128[]", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, [5_000_000n, 7_000_000n], [token, user], [12_000n, 13_000n], 25_000n, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "bytes32", "bytes32", "bytes32", "uint128", "uint256", "bytes32"],
+      [
+        ethers.id("DustSweep(address user,uint256 planId,uint128[] tokenAmounts,address[] tokens,uint128[] amountOutMins,uint128 expectedBTC,uint256 deadline,bytes32 nonce)"),
+        user,
+        1,
+        ethers.solidityPackedKeccak256(["uint128[]"], [[5_000_000n, 7_000_000n]]),
+        ethers.solidityPackedKeccak256(["address[]"], [[token, user]]),
+        ethers.solidityPackedKeccak256(["uint128[]"], [[12_000n, 13_000n]]),
+        25_000n,
+        deadline,
+        nonce
+      ]
+    ))
+  },
+  {
+    name: "triggerBitmorThreshold",
+    sign: (service) => service.signBitmorThreshold(user, 1, 5_000_000n),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "string", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 5_000_000n, "BITMOR_THRESHOLD", deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint256", "bytes32"],
+      [ethers.id("BitmorThreshold(address user,uint256 planId,uint128 btcAmount,uint256 deadline,bytes32 nonce)"), user, 1, 5_000_000n, deadline, nonce]
+    ))
+  },
+  {
+    name: "amendPlan",
+    sign: (service) => service.signAmendPlan(user, 1, 50_000_000n, 730, 1),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint32", "uint8", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 50_000_000n, 730, 1, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint128", "uint32", "uint8", "uint256", "bytes32"],
+      [
+        ethers.id("AmendPlan(address user,uint256 planId,uint128 dailyAmount,uint32 timePeriod,uint8 cadence,uint256 deadline,bytes32 nonce)"),
+        user, 1, 50_000_000n, 730, 1, deadline, nonce
+      ]
+    ))
+  },
+  {
+    name: "pausePlan",
+    sign: (service) => service.signPausePlan(user, 1, 14),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, 1, 14, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint256", "uint32", "uint256", "bytes32"],
+      [ethers.id("PausePlan(address user,uint256 planId,uint32 days,uint256 deadline,bytes32 nonce)"), user, 1, 14, deadline, nonce]
+    ))
+  },
+  {
+    name: "claimCreatorFees",
+    sign: (service) => service.signClaimCreatorFees(user, 2_500_000n),
+    digest: (deadline, nonce, chainId, contract) => ethers.solidityPackedKeccak256(
+      ["address", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, 2_500_000n, deadline, nonce, chainId, contract]
+    ),
+    structHash: (deadline, nonce) => ethers.keccak256(coder.encode(
+      ["bytes32", "address", "uint128", "uint256", "bytes32"],
+      [ethers.id("ClaimCreatorFees(address creator,uint128 totalEarned,uint256 deadline,bytes32 nonce)"), user, 2_500_000n, deadline, nonce]
+    ))
+  }
+];
+
+const typedCases = cases.filter((c) => c.structHash);
+
+// ECDSA.recover(toEthSignedMessageHash(digest), signature) done off-chain
+const recoverSigner = (digest: string, signature: string) =>
+  ethers.recoverAddress(ethers.hashMessage(ethers.getBytes(digest)), signature);
+
+// EIP712._domainSeparatorV4() for BitmorDCA("BitmorDCA", "1")
+const domainSeparator = (chainId: number, verifyingContract: string) => ethers.keccak256(coder.encode(
+  ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+  [
+    ethers.id("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+    ethers.id("BitmorDCA"),
+    ethers.id("1"),
+    chainId,
+    verifyingContract
+  ]
+));
+
+// ECDSA.recover(_hashTypedDataV4(structHash), signature) done off-chain
+const recoverTypedSigner = (separator: string, structHash: string, signature: string) =>
+  ethers.recoverAddress(ethers.solidityPackedKeccak256(
+    ["bytes2", "bytes32", "bytes32"],
+    ["0x1901", separator, structHash]
+  ), signature);
+
+describe("SignatureService payload layouts", () => {
+  const service = new SignatureService(ANVIL_BACKEND_KEY, TEST_CHAIN_ID, { verifyingContract: TEST_CONTRACT });
+
+  it.each(cases)("recovers the backend signer for $name", async ({ sign, digest }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    expect(recoverSigner(digest(deadline, nonce, TEST_CHAIN_ID, TEST_CONTRACT), signature)).toBe(service.address);
+  });
+
+  it.each(cases)("does not verify $name on another chain", async ({ sign, digest }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    expect(recoverSigner(digest(deadline, nonce, 1, TEST_CONTRACT), signature)).not.toBe(service.address);
+  });
+
+  it.each(cases)("does not verify $name for another deployment", async ({ sign, digest }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    expect(recoverSigner(digest(deadline, nonce, TEST_CHAIN_ID, token), signature)).not.toBe(service.address);
+  });
+
+  it.each(cases)("binds $name to its deadline", async ({ sign, digest }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    expect(recoverSigner(digest(deadline + 3600, nonce, TEST_CHAIN_ID, TEST_CONTRACT), signature)).not.toBe(service.address);
+  });
+
+  it("binds signatures to one plan of the user", async () => {
+    const { nonce, signature, deadline } = await service.signPayment(
+      user, 2, 100_000_000n, 5_000_000n, false, ethers.ZeroAddress, 0n
+    );
+    const planDigest = (planId: number) => ethers.solidityPackedKeccak256(
+      ["address", "uint256", "uint128", "uint128", "bool", "address", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, 100_000_000n, 5_000_000n, false, ethers.ZeroAddress, 0n, deadline, nonce, TEST_CHAIN_ID, TEST_CONTRACT]
+    );
+    expect(recoverSigner(planDigest(2), signature)).toBe(service.address);
+    expect(recoverSigner(planDigest(1), signature)).not.toBe(service.address);
+  });
+
+  it("issues deadlines the configured number of seconds ahead", async () => {
+    const shortLived = new SignatureService(ANVIL_BACKEND_KEY, TEST_CHAIN_ID, {
+      verifyingContract: TEST_CONTRACT,
+      ttlSeconds: 60
+    });
+    const now = Math.floor(Date.now() / 1000);
+    const { deadline } = await shortLived.signPayment(user, 1, 100_000_000n, 5_000_000n, false, ethers.ZeroAddress, 0n);
+    expect(deadline - now).toBeGreaterThanOrEqual(60);
+    expect(deadline - now).toBeLessThanOrEqual(61);
+  });
+
+  it("rejects a service without a verifying contract", () => {
+    expect(() => new SignatureService(ANVIL_BACKEND_KEY, TEST_CHAIN_ID)).toThrow();
+    expect(() => new SignatureService(ANVIL_BACKEND_KEY, TEST_CHAIN_ID, { mode: "typed" })).toThrow();
+  });
+
+  it("reads the chain id from the provider", async () => {
+    const provider = {
+      getNetwork: async () => ({ chainId: BigInt(TEST_CHAIN_ID) })
+    } as unknown as ethers.Provider;
+
+    const fromProvider = await SignatureService.fromProvider(ANVIL_BACKEND_KEY, provider, {
+      verifyingContract: TEST_CONTRACT
+    });
+    expect(fromProvider.getChainId()).toBe(TEST_CHAIN_ID);
+  });
+});
+
+describe("SignatureService typed-data mode", () => {
+  const service = new SignatureService(ANVIL_BACKEND_KEY, TEST_CHAIN_ID, {
+    mode: "typed",
+    verifyingContract: TEST_CONTRACT
+  });
+  const separator = domainSeparator(TEST_CHAIN_ID, TEST_CONTRACT);
+
+  it("matches the contract's domain separator", () => {
+    expect(ethers.TypedDataEncoder.hashDomain(service.getDomain())).toBe(separator);
+  });
+
+  it.each(typedCases)("recovers the backend signer for $name", async ({ sign, structHash }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    expect(recoverTypedSigner(separator, structHash!(deadline, nonce), signature)).toBe(service.address);
+  });
+
+  it.each(typedCases)("does not verify $name for another contract", async ({ sign, structHash }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    const otherSeparator = domainSeparator(TEST_CHAIN_ID, token);
+    expect(recoverTypedSigner(otherSeparator, structHash!(deadline, nonce), signature)).not.toBe(service.address);
+  });
+
+  it("verifies its own typed signatures", async () => {
+    const { nonce, signature, deadline } = await service.signCompletePlan(user, 1);
+    expect(service.verifyTypedSignature("CompletePlan", { user, planId: 1, deadline, nonce }, signature, service.address)).toBe(true);
+  });
+
+  it("keeps reward distributions on personal signatures", async () => {
+    const { nonce, signature, deadline } = await service.signRewardDistribution([user], [100n], [0n]);
+    const digest = ethers.solidityPackedKeccak256(
+      ["address[]", "uint128[]", "uint128[]", "uint256", "bytes32", "uint256", "address"],
+      [[user], [100n], [0n], deadline, nonce, TEST_CHAIN_ID, TEST_CONTRACT]
+    );
+    expect(recoverSigner(digest, signature)).toBe(service.address);
+  });
+});
+
+// Runs against a local node, e.g. `anvil` with ANVIL_RPC_URL=http://127.0.0.1:8545
+const describeAnvil = ANVIL_RPC_URL ? describe : describe.skip;
+
+describeAnvil("SignatureService against Anvil", () => {
+  let provider: ethers.JsonRpcProvider;
+  let service: SignatureService;
+
+  beforeAll(async () => {
+    provider = new ethers.JsonRpcProvider(ANVIL_RPC_URL);
+    service = await SignatureService.fromProvider(ANVIL_BACKEND_KEY, provider, { verifyingContract: TEST_CONTRACT });
+  });
+
+  afterAll(() => {
+    provider.destroy();
+  });
+
+  it("signs for the node's chain id", async () => {
+    const network = await provider.getNetwork();
+    expect(service.getChainId()).toBe(Number(network.chainId));
+  });
+
+  it.each(cases)("recovers $name through the ecrecover precompile", async ({ sign, digest }) => {
+    const { nonce, signature, deadline } = await sign(service);
+    const ethSignedHash = ethers.hashMessage(ethers.getBytes(digest(deadline, nonce, service.getChainId(), TEST_CONTRACT)));
+    const { v, r, s } = ethers.Signature.from(signature);
+
+    const result = await provider.call({
+      to: "0x0000000000000000000000000000000000000001",
+      data: ethers.AbiCoder.defaultAbiCoder().encode(
+        ["bytes32", "uint8", "bytes32", "bytes32"],
+        [ethSignedHash, v, r, s]
+      )
+    });
+
+    const [recovered] = ethers.AbiCoder.defaultAbiCoder().decode(["address"], result);
+    expect(recovered).toBe(service.address);
+  });
+
+  (fs.existsSync(CONTRACT_ARTIFACT) ? it : it.skip)("is accepted by a deployed BitmorDCA", async () => {
+    const artifact = JSON.parse(fs.readFileSync(CONTRACT_ARTIFACT, "utf8"));
+    const deployer = new ethers.NonceManager(new ethers.Wallet(ANVIL_BACKEND_KEY, provider));
+    const userWallet = new ethers.Wallet(ANVIL_USER_KEY, provider);
+
+    // Token and protocol addresses are never touched by createDCAplan
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, deployer);
+    const deployed = await factory.deploy(token, token, token, token, service.address);
+    await deployed.waitForDeployment();
+    const dcaAddress = await deployed.getAddress();
+
+    // Personal signatures are bound to this deployment's address
+    const personalService = new SignatureService(ANVIL_BACKEND_KEY, service.getChainId(), {
+      verifyingContract: dcaAddress
+    });
+    const targetBTC = ethers.parseEther("1");
+    const { nonce, signature, deadline } = await personalService.signCreatePlan(
+      userWallet.address, 1, targetBTC, 100_000_000n, 365, 30, 0, true
+    );
+
+    const dca = new ethers.Contract(dcaAddress, artifact.abi, userWallet);
+    const tx = await dca.createDCAplan(1, targetBTC, 100_000_000n, 365, 30, 0, true, deadline, nonce, signature);
+    await tx.wait();
+
+    const plan = await dca.getUserPlan(userWallet.address, 1);
+    expect(plan.targetBTC).toBe(targetBTC);
+    expect(await dca.usedNonces(nonce)).toBe(true);
+
+    // Typed signatures verify against the same deployment
+    const typedService = new SignatureService(ANVIL_BACKEND_KEY, service.getChainId(), {
+      mode: "typed",
+      verifyingContract: dcaAddress
+    });
+    expect(await dca.domainSeparator()).toBe(ethers.TypedDataEncoder.hashDomain(typedService.getDomain()));
+
+    const completion = await typedService.signCompletePlan(userWallet.address, 1);
+    await expect(dca.completePlan.staticCall(1, completion.deadline, completion.nonce, completion.signature))
+      .rejects.toThrow("Target not reached");
+
+    // Quotes signed with a deadline already in the past are refused
+    const expiredService = new SignatureService(ANVIL_BACKEND_KEY, service.getChainId(), {
+      verifyingContract: dcaAddress,
+      ttlSeconds: -60
+    });
+    const expired = await expiredService.signCompletePlan(userWallet.address, 1);
+    await expect(dca.completePlan.staticCall(1, expired.deadline, expired.nonce, expired.signature))
+      .rejects.toThrow("Signature expired");
+  });
+});
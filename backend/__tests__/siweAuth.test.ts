@@ -0,0 +1,142 @@
+// Jest test suite for Sign-In with Ethereum sessions
+import { ethers } from "ethers";
+import { AuthError, SiweAuth, SiweMessage, formatSiweMessage, parseSiweMessage } from "../services/SiweAuth";
+import { fakePrisma } from "./fakePrisma";
+
+const DOMAIN = "app.bitmor.test";
+const CHAIN_ID = 8453;
+const wallet = ethers.Wallet.createRandom();
+
+// Stands in for the chain; `code` makes the signer look like a contract wallet
+const fakeProvider = (code = "0x", isValidSignature?: (hash: string, signature: string) => string) => {
+  const iface = new ethers.Interface(["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"]);
+  return {
+    provider: null,
+    getNetwork: async () => ({ chainId: BigInt(CHAIN_ID) }),
+    getCode: async () => code,
+    call: async (tx: { data: string }) => {
+      const call = iface.parseTransaction({ data: tx.data })!;
+      return iface.encodeFunctionResult(call.fragment, [isValidSignature!(call.args[0], call.args[1])]);
+    }
+  } as unknown as ethers.Provider;
+};
+
+const makeAuth = (provider = fakeProvider()) => {
+  const db = fakePrisma();
+  const auth = new SiweAuth(provider, db, { domain: DOMAIN, jwtSecret: "test-secret" });
+  return { db, auth };
+};
+
+const messageFor = (nonce: string, overrides: Partial<SiweMessage> = {}): SiweMessage => ({
+  domain: DOMAIN,
+  address: wallet.address,
+  statement: "Sign in to BitmorDCA",
+  uri: `https://${DOMAIN}`,
+  version: "1",
+  chainId: CHAIN_ID,
+  nonce,
+  issuedAt: new Date().toISOString(),
+  ...overrides
+});
+
+const signIn = async (auth: SiweAuth, overrides: Partial<SiweMessage> = {}) => {
+  const { nonce } = await auth.createNonce();
+  const text = formatSiweMessage(messageFor(nonce, overrides));
+  return { text, signature: await wallet.signMessage(text) };
+};
+
+describe("parseSiweMessage", () => {
+  it("round-trips every field", () => {
+    const message = messageFor("abcdef0123456789", {
+      expirationTime: "2030-01-01T00:00:00.000Z",
+      requestId: "42",
+      resources: ["https://app.bitmor.test/terms"]
+    });
+
+    expect(parseSiweMessage(formatSiweMessage(message))).toEqual(message);
+  });
+
+  it("rejects messages that are not EIP-4361", () => {
+    expect(() => parseSiweMessage("hello")).toThrow(AuthError);
+    expect(() => parseSiweMessage(formatSiweMessage(messageFor("")))).toThrow("missing nonce");
+  });
+});
+
+describe("SiweAuth", () => {
+  it("opens a session for the signing address", async () => {
+    const { auth, db } = makeAuth();
+    const { text, signature } = await signIn(auth);
+
+    const session = await auth.verify(text, signature);
+
+    expect(session.address).toBe(wallet.address);
+    expect(auth.verifySession(session.token).address).toBe(wallet.address);
+    expect(db.tables.authNonce[0]).toMatchObject({ address: wallet.address });
+  });
+
+  it("uses each nonce once", async () => {
+    const { auth } = makeAuth();
+    const { text, signature } = await signIn(auth);
+
+    await auth.verify(text, signature);
+
+    await expect(auth.verify(text, signature)).rejects.toMatchObject({ code: "INVALID_NONCE" });
+  });
+
+  it("refuses a nonce it never issued", async () => {
+    const { auth } = makeAuth();
+    const text = formatSiweMessage(messageFor("0123456789abcdef"));
+
+    await expect(auth.verify(text, await wallet.signMessage(text))).rejects.toMatchObject({ code: "INVALID_NONCE" });
+  });
+
+  it("refuses a signature from another wallet without burning the nonce", async () => {
+    const { auth, db } = makeAuth();
+    const { text } = await signIn(auth);
+
+    await expect(auth.verify(text, await ethers.Wallet.createRandom().signMessage(text)))
+      .rejects.toMatchObject({ code: "INVALID_SIGNATURE" });
+    expect(db.tables.authNonce[0].usedAt).toBeNull();
+  });
+
+  it("refuses messages for another domain, chain or past expiry", async () => {
+    const { auth } = makeAuth();
+
+    const otherDomain = await signIn(auth, { domain: "evil.test" });
+    await expect(auth.verify(otherDomain.text, otherDomain.signature)).rejects.toMatchObject({ code: "DOMAIN_MISMATCH" });
+
+    const otherChain = await signIn(auth, { chainId: 1 });
+    await expect(auth.verify(otherChain.text, otherChain.signature)).rejects.toMatchObject({ code: "CHAIN_MISMATCH" });
+
+    const expired = await signIn(auth, { expirationTime: new Date(Date.now() - 1000).toISOString() });
+    await expect(auth.verify(expired.text, expired.signature)).rejects.toMatchObject({ code: "MESSAGE_EXPIRED" });
+  });
+
+  it("accepts EIP-1271 signatures from contract wallets", async () => {
+    const approved = "0x1234";
+    const { auth } = makeAuth(fakeProvider("0x6080", (_hash, signature) => (signature === approved ? "0x1626ba7e" : "0xffffffff")));
+    const { nonce } = await auth.createNonce();
+    const text = formatSiweMessage(messageFor(nonce));
+
+    await expect(auth.verify(text, "0xdead")).rejects.toMatchObject({ code: "INVALID_SIGNATURE" });
+    await expect(auth.verify(text, approved)).resolves.toMatchObject({ address: wallet.address });
+  });
+
+  it("rejects tampered, foreign and expired session tokens", async () => {
+    const { auth } = makeAuth();
+    const { text, signature } = await signIn(auth);
+    const { token } = await auth.verify(text, signature);
+
+    const [header, , sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: ethers.Wallet.createRandom().address, aud: DOMAIN, exp: 9999999999 })).toString("base64url");
+    expect(() => auth.verifySession(`${header}.${forged}.${sig}`)).toThrow("signature is invalid");
+
+    const other = new SiweAuth(fakeProvider(), fakePrisma(), { domain: DOMAIN, jwtSecret: "other-secret" });
+    expect(() => other.verifySession(token)).toThrow(AuthError);
+
+    const shortLived = new SiweAuth(fakeProvider(), fakePrisma(), { domain: DOMAIN, jwtSecret: "test-secret", sessionTtlSeconds: -1 });
+    const stale = await signIn(shortLived);
+    const { token: expired } = await shortLived.verify(stale.text, stale.signature);
+    expect(() => auth.verifySession(expired)).toThrow("Session has expired");
+  });
+});
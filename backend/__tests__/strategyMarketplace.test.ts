@@ -0,0 +1,163 @@
+// Jest test suite for browsing published strategies
+import {
+  StrategyMarketplace,
+  StrategyQueryError,
+  parseStrategyQuery,
+  summarizeSubscriptions
+} from "../services/StrategyMarketplace";
+import { fakePrisma } from "./fakePrisma";
+
+const subscription = (isActive: boolean, withdrawals = 0) => ({ isActive, _count: { withdrawals } });
+
+const strategy = (id: string, plans: ReturnType<typeof subscription>[], createdAt = 0, terms: Record<string, unknown> = {}) => ({
+  id,
+  name: `Strategy ${id}`,
+  cadence: "daily",
+  fee: 100,
+  timePeriod: 365,
+  targetBTC: 0.1,
+  isActive: true,
+  createdAt: new Date(createdAt),
+  plans,
+  ...terms
+});
+
+describe("parseStrategyQuery", () => {
+  it("defaults to the most subscribed strategies first", () => {
+    expect(parseStrategyQuery({})).toEqual({
+      filters: {
+        cadence: undefined,
+        minDays: undefined,
+        maxDays: undefined,
+        minTargetBTC: undefined,
+        maxTargetBTC: undefined,
+        maxFee: undefined
+      },
+      sort: "subscribers",
+      limit: 20,
+      offset: 0
+    });
+  });
+
+  it("reads filters, sorting and paging", () => {
+    const query = parseStrategyQuery({
+      cadence: "weekly",
+      minDays: "90",
+      maxTargetBTC: "0.5",
+      maxFee: "150",
+      sort: "completionRate",
+      limit: "500",
+      offset: "40"
+    });
+
+    expect(query.filters).toMatchObject({ cadence: "weekly", minDays: 90, maxTargetBTC: 0.5, maxFee: 150 });
+    expect(query).toMatchObject({ sort: "completionRate", limit: 100, offset: 40 });
+  });
+
+  it("rejects malformed parameters", () => {
+    expect(() => parseStrategyQuery({ cadence: "monthly" })).toThrow(StrategyQueryError);
+    expect(() => parseStrategyQuery({ sort: "fee" })).toThrow("sort must be subscribers or completionRate");
+    expect(() => parseStrategyQuery({ maxFee: "cheap" })).toThrow("maxFee must be a non-negative number");
+  });
+});
+
+describe("summarizeSubscriptions", () => {
+  it("counts closed plans without an early withdrawal as completed", () => {
+    expect(summarizeSubscriptions([subscription(true), subscription(false), subscription(false, 1), subscription(false)])).toEqual({
+      subscribers: 4,
+      activeSubscribers: 1,
+      completed: 2,
+      exitedEarly: 1,
+      completionRate: 2 / 3
+    });
+  });
+
+  it("has no completion rate until a subscription ends", () => {
+    expect(summarizeSubscriptions([subscription(true)]).completionRate).toBeNull();
+  });
+});
+
+describe("StrategyMarketplace", () => {
+  // Each subscription is a plan created on-chain, with a withdrawal per early exit
+  const makeDb = (strategies: ReturnType<typeof strategy>[], payments: Record<string, unknown>[] = []) => {
+    const plans = strategies.flatMap(({ id, plans }) => plans.map((p, i) => ({ id: `${id}-${i}`, strategyId: id, ...p })));
+    return fakePrisma({
+      dCAStrategy: strategies.map(({ plans, ...s }) => s),
+      dCAPlan: plans.map(({ id, strategyId, isActive }) => ({ id, userId: "user-1", strategyId, isActive, creationTxHash: `0x${id}` })),
+      withdrawal: plans.flatMap(({ id, _count }) => Array.from({ length: _count.withdrawals }, () => ({
+        userId: "user-1", planId: id, amount: 100, btcAmount: 0.001, penaltyAmount: 0.0001, txHash: `0x${id}-exit`, status: "completed"
+      }))),
+      dCAPayment: payments
+    });
+  };
+
+  const strategies = [
+    strategy("a", [subscription(true), subscription(false, 1)], 1),
+    strategy("b", [subscription(true), subscription(true), subscription(false)], 2),
+    strategy("c", [], 3)
+  ];
+
+  it("filters active strategies in the database", async () => {
+    const db = makeDb([
+      strategy("match", [subscription(true)]),
+      strategy("weekly", [], 0, { cadence: "weekly" }),
+      strategy("short", [], 0, { timePeriod: 20 }),
+      strategy("pricey", [], 0, { fee: 300 }),
+      strategy("retired", [], 0, { isActive: false })
+    ]);
+    // Created through the API but never signed on-chain
+    db.tables.dCAPlan.push({ id: "unsigned", userId: "user-2", strategyId: "match", isActive: true, creationTxHash: null });
+
+    const { strategies: listed } = await new StrategyMarketplace(db).list(
+      parseStrategyQuery({ cadence: "daily", minDays: "30", maxDays: "365", maxFee: "200" })
+    );
+
+    expect(listed.map((s: any) => s.id)).toEqual(["match"]);
+    expect(listed[0].stats.subscribers).toBe(1);
+  });
+
+  it("sorts by subscriber count", async () => {
+    const db = makeDb(strategies);
+    const { strategies: listed, total } = await new StrategyMarketplace(db).list(parseStrategyQuery({}));
+
+    expect(listed.map((s: any) => s.id)).toEqual(["b", "a", "c"]);
+    expect(listed[0].stats).toMatchObject({ subscribers: 3, completionRate: 1 });
+    expect(listed[0]).not.toHaveProperty("plans");
+    expect(total).toBe(3);
+  });
+
+  it("sorts by completion rate, strategies without ended plans last", async () => {
+    const db = makeDb(strategies);
+    const { strategies: listed } = await new StrategyMarketplace(db).list(
+      parseStrategyQuery({ sort: "completionRate", limit: "2" })
+    );
+
+    expect(listed.map((s: any) => s.id)).toEqual(["b", "a"]);
+  });
+
+  it("reports a strategy's performance", async () => {
+    const db = makeDb(strategies, [
+      { planId: "b-0", amount: 1000, btcAmount: 0.02, status: "completed" },
+      { planId: "b-1", amount: 2000, btcAmount: 0.03, status: "completed" },
+      { planId: "b-1", amount: 500, btcAmount: 0.01, status: "pending" },
+      { planId: "a-0", amount: 700, btcAmount: 0.01, status: "completed" }
+    ]);
+    const detail = await new StrategyMarketplace(db).get("b");
+
+    expect(detail?.performance).toEqual({
+      subscribers: 3,
+      activeSubscribers: 2,
+      completed: 1,
+      exitedEarly: 0,
+      completionRate: 1,
+      totalInvestedUSDC: 3000,
+      btcAccumulated: 0.05,
+      averagePrice: 60000
+    });
+  });
+
+  it("returns null for unknown strategies", async () => {
+    const db = makeDb(strategies);
+    expect(await new StrategyMarketplace(db).get("missing")).toBeNull();
+  });
+});
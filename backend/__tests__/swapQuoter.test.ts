@@ -0,0 +1,120 @@
+// Jest test suite for slippage-protected swap quoting
+import { ethers } from "ethers";
+import { SwapQuoteError, SwapQuoter } from "../services/SwapQuoter";
+import { fakePrisma } from "./fakePrisma";
+
+const routerIface = new ethers.Interface(require("../abis/UniswapRouter.json"));
+const feedIface = new ethers.Interface([
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)"
+]);
+
+const ROUTER = "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24";
+const CBBTC = "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf";
+const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+const WETH = "0x4200000000000000000000000000000000000006";
+const ETH_FEED = "0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70";
+
+const BTC_PRICE = 100_000;
+
+const supportedTokens = [
+  { symbol: "USDC", address: USDC.toLowerCase(), decimals: 6, isStablecoin: true, slippageBps: 30, priceFeed: null },
+  { symbol: "WETH", address: WETH.toLowerCase(), decimals: 18, isStablecoin: false, slippageBps: 100, priceFeed: ETH_FEED },
+  { symbol: "DOGE", address: "0x0000000000000000000000000000000000000d09", decimals: 8, isStablecoin: false, slippageBps: 50, priceFeed: null }
+];
+
+// The ETH feed's latestRoundData: $4,000 with 8 decimals, updated now
+const freshRound = () => [1n, 4_000n * 10n ** 8n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n];
+
+// Router outputs keyed by input token
+const fakeProvider = (amountsOut: Record<string, bigint>, round = freshRound()) => ({
+  provider: null,
+  call: async (tx: { to: string; data: string }) => {
+    if (tx.to.toLowerCase() === ROUTER.toLowerCase()) {
+      const call = routerIface.parseTransaction({ data: tx.data })!;
+      const [amountIn, path] = call.args;
+      return routerIface.encodeFunctionResult(call.fragment, [[amountIn, amountsOut[path[0].toLowerCase()]]]);
+    }
+    const call = feedIface.parseTransaction({ data: tx.data })!;
+    return feedIface.encodeFunctionResult(
+      call.fragment,
+      call.name === "decimals" ? [8] : round
+    );
+  }
+}) as unknown as ethers.Provider;
+
+const db = fakePrisma({ supportedToken: supportedTokens });
+
+const makeQuoter = (amountsOut: Record<string, bigint>, round?: bigint[]) =>
+  new SwapQuoter(fakeProvider(amountsOut, round), db, {
+    routerAddress: ROUTER,
+    cbBTCAddress: CBBTC,
+    getBTCPriceUSD: async () => BTC_PRICE
+  });
+
+describe("SwapQuoter", () => {
+  it("applies each token's slippage to the router output", async () => {
+    // $50 of USDC and 0.01 WETH ($40) at $100k/BTC
+    const quoter = makeQuoter({ [USDC.toLowerCase()]: 49_900n, [WETH.toLowerCase()]: 40_000n });
+
+    const quote = await quoter.quote([
+      { token: USDC, amount: 50_000_000n },
+      { token: WETH, amount: ethers.parseEther("0.01") }
+    ]);
+
+    expect(quote.tokens.map((t) => [t.referenceAmountOut, t.deviationBps, t.amountOutMin])).toEqual([
+      [50_000n, 20, 49_750n],
+      [40_000n, 0, 39_600n]
+    ]);
+    expect(quote.expectedBTC).toBe(89_900n);
+    expect(quote.minBTC).toBe(89_350n);
+  });
+
+  it("uses seconds for the swap deadline", async () => {
+    const quoter = makeQuoter({ [USDC.toLowerCase()]: 50_000n });
+    const now = Math.floor(Date.now() / 1000);
+
+    const quote = await quoter.quote([{ token: USDC, amount: 50_000_000n }]);
+
+    expect(quote.deadline).toBeGreaterThanOrEqual(now + 30 * 60);
+    expect(quote.deadline).toBeLessThan(now + 31 * 60);
+  });
+
+  it("passes cbBTC dust through unswapped", async () => {
+    const quote = await makeQuoter({}).quote([{ token: CBBTC, amount: 12_345n }]);
+    expect(quote.minBTC).toBe(12_345n);
+  });
+
+  it("refuses a router price too far from Chainlink", async () => {
+    // A sandwiched pool returning 5% less than the reference
+    const quoter = makeQuoter({ [USDC.toLowerCase()]: 47_500n });
+
+    const quoting = quoter.quote([{ token: USDC, amount: 50_000_000n }]);
+
+    await expect(quoting).rejects.toThrow(SwapQuoteError);
+    await expect(quoting).rejects.toMatchObject({ code: "PRICE_DEVIATION" });
+  });
+
+  it("refuses tokens it cannot price", async () => {
+    const quoter = makeQuoter({ "0x0000000000000000000000000000000000000d09": 1_000n });
+
+    await expect(quoter.quote([{ token: "0x0000000000000000000000000000000000000D09", amount: 1n }]))
+      .rejects.toMatchObject({ code: "NO_REFERENCE_PRICE" });
+    await expect(quoter.quote([{ token: "0x000000000000000000000000000000000000dEaD", amount: 1n }]))
+      .rejects.toMatchObject({ code: "UNSUPPORTED_TOKEN" });
+  });
+
+  it.each([
+    ["a stale", [1n, 4_000n * 10n ** 8n, 0n, BigInt(Math.floor(Date.now() / 1000) - 2 * 60 * 60), 1n], "stale"],
+    ["a zero", [1n, 0n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n], "answered 0"],
+    ["a negative", [1n, -1n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n], "answered -1"],
+    ["an incomplete", [1n, 4_000n * 10n ** 8n, 0n, 0n, 1n], "incomplete"]
+  ])("refuses %s feed answer as the reference", async (_, round, reason) => {
+    const quoter = makeQuoter({ [WETH.toLowerCase()]: 40_000n }, round as bigint[]);
+
+    const quoting = quoter.quote([{ token: WETH, amount: ethers.parseEther("0.01") }]);
+
+    await expect(quoting).rejects.toMatchObject({ code: "NO_REFERENCE_PRICE" });
+    await expect(quoting).rejects.toThrow(reason as string);
+  });
+});
@@ -0,0 +1,244 @@
+// Jest test suite for backend transaction submission
+import { ethers } from "ethers";
+import { TransactionManager } from "../services/TransactionManager";
+import { swapToCbBTC } from "../utils";
+import { fakePrisma } from "./fakePrisma";
+
+const SIGNER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcaec9b4f1b6d9a2f0";
+const POOL = "0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2";
+const GWEI = 10n ** 9n;
+
+// A mempool that mines whatever `mine` is told to and nothing else
+class FakeChain {
+  pending: ethers.Transaction[] = [];
+  receipts = new Map<string, { hash: string; status: number; blockNumber: number; gasUsed: bigint }>();
+  minedNonce = 0;
+  priorityFee = 1n * GWEI;
+  rejectNext: string | null = null;
+
+  provider(): ethers.Provider {
+    const provider = {
+      getNetwork: async () => new ethers.Network("anvil", 31337n),
+      estimateGas: async () => 100_000n,
+      getFeeData: async () => new ethers.FeeData(null, 20n * GWEI + this.priorityFee, this.priorityFee),
+      getTransactionCount: async (_address: string, blockTag: string) =>
+        blockTag === "pending" ? Math.max(this.minedNonce, ...this.pending.map((tx) => tx.nonce + 1)) : this.minedNonce,
+      broadcastTransaction: async (raw: string) => {
+        if (this.rejectNext) {
+          const message = this.rejectNext;
+          this.rejectNext = null;
+          throw new Error(message);
+        }
+        this.pending.push(ethers.Transaction.from(raw));
+        return {};
+      },
+      getTransactionReceipt: async (hash: string) => this.receipts.get(hash) ?? null
+    };
+    return provider as unknown as ethers.Provider;
+  }
+
+  mine(tx: ethers.Transaction, status = 1) {
+    this.receipts.set(tx.hash!, { hash: tx.hash!, status, blockNumber: 100, gasUsed: 90_000n });
+    this.minedNonce = Math.max(this.minedNonce, tx.nonce + 1);
+  }
+}
+
+// A pending deposit and dust sweep for transactions to settle
+const makeDb = () => fakePrisma({
+  deposit: [{
+    id: "deposit-1", userId: "user-1", planId: "plan-1", amount: 10, btcAmount: 0.0001,
+    source: "auto", sourceToken: "usdc", txHash: "0xpayment", status: "pending"
+  }],
+  dustSweep: [{ id: "sweep-1", userAddress: "0x1", tokens: [], totalValueUSD: 4, status: "pending" }]
+});
+
+// Polls until the chain has `count` pending transactions
+const waitForPending = async (chain: FakeChain, count: number) => {
+  while (chain.pending.length < count) await new Promise((resolve) => setTimeout(resolve, 1));
+  return chain.pending[count - 1];
+};
+
+const request = { to: POOL, data: "0x1234", purpose: "aaveDeposit" };
+
+describe("TransactionManager", () => {
+  it("sends an EIP-1559 transaction and settles the referenced row", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+    const tx = await waitForPending(chain, 1);
+    chain.mine(tx);
+    const result = await sending;
+
+    expect(tx.type).toBe(2);
+    expect(tx.gasLimit).toBe(120_000n);
+    expect(tx.maxPriorityFeePerGas).toBe(1n * GWEI);
+    expect(result).toMatchObject({ hash: tx.hash, nonce: 0, success: true, attempts: 1 });
+    expect(db.tables.transactionAttempt).toEqual([
+      expect.objectContaining({ txHash: tx.hash, nonce: 0, purpose: "aaveDeposit", referenceId: "deposit-1", status: "confirmed" })
+    ]);
+    expect(db.tables.deposit[0]).toMatchObject({ aaveDepositTx: tx.hash, status: "completed" });
+  });
+
+  it("hands out sequential nonces to concurrent sends", async () => {
+    const chain = new FakeChain();
+    chain.minedNonce = 7;
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), makeDb(), { pollIntervalMs: 1 });
+
+    const sending = [manager.send(request), manager.send(request), manager.send(request)];
+    await waitForPending(chain, 3);
+    chain.pending.forEach((tx) => chain.mine(tx));
+    const results = await Promise.all(sending);
+
+    expect(results.map((r) => r.nonce)).toEqual([7, 8, 9]);
+  });
+
+  it("replaces a stuck transaction with bumped fees", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, {
+      pollIntervalMs: 1,
+      stuckAfterMs: 0
+    });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+    const original = await waitForPending(chain, 1);
+    const replacement = await waitForPending(chain, 2);
+    chain.mine(replacement);
+    const result = await sending;
+
+    expect(replacement.nonce).toBe(original.nonce);
+    expect(replacement.maxPriorityFeePerGas).toBe((original.maxPriorityFeePerGas! * 115n) / 100n);
+    expect(replacement.maxFeePerGas! * 100n).toBeGreaterThanOrEqual(original.maxFeePerGas! * 115n);
+    expect(result.hash).toBe(replacement.hash);
+    expect(db.tables.transactionAttempt.find((a) => a.txHash === original.hash)!.status).toBe("replaced");
+    expect(db.tables.deposit[0].aaveDepositTx).toBe(replacement.hash);
+  });
+
+  it("cancels a nonce still stuck after its last replacement", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const signer = new ethers.Wallet(SIGNER_KEY, chain.provider());
+    const manager = new TransactionManager(signer, db, { pollIntervalMs: 1, stuckAfterMs: 0, maxAttempts: 2 });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+    const replacement = await waitForPending(chain, 2);
+    const cancel = await waitForPending(chain, 3);
+    chain.mine(cancel);
+
+    await expect(sending).rejects.toThrow(`Nonce 0 of ${signer.address} was cancelled after 2 attempts`);
+    expect(cancel).toMatchObject({ nonce: 0, to: signer.address, value: 0n, data: "0x", gasLimit: 21_000n });
+    expect(cancel.maxPriorityFeePerGas! * 100n).toBeGreaterThanOrEqual(replacement.maxPriorityFeePerGas! * 115n);
+    expect(db.tables.transactionAttempt.map((a) => [a.purpose, a.status])).toEqual([
+      ["aaveDeposit", "dropped"], ["aaveDeposit", "dropped"], ["cancel", "confirmed"]
+    ]);
+    expect(db.tables.deposit[0]).toMatchObject({ aaveDepositTx: replacement.hash, status: "failed" });
+  });
+
+  it("gives up on a nonce that is not mined before the deadline", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, {
+      pollIntervalMs: 1,
+      timeoutMs: 20
+    });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+
+    await expect(sending).rejects.toThrow("was not mined within 20ms");
+    expect(db.tables.transactionAttempt.map((a) => a.status)).toEqual(["dropped"]);
+    expect(db.tables.deposit[0].status).toBe("failed");
+  });
+
+  it("reports a reverted receipt as failed", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+    chain.mine(await waitForPending(chain, 1), 0);
+    const result = await sending;
+
+    expect(result.success).toBe(false);
+    expect(db.tables.transactionAttempt[0].status).toBe("reverted");
+    expect(db.tables.deposit[0]).toMatchObject({ status: "failed", completedAt: null });
+  });
+
+  it("records a rejected broadcast and reuses its nonce", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    chain.rejectNext = "insufficient funds";
+    await expect(manager.send(request)).rejects.toThrow("insufficient funds");
+
+    const sending = manager.send(request);
+    chain.mine(await waitForPending(chain, 1));
+    const result = await sending;
+
+    expect(result.nonce).toBe(0);
+    expect(db.tables.transactionAttempt.map((a) => [a.nonce, a.status])).toEqual([[0, "rejected"], [0, "confirmed"]]);
+  });
+
+  it("fails when another transaction takes the nonce", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    const sending = manager.send(request, { type: "deposit", id: "deposit-1" });
+    await waitForPending(chain, 1);
+    chain.minedNonce = 1;
+
+    await expect(sending).rejects.toThrow("Nonce 0");
+    expect(db.tables.transactionAttempt[0].status).toBe("dropped");
+    expect(db.tables.deposit[0].status).toBe("failed");
+  });
+});
+
+describe("swapToCbBTC", () => {
+  const ROUTER = "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24";
+  const CBBTC = "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf";
+  const tokenQuote = (token: string) => ({
+    token, amountIn: 1_000_000n, path: [token, CBBTC], amountOut: 1_000n, referenceAmountOut: 1_000n,
+    deviationBps: 0, slippageBps: 50, amountOutMin: 995n
+  });
+  const quote = {
+    tokens: [tokenQuote(POOL), tokenQuote("0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48")],
+    expectedBTC: 2_000n,
+    minBTC: 1_990n,
+    deadline: 2_000_000_000
+  };
+
+  it("completes the sweep only once every swap is mined", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    const swapping = swapToCbBTC(quote, ROUTER, manager, { type: "dustSweep", id: "sweep-1" });
+    chain.mine(await waitForPending(chain, 1));
+    const second = await waitForPending(chain, 2);
+    expect(db.tables.dustSweep[0].status).toBe("pending");
+
+    chain.mine(second);
+    const results = await swapping;
+
+    expect(results.map((r) => r.success)).toEqual([true, true]);
+    expect(db.tables.dustSweep[0]).toMatchObject({ txHash: second.hash, status: "completed" });
+  });
+
+  it("fails the sweep on the first reverted swap", async () => {
+    const chain = new FakeChain();
+    const db = makeDb();
+    const manager = new TransactionManager(new ethers.Wallet(SIGNER_KEY, chain.provider()), db, { pollIntervalMs: 1 });
+
+    const swapping = swapToCbBTC(quote, ROUTER, manager, { type: "dustSweep", id: "sweep-1" });
+    const first = await waitForPending(chain, 1);
+    chain.mine(first, 0);
+    const results = await swapping;
+
+    expect(results).toHaveLength(1);
+    expect(chain.pending).toHaveLength(1);
+    expect(db.tables.dustSweep[0]).toMatchObject({ txHash: first.hash, status: "failed" });
+  });
+});
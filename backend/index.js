@@ -7,6 +7,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { ethers } = require('ethers');
 const cron = require('node-cron');
+const { SignatureService, TYPED_DATA_TYPES } = require('./services/SignatureService');
+const { Reconciler, formatReport } = require('./services/Reconciler');
+const { PaymentKeeper } = require('./services/PaymentKeeper');
+const { SwapQuoter, SwapQuoteError } = require('./services/SwapQuoter');
+const { createBTCPriceOracle, PriceOracleError } = require('./services/PriceOracle');
+const { CircuitBreaker, CircuitBreakerError } = require('./services/CircuitBreaker');
+const { TransactionManager } = require('./services/TransactionManager');
+const { SiweAuth, AuthError } = require('./services/SiweAuth');
+const { AdminAccess, parseAdminApiKeys, parseAdminWallets } = require('./services/AdminAccess');
+const { StrategyMarketplace, StrategyQueryError, parseStrategyQuery } = require('./services/StrategyMarketplace');
+const { CreatorFeeLedger, paymentCreatorFee } = require('./services/CreatorFees');
+const { Backtester, BacktestError, parseDailyClosesCsv, runBacktest, startingPrice } = require('./services/Backtester');
+const { PriceCandleStore, CandleError, parseCandleQuery, candleOpenTime } = require('./services/PriceCandles');
+const { PlanProjector, projectPlan } = require('./services/PlanProjector');
+const { AmendmentError, amendPlanTerms } = require('./services/PlanAmendments');
+const {
+    PauseError,
+    planPause,
+    pauseAllowance,
+    isPlanPaused,
+    pauseAdjustedStart
+} = require('./services/PlanPauses');
+const { RewardEngine, RewardEngineError, parseRewardWeights } = require('./services/RewardEngine');
+const { RewardHistory } = require('./services/RewardHistory');
+const { applyPayment, gracePeriodDays, planStreak } = require('./services/PlanStreaks');
+const { AchievementBook } = require('./services/Achievements');
+const { isPaymentDue, getPaymentInterval } = require('./utils');
 require('dotenv').config();
 
 const app = express();
@@ -23,63 +50,138 @@ const CONFIG = {
     PRIVATE_KEY: process.env.BACKEND_PRIVATE_KEY,
     CONTRACT_ADDRESS: process.env.CONTRACT_ADDRESS,
     CHAINLINK_BTC_FEED: process.env.CHAINLINK_BTC_FEED,
+    BTC_TWAP_POOL: process.env.BTC_TWAP_POOL, // Uniswap V3 cbBTC/USDC pool
+    BTC_TWAP_BTC_IS_TOKEN0: process.env.BTC_TWAP_BTC_IS_TOKEN0 !== 'false',
+    PRICE_HTTP_URL: process.env.PRICE_HTTP_URL ?? 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_last_updated_at=true',
+    PRICE_MAX_AGE_SECONDS: parseInt(process.env.PRICE_MAX_AGE_SECONDS || '3600'),
+    PRICE_MAX_DEVIATION_BPS: parseInt(process.env.PRICE_MAX_DEVIATION_BPS || '200'),
+    PRICE_MIN_SOURCES: parseInt(process.env.PRICE_MIN_SOURCES || '2'),
     AAVE_POOL: process.env.AAVE_POOL,
     USDC_ADDRESS: process.env.USDC_ADDRESS,
     CBBTC_ADDRESS: process.env.CBBTC_ADDRESS,
+    UNISWAP_ROUTER: process.env.UNISWAP_ROUTER,
     BITMOR_API_URL: process.env.BITMOR_API_URL,
     BITMOR_API_KEY: process.env.BITMOR_API_KEY,
     REDIS_URL: process.env.REDIS_URL,
-    DB_URL: process.env.DATABASE_URL
+    DB_URL: process.env.DATABASE_URL,
+    SIGNATURE_MODE: process.env.SIGNATURE_MODE || 'personal', // "personal" or "typed" (EIP-712)
+    SIGNATURE_TTL_SECONDS: parseInt(process.env.SIGNATURE_TTL_SECONDS || '900'), // signed quotes expire on-chain after this
+    RECONCILE_AUTO_REPAIR: process.env.RECONCILE_AUTO_REPAIR === 'true', // overwrite drifted DB user state from the contract
+    KEEPER_PRIVATE_KEY: process.env.KEEPER_PRIVATE_KEY, // enables auto-pay when set
+    SWAP_MAX_DEVIATION_BPS: parseInt(process.env.SWAP_MAX_DEVIATION_BPS || '200'), // refuse swaps priced this far from the oracle BTC price
+    CIRCUIT_BREAKER_MAX_MOVE_PERCENT: parseFloat(process.env.CIRCUIT_BREAKER_MAX_MOVE_PERCENT || '10'),
+    CIRCUIT_BREAKER_WINDOW_MINUTES: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MINUTES || '60'),
+    CIRCUIT_BREAKER_MAX_PRICE_AGE_MINUTES: parseInt(process.env.CIRCUIT_BREAKER_MAX_PRICE_AGE_MINUTES || '15'),
+    CIRCUIT_BREAKER_AUTO_PAUSE: process.env.CIRCUIT_BREAKER_AUTO_PAUSE === 'true', // pause the contract as soon as the breaker trips
+    PAUSE_GUARDIAN_PRIVATE_KEY: process.env.PAUSE_GUARDIAN_PRIVATE_KEY, // the contract's pauseGuardian; enables pausing from the backend
+    ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL, // receives a JSON POST when the breaker trips
+    REWARD_WEIGHTS: process.env.REWARD_WEIGHTS, // "factor:weight,..." over streak, commitment, penaltyTier and duration
+    REWARD_EPOCH_HOURS: parseInt(process.env.REWARD_EPOCH_HOURS || '24'), // length of a reward epoch
+    ADMIN_API_KEYS: process.env.ADMIN_API_KEYS, // "name:role:key,..." sent as x-admin-key to /api/admin routes
+    ADMIN_WALLETS: process.env.ADMIN_WALLETS, // "address:role,..." allowed into /api/admin with a wallet session
+    SIWE_DOMAIN: process.env.SIWE_DOMAIN, // host of the frontend users sign in from
+    SESSION_JWT_SECRET: process.env.SESSION_JWT_SECRET,
+    SESSION_TTL_SECONDS: parseInt(process.env.SESSION_TTL_SECONDS || '86400')
 };
 
 // Ethers setup
 const provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
 const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
 
+// Backend authorizations are signed for the chain the provider is connected to
+let signatureServicePromise = null;
+
 // Contract ABI
 const CONTRACT_ABI = [
     // Core functions
-    "function createDCAplan(uint128 targetBTC, uint128 dailyAmount, uint32 timePeriod, uint32 withdrawalDelay, uint8 cadence, bool bitmorEnabled, bytes32 nonce, bytes signature)",
-    "function makePayment(uint128 usdcAmount, uint128 btcAmount, bool usesPrepaid, bytes32 nonce, bytes signature)",
-    "function prepayDays(uint128 usdcAmount, uint32 days, bytes32 nonce, bytes signature)",
-    "function earlyWithdraw(uint128 btcAmount, uint128 penaltyAmount, uint32 daysRemaining, bytes32 nonce, bytes signature)",
-    "function completePlan(bytes32 nonce, bytes signature)",
+    "function createDCAplan(uint256 planId, uint128 targetBTC, uint128 dailyAmount, uint32 timePeriod, uint32 withdrawalDelay, uint8 cadence, bool bitmorEnabled, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function makePayment(uint256 planId, uint128 usdcAmount, uint128 btcAmount, bool usesPrepaid, address creator, uint128 creatorFee, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function makePaymentFor(address user, uint256 planId, uint128 usdcAmount, uint128 btcAmount, bool usesPrepaid, address creator, uint128 creatorFee, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function setPaymentExecutor(address executor, bool approved)",
+    "function prepayDays(uint256 planId, uint128 usdcAmount, uint32 days, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function amendPlan(uint256 planId, uint128 dailyAmount, uint32 timePeriod, uint8 cadence, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function pausePlan(uint256 planId, uint32 days, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function resumePlan(uint256 planId)",
+    "function earlyWithdraw(uint256 planId, uint128 btcAmount, uint128 penaltyAmount, uint32 daysRemaining, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function completePlan(uint256 planId, uint256 deadline, bytes32 nonce, bytes signature)",
     
     // Rewards and dust
-    "function distributeRewards(address[] users, uint128[] amounts, uint128[] boosts, bytes32 nonce, bytes signature)",
+    "function distributeRewards(address[] users, uint128[] amounts, uint128[] boosts, uint256 deadline, bytes32 nonce, bytes signature)",
     "function claimRewards()",
-    "function sweepDust(uint128[] tokenAmounts, address[] tokens, uint128 expectedBTC, bytes32 nonce, bytes signature)",
+    "function publishRewardRoot(uint256 epoch, bytes32 root, uint128 totalAmount, uint128 totalBoost, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function claim(uint256 epoch, uint128 amount, uint128 boost, bytes32[] proof)",
+    "function claimCreatorFees(uint128 totalEarned, uint256 deadline, bytes32 nonce, bytes signature)",
+    "function sweepDust(uint256 planId, uint128[] tokenAmounts, address[] tokens, uint128[] amountOutMins, uint128 expectedBTC, uint256 deadline, bytes32 nonce, bytes signature)",
     
     // Bitmor integration
-    "function triggerBitmorThreshold(uint128 btcAmount, bytes32 nonce, bytes signature)",
+    "function triggerBitmorThreshold(uint256 planId, uint128 btcAmount, uint256 deadline, bytes32 nonce, bytes signature)",
     
     // View functions
-    "function getUserPlan(address user) view returns (tuple(uint128 totalPaid, uint128 btcAccumulated, uint128 targetBTC, uint64 startTime, uint64 lastPaymentTime, uint32 streak, uint32 maxStreak, uint32 prepaidDays, uint32 withdrawalDelay, uint32 timePeriod, uint8 cadence, uint8 status, bool bitmorEnabled, bool thresholdReached))",
+    "function plans(address user, uint256 planId) view returns (uint128 totalPaid, uint128 btcAccumulated, uint128 targetBTC, uint64 startTime, uint64 lastPaymentTime, uint32 streak, uint32 maxStreak, uint32 prepaidDays, uint32 withdrawalDelay, uint32 timePeriod, uint8 cadence, uint8 status, bool bitmorEnabled, bool thresholdReached)",
+    "function getUserPlan(address user, uint256 planId) view returns (tuple(uint128 totalPaid, uint128 btcAccumulated, uint128 targetBTC, uint64 startTime, uint64 lastPaymentTime, uint32 streak, uint32 maxStreak, uint32 prepaidDays, uint32 withdrawalDelay, uint32 timePeriod, uint8 cadence, uint8 status, bool bitmorEnabled, bool thresholdReached))",
+    "function getUserPlans(address user) view returns (tuple(uint128 totalPaid, uint128 btcAccumulated, uint128 targetBTC, uint64 startTime, uint64 lastPaymentTime, uint32 streak, uint32 maxStreak, uint32 prepaidDays, uint32 withdrawalDelay, uint32 timePeriod, uint8 cadence, uint8 status, bool bitmorEnabled, bool thresholdReached)[])",
+    "function planCount(address user) view returns (uint256)",
     "function getUserExtras(address user) view returns (tuple(uint128 rewardBalance, uint128 dustBalance, uint128 yieldBoost, uint64 lastRewardClaim, uint32 rewardWeight))",
+    "function getPlanPause(address user, uint256 planId) view returns (tuple(uint64 pausedAt, uint64 pausedUntil, uint64 allowanceStart, uint32 daysUsed))",
     "function getStrategy(uint256 strategyId) view returns (tuple(uint128 targetBTC, uint128 dailyAmount, uint32 timePeriod, uint32 withdrawalDelay, uint16 penaltyMin, uint16 penaltyMax, uint16 fee, uint8 cadence, address creator, bool isActive))",
     "function getAaveYield() view returns (uint256)",
+    "function totalValueLocked() view returns (uint256)",
+    "function rewardsPool() view returns (uint256)",
+    "function yieldPool() view returns (uint256)",
+    "function rewardRoots(uint256 epoch) view returns (bytes32)",
+    "function rewardsClaimed(uint256 epoch, address user) view returns (bool)",
+    "function paymentExecutors(address user, address executor) view returns (bool)",
+    "function creatorFeesClaimed(address creator) view returns (uint128)",
+    "function creatorFeesEarned(address creator) view returns (uint128)",
+    "function paused() view returns (bool)",
+    "function dustThreshold() view returns (uint256)",
+    
+    // Admin
+    "function pause()",
     
     // Events
-    "event PlanCreated(address indexed user, uint128 targetBTC, uint128 dailyAmount, uint32 timePeriod, uint8 cadence, bool bitmorEnabled)",
-    "event PaymentProcessed(address indexed user, uint128 usdcAmount, uint128 btcAmount, uint32 streak, bool usesPrepaid)",
-    "event EarlyWithdrawal(address indexed user, uint128 btcAmount, uint128 penalty, uint32 daysRemaining)",
-    "event BitmorThresholdReached(address indexed user, uint128 btcAmount, uint128 loanAmount)",
+    "event PlanCreated(address indexed user, uint256 indexed planId, uint128 targetBTC, uint128 dailyAmount, uint32 timePeriod, uint8 cadence, bool bitmorEnabled)",
+    "event PaymentProcessed(address indexed user, uint256 indexed planId, uint128 usdcAmount, uint128 btcAmount, uint32 streak, bool usesPrepaid)",
+    "event EarlyWithdrawal(address indexed user, uint256 indexed planId, uint128 btcAmount, uint128 penalty, uint32 daysRemaining)",
+    "event BitmorThresholdReached(address indexed user, uint256 indexed planId, uint128 btcAmount, uint128 loanAmount)",
     "event RewardsDistributed(address indexed user, uint128 rewardAmount, uint128 yieldBoost)",
-    "event DustSwept(address indexed user, uint128 dustAmount, uint128 btcAmount)"
-];
-
-// Chainlink Price Feed ABI
-const CHAINLINK_ABI = [
-    "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)"
+    "event DustSwept(address indexed user, uint256 indexed planId, uint128 dustAmount, uint128 btcAmount)",
+    "event PaymentExecutorUpdated(address indexed user, address indexed executor, bool approved)",
+    "event CreatorFeesClaimed(address indexed creator, uint128 amount, uint128 totalEarned)",
+    "event PlanAmended(address indexed user, uint256 indexed planId, uint128 dailyAmount, uint32 timePeriod, uint8 cadence, uint64 startTime)",
+    "event PlanPaused(address indexed user, uint256 indexed planId, uint64 pausedUntil)",
+    "event PlanResumed(address indexed user, uint256 indexed planId, uint64 startTime, uint32 pausedDays)",
+    "event RewardRootPublished(uint256 indexed epoch, bytes32 root, uint128 totalAmount)",
+    "event RewardsClaimed(address indexed user, uint256 indexed epoch, uint128 amount, uint128 boost)"
 ];
 
 const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
-const priceFeed = new ethers.Contract(CONFIG.CHAINLINK_BTC_FEED, CHAINLINK_ABI, provider);
+
+// Median BTC/USD across Chainlink, the DEX TWAP and the HTTP source
+const priceOracle = createBTCPriceOracle(provider, {
+    chainlinkFeed: CONFIG.CHAINLINK_BTC_FEED,
+    twapPool: CONFIG.BTC_TWAP_POOL,
+    twapBtcIsToken0: CONFIG.BTC_TWAP_BTC_IS_TOKEN0,
+    httpUrl: CONFIG.PRICE_HTTP_URL
+}, {
+    maxAgeSeconds: CONFIG.PRICE_MAX_AGE_SECONDS,
+    maxDeviationBps: CONFIG.PRICE_MAX_DEVIATION_BPS,
+    minSources: CONFIG.PRICE_MIN_SOURCES
+});
 
 // Database client
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
+// Compares DB user state with the contract's users/userExtras structs
+const reconciler = new Reconciler(provider, prisma, {
+    contractAddress: CONFIG.CONTRACT_ADDRESS,
+    autoRepair: CONFIG.RECONCILE_AUTO_REPAIR
+});
+
+// Hourly and daily BTC candles, kept after PriceHistory ticks are purged
+const priceCandles = new PriceCandleStore(prisma);
+
 // Redis client for caching
 const Redis = require('redis');
 const redisClient = Redis.createClient({
@@ -90,33 +192,35 @@ redisClient.on('error', (err) => console.error('Redis Client Error', err));
 
 // Utility Functions
 class BitmorDCAService {
+    // USD per BTC as an 18-decimal bigint
     static async getBTCPrice() {
         try {
-            // First check Redis cache
+            // First check Redis cache (USD, as a decimal string)
             const cachedPrice = await redisClient.get('btc_price');
             if (cachedPrice) {
-                return ethers.parseUnits(cachedPrice, 10);
+                return ethers.parseUnits(cachedPrice, 18);
             }
 
-            // If not in cache, fetch from Chainlink
-            const [, price] = await priceFeed.latestRoundData();
-            const priceStr = price.toString();
+            // If not in cache, aggregate the oracle sources
+            const { price } = await priceOracle.getBTCPrice();
+            const priceStr = price.toFixed(8);
             
             // Cache for 1 minute
-            await redisClient.set('btc_price', priceStr, 'EX', 60);
+            await redisClient.set('btc_price', priceStr, { EX: 60 });
             
             // Store in price history
             await prisma.priceHistory.create({
                 data: {
                     asset: 'BTC',
-                    price: parseFloat(ethers.formatUnits(price, 10))
+                    price
                 }
             });
 
-            return ethers.parseUnits(priceStr, 10);
+            return ethers.parseUnits(priceStr, 18);
         } catch (error) {
+            // A PriceOracleError reaches the route, which answers 503 with its code
             console.error('Error fetching BTC price:', error);
-            throw new Error('Failed to fetch BTC price');
+            throw error;
         }
     }
     
@@ -125,11 +229,24 @@ class BitmorDCAService {
         return (ethers.parseEther(usdcAmount.toString()) * ethers.parseEther("1")) / btcPrice;
     }
     
+    // Least dust (USDC, 6 decimals) worth sweeping; set through the admin API
+    static async getDustThreshold() {
+        const setting = await prisma.appSetting.findUnique({ where: { key: 'dustThresholdUSDC' } });
+        return ethers.parseUnits(setting?.value ?? '10', 6);
+    }
+    
     static calculateDailyAmount(targetBTC, timePeriodDays, btcPrice) {
         const totalUSDCNeeded = (targetBTC * btcPrice) / ethers.parseEther("1");
         return totalUSDCNeeded / BigInt(timePeriodDays);
     }
     
+    // Daily amount buying `targetBTC` over `timePeriodDays` at the current price, in USDC base units
+    static async getDailyAmountUSDC(targetBTC, timePeriodDays) {
+        // A 6-decimal price gives the amount in USDC's 6 decimals
+        const btcPrice = (await this.getBTCPrice()) / 10n ** 12n;
+        return this.calculateDailyAmount(ethers.parseEther(targetBTC.toString()), timePeriodDays, btcPrice);
+    }
+    
     static calculatePenalty(user, currentTime, plan) {
         const timeElapsed = Math.floor((currentTime - user.startTime.getTime()) / 1000);
         const totalTime = plan.timePeriod * 24 * 60 * 60; // days to seconds
@@ -146,14 +263,25 @@ class BitmorDCAService {
         return Math.floor(penalty);
     }
     
-    static generateNonce() {
-        return ethers.id(Date.now().toString() + Math.random().toString());
-    }
-    
     static async signMessage(messageHash) {
         return await wallet.signMessage(ethers.getBytes(messageHash));
     }
     
+    static async getSignatureService() {
+        if (!signatureServicePromise) {
+            signatureServicePromise = SignatureService.fromProvider(CONFIG.PRIVATE_KEY, provider, {
+                mode: CONFIG.SIGNATURE_MODE,
+                verifyingContract: CONFIG.CONTRACT_ADDRESS,
+                ttlSeconds: CONFIG.SIGNATURE_TTL_SECONDS
+            })
+                .catch((error) => {
+                    signatureServicePromise = null;
+                    throw error;
+                });
+        }
+        return signatureServicePromise;
+    }
+    
     static createConfigHash(config) {
         return ethers.id(JSON.stringify(config));
     }
@@ -183,7 +311,7 @@ class BitmorDCAService {
             const data = await response.json();
             
             // Cache result for 5 minutes
-            await redisClient.set(cacheKey, JSON.stringify(data), 'EX', 300);
+            await redisClient.set(cacheKey, JSON.stringify(data), { EX: 300 });
             
             return data.eligible;
         } catch (error) {
@@ -207,7 +335,7 @@ class BitmorDCAService {
                 btcAccumulated: 0,
                 startTime: new Date(),
                 lastPaymentTime: new Date(),
-                streak: 0,
+                currentStreak: 0,
                 prepaidDays: 0,
                 status: 1,
                 bitmorEnabled: false,
@@ -225,6 +353,25 @@ class BitmorDCAService {
         });
     }
 
+    // Contract state of a DB plan, or null until its PlanCreated transaction is mined
+    static async getOnchainPlan(userAddress, plan) {
+        if (plan.onchainPlanId == null) return null;
+        const onchainPlan = await contract.plans(userAddress, plan.onchainPlanId);
+        return Number(onchainPlan.status) === 0 ? null : onchainPlan;
+    }
+
+    // Pause state and allowance year of a plan created on chain
+    static async getPlanPause(userAddress, plan) {
+        const pause = await contract.getPlanPause(userAddress, plan.onchainPlanId);
+        const toDate = (seconds) => (seconds === 0n ? null : new Date(Number(seconds) * 1000));
+        return {
+            pausedAt: toDate(pause.pausedAt),
+            pausedUntil: toDate(pause.pausedUntil),
+            allowanceStart: toDate(pause.allowanceStart),
+            daysUsed: Number(pause.daysUsed)
+        };
+    }
+
     static async recordPayment(planId, amount, btcAmount, usesPrepaid = false) {
         return await prisma.dCAPayment.create({
             data: {
@@ -239,10 +386,377 @@ class BitmorDCAService {
     }
 }
 
+// Prices dust swaps on the router and checks them against Chainlink
+const swapQuoter = new SwapQuoter(provider, prisma, {
+    routerAddress: CONFIG.UNISWAP_ROUTER,
+    cbBTCAddress: CONFIG.CBBTC_ADDRESS,
+    maxDeviationBps: CONFIG.SWAP_MAX_DEVIATION_BPS,
+    maxPriceAgeSeconds: CONFIG.PRICE_MAX_AGE_SECONDS,
+    getBTCPriceUSD: async () => Number(ethers.formatEther(await BitmorDCAService.getBTCPrice()))
+});
+
+// Submits due payments for users who approved it as their payment executor
+const paymentKeeper = CONFIG.KEEPER_PRIVATE_KEY
+    ? new PaymentKeeper(provider, new TransactionManager(new ethers.Wallet(CONFIG.KEEPER_PRIVATE_KEY, provider), prisma), prisma, {
+        contractAddress: CONFIG.CONTRACT_ADDRESS,
+        usdcAddress: CONFIG.USDC_ADDRESS,
+        getSignatureService: () => BitmorDCAService.getSignatureService(),
+        quoteBTC: async (usdcAmount) => {
+            await circuitBreaker.assertClosed();
+            return BitmorDCAService.getBTCAmount(ethers.formatUnits(usdcAmount, 6));
+        }
+    })
+    : null;
+
+// Sends contract pause() from the pause guardian wallet
+const guardianTxManager = CONFIG.PAUSE_GUARDIAN_PRIVATE_KEY
+    ? new TransactionManager(new ethers.Wallet(CONFIG.PAUSE_GUARDIAN_PRIVATE_KEY, provider), prisma)
+    : null;
+
+async function pauseContract(tripId) {
+    if (!guardianTxManager) {
+        throw new Error('PAUSE_GUARDIAN_PRIVATE_KEY is not configured');
+    }
+    const result = await guardianTxManager.send({
+        to: CONFIG.CONTRACT_ADDRESS,
+        data: contract.interface.encodeFunctionData('pause'),
+        purpose: 'pause'
+    });
+    if (!result.success) {
+        throw new Error(`pause() reverted in ${result.hash}`);
+    }
+    if (tripId) {
+        await circuitBreaker.recordPause(tripId, result.hash);
+    }
+    return result.hash;
+}
+
+async function sendAdminAlert(subject, detail) {
+    console.error(`[ALERT] ${subject}: ${detail}`);
+    if (!CONFIG.ALERT_WEBHOOK_URL) return;
+
+    try {
+        await fetch(CONFIG.ALERT_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subject, detail, timestamp: new Date().toISOString() })
+        });
+    } catch (error) {
+        console.error('Failed to send admin alert:', error);
+    }
+}
+
+// Suspends signed quotes on abnormal BTC moves or a stale price feed
+const circuitBreaker = new CircuitBreaker(prisma, {
+    maxMovePercent: CONFIG.CIRCUIT_BREAKER_MAX_MOVE_PERCENT,
+    windowMinutes: CONFIG.CIRCUIT_BREAKER_WINDOW_MINUTES,
+    maxPriceAgeMinutes: CONFIG.CIRCUIT_BREAKER_MAX_PRICE_AGE_MINUTES,
+    onTrip: async (trip) => {
+        await sendAdminAlert(`Circuit breaker tripped (${trip.reason})`, trip.detail);
+        if (CONFIG.CIRCUIT_BREAKER_AUTO_PAUSE && guardianTxManager) {
+            const txHash = await pauseContract(trip.id);
+            await sendAdminAlert('Contract paused by circuit breaker', txHash);
+        }
+    }
+});
+
+// Rejects routes that sign price-based quotes while the breaker is open
+async function requireCircuitClosed(req, res, next) {
+    try {
+        await circuitBreaker.assertClosed();
+        next();
+    } catch (error) {
+        if (error instanceof CircuitBreakerError) {
+            return res.status(503).json({ error: error.message, code: error.code, reason: error.trip.reason });
+        }
+        console.error('Error checking circuit breaker:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Sign-In with Ethereum sessions for user-scoped routes
+const siweAuth = new SiweAuth(provider, prisma, {
+    domain: CONFIG.SIWE_DOMAIN,
+    jwtSecret: CONFIG.SESSION_JWT_SECRET,
+    sessionTtlSeconds: CONFIG.SESSION_TTL_SECONDS
+});
+
+// Resolves the Bearer session token to req.user
+function requireAuth(req, res, next) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+
+    try {
+        req.user = siweAuth.verifySession(token);
+        next();
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error('Error verifying session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Requires a session for the address in req.params[field] or req.body[field]
+function requireSelf(field) {
+    return [requireAuth, (req, res, next) => {
+        const address = req.params[field] ?? req.body?.[field];
+        if (typeof address !== 'string' || address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: `Session is not for ${field}`, code: 'ADDRESS_MISMATCH' });
+        }
+        next();
+    }];
+}
+
+// Roles for admin API keys and wallets; changes are written to AdminAuditLog
+const adminAccess = new AdminAccess(prisma, {
+    apiKeys: parseAdminApiKeys(CONFIG.ADMIN_API_KEYS),
+    wallets: parseAdminWallets(CONFIG.ADMIN_WALLETS)
+});
+
+// Resolves the x-admin-key header, or a session for an admin wallet, to req.admin
+function authenticateAdmin(req, res, next) {
+    const apiKey = req.get('x-admin-key');
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+    try {
+        if (apiKey) {
+            req.admin = adminAccess.fromApiKey(apiKey);
+        } else if (scheme === 'Bearer' && token) {
+            req.admin = adminAccess.fromWallet(siweAuth.verifySession(token).address);
+        }
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error('Error authenticating admin:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!req.admin) {
+        return res.status(401).json({ error: 'Admin authentication required', code: 'AUTH_REQUIRED' });
+    }
+    next();
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!adminAccess.can(req.admin, permission)) {
+            return res.status(403).json({ error: `Role ${req.admin.role} may not ${permission}`, code: 'FORBIDDEN' });
+        }
+        next();
+    };
+}
+
+function auditAdmin(req, action, target, details) {
+    return adminAccess.audit(req.admin, { action, target, details, ip: req.ip });
+}
+
+const adminRouter = express.Router();
+adminRouter.use(authenticateAdmin);
+app.use('/api/admin', adminRouter);
+
 // API Routes
 
+// Authentication (Sign-In with Ethereum)
+app.get('/api/auth/nonce', async (req, res) => {
+    try {
+        const { nonce, expiresAt } = await siweAuth.createNonce();
+        res.json({ success: true, data: { nonce, expiresAt, domain: CONFIG.SIWE_DOMAIN } });
+    } catch (error) {
+        console.error('Error creating sign-in nonce:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/auth/verify', async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        if (typeof message !== 'string' || typeof signature !== 'string') {
+            return res.status(400).json({ error: 'message and signature are required' });
+        }
+
+        const { address, token, expiresAt } = await siweAuth.verify(message, signature);
+        res.json({ success: true, data: { address, token, expiresAt } });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error('Error verifying sign-in:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/auth/session', requireAuth, (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+function validatePlanTokens(tokens) {
+    if (!tokens || !Array.isArray(tokens) || tokens.length === 0) {
+        return 'At least one token must be specified';
+    }
+    // Validate token weights sum to 100%
+    const totalWeight = tokens.reduce((sum, t) => sum + t.weight, 0);
+    if (Math.abs(totalWeight - 100) > 0.01) {
+        return 'Token weights must sum to 100%';
+    }
+    return null;
+}
+
+// Enabled SupportedToken rows for a plan's {tokenId, weight} list, or null if any is missing
+async function findPlanTokens(tokens) {
+    const supportedTokens = await prisma.supportedToken.findMany({
+        where: {
+            id: {
+                in: tokens.map(t => t.tokenId)
+            },
+            isEnabled: true
+        }
+    });
+    return supportedTokens.length === tokens.length ? supportedTokens : null;
+}
+
+// createDCAplan only accepts the user's next plan id; `blockedBy` is the plan
+// still holding it while its createDCAplan transaction may yet be mined
+async function reserveOnchainPlanId(user, userAddress) {
+    const onchainPlanId = Number(await contract.planCount(userAddress)) + 1;
+    const reserved = await prisma.dCAPlan.findUnique({
+        where: { userId_onchainPlanId: { userId: user.id, onchainPlanId } }
+    });
+    if (reserved) {
+        // A minute of slack covers the gap between the row and its signature
+        const signatureLive = reserved.createdAt.getTime() + (CONFIG.SIGNATURE_TTL_SECONDS + 60) * 1000 > Date.now();
+        if (reserved.creationTxHash || signatureLive) {
+            return { onchainPlanId, blockedBy: reserved };
+        }
+        // Its signature expired unused, so the id can be handed out again
+        await prisma.dCAPlan.update({
+            where: { id: reserved.id },
+            data: { onchainPlanId: null, isActive: false }
+        });
+    }
+    return { onchainPlanId };
+}
+
+// Stores the plan with its token split and signs the exact createDCAplan arguments
+async function createSignedPlan(user, userAddress, onchainPlanId, config, tokens, supportedTokens) {
+    const {
+        targetBTC,
+        timePeriodDays,
+        withdrawalDelayDays,
+        penaltyMin,
+        penaltyMax,
+        penaltyExponent,
+        cadence,
+        bitmorIntegration,
+        strategyId,
+        creatorFeeBps
+    } = config;
+
+    // USDC base units, as createDCAplan takes it
+    const totalDailyAmount = await BitmorDCAService.getDailyAmountUSDC(targetBTC, timePeriodDays);
+
+    // Create transaction
+    const plan = await prisma.$transaction(async (prisma) => {
+        // Create the main plan
+        const plan = await prisma.dCAPlan.create({
+            data: {
+                userId: user.id,
+                targetBTC: parseFloat(targetBTC),
+                totalDailyAmount: parseFloat(ethers.formatUnits(totalDailyAmount, 6)),
+                timePeriod: timePeriodDays,
+                withdrawalDelay: withdrawalDelayDays,
+                penaltyMin: penaltyMin,
+                penaltyMax: penaltyMax,
+                penaltyExponent: penaltyExponent || 1.5,
+                cadence: cadence,
+                graceWindow: gracePeriodDays(cadence),
+                isActive: true,
+                onchainPlanId,
+                strategyId,
+                creatorFeeBps
+            }
+        });
+
+        // Create token allocations
+        const tokenCreations = tokens.map(token => {
+            const supportedToken = supportedTokens.find(st => st.id === token.tokenId);
+            // Weights are percentages with up to two decimals
+            const dailyAmount = parseFloat(ethers.formatUnits(
+                (totalDailyAmount * BigInt(Math.round(token.weight * 100))) / 10_000n,
+                6
+            ));
+
+            if (dailyAmount < supportedToken.minAmount || dailyAmount > supportedToken.maxAmount) {
+                throw new Error(`Invalid amount for token ${supportedToken.symbol}`);
+            }
+
+            return prisma.planToken.create({
+                data: {
+                    planId: plan.id,
+                    tokenId: token.tokenId,
+                    dailyAmount: dailyAmount,
+                    weight: token.weight
+                }
+            });
+        });
+
+        await Promise.all(tokenCreations);
+        
+        return plan;
+    });
+    
+    const planConfig = {
+        targetBTC: ethers.parseEther(targetBTC.toString()).toString(),
+        dailyAmount: totalDailyAmount.toString(),
+        timePeriod: timePeriodDays,
+        withdrawalDelay: withdrawalDelayDays,
+        penaltyMin,
+        penaltyMax,
+        penaltyExponent: penaltyExponent || 1.5,
+        cadence,
+        bitmorEnabled: Boolean(bitmorIntegration),
+        planId: plan.id,
+        onchainPlanId
+    };
+    
+    // Sign the exact createDCAplan arguments
+    const signatureService = await BitmorDCAService.getSignatureService();
+    const { nonce, signature, deadline } = await signatureService.signCreatePlan(
+        userAddress,
+        onchainPlanId,
+        BigInt(planConfig.targetBTC),
+        totalDailyAmount,
+        timePeriodDays,
+        withdrawalDelayDays,
+        cadence === 'daily' ? 0 : 1,
+        planConfig.bitmorEnabled
+    );
+    
+    // Cache plan config for quick access
+    await redisClient.set(
+        `plan_config:${plan.id}`,
+        JSON.stringify(planConfig),
+        { EX: 24 * 60 * 60 } // 24 hours
+    );
+    
+    return {
+        planId: plan.id,
+        onchainPlanId,
+        nonce,
+        signature,
+        deadline,
+        chainId: signatureService.getChainId(),
+        planConfig,
+        dailyAmountUSDC: ethers.formatUnits(totalDailyAmount, 6)
+    };
+}
+
 // 1. Plan Creation and Management
-app.post('/api/plans/create', async (req, res) => {
+app.post('/api/plans/create', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
     try {
         const {
             userAddress,
@@ -278,14 +792,9 @@ app.post('/api/plans/create', async (req, res) => {
             return res.status(400).json({ error: 'Invalid cadence. Must be daily or weekly' });
         }
 
-        if (!tokens || !Array.isArray(tokens) || tokens.length === 0) {
-            return res.status(400).json({ error: 'At least one token must be specified' });
-        }
-
-        // Validate token weights sum to 100%
-        const totalWeight = tokens.reduce((sum, t) => sum + t.weight, 0);
-        if (Math.abs(totalWeight - 100) > 0.01) {
-            return res.status(400).json({ error: 'Token weights must sum to 100%' });
+        const tokenError = validatePlanTokens(tokens);
+        if (tokenError) {
+            return res.status(400).json({ error: tokenError });
         }
         
         // Get or create user
@@ -293,251 +802,561 @@ app.post('/api/plans/create', async (req, res) => {
         if (!user) {
             user = await BitmorDCAService.createUser(userAddress.toLowerCase());
         }
-        
-        // Calculate amounts
-        const btcPrice = await BitmorDCAService.getBTCPrice();
-        const totalDailyAmount = BitmorDCAService.calculateDailyAmount(
-            ethers.parseEther(targetBTC.toString()),
-            timePeriodDays,
-            btcPrice
-        );
-
-        // Validate tokens and get their details
-        const supportedTokens = await prisma.supportedToken.findMany({
-            where: {
-                id: {
-                    in: tokens.map(t => t.tokenId)
-                },
-                isEnabled: true
-            }
-        });
 
-        if (supportedTokens.length !== tokens.length) {
+        const supportedTokens = await findPlanTokens(tokens);
+        if (!supportedTokens) {
             return res.status(400).json({ error: 'One or more tokens are not supported' });
         }
 
-        // Create transaction
-        const plan = await prisma.$transaction(async (prisma) => {
-            // Create the main plan
-            const plan = await prisma.dCAPlan.create({
-                data: {
-                    userId: user.id,
-                    targetBTC: parseFloat(targetBTC),
-                    totalDailyAmount: totalDailyAmount,
-                    timePeriod: timePeriodDays,
-                    withdrawalDelay: withdrawalDelayDays,
-                    penaltyMin: penaltyMin,
-                    penaltyMax: penaltyMax,
-                    penaltyExponent: penaltyExponent || 1.5,
-                    cadence: cadence,
-                    graceWindow: 1,
-                    isActive: true
-                }
+        const { onchainPlanId, blockedBy } = await reserveOnchainPlanId(user, userAddress);
+        if (blockedBy) {
+            return res.status(409).json({
+                error: 'Another plan is awaiting its createDCAplan transaction',
+                planId: blockedBy.id
             });
+        }
 
-            // Create token allocations
-            const tokenCreations = tokens.map(token => {
-                const supportedToken = supportedTokens.find(st => st.id === token.tokenId);
-                const dailyAmount = (totalDailyAmount * token.weight) / 100;
-
-                if (dailyAmount < supportedToken.minAmount || dailyAmount > supportedToken.maxAmount) {
-                    throw new Error(`Invalid amount for token ${supportedToken.symbol}`);
-                }
+        const data = await createSignedPlan(user, userAddress, onchainPlanId, {
+            targetBTC,
+            timePeriodDays,
+            withdrawalDelayDays,
+            penaltyMin,
+            penaltyMax,
+            penaltyExponent,
+            cadence,
+            bitmorIntegration
+        }, tokens, supportedTokens);
+        
+        res.json({ success: true, data });
+        
+    } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        console.error('Error creating plan:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-                return prisma.planToken.create({
-                    data: {
-                        planId: plan.id,
-                        tokenId: token.tokenId,
-                        dailyAmount: dailyAmount,
-                        weight: token.weight
-                    }
-                });
-            });
+// Replays a plan config against historical BTC closes
+const backtester = new Backtester(prisma);
 
-            await Promise.all(tokenCreations);
-            
-            return plan;
-        });
+app.post('/api/plans/backtest', async (req, res) => {
+    try {
+        const { targetBTC, timePeriodDays, cadence, startDate, pricesCsv } = req.body;
         
-        // Create plan in database
-        const createdPlan = await BitmorDCAService.createPlan(user.id, {
-            targetBTC: parseFloat(targetBTC),
-            dailyAmount: parseFloat(ethers.formatUnits(dailyAmount, 6)),
-            timePeriod: timePeriodDays,
-            withdrawalDelay: withdrawalDelayDays,
-            penaltyMin: parseFloat(penaltyMin),
-            penaltyMax: parseFloat(penaltyMax),
-            penaltyExponent: penaltyExponent || 1.5,
-            cadence
-        });
+        if (!(parseFloat(targetBTC) > 0)) {
+            return res.status(400).json({ error: 'Target BTC must be positive' });
+        }
         
-        // Create config hash for contract
-        const planConfig = {
-            targetBTC: ethers.parseEther(targetBTC.toString()).toString(),
-            dailyAmount: dailyAmount.toString(),
-            timePeriod: timePeriodDays,
-            withdrawalDelay: withdrawalDelayDays,
-            penaltyMin,
-            penaltyMax,
-            penaltyExponent: penaltyExponent || 1.5,
-            cadence,
-            planId: plan.id
-        };
+        if (!Number.isInteger(timePeriodDays) || timePeriodDays < 1) {
+            return res.status(400).json({ error: 'Time period must be at least 1 day' });
+        }
+        
+        if (!['daily', 'weekly'].includes(cadence)) {
+            return res.status(400).json({ error: 'Invalid cadence. Must be daily or weekly' });
+        }
         
-        const configHash = BitmorDCAService.createConfigHash(planConfig);
+        const start = Date.parse(`${startDate}T00:00:00Z`);
+        if (typeof startDate !== 'string' || Number.isNaN(start)) {
+            return res.status(400).json({ error: 'startDate is required (YYYY-MM-DD)' });
+        }
         
-        // Create signature for contract interaction
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'bytes32', 'bool', 'uint256'],
-            [userAddress, configHash, bitmorIntegration, 1] // chainId = 1 for mainnet
-        );
+        // By default the window covers the plan's own duration
+        const endDate = req.body.endDate ??
+            new Date(start + (timePeriodDays - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
+        const closes = typeof pricesCsv === 'string'
+            ? parseDailyClosesCsv(pricesCsv)
+            : await backtester.loadDailyCloses(startDate, endDate);
         
-        // Cache plan config for quick access
-        await redisClient.set(
-            `plan_config:${plan.id}`,
-            JSON.stringify(planConfig),
-            'EX',
-            24 * 60 * 60 // 24 hours
+        const startPrice = startingPrice(closes, startDate);
+        if (startPrice === null) {
+            return res.status(400).json({ error: 'No BTC prices in the backtest window' });
+        }
+        
+        // Daily amount is fixed from the price at the start, as /api/plans/create does;
+        // a 6-decimal price gives it in USDC base units
+        const dailyAmount = BitmorDCAService.calculateDailyAmount(
+            ethers.parseEther(targetBTC.toString()),
+            timePeriodDays,
+            ethers.parseUnits(startPrice.toFixed(6), 6)
         );
         
+        const result = runBacktest({
+            targetBTC: parseFloat(targetBTC),
+            timePeriodDays,
+            cadence,
+            dailyAmount: parseFloat(ethers.formatUnits(dailyAmount, 6)),
+            startDate,
+            endDate
+        }, closes);
+        
         res.json({
             success: true,
             data: {
-                planId: plan.id,
-                configHash,
-                signature,
-                planConfig,
-                dailyAmountUSDC: ethers.formatUnits(dailyAmount, 6)
+                startDate,
+                endDate,
+                priceSource: typeof pricesCsv === 'string' ? 'csv' : 'candles',
+                startPrice,
+                dailyAmountUSDC: ethers.formatUnits(dailyAmount, 6),
+                ...result
             }
         });
         
     } catch (error) {
-        console.error('Error creating plan:', error);
+        if (error instanceof BacktestError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error running backtest:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 2. Payment Processing
-app.post('/api/payments/calculate', async (req, res) => {
+// Signs new terms for a plan: daily amount, cadence or a longer duration
+app.post('/api/plans/:planId/amend', requireAuth, async (req, res) => {
     try {
-        const { userAddress } = req.body;
-        
-        if (!ethers.isAddress(userAddress)) {
-            return res.status(400).json({ error: 'Invalid user address' });
-        }
-        
-        // Get user and active plans
-        const user = await BitmorDCAService.getUserByAddress(userAddress.toLowerCase());
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+        const { planId } = req.params;
         
-        const activePlans = await prisma.dCAPlan.findMany({
-            where: {
-                userId: user.id,
-                isActive: true
-            },
+        const plan = await prisma.dCAPlan.findUnique({
+            where: { id: planId },
             include: {
-                payments: {
-                    orderBy: {
-                        createdAt: 'desc'
-                    },
-                    take: 1
-                }
+                user: true,
+                tokens: { include: { token: true } }
             }
         });
         
-        if (activePlans.length === 0) {
-            return res.status(404).json({ error: 'No active plans found' });
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
         }
         
-        // Get current user state from contract
-        const userState = await contract.users(userAddress);
+        if (plan.user.address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: 'Session is not for this plan', code: 'ADDRESS_MISMATCH' });
+        }
         
-        // Check if payment is due for any plan
-        const currentTime = Math.floor(Date.now() / 1000);
-        const usesPrepaid = userState.prepaidDays > 0;
+        if (!plan.isActive) {
+            return res.status(400).json({ error: 'Plan is not active' });
+        }
         
-        const duePlans = activePlans.filter(plan => {
-            const lastPayment = plan.payments[0];
-            if (!lastPayment) return true; // First payment is always due
-            
-            const nextPaymentTime = lastPayment.createdAt.getTime() / 1000 + 
-                (plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60);
-            
-            return currentTime >= nextPaymentTime;
+        // Duration and start come from the contract, which re-bases them
+        const planState = await BitmorDCAService.getOnchainPlan(plan.user.address, plan);
+        if (!planState) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
+        
+        if (Number(planState.status) === 2) {
+            return res.status(400).json({ error: 'Resume the plan before amending it', code: 'PLAN_PAUSED' });
+        }
+        
+        const current = {
+            dailyAmount: plan.totalDailyAmount,
+            cadence: plan.cadence,
+            timePeriod: Number(planState.timePeriod),
+            startTime: new Date(Number(planState.startTime) * 1000),
+            withdrawalDelay: Number(planState.withdrawalDelay)
+        };
+        const amended = amendPlanTerms(current, req.body);
+        
+        for (const planToken of plan.tokens) {
+            const dailyAmount = (amended.dailyAmount * planToken.weight) / 100;
+            if (dailyAmount < planToken.token.minAmount || dailyAmount > planToken.token.maxAmount) {
+                return res.status(400).json({ error: `Invalid amount for token ${planToken.token.symbol}` });
+            }
+        }
+        
+        // The indexer stores the new terms, and the old ones as a version, from PlanAmended
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signAmendPlan(
+            plan.user.address,
+            plan.onchainPlanId,
+            ethers.parseUnits(amended.dailyAmount.toFixed(6), 6),
+            amended.timePeriod,
+            amended.cadence === 'daily' ? 0 : 1
+        );
+        
+        res.json({
+            success: true,
+            data: {
+                planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
+                version: plan.version,
+                current: {
+                    ...current,
+                    endDate: new Date(current.startTime.getTime() + current.timePeriod * 24 * 60 * 60 * 1000)
+                },
+                amended,
+                nonce,
+                signature,
+                deadline,
+                chainId: signatureService.getChainId()
+            }
         });
         
-        if (duePlans.length === 0 && !usesPrepaid) {
-            return res.status(400).json({ error: 'No payments due yet' });
+    } catch (error) {
+        if (error instanceof AmendmentError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error amending plan:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Pause state, allowance and pause history of a plan
+app.get('/api/plans/:planId/pause', requireAuth, async (req, res) => {
+    try {
+        const { planId } = req.params;
+        
+        const plan = await prisma.dCAPlan.findUnique({
+            where: { id: planId },
+            include: {
+                user: true,
+                pauses: { orderBy: { pausedAt: 'desc' } }
+            }
+        });
+        
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
         }
         
-        // Calculate total amounts for all due plans
+        if (plan.user.address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: 'Session is not for this plan', code: 'ADDRESS_MISMATCH' });
+        }
+        
+        if (plan.onchainPlanId == null || !plan.creationTxHash) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
+        
+        const now = new Date();
+        const state = await BitmorDCAService.getPlanPause(plan.user.address, plan);
+        
+        // The end date assumes an open pause runs its full length
+        const startTime = pauseAdjustedStart({ ...state, startTime: plan.startTime ?? plan.createdAt }, state.pausedUntil ?? now);
+        
+        res.json({
+            success: true,
+            data: {
+                planId: plan.id,
+                paused: isPlanPaused(state, now),
+                pausedAt: state.pausedAt,
+                pausedUntil: state.pausedUntil,
+                endDate: new Date(startTime.getTime() + plan.timePeriod * 24 * 60 * 60 * 1000),
+                allowance: pauseAllowance(state, now),
+                history: plan.pauses.map(({ pausedAt, pausedUntil, resumedAt, pausedDays, txHash, resumeTxHash }) => ({
+                    pausedAt,
+                    pausedUntil,
+                    resumedAt,
+                    pausedDays,
+                    txHash,
+                    resumeTxHash
+                }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching plan pause:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Signs a pause of a plan; the user resumes it on chain with resumePlan
+app.post('/api/plans/:planId/pause', requireAuth, async (req, res) => {
+    try {
+        const { planId } = req.params;
+        
+        const plan = await prisma.dCAPlan.findUnique({
+            where: { id: planId },
+            include: { user: true }
+        });
+        
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+        
+        if (plan.user.address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: 'Session is not for this plan', code: 'ADDRESS_MISMATCH' });
+        }
+        
+        if (!plan.isActive) {
+            return res.status(400).json({ error: 'Plan is not active' });
+        }
+        
+        const planState = await BitmorDCAService.getOnchainPlan(plan.user.address, plan);
+        if (!planState) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
+        
+        const now = new Date();
+        const state = await BitmorDCAService.getPlanPause(plan.user.address, plan);
+        const { days, pausedUntil } = planPause(state, req.body.days, now);
+        
+        // The indexer records the pause from PlanPaused
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signPausePlan(
+            plan.user.address,
+            plan.onchainPlanId,
+            days
+        );
+        
+        const startTime = new Date(Number(planState.startTime) * 1000 + days * 24 * 60 * 60 * 1000);
+        
+        res.json({
+            success: true,
+            data: {
+                planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
+                days,
+                pausedUntil,
+                // If the pause runs its full length
+                endDate: new Date(startTime.getTime() + Number(planState.timePeriod) * 24 * 60 * 60 * 1000),
+                allowance: pauseAllowance(state, now),
+                nonce,
+                signature,
+                deadline,
+                chainId: signatureService.getChainId()
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof PauseError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error pausing plan:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 2. Payment Processing
+app.post('/api/payments/calculate', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
+    try {
+        const { userAddress } = req.body;
+        
+        if (!ethers.isAddress(userAddress)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        // Get user and active plans
+        const user = await BitmorDCAService.getUserByAddress(userAddress.toLowerCase());
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const activePlans = await prisma.dCAPlan.findMany({
+            where: {
+                userId: user.id,
+                isActive: true
+            },
+            include: {
+                payments: {
+                    orderBy: {
+                        createdAt: 'desc'
+                    },
+                    take: 1
+                },
+                strategy: { select: { creator: true } }
+            }
+        });
+        
+        if (activePlans.length === 0) {
+            return res.status(404).json({ error: 'No active plans found' });
+        }
+        
+        // Each plan is paid by its own makePayment call, signed for its on-chain id
+        const currentTime = Math.floor(Date.now() / 1000);
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const payments = [];
         let totalUSDCAmount = BigInt(0);
         let totalBTCAmount = BigInt(0);
         
-        for (const plan of duePlans) {
-            const usdcAmount = ethers.parseUnits(plan.dailyAmount.toString(), 6);
-            totalUSDCAmount += usdcAmount;
+        for (const plan of activePlans) {
+            const onchainPlan = await BitmorDCAService.getOnchainPlan(userAddress, plan);
+            if (!onchainPlan) continue;
             
+            // Paying would end the pause early; the user resumes it instead
+            if (isPlanPaused(plan)) continue;
+            
+            const usesPrepaid = onchainPlan.prepaidDays > 0;
+            if (!isPaymentDue(plan, currentTime) && !usesPrepaid) continue;
+            
+            // Strategy subscribers get BTC for the payment net of the creator's fee
+            const usdcAmount = ethers.parseUnits(plan.totalDailyAmount.toFixed(6), 6);
+            const { creator, fee } = paymentCreatorFee(plan, usdcAmount);
             const btcAmount = await BitmorDCAService.getBTCAmount(
-                ethers.formatUnits(usdcAmount, 6)
+                ethers.formatUnits(usdcAmount - fee, 6)
+            );
+            
+            // The streak the contract will record, from its own plan state
+            const { state: streak } = applyPayment(
+                { cadence: plan.cadence, graceWindow: gracePeriodDays(plan.cadence) },
+                {
+                    streak: Number(onchainPlan.streak),
+                    maxStreak: Number(onchainPlan.maxStreak),
+                    lastPaymentTime: onchainPlan.lastPaymentTime ? new Date(Number(onchainPlan.lastPaymentTime) * 1000) : null,
+                    prepaidDays: Number(onchainPlan.prepaidDays)
+                },
+                { at: new Date(currentTime * 1000), usesPrepaid }
+            );
+            
+            // Sign the exact makePayment arguments
+            const { nonce, signature, deadline } = await signatureService.signPayment(
+                userAddress,
+                plan.onchainPlanId,
+                usdcAmount,
+                btcAmount,
+                usesPrepaid,
+                creator,
+                fee
+            );
+            
+            // Cache payment details
+            await redisClient.set(
+                `payment:${nonce}`,
+                JSON.stringify({
+                    userAddress,
+                    planId: plan.id,
+                    onchainPlanId: plan.onchainPlanId,
+                    usdcAmount: usdcAmount.toString(),
+                    btcAmount: btcAmount.toString(),
+                    usesPrepaid
+                }),
+                { EX: 15 * 60 } // 15 minutes
             );
+            
+            totalUSDCAmount += usdcAmount;
             totalBTCAmount += btcAmount;
+            payments.push({
+                planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
+                dailyAmount: plan.totalDailyAmount,
+                cadence: plan.cadence,
+                usdcAmount: usdcAmount.toString(),
+                creator,
+                creatorFee: fee.toString(),
+                btcAmount: btcAmount.toString(),
+                usesPrepaid,
+                streak: streak.streak,
+                nonce,
+                signature,
+                deadline
+            });
         }
         
-        const nonce = BitmorDCAService.generateNonce();
-        
-        // Create signature
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'uint128', 'uint128', 'bool', 'bytes32', 'uint256'],
-            [userAddress, totalUSDCAmount, totalBTCAmount, usesPrepaid, nonce, 1]
-        );
-        
-        const signature = await BitmorDCAService.signMessage(messageHash);
-        
-        // Cache payment details
-        await redisClient.set(
-            `payment:${nonce}`,
-            JSON.stringify({
-                userAddress,
-                plans: duePlans.map(p => p.id),
-                usdcAmount: totalUSDCAmount.toString(),
-                btcAmount: totalBTCAmount.toString(),
-                usesPrepaid
-            }),
-            'EX',
-            15 * 60 // 15 minutes
-        );
+        if (payments.length === 0) {
+            return res.status(400).json({ error: 'No payments due yet' });
+        }
         
         res.json({
             success: true,
             data: {
                 usdcAmount: totalUSDCAmount.toString(),
                 btcAmount: totalBTCAmount.toString(),
-                usesPrepaid,
-                nonce,
-                signature,
                 usdcAmountFormatted: ethers.formatUnits(totalUSDCAmount, 6),
                 btcAmountFormatted: ethers.formatEther(totalBTCAmount),
-                duePlans: duePlans.map(p => ({
-                    id: p.id,
-                    dailyAmount: p.dailyAmount,
-                    cadence: p.cadence
-                }))
+                payments
             }
         });
         
     } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
         console.error('Error calculating payment:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Auto-pay status: the DB opt-in plus the on-chain executor approval and allowance it relies on
+app.get('/api/payments/auto-pay/:address', requireSelf('address'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        if (!paymentKeeper) {
+            return res.status(503).json({ error: 'Auto-pay is not enabled on this server' });
+        }
+        
+        const user = await BitmorDCAService.getUserByAddress(address.toLowerCase());
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const usdc = new ethers.Contract(
+            CONFIG.USDC_ADDRESS,
+            ['function allowance(address owner, address spender) view returns (uint256)'],
+            provider
+        );
+        const [executorApproved, allowance] = await Promise.all([
+            contract.paymentExecutors(address, paymentKeeper.address),
+            usdc.allowance(address, CONFIG.CONTRACT_ADDRESS)
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                enabled: user.autoPayEnabled,
+                keeper: paymentKeeper.address,
+                executorApproved,
+                allowance: allowance.toString(),
+                allowanceFormatted: ethers.formatUnits(allowance, 6)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching auto-pay status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/payments/auto-pay', requireSelf('userAddress'), async (req, res) => {
+    try {
+        const { userAddress, enabled } = req.body;
+        
+        if (!ethers.isAddress(userAddress)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+        
+        if (!paymentKeeper) {
+            return res.status(503).json({ error: 'Auto-pay is not enabled on this server' });
+        }
+        
+        const user = await BitmorDCAService.getUserByAddress(userAddress.toLowerCase());
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // The keeper can only pay once the user has approved it on-chain
+        if (enabled && !(await contract.paymentExecutors(userAddress, paymentKeeper.address))) {
+            return res.status(400).json({
+                error: 'Keeper not approved as payment executor',
+                keeper: paymentKeeper.address
+            });
+        }
+        
+        await prisma.dCAUser.update({
+            where: { id: user.id },
+            data: { autoPayEnabled: enabled }
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                enabled,
+                keeper: paymentKeeper.address
+            }
+        });
+    } catch (error) {
+        console.error('Error updating auto-pay:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // 3. Penalty Calculation for Early Withdrawal
-app.post('/api/penalties/calculate', async (req, res) => {
+app.post('/api/penalties/calculate', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
     try {
         const { userAddress, planId } = req.body;
         
@@ -563,13 +1382,20 @@ app.post('/api/penalties/calculate', async (req, res) => {
             return res.status(404).json({ error: 'Active plan not found' });
         }
         
-        // Get current user state from contract
-        const userState = await contract.users(userAddress);
+        // Get the plan's state from the contract
+        const planState = await BitmorDCAService.getOnchainPlan(userAddress, plan);
+        if (!planState) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
         
-        if (userState.btcAccumulated === 0) {
+        if (planState.btcAccumulated === 0n) {
             return res.status(400).json({ error: 'No BTC to withdraw' });
         }
         
+        if (Number(planState.status) === 2) {
+            return res.status(400).json({ error: 'Resume the plan before withdrawing', code: 'PLAN_PAUSED' });
+        }
+        
         // Check withdrawal delay
         const lastPayment = await prisma.dCAPayment.findFirst({
             where: {
@@ -594,25 +1420,32 @@ app.post('/api/penalties/calculate', async (req, res) => {
             }
         }
         
-        // Calculate penalty
+        // Calculate penalty along the plan's on-chain period, which amendments re-base
         const penaltyBasisPoints = BitmorDCAService.calculatePenalty(
-            user,
+            { startTime: new Date(Number(planState.startTime) * 1000) },
             Date.now(),
-            plan
+            { ...plan, timePeriod: Number(planState.timePeriod) }
         );
         
-        const penaltyAmount = (userState.btcAccumulated * BigInt(penaltyBasisPoints)) / BigInt(10000);
-        const withdrawAmount = userState.btcAccumulated - penaltyAmount;
-        
-        const nonce = BitmorDCAService.generateNonce();
+        const penaltyAmount = (planState.btcAccumulated * BigInt(penaltyBasisPoints)) / BigInt(10000);
+        const withdrawAmount = planState.btcAccumulated - penaltyAmount;
         
-        // Create signature
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'uint128', 'bytes32', 'uint256', 'string'],
-            [userAddress, penaltyAmount, nonce, 1, plan.id]
+        // Days left in the plan, measured from the on-chain start time
+        const planEndTime = Number(planState.startTime) + Number(planState.timePeriod) * 24 * 60 * 60;
+        const daysRemaining = Math.max(
+            0,
+            Math.ceil((planEndTime - Math.floor(Date.now() / 1000)) / (24 * 60 * 60))
         );
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
+        // Sign the exact earlyWithdraw arguments
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signEarlyWithdrawal(
+            userAddress,
+            plan.onchainPlanId,
+            planState.btcAccumulated,
+            penaltyAmount,
+            daysRemaining
+        );
         
         // Cache withdrawal request
         await redisClient.set(
@@ -620,23 +1453,29 @@ app.post('/api/penalties/calculate', async (req, res) => {
             JSON.stringify({
                 userAddress,
                 planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
+                btcAmount: planState.btcAccumulated.toString(),
                 penaltyAmount: penaltyAmount.toString(),
                 withdrawAmount: withdrawAmount.toString(),
+                daysRemaining,
                 penaltyBasisPoints
             }),
-            'EX',
-            15 * 60 // 15 minutes
+            { EX: 15 * 60 } // 15 minutes
         );
         
         res.json({
             success: true,
             data: {
                 planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
+                btcAmount: planState.btcAccumulated.toString(),
                 penaltyAmount: penaltyAmount.toString(),
                 withdrawAmount: withdrawAmount.toString(),
+                daysRemaining,
                 penaltyBasisPoints,
                 nonce,
                 signature,
+                deadline,
                 penaltyAmountFormatted: ethers.formatEther(penaltyAmount),
                 withdrawAmountFormatted: ethers.formatEther(withdrawAmount),
                 planDetails: {
@@ -656,7 +1495,7 @@ app.post('/api/penalties/calculate', async (req, res) => {
 });
 
 // 4. Strategy Management
-app.post('/api/strategies/create', async (req, res) => {
+app.post('/api/strategies/create', requireSelf('creatorAddress'), requireCircuitClosed, async (req, res) => {
     try {
         const {
             creatorAddress,
@@ -692,89 +1531,253 @@ app.post('/api/strategies/create', async (req, res) => {
             return res.status(400).json({ error: 'Invalid penalty configuration' });
         }
         
-        if (!['daily', 'weekly'].includes(cadence)) {
-            return res.status(400).json({ error: 'Invalid cadence. Must be daily or weekly' });
+        if (!['daily', 'weekly'].includes(cadence)) {
+            return res.status(400).json({ error: 'Invalid cadence. Must be daily or weekly' });
+        }
+        
+        const dailyAmount = await BitmorDCAService.getDailyAmountUSDC(targetBTC, timePeriodDays);
+        
+        // Create strategy in database
+        const strategy = await prisma.dCAStrategy.create({
+            data: {
+                name,
+                creator: creatorAddress.toLowerCase(),
+                targetBTC: parseFloat(targetBTC),
+                dailyAmount: parseFloat(ethers.formatUnits(dailyAmount, 6)),
+                timePeriod: timePeriodDays,
+                withdrawalDelay: withdrawalDelayDays,
+                penaltyMin: parseFloat(penaltyMin),
+                penaltyMax: parseFloat(penaltyMax),
+                penaltyExponent: penaltyExponent || 1.5,
+                cadence,
+                fee: fee || 100 // 1% default
+            }
+        });
+        
+        // Create config hash for contract
+        const strategyConfig = {
+            name,
+            creator: creatorAddress,
+            targetBTC: ethers.parseEther(targetBTC.toString()).toString(),
+            dailyAmount: dailyAmount.toString(),
+            timePeriod: timePeriodDays,
+            withdrawalDelay: withdrawalDelayDays,
+            penaltyMin,
+            penaltyMax,
+            penaltyExponent: penaltyExponent || 1.5,
+            cadence,
+            fee: fee || 100,
+            strategyId: strategy.id
+        };
+        
+        const configHash = BitmorDCAService.createConfigHash(strategyConfig);
+        
+        // Create signature for contract interaction
+        const { chainId } = await provider.getNetwork();
+        const messageHash = ethers.solidityPackedKeccak256(
+            ['address', 'bytes32', 'uint16', 'uint256', 'string'],
+            [creatorAddress, configHash, fee || 100, chainId, strategy.id]
+        );
+        
+        const signature = await BitmorDCAService.signMessage(messageHash);
+        
+        // Cache strategy config
+        await redisClient.set(
+            `strategy:${strategy.id}`,
+            JSON.stringify(strategyConfig),
+            { EX: 24 * 60 * 60 } // 24 hours
+        );
+        
+        res.json({
+            success: true,
+            data: {
+                strategyId: strategy.id,
+                configHash,
+                signature,
+                strategyConfig: {
+                    ...strategyConfig,
+                    dailyAmountFormatted: ethers.formatUnits(dailyAmount, 6)
+                }
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        console.error('Error creating strategy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Published strategies with their subscription stats, and what they earn their creators
+const strategyMarketplace = new StrategyMarketplace(prisma);
+const creatorFeeLedger = new CreatorFeeLedger(prisma);
+
+app.get('/api/strategies', async (req, res) => {
+    try {
+        const data = await strategyMarketplace.list(parseStrategyQuery(req.query));
+        res.json({ success: true, data });
+    } catch (error) {
+        if (error instanceof StrategyQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error listing strategies:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/strategies/:id', async (req, res) => {
+    try {
+        const strategy = await strategyMarketplace.get(req.params.id);
+        if (!strategy) {
+            return res.status(404).json({ error: 'Strategy not found' });
+        }
+        res.json({ success: true, data: { strategy } });
+    } catch (error) {
+        console.error('Error fetching strategy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/strategies/:id/subscribe', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
+    try {
+        const { userAddress, bitmorIntegration, tokens } = req.body;
+        
+        if (!ethers.isAddress(userAddress)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        const tokenError = validatePlanTokens(tokens);
+        if (tokenError) {
+            return res.status(400).json({ error: tokenError });
+        }
+        
+        const strategy = await prisma.dCAStrategy.findUnique({ where: { id: req.params.id } });
+        if (!strategy || !strategy.isActive) {
+            return res.status(404).json({ error: 'Strategy not found' });
+        }
+        
+        // Get or create user
+        let user = await BitmorDCAService.getUserByAddress(userAddress.toLowerCase());
+        if (!user) {
+            user = await BitmorDCAService.createUser(userAddress.toLowerCase());
+        }
+        
+        const supportedTokens = await findPlanTokens(tokens);
+        if (!supportedTokens) {
+            return res.status(400).json({ error: 'One or more tokens are not supported' });
+        }
+        
+        const { onchainPlanId, blockedBy } = await reserveOnchainPlanId(user, userAddress);
+        if (blockedBy) {
+            return res.status(409).json({
+                error: 'Another plan is awaiting its createDCAplan transaction',
+                planId: blockedBy.id
+            });
         }
         
-        const btcPrice = await BitmorDCAService.getBTCPrice();
-        const dailyAmount = BitmorDCAService.calculateDailyAmount(
-            ethers.parseEther(targetBTC.toString()),
-            timePeriodDays,
-            btcPrice
-        );
+        // The strategy fixes the target and schedule; the daily amount is
+        // priced now rather than when the strategy was published
+        const data = await createSignedPlan(user, userAddress, onchainPlanId, {
+            targetBTC: strategy.targetBTC,
+            timePeriodDays: strategy.timePeriod,
+            withdrawalDelayDays: strategy.withdrawalDelay,
+            penaltyMin: strategy.penaltyMin,
+            penaltyMax: strategy.penaltyMax,
+            penaltyExponent: strategy.penaltyExponent,
+            cadence: strategy.cadence,
+            bitmorIntegration,
+            strategyId: strategy.id,
+            creatorFeeBps: strategy.fee
+        }, tokens, supportedTokens);
         
-        // Create strategy in database
-        const strategy = await prisma.dCAStrategy.create({
+        res.json({
+            success: true,
             data: {
-                name,
-                creator: creatorAddress.toLowerCase(),
-                targetBTC: parseFloat(targetBTC),
-                dailyAmount: parseFloat(ethers.formatUnits(dailyAmount, 6)),
-                timePeriod: timePeriodDays,
-                withdrawalDelay: withdrawalDelayDays,
-                penaltyMin: parseFloat(penaltyMin),
-                penaltyMax: parseFloat(penaltyMax),
-                penaltyExponent: penaltyExponent || 1.5,
-                cadence,
-                fee: fee || 100 // 1% default
+                ...data,
+                strategyId: strategy.id,
+                fee: strategy.fee
             }
         });
         
-        // Create config hash for contract
-        const strategyConfig = {
-            name,
-            creator: creatorAddress,
-            targetBTC: ethers.parseEther(targetBTC.toString()).toString(),
-            dailyAmount: dailyAmount.toString(),
-            timePeriod: timePeriodDays,
-            withdrawalDelay: withdrawalDelayDays,
-            penaltyMin,
-            penaltyMax,
-            penaltyExponent: penaltyExponent || 1.5,
-            cadence,
-            fee: fee || 100,
-            strategyId: strategy.id
-        };
-        
-        const configHash = BitmorDCAService.createConfigHash(strategyConfig);
+    } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        console.error('Error subscribing to strategy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/strategies/:id/earnings', async (req, res) => {
+    try {
+        const earnings = await creatorFeeLedger.strategyEarnings(req.params.id);
+        if (!earnings) {
+            return res.status(404).json({ error: 'Strategy not found' });
+        }
+        res.json({ success: true, data: earnings });
+    } catch (error) {
+        console.error('Error fetching strategy earnings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/creators/:address/earnings', async (req, res) => {
+    try {
+        if (!ethers.isAddress(req.params.address)) {
+            return res.status(400).json({ error: 'Invalid creator address' });
+        }
+        const earnings = await creatorFeeLedger.creatorEarnings(req.params.address);
+        res.json({ success: true, data: earnings });
+    } catch (error) {
+        console.error('Error fetching creator earnings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/creators/claim-fees', requireSelf('creatorAddress'), async (req, res) => {
+    try {
+        const { creatorAddress } = req.body;
         
-        // Create signature for contract interaction
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'bytes32', 'uint16', 'uint256', 'string'],
-            [creatorAddress, configHash, fee || 100, 1, strategy.id]
-        );
+        if (!ethers.isAddress(creatorAddress)) {
+            return res.status(400).json({ error: 'Invalid creator address' });
+        }
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
+        // The contract pays the signed lifetime total minus what it already paid out
+        const [totalEarned, alreadyClaimed] = await Promise.all([
+            creatorFeeLedger.totalEarned(creatorAddress),
+            contract.creatorFeesClaimed(creatorAddress)
+        ]);
+        if (totalEarned <= alreadyClaimed) {
+            return res.status(400).json({ error: 'No fees to claim' });
+        }
         
-        // Cache strategy config
-        await redisClient.set(
-            `strategy:${strategy.id}`,
-            JSON.stringify(strategyConfig),
-            'EX',
-            24 * 60 * 60 // 24 hours
-        );
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signClaimCreatorFees(creatorAddress, totalEarned);
         
         res.json({
             success: true,
             data: {
-                strategyId: strategy.id,
-                configHash,
+                totalEarned: totalEarned.toString(),
+                alreadyClaimed: alreadyClaimed.toString(),
+                amount: (totalEarned - alreadyClaimed).toString(),
+                amountFormatted: ethers.formatUnits(totalEarned - alreadyClaimed, 6),
+                nonce,
                 signature,
-                strategyConfig: {
-                    ...strategyConfig,
-                    dailyAmountFormatted: ethers.formatUnits(dailyAmount, 6)
-                }
+                deadline,
+                chainId: signatureService.getChainId()
             }
         });
         
     } catch (error) {
-        console.error('Error creating strategy:', error);
+        console.error('Error signing creator fee claim:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // 5. Bitmor Integration
-app.post('/api/bitmor/check-threshold', async (req, res) => {
+app.post('/api/bitmor/check-threshold', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
     try {
         const { userAddress, planId } = req.body;
         
@@ -800,16 +1803,19 @@ app.post('/api/bitmor/check-threshold', async (req, res) => {
             return res.status(404).json({ error: 'Active plan not found' });
         }
         
-        // Get current user state from contract
-        const userState = await contract.users(userAddress);
+        // Get the plan's state from the contract
+        const planState = await BitmorDCAService.getOnchainPlan(userAddress, plan);
+        if (!planState) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
         
-        if (!userState.bitmorEnabled || userState.thresholdReached) {
+        if (!planState.bitmorEnabled || planState.thresholdReached) {
             return res.status(400).json({ error: 'Bitmor not enabled or already triggered' });
         }
         
         // Calculate progress
         const targetBTC = ethers.parseEther(plan.targetBTC.toString());
-        const progressPct = (userState.btcAccumulated * BigInt(100)) / targetBTC;
+        const progressPct = (planState.btcAccumulated * BigInt(100)) / targetBTC;
         
         if (progressPct < BigInt(25)) { // 25% threshold
             return res.status(400).json({
@@ -822,49 +1828,49 @@ app.post('/api/bitmor/check-threshold', async (req, res) => {
         // Check Bitmor eligibility
         const isEligible = await BitmorDCAService.checkBitmorEligibility(
             userAddress, 
-            userState.btcAccumulated
+            planState.btcAccumulated
         );
         
         if (!isEligible) {
             return res.status(400).json({ error: 'Not eligible for Bitmor loan' });
         }
         
-        const nonce = BitmorDCAService.generateNonce();
-        
-        // Create signature
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'uint128', 'string', 'bytes32', 'uint256', 'string'],
-            [userAddress, userState.btcAccumulated, "BITMOR_THRESHOLD", nonce, 1, plan.id]
+        // Sign the exact triggerBitmorThreshold arguments
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signBitmorThreshold(
+            userAddress,
+            plan.onchainPlanId,
+            planState.btcAccumulated
         );
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
-        
         // Cache Bitmor threshold check
         await redisClient.set(
             `bitmor_threshold:${nonce}`,
             JSON.stringify({
                 userAddress,
                 planId: plan.id,
-                btcAmount: userState.btcAccumulated.toString(),
+                onchainPlanId: plan.onchainPlanId,
+                btcAmount: planState.btcAccumulated.toString(),
                 progressPct: progressPct.toString()
             }),
-            'EX',
-            15 * 60 // 15 minutes
+            { EX: 15 * 60 } // 15 minutes
         );
         
         // Get total value in USDC
         const btcPrice = await BitmorDCAService.getBTCPrice();
-        const totalValueUSDC = (userState.btcAccumulated * btcPrice) / ethers.parseEther("1");
+        const totalValueUSDC = (planState.btcAccumulated * btcPrice) / ethers.parseEther("1");
         
         res.json({
             success: true,
             data: {
                 planId: plan.id,
-                btcAmount: userState.btcAccumulated.toString(),
+                onchainPlanId: plan.onchainPlanId,
+                btcAmount: planState.btcAccumulated.toString(),
                 progressPct: progressPct.toString(),
                 nonce,
                 signature,
-                btcAmountFormatted: ethers.formatEther(userState.btcAccumulated),
+                deadline,
+                btcAmountFormatted: ethers.formatEther(planState.btcAccumulated),
                 totalValueUSDC: ethers.formatUnits(totalValueUSDC, 6),
                 planDetails: {
                     targetBTC: plan.targetBTC,
@@ -877,13 +1883,16 @@ app.post('/api/bitmor/check-threshold', async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
         console.error('Error checking Bitmor threshold:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // 6. Plan Analytics
-app.get('/api/plans/:userAddress/analytics', async (req, res) => {
+app.get('/api/plans/:userAddress/analytics', requireSelf('userAddress'), async (req, res) => {
     try {
         const { userAddress } = req.params;
         
@@ -915,11 +1924,12 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
             return res.status(404).json({ error: 'No active plans found' });
         }
         
-        // Get current user state from contract
-        const userState = await contract.users(userAddress);
+        // Every plan's contract state; index i holds on-chain plan id i + 1
+        const onchainPlans = await contract.getUserPlans(userAddress);
         
-        // Get current BTC price
+        // Get current BTC price and its 24h change
         const btcPrice = await BitmorDCAService.getBTCPrice();
+        const change24h = await priceCandles.change24h();
         
         // Calculate analytics for each plan
         const planAnalytics = await Promise.all(activePlans.map(async (plan) => {
@@ -930,8 +1940,9 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
             const timeLeftDays = Math.max(0, Math.floor((totalTime - timeElapsed) / (24 * 60 * 60)));
             
             const targetBTC = ethers.parseEther(plan.targetBTC.toString());
-            const progressPct = targetBTC > 0 ? 
-                Number((userState.btcAccumulated * BigInt(100)) / targetBTC) : 0;
+            const onchainPlan = plan.onchainPlanId ? onchainPlans[plan.onchainPlanId - 1] : undefined;
+            const progressPct = targetBTC > 0 && onchainPlan ?
+                Number((onchainPlan.btcAccumulated * BigInt(100)) / targetBTC) : 0;
             
             // Calculate total paid and average price for this plan
             const totalPaidUSDC = plan.payments.reduce((sum, payment) => sum + payment.amount, 0);
@@ -940,23 +1951,12 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
             const avgPurchasePrice = totalBTCAccumulated > 0 ? 
                 totalPaidUSDC / totalBTCAccumulated : 0;
             
-            // Calculate streak
-            let currentStreak = 0;
-            if (plan.payments.length > 0) {
-                const lastPaymentTime = plan.payments[0].createdAt.getTime() / 1000;
-                const expectedInterval = plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
-                
-                if (currentTime - lastPaymentTime <= expectedInterval) {
-                    currentStreak = plan.payments.reduce((streak, payment, i, arr) => {
-                        if (i === 0) return 1;
-                        const timeDiff = arr[i-1].createdAt.getTime() - payment.createdAt.getTime();
-                        return timeDiff <= expectedInterval ? streak + 1 : streak;
-                    }, 0);
-                }
-            }
+            // Streak as it stands on chain, 0 once the grace period is over
+            const streak = planStreak(plan, new Date(), onchainPlan ? Number(onchainPlan.prepaidDays) : 0);
             
             return {
                 planId: plan.id,
+                onchainPlanId: plan.onchainPlanId,
                 progress: {
                     btcAccumulated: totalBTCAccumulated.toString(),
                     targetBTC: plan.targetBTC.toString(),
@@ -970,7 +1970,12 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
                     currentBTCPrice: ethers.formatUnits(btcPrice, 18)
                 },
                 activity: {
-                    streak: currentStreak,
+                    streak: streak.streak,
+                    maxStreak: streak.maxStreak,
+                    streakStatus: streak.status,
+                    nextPaymentAt: streak.nextPaymentAt,
+                    graceEndsAt: streak.graceEndsAt,
+                    prepaidDays: streak.prepaidDays,
                     totalPayments: plan.payments.length,
                     lastPaymentTime: plan.payments[0]?.createdAt.getTime() || 0,
                     cadence: plan.cadence
@@ -1009,11 +2014,12 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
                     totalBTCAccumulated: totalBTCAccumulated.toString(),
                     totalUSDCPaid: totalUSDCPaid.toString(),
                     avgProgressPct: avgProgressPct.toString(),
-                    currentBTCPrice: ethers.formatUnits(btcPrice, 18)
+                    currentBTCPrice: ethers.formatUnits(btcPrice, 18),
+                    priceChange24h: change24h === null ? null : change24h.toFixed(2)
                 },
                 bitmor: {
-                    enabled: userState.bitmorEnabled,
-                    thresholdReached: userState.thresholdReached,
+                    enabled: onchainPlans.some(p => p.bitmorEnabled),
+                    thresholdReached: onchainPlans.some(p => p.thresholdReached),
                     eligibleForThreshold: avgProgressPct >= 25
                 },
                 plans: planAnalytics
@@ -1021,152 +2027,250 @@ app.get('/api/plans/:userAddress/analytics', async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
         console.error('Error fetching analytics:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// 7. Rewards Distribution (Cron Job)
-app.post('/api/rewards/distribute', async (req, res) => {
+// Projects whether a plan reaches its target if it keeps paying its fixed amount
+const planProjector = new PlanProjector(prisma);
+
+app.get('/api/plans/:planId/projection', requireAuth, async (req, res) => {
     try {
-        // This would typically be called by a cron job
-        // For demo, allowing manual trigger
+        const { planId } = req.params;
+        const annualChangePct = req.query.annualChangePct === undefined ? 20 : Number(req.query.annualChangePct);
         
-        // Get all active users with their plans and payments
-        const users = await prisma.dCAUser.findMany({
-            where: {
-                plans: {
-                    some: {
-                        isActive: true
-                    }
-                }
-            },
+        if (!(annualChangePct >= 0 && annualChangePct < 100)) {
+            return res.status(400).json({ error: 'annualChangePct must be at least 0 and below 100' });
+        }
+        
+        const plan = await prisma.dCAPlan.findUnique({
+            where: { id: planId },
             include: {
-                plans: {
-                    where: {
-                        isActive: true
-                    },
-                    include: {
-                        payments: {
-                            orderBy: {
-                                createdAt: 'desc'
-                            }
-                        }
-                    }
+                user: true,
+                payments: {
+                    where: { status: 'completed' },
+                    orderBy: { createdAt: 'desc' }
                 }
             }
         });
         
-        const eligibleUsers = [];
-        const rewardAmounts = [];
-        const rewardDetails = [];
-        
-        const currentTime = Math.floor(Date.now() / 1000);
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
         
-        for (const user of users) {
-            try {
-                const userState = await contract.users(user.address);
-                
-                // Calculate total rewards across all active plans
-                let totalReward = 0;
-                const planRewards = [];
-                
-                for (const plan of user.plans) {
-                    // Calculate streak for this plan
-                    let currentStreak = 0;
-                    if (plan.payments.length > 0) {
-                        const lastPaymentTime = plan.payments[0].createdAt.getTime() / 1000;
-                        const expectedInterval = plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
-                        
-                        if (currentTime - lastPaymentTime <= expectedInterval) {
-                            currentStreak = plan.payments.reduce((streak, payment, i, arr) => {
-                                if (i === 0) return 1;
-                                const timeDiff = arr[i-1].createdAt.getTime() - payment.createdAt.getTime();
-                                return timeDiff <= expectedInterval ? streak + 1 : streak;
-                            }, 0);
-                        }
-                    }
-                    
-                    // Check if plan is eligible for rewards
-                    if (currentStreak > 0 && currentStreak % 7 === 0) {
-                        const streakWeight = currentStreak * 100;
-                        const commitmentWeight = plan.payments.reduce((sum, p) => sum + p.amount, 0) / 1000;
-                        const penaltyWeight = plan.penaltyMax;
-                        
-                        const totalWeight = streakWeight + commitmentWeight + penaltyWeight;
-                        const reward = Math.floor(totalWeight / 1000); // Simplified calculation
-                        
-                        if (reward > 0) {
-                            totalReward += reward;
-                            planRewards.push({
-                                planId: plan.id,
-                                streak: currentStreak,
-                                reward
-                            });
-                        }
-                    }
-                }
-                
-                if (totalReward > 0) {
-                    eligibleUsers.push(user.address);
-                    rewardAmounts.push(totalReward);
-                    rewardDetails.push({
-                        userAddress: user.address,
-                        totalReward,
-                        planRewards
-                    });
-                }
-            } catch (error) {
-                console.error(`Error processing rewards for ${user.address}:`, error);
-            }
+        if (plan.user.address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: 'Session is not for this plan', code: 'ADDRESS_MISMATCH' });
         }
         
-        if (eligibleUsers.length === 0) {
-            return res.json({ success: true, message: 'No eligible users for rewards' });
+        if (!plan.isActive) {
+            return res.status(400).json({ error: 'Plan is not active' });
         }
         
-        const nonce = BitmorDCAService.generateNonce();
+        const now = new Date();
+        const lastPayment = plan.payments[0];
+        let nextPaymentAt = lastPayment
+            ? new Date(lastPayment.createdAt.getTime() + getPaymentInterval(plan.cadence) * 1000)
+            : now;
+        if (isPlanPaused(plan, now) && nextPaymentAt < plan.pausedUntil) {
+            nextPaymentAt = plan.pausedUntil;
+        }
+        // A pause moves the end out by its full length
+        const startTime = pauseAdjustedStart({ ...plan, startTime: plan.startTime ?? plan.createdAt }, plan.pausedUntil ?? now);
+        const endDate = new Date(startTime.getTime() + plan.timePeriod * 24 * 60 * 60 * 1000);
+        const btcAccumulated = plan.payments.reduce((sum, payment) => sum + payment.btcAmount, 0);
+        const price = parseFloat(ethers.formatUnits(await BitmorDCAService.getBTCPrice(), 18));
+        
+        const projection = projectPlan({
+            targetBTC: plan.targetBTC,
+            btcAccumulated,
+            paymentAmount: plan.totalDailyAmount,
+            creatorFeeBps: plan.creatorFeeBps,
+            cadence: plan.cadence,
+            nextPaymentAt,
+            endDate,
+            price,
+            now
+        }, {
+            annualChangePct,
+            annualVolatility: await planProjector.historicalVolatility()
+        });
         
-        // Create signature for batch reward distribution
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address[]', 'uint128[]', 'bytes32', 'uint256'],
-            [eligibleUsers, rewardAmounts, nonce, 1]
-        );
+        res.json({
+            success: true,
+            data: {
+                planId: plan.id,
+                targetBTC: plan.targetBTC,
+                btcAccumulated,
+                currentBTCPrice: price,
+                paymentAmount: plan.totalDailyAmount,
+                cadence: plan.cadence,
+                endDate,
+                // Headline figures assume today's price holds
+                expectedCompletionDate: projection.scenarios.flat.expectedCompletionDate,
+                surplusBTC: projection.scenarios.flat.surplusBTC,
+                ...projection
+            }
+        });
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
+    } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        console.error('Error projecting plan:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Allocates each reward epoch's Aave yield and penalties by the configured weights
+const rewardEngine = new RewardEngine(prisma, {
+    weights: parseRewardWeights(CONFIG.REWARD_WEIGHTS),
+    epochHours: CONFIG.REWARD_EPOCH_HOURS,
+    getYieldInputs: async () => ({
+        totalValueLocked: await contract.totalValueLocked(),
+        liquidityRate: await contract.getAaveYield(),
+        btcPriceUSD: Number(ethers.formatEther(await BitmorDCAService.getBTCPrice()))
+    })
+});
+
+// 7. Rewards Distribution (treasurer-triggered run)
+adminRouter.post('/rewards/distribute', requirePermission('distributeRewards'), async (req, res) => {
+    try {
+        // Signs the stored report of an epoch, the latest closed one by default
+        const epoch = req.body?.epoch ?? rewardEngine.lastClosedEpoch();
+        const report = await rewardEngine.report(epoch);
+        
+        if (!report.merkleRoot) {
+            await auditAdmin(req, 'rewards.distribute', `epoch:${epoch}`, { eligibleUsers: 0 });
+            return res.json({ success: true, message: 'No eligible users for rewards', data: { epoch } });
+        }
+        if (await contract.rewardRoots(epoch) !== ethers.ZeroHash) {
+            return res.status(400).json({ error: 'Rewards for this epoch are already published', code: 'ALREADY_PUBLISHED' });
+        }
+        
+        // Publishing the root reserves the amounts from rewardsPool and the boosts from yieldPool
+        const allocations = report.allocations.filter(a => a.proof);
+        const totalAmount = allocations.reduce((sum, a) => sum + BigInt(a.amount), 0n);
+        const totalBoost = allocations.reduce((sum, a) => sum + BigInt(a.boost), 0n);
+        
+        // The yield is bought as WBTC and funded with fundYieldPool before the boosts can be claimed
+        const yieldPool = await contract.yieldPool();
+        if (totalBoost > yieldPool) {
+            return res.status(409).json({
+                error: 'Fund the yield pool with the epoch\'s boosts before publishing it',
+                code: 'YIELD_POOL_UNFUNDED',
+                totalBoost: totalBoost.toString(),
+                yieldPool: yieldPool.toString()
+            });
+        }
         
-        // Cache reward distribution details
-        await redisClient.set(
-            `rewards:${nonce}`,
-            JSON.stringify({
-                eligibleUsers,
-                rewardAmounts,
-                rewardDetails
-            }),
-            'EX',
-            15 * 60 // 15 minutes
-        );
+        // Sign the exact publishRewardRoot arguments
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signPublishRewards(epoch, report.merkleRoot, totalAmount, totalBoost);
+        
+        await auditAdmin(req, 'rewards.distribute', `epoch:${epoch}`, {
+            root: report.merkleRoot,
+            eligibleUsers: allocations.length,
+            pool: report.pool
+        });
         
         res.json({
             success: true,
             data: {
-                eligibleUsers,
-                rewardAmounts,
+                epoch,
+                root: report.merkleRoot,
+                totalAmount: totalAmount.toString(),
+                totalBoost: totalBoost.toString(),
                 nonce,
                 signature,
-                totalRewards: rewardAmounts.reduce((sum, amount) => sum + amount, 0),
-                rewardDetails
+                deadline,
+                pool: report.pool,
+                allocations
             }
         });
         
     } catch (error) {
+        if (error instanceof RewardEngineError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
         console.error('Error distributing rewards:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Proofs for claim(epoch, amount, boost, proof), one per published epoch
+app.get('/api/rewards/:address/proof', requireSelf('address'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        let claims = await rewardEngine.claims(address);
+        if (req.query.epoch !== undefined) {
+            claims = claims.filter(c => c.epoch === Number(req.query.epoch));
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                address: address.toLowerCase(),
+                claims,
+                unclaimed: claims.filter(c => !c.claimed).length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching reward proofs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reward accruals with their weight breakdown, and claims
+const rewardHistory = new RewardHistory(prisma);
+
+app.get('/api/users/:address/rewards', requireSelf('address'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        const [history, extras] = await Promise.all([
+            rewardHistory.userRewards(address),
+            contract.getUserExtras(address)
+        ]);
+        
+        if (!history) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...history,
+                // Credited by distributeRewards and not yet taken with claimRewards
+                onchain: {
+                    rewardBalance: ethers.formatEther(extras.rewardBalance),
+                    yieldBoost: ethers.formatEther(extras.yieldBoost),
+                    lastRewardClaim: extras.lastRewardClaim > 0n ? new Date(Number(extras.lastRewardClaim) * 1000) : null
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching user rewards:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // 8. User Balance and Stats
-app.get('/api/users/:address/balance', async (req, res) => {
+app.get('/api/users/:address/balance', requireSelf('address'), async (req, res) => {
     try {
         const { address } = req.params;
         
@@ -1225,7 +2329,7 @@ app.get('/api/users/:address/balance', async (req, res) => {
 });
 
 // 9. Early Withdrawal Fee
-app.get('/api/plans/:planId/withdrawal-fee', async (req, res) => {
+app.get('/api/plans/:planId/withdrawal-fee', requireAuth, async (req, res) => {
     try {
         const { planId } = req.params;
         
@@ -1244,9 +2348,13 @@ app.get('/api/plans/:planId/withdrawal-fee', async (req, res) => {
             return res.status(404).json({ error: 'Plan not found' });
         }
 
-        // Calculate days remaining in plan
+        if (plan.user.address.toLowerCase() !== req.user.address.toLowerCase()) {
+            return res.status(403).json({ error: 'Session is not for this plan', code: 'ADDRESS_MISMATCH' });
+        }
+
+        // Calculate days remaining in plan; the clock stands still while paused
         const now = new Date();
-        const startDate = plan.createdAt;
+        const startDate = pauseAdjustedStart({ ...plan, startTime: plan.startTime ?? plan.createdAt }, now);
         const endDate = new Date(startDate.getTime() + plan.timePeriod * 24 * 60 * 60 * 1000);
         const daysRemaining = Math.ceil((endDate.getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
 
@@ -1271,13 +2379,16 @@ app.get('/api/plans/:planId/withdrawal-fee', async (req, res) => {
             progress: progress * 100
         });
     } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
         console.error('Error calculating withdrawal fee:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // 10. Referral System
-app.get('/api/users/:address/referral', async (req, res) => {
+app.get('/api/users/:address/referral', requireSelf('address'), async (req, res) => {
     try {
         const { address } = req.params;
         
@@ -1324,7 +2435,7 @@ app.get('/api/users/:address/referral', async (req, res) => {
     }
 });
 
-app.post('/api/referral/use', async (req, res) => {
+app.post('/api/referral/use', requireSelf('userAddress'), async (req, res) => {
     try {
         const { userAddress, referralCode } = req.body;
         
@@ -1433,10 +2544,13 @@ app.get('/api/users/:address/stats', async (req, res) => {
         // Calculate rewards
         const totalRewards = user.rewards.reduce((sum, r) => sum + r.amount, 0);
         
+        // Best streak among active plans that hasn't lapsed
+        const currentStreak = Math.max(0, ...user.plans.filter(p => p.isActive).map(p => planStreak(p).streak));
+        
         res.json({
             address: user.address,
             startTime: user.startTime,
-            currentStreak: user.currentStreak,
+            currentStreak,
             maxStreak: user.maxStreak,
             statistics: {
                 totalDCAExecuted,
@@ -1457,6 +2571,29 @@ app.get('/api/users/:address/stats', async (req, res) => {
     }
 });
 
+// Streak milestones and badges; public like the stats, for share images
+const achievementBook = new AchievementBook(prisma);
+
+app.get('/api/users/:address/achievements', async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid user address' });
+        }
+        
+        const achievements = await achievementBook.userAchievements(address);
+        if (!achievements) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ success: true, data: achievements });
+    } catch (error) {
+        console.error('Error fetching achievements:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // 12. Token Management
 app.get('/api/tokens/supported', async (req, res) => {
     try {
@@ -1487,7 +2624,7 @@ app.get('/api/tokens/supported', async (req, res) => {
     }
 });
 
-app.get('/api/users/:address/token-balances', async (req, res) => {
+app.get('/api/users/:address/token-balances', requireSelf('address'), async (req, res) => {
     try {
         const { address } = req.params;
         
@@ -1533,7 +2670,7 @@ app.get('/api/users/:address/token-balances', async (req, res) => {
 });
 
 // 13. Dust Sweeping
-app.post('/api/dust/calculate', async (req, res) => {
+app.post('/api/dust/calculate', requireSelf('userAddress'), requireCircuitClosed, async (req, res) => {
     try {
         const { userAddress } = req.body;
         
@@ -1547,13 +2684,16 @@ app.post('/api/dust/calculate', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         
+        // sweepDust credits one plan, so only plans already created on chain qualify
         const activePlans = await prisma.dCAPlan.findMany({
             where: {
                 userId: user.id,
-                isActive: true
+                isActive: true,
+                onchainPlanId: { not: null },
+                creationTxHash: { not: null }
             },
             orderBy: {
-                dailyAmount: 'asc' // Get smallest DCA amount first
+                totalDailyAmount: 'asc' // Get smallest DCA amount first
             }
         });
         
@@ -1561,11 +2701,16 @@ app.post('/api/dust/calculate', async (req, res) => {
             return res.status(404).json({ error: 'No active plans found' });
         }
         
-        // Get dust balances from contract
-        const dustBalances = await Promise.all([
-            contract.getDustBalance(userAddress, CONFIG.USDC_ADDRESS),
-            contract.getDustBalance(userAddress, CONFIG.CBBTC_ADDRESS)
-        ]);
+        // sweepDust pulls the dust straight from the user's wallet
+        const dustTokens = [CONFIG.USDC_ADDRESS, CONFIG.CBBTC_ADDRESS];
+        const dustBalances = await Promise.all(dustTokens.map(tokenAddress => {
+            const token = new ethers.Contract(
+                tokenAddress,
+                ['function balanceOf(address) view returns (uint256)'],
+                provider
+            );
+            return token.balanceOf(userAddress);
+        }));
         
         // Convert all dust to USDC value
         let totalDustUSDC = BigInt(0);
@@ -1580,7 +2725,7 @@ app.post('/api/dust/calculate', async (req, res) => {
             totalDustUSDC += btcDustValue;
         }
         
-        const dustThreshold = ethers.parseUnits("10", 6); // $10 USDC threshold
+        const dustThreshold = await BitmorDCAService.getDustThreshold();
         
         if (totalDustUSDC < dustThreshold) {
             return res.status(400).json({
@@ -1592,12 +2737,13 @@ app.post('/api/dust/calculate', async (req, res) => {
         
         // Calculate how many days of DCA this dust can cover for each plan
         const planCoverage = activePlans.map(plan => {
-            const dailyAmount = ethers.parseUnits(plan.dailyAmount.toString(), 6);
+            const dailyAmount = ethers.parseUnits(plan.totalDailyAmount.toFixed(6), 6);
             const dcaDays = Number(totalDustUSDC / dailyAmount);
             
             return {
                 planId: plan.id,
-                dailyAmount: plan.dailyAmount,
+                onchainPlanId: plan.onchainPlanId,
+                dailyAmount: plan.totalDailyAmount,
                 dcaDays,
                 totalCoverage: ethers.formatUnits(dailyAmount * BigInt(dcaDays), 6)
             };
@@ -1612,15 +2758,28 @@ app.post('/api/dust/calculate', async (req, res) => {
             return best;
         }, planCoverage[0]);
         
-        const nonce = BitmorDCAService.generateNonce();
+        // Only tokens with a balance are swept
+        const sweepTokens = dustTokens.filter((_, i) => dustBalances[i] > 0);
+        const sweepAmounts = dustBalances.filter(balance => balance > 0);
         
-        // Create signature
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'uint32', 'bytes32', 'uint256', 'string'],
-            [userAddress, optimalPlan.dcaDays, nonce, 1, optimalPlan.planId]
+        // Each swap reverts below its slippage-adjusted amountOutMin, and the sweep
+        // unless the cbBTC it brings in reaches expectedBTC, so the quote bounds a sandwich
+        const quote = await swapQuoter.quote(
+            sweepTokens.map((token, i) => ({ token, amount: sweepAmounts[i] }))
         );
+        const amountOutMins = quote.tokens.map(t => t.amountOutMin);
+        const expectedBTC = quote.minBTC;
         
-        const signature = await BitmorDCAService.signMessage(messageHash);
+        // Sign the exact sweepDust arguments
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signDustSweep(
+            userAddress,
+            optimalPlan.onchainPlanId,
+            sweepAmounts,
+            sweepTokens,
+            amountOutMins,
+            expectedBTC
+        );
         
         // Cache dust sweep details
         await redisClient.set(
@@ -1628,11 +2787,16 @@ app.post('/api/dust/calculate', async (req, res) => {
             JSON.stringify({
                 userAddress,
                 planId: optimalPlan.planId,
+                onchainPlanId: optimalPlan.onchainPlanId,
                 dustBalance: totalDustUSDC.toString(),
+                tokens: sweepTokens,
+                tokenAmounts: sweepAmounts.map(amount => amount.toString()),
+                amountOutMins: amountOutMins.map(amount => amount.toString()),
+                expectedBTC: expectedBTC.toString(),
+                quotedBTC: quote.expectedBTC.toString(),
                 dcaDays: optimalPlan.dcaDays
             }),
-            'EX',
-            15 * 60 // 15 minutes
+            { EX: 15 * 60 } // 15 minutes
         );
         
         res.json({
@@ -1642,24 +2806,47 @@ app.post('/api/dust/calculate', async (req, res) => {
                 dustBalanceFormatted: ethers.formatUnits(totalDustUSDC, 6),
                 optimalPlan: {
                     planId: optimalPlan.planId,
+                    onchainPlanId: optimalPlan.onchainPlanId,
                     dailyAmount: optimalPlan.dailyAmount,
                     dcaDays: optimalPlan.dcaDays,
                     totalCoverage: optimalPlan.totalCoverage
                 },
                 allPlans: planCoverage,
+                tokens: sweepTokens,
+                tokenAmounts: sweepAmounts.map(amount => amount.toString()),
+                amountOutMins: amountOutMins.map(amount => amount.toString()),
+                expectedBTC: expectedBTC.toString(),
+                quote: {
+                    quotedBTC: quote.expectedBTC.toString(),
+                    tokens: quote.tokens.map(t => ({
+                        token: t.token,
+                        amountIn: t.amountIn.toString(),
+                        amountOut: t.amountOut.toString(),
+                        amountOutMin: t.amountOutMin.toString(),
+                        deviationBps: t.deviationBps,
+                        slippageBps: t.slippageBps
+                    }))
+                },
                 nonce,
-                signature
+                signature,
+                deadline
             }
         });
         
     } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        if (error instanceof SwapQuoteError) {
+            return res.status(422).json({ error: error.message, code: error.code });
+        }
         console.error('Error calculating dust sweep:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // 9. Plan Completion Verification
-app.post('/api/plans/verify-completion', async (req, res) => {
+app.post('/api/plans/verify-completion', requireSelf('userAddress'), async (req, res) => {
     try {
         const { userAddress, planId } = req.body;
         
@@ -1692,8 +2879,9 @@ app.post('/api/plans/verify-completion', async (req, res) => {
             return res.status(404).json({ error: 'Active plan not found' });
         }
         
-        // Get current user state from contract
-        const userState = await contract.users(userAddress);
+        if (!(await BitmorDCAService.getOnchainPlan(userAddress, plan))) {
+            return res.status(409).json({ error: 'Plan not created on chain yet' });
+        }
         
         // Calculate total BTC accumulated for this plan
         const totalBTCAccumulated = plan.payments.reduce((sum, payment) => sum + payment.btcAmount, 0);
@@ -1729,15 +2917,9 @@ app.post('/api/plans/verify-completion', async (req, res) => {
             }
         }
         
-        const nonce = BitmorDCAService.generateNonce();
-        
-        // Create signature
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'string', 'bytes32', 'uint256', 'string'],
-            [userAddress, "COMPLETE", nonce, 1, planId]
-        );
-        
-        const signature = await BitmorDCAService.signMessage(messageHash);
+        // Sign the exact completePlan arguments
+        const signatureService = await BitmorDCAService.getSignatureService();
+        const { nonce, signature, deadline } = await signatureService.signCompletePlan(userAddress, plan.onchainPlanId);
         
         // Cache completion verification
         await redisClient.set(
@@ -1749,8 +2931,7 @@ app.post('/api/plans/verify-completion', async (req, res) => {
                 allPaymentsOnTime,
                 missedPayments
             }),
-            'EX',
-            15 * 60 // 15 minutes
+            { EX: 15 * 60 } // 15 minutes
         );
         
         // Get current BTC value
@@ -1761,12 +2942,14 @@ app.post('/api/plans/verify-completion', async (req, res) => {
             success: true,
             data: {
                 planId,
+                onchainPlanId: plan.onchainPlanId,
                 btcAmount: totalBTCAccumulated.toString(),
                 targetReached: true,
                 allPaymentsOnTime,
                 missedPayments,
                 nonce,
                 signature,
+                deadline,
                 btcAmountFormatted: totalBTCAccumulated.toString(),
                 currentValue: ethers.formatUnits(currentValue, 6),
                 planStats: {
@@ -1777,9 +2960,32 @@ app.post('/api/plans/verify-completion', async (req, res) => {
                 }
             }
         });
-        
+        
+    } catch (error) {
+        if (error instanceof PriceOracleError) {
+            return res.status(503).json({ error: error.message, code: error.code });
+        }
+        console.error('Error verifying completion:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Signing domain, so clients can render typed authorizations
+app.get('/api/signatures/domain', async (req, res) => {
+    try {
+        const signatureService = await BitmorDCAService.getSignatureService();
+        
+        res.json({
+            success: true,
+            data: {
+                mode: signatureService.getMode(),
+                signer: signatureService.address,
+                domain: signatureService.getDomain(),
+                types: TYPED_DATA_TYPES
+            }
+        });
     } catch (error) {
-        console.error('Error verifying completion:', error);
+        console.error('Error fetching signature domain:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -1795,6 +3001,7 @@ app.get('/api/health', async (req, res) => {
         
         // Check blockchain connection
         const btcPrice = await BitmorDCAService.getBTCPrice();
+        const priceQuote = await priceOracle.getBTCPrice();
         const blockNumber = await provider.getBlockNumber();
         
         // Get system stats
@@ -1819,22 +3026,19 @@ app.get('/api/health', async (req, res) => {
             })
         ]);
         
-        // Get latest price history
-        const latestPrices = await prisma.priceHistory.findMany({
+        // Get latest price tick
+        const latestPrice = await prisma.priceHistory.findFirst({
             where: {
                 asset: 'BTC'
             },
             orderBy: {
                 fetchedAt: 'desc'
-            },
-            take: 24 // Last 24 entries
+            }
         });
         
-        // Calculate 24h price change
-        const priceChange24h = latestPrices.length >= 2 ? 
-            ((latestPrices[0].price - latestPrices[latestPrices.length - 1].price) / 
-             latestPrices[latestPrices.length - 1].price * 100).toFixed(2) : 
-            '0';
+        // 24h price change from hourly candles
+        const change24h = await priceCandles.change24h();
+        const priceChange24h = change24h === null ? null : change24h.toFixed(2);
         
         res.json({
             success: true,
@@ -1851,8 +3055,16 @@ app.get('/api/health', async (req, res) => {
                 },
                 prices: {
                     btcPrice: ethers.formatUnits(btcPrice, 18),
+                    confidence: {
+                        low: priceQuote.low,
+                        high: priceQuote.high,
+                        spreadBps: priceQuote.spreadBps
+                    },
+                    sources: priceQuote.readings.map(r => r.source),
+                    rejectedSources: priceQuote.rejected,
+                    circuitBreaker: await circuitBreaker.status(),
                     priceChange24h,
-                    lastUpdate: latestPrices[0]?.fetchedAt
+                    lastUpdate: latestPrice?.fetchedAt
                 },
                 stats: {
                     activePlans: activePlansCount,
@@ -1877,6 +3089,7 @@ app.get('/api/health', async (req, res) => {
         if (error.message.includes('database')) failedService = 'database';
         else if (error.message.includes('redis')) failedService = 'redis';
         else if (error.message.includes('provider')) failedService = 'blockchain';
+        else if (error instanceof PriceOracleError) failedService = 'oracle';
         
         res.status(500).json({ 
             success: false, 
@@ -1887,77 +3100,379 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
+// BTC OHLC candles
+app.get('/api/prices/btc', async (req, res) => {
+    try {
+        const query = parseCandleQuery(req.query);
+        const candles = await priceCandles.candles(query);
+        
+        res.json({
+            success: true,
+            data: {
+                interval: query.interval,
+                from: query.from,
+                to: query.to,
+                candles
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof CandleError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error fetching BTC candles:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 11. Circuit Breaker
+app.get('/api/circuit-breaker', async (req, res) => {
+    try {
+        const { open, trip } = await circuitBreaker.status();
+        res.json({ success: true, data: { open, trip } });
+    } catch (error) {
+        console.error('Error fetching circuit breaker status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.post('/circuit-breaker/reset', requirePermission('operateCircuitBreaker'), async (req, res) => {
+    try {
+        const { trip } = await circuitBreaker.status();
+        const wasOpen = await circuitBreaker.reset(req.admin.actor);
+        await auditAdmin(req, 'circuitBreaker.reset', trip ? `CircuitBreakerEvent:${trip.id}` : undefined);
+        console.log(`Circuit breaker reset by ${req.admin.actor}`);
+        res.json({ success: true, data: { wasOpen } });
+    } catch (error) {
+        console.error('Error resetting circuit breaker:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.post('/circuit-breaker/pause', requirePermission('operateCircuitBreaker'), async (req, res) => {
+    try {
+        if (!guardianTxManager) {
+            return res.status(503).json({ error: 'Pausing is not configured' });
+        }
+
+        const { trip } = await circuitBreaker.status();
+        const txHash = await pauseContract(trip?.id);
+        await auditAdmin(req, 'contract.pause', CONFIG.CONTRACT_ADDRESS, { txHash });
+        await sendAdminAlert(`Contract paused by ${req.admin.actor}`, txHash);
+        res.json({ success: true, data: { txHash } });
+    } catch (error) {
+        console.error('Error pausing contract:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// 12. Admin
+adminRouter.get('/tokens', requirePermission('read'), async (req, res) => {
+    try {
+        const tokens = await prisma.supportedToken.findMany({ orderBy: { symbol: 'asc' } });
+        res.json({ success: true, data: { tokens } });
+    } catch (error) {
+        console.error('Error fetching tokens:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Checks token fields an admin may set; returns an error message or null
+function validateTokenFields(token) {
+    if (!(token.minAmount >= 0) || !(token.maxAmount >= token.minAmount)) {
+        return 'minAmount must be at least 0 and at most maxAmount';
+    }
+    if (!Number.isInteger(token.slippageBps) || token.slippageBps < 0 || token.slippageBps > 10000) {
+        return 'slippageBps must be an integer between 0 and 10000';
+    }
+    if (token.priceFeed != null && !ethers.isAddress(token.priceFeed)) {
+        return 'Invalid price feed address';
+    }
+    if (!token.isStablecoin && !token.priceFeed) {
+        return 'Tokens other than stablecoins need a priceFeed';
+    }
+    return null;
+}
+
+adminRouter.post('/tokens', requirePermission('manageTokens'), async (req, res) => {
+    try {
+        const { symbol, name, address, decimals, isStablecoin = false, isEnabled = true, minAmount, maxAmount, slippageBps = 50, priceFeed = null } = req.body;
+        
+        if (!symbol || !name) {
+            return res.status(400).json({ error: 'symbol and name are required' });
+        }
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid token address' });
+        }
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+            return res.status(400).json({ error: 'decimals must be an integer between 0 and 36' });
+        }
+        
+        const data = {
+            symbol,
+            name,
+            address: address.toLowerCase(),
+            decimals,
+            isStablecoin: Boolean(isStablecoin),
+            isEnabled: Boolean(isEnabled),
+            minAmount: Number(minAmount),
+            maxAmount: Number(maxAmount),
+            slippageBps,
+            priceFeed
+        };
+        const invalid = validateTokenFields(data);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const existing = await prisma.supportedToken.findFirst({
+            where: { OR: [{ symbol }, { address: data.address }] }
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'Token already exists', tokenId: existing.id });
+        }
+        
+        const token = await prisma.supportedToken.create({ data });
+        await auditAdmin(req, 'token.create', `SupportedToken:${token.id}`, data);
+        
+        res.status(201).json({ success: true, data: { token } });
+    } catch (error) {
+        console.error('Error creating token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.patch('/tokens/:id', requirePermission('manageTokens'), async (req, res) => {
+    try {
+        const token = await prisma.supportedToken.findUnique({ where: { id: req.params.id } });
+        if (!token) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        
+        const changes = {};
+        for (const field of ['name', 'isEnabled', 'minAmount', 'maxAmount', 'slippageBps', 'priceFeed']) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        if (changes.isEnabled !== undefined) changes.isEnabled = Boolean(changes.isEnabled);
+        
+        const invalid = validateTokenFields({ ...token, ...changes });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const updated = await prisma.supportedToken.update({ where: { id: token.id }, data: changes });
+        await auditAdmin(req, 'token.update', `SupportedToken:${token.id}`, {
+            before: Object.fromEntries(Object.keys(changes).map(field => [field, token[field]])),
+            after: changes
+        });
+        
+        res.json({ success: true, data: { token: updated } });
+    } catch (error) {
+        console.error('Error updating token:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.get('/strategies', requirePermission('read'), async (req, res) => {
+    try {
+        const strategies = await prisma.dCAStrategy.findMany({
+            where: req.query.active === undefined ? {} : { isActive: req.query.active === 'true' },
+            orderBy: { createdAt: 'desc' }
+        });
+        res.json({ success: true, data: { strategies } });
+    } catch (error) {
+        console.error('Error fetching strategies:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.post('/strategies/:id/deactivate', requirePermission('manageStrategies'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const strategy = await prisma.dCAStrategy.findUnique({ where: { id: req.params.id } });
+        if (!strategy) {
+            return res.status(404).json({ error: 'Strategy not found' });
+        }
+        if (!strategy.isActive) {
+            return res.status(409).json({ error: 'Strategy is already inactive' });
+        }
+        
+        const updated = await prisma.dCAStrategy.update({ where: { id: strategy.id }, data: { isActive: false } });
+        await auditAdmin(req, 'strategy.deactivate', `DCAStrategy:${strategy.id}`, { reason });
+        
+        res.json({ success: true, data: { strategy: updated } });
+    } catch (error) {
+        console.error('Error deactivating strategy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.get('/settings/dust-threshold', requirePermission('read'), async (req, res) => {
+    try {
+        const [threshold, contractThreshold] = await Promise.all([
+            BitmorDCAService.getDustThreshold(),
+            contract.dustThreshold()
+        ]);
+        res.json({
+            success: true,
+            data: {
+                dustThresholdUSDC: ethers.formatUnits(threshold, 6),
+                contractDustThresholdUSDC: ethers.formatUnits(contractThreshold, 6)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching dust threshold:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.put('/settings/dust-threshold', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const { dustThresholdUSDC } = req.body;
+        if (!(Number(dustThresholdUSDC) > 0)) {
+            return res.status(400).json({ error: 'dustThresholdUSDC must be a positive amount' });
+        }
+        
+        const value = Number(dustThresholdUSDC).toFixed(6);
+        // sweepDust reverts below the contract's own threshold
+        const contractThreshold = await contract.dustThreshold();
+        if (ethers.parseUnits(value, 6) < contractThreshold) {
+            return res.status(400).json({
+                error: 'Threshold is below the contract dustThreshold',
+                contractDustThresholdUSDC: ethers.formatUnits(contractThreshold, 6)
+            });
+        }
+        
+        const previous = await BitmorDCAService.getDustThreshold();
+        await prisma.appSetting.upsert({
+            where: { key: 'dustThresholdUSDC' },
+            create: { key: 'dustThresholdUSDC', value, updatedBy: req.admin.actor },
+            update: { value, updatedBy: req.admin.actor }
+        });
+        await auditAdmin(req, 'setting.update', 'AppSetting:dustThresholdUSDC', {
+            before: ethers.formatUnits(previous, 6),
+            after: value
+        });
+        
+        res.json({ success: true, data: { dustThresholdUSDC: value } });
+    } catch (error) {
+        console.error('Error updating dust threshold:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.get('/error-logs', requirePermission('read'), async (req, res) => {
+    try {
+        const take = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.offset) || 0;
+        const where = {
+            ...(req.query.path && { path: req.query.path }),
+            ...(req.query.since && { timestamp: { gte: new Date(req.query.since) } })
+        };
+        
+        const [errors, total] = await Promise.all([
+            prisma.errorLog.findMany({ where, orderBy: { timestamp: 'desc' }, take, skip }),
+            prisma.errorLog.count({ where })
+        ]);
+        res.json({ success: true, data: { errors, total } });
+    } catch (error) {
+        console.error('Error fetching error logs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+adminRouter.get('/audit-log', requirePermission('read'), async (req, res) => {
+    try {
+        const take = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.offset) || 0;
+        const where = {
+            ...(req.query.actor && { actor: req.query.actor }),
+            ...(req.query.action && { action: req.query.action })
+        };
+        
+        const [entries, total] = await Promise.all([
+            prisma.adminAuditLog.findMany({ where, orderBy: { createdAt: 'desc' }, take, skip }),
+            prisma.adminAuditLog.count({ where })
+        ]);
+        res.json({ success: true, data: { entries, total } });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Cron Jobs for Automated Tasks
 
 // Every 5 minutes - Update BTC price
 cron.schedule('*/5 * * * *', async () => {
     try {
         console.log('Updating BTC price...');
-        const btcPrice = await BitmorDCAService.getBTCPrice();
+        const { price, low, high, rejected } = await priceOracle.getBTCPrice();
         
         // Store in price history
         await prisma.priceHistory.create({
             data: {
                 asset: 'BTC',
-                price: parseFloat(ethers.formatUnits(btcPrice, 18))
+                price
             }
         });
         
         // Update Redis cache
-        await redisClient.set('btc_price', btcPrice.toString(), 'EX', 300);
+        await redisClient.set('btc_price', price.toFixed(8), { EX: 300 });
         
-        console.log('BTC price updated successfully');
+        // Roll ticks up into candles; from an hour back so the first run
+        // after midnight finishes the previous day
+        await priceCandles.rollUp(new Date(Date.now() - 60 * 60 * 1000));
+        
+        for (const { source, reason } of rejected) {
+            console.warn(`BTC price source ${source} rejected: ${reason}`);
+        }
+        console.log(`BTC price updated successfully: $${price} ($${low}-$${high})`);
     } catch (error) {
         console.error('Error updating BTC price:', error);
     }
 });
 
+// Every minute - Trip the circuit breaker on abnormal moves or a stale price
+cron.schedule('* * * * *', async () => {
+    try {
+        await circuitBreaker.evaluate();
+    } catch (error) {
+        console.error('Error evaluating circuit breaker:', error);
+    }
+});
+
 // Every hour - Check for missed payments
 cron.schedule('0 * * * *', async () => {
     try {
         console.log('Checking for missed payments...');
-        const currentTime = Math.floor(Date.now() / 1000);
+        const now = new Date();
         
-        // Get all active plans
+        // Plans that have paid at least once; streaks are kept by the event indexer
         const activePlans = await prisma.dCAPlan.findMany({
             where: {
-                isActive: true
+                isActive: true,
+                lastPaymentTime: { not: null }
             },
             include: {
-                user: true,
-                payments: {
-                    orderBy: {
-                        createdAt: 'desc'
-                    },
-                    take: 1
-                }
+                user: true
             }
         });
         
         for (const plan of activePlans) {
             try {
-                const lastPayment = plan.payments[0];
-                if (!lastPayment) continue; // Skip new plans
-                
-                const lastPaymentTime = Math.floor(lastPayment.createdAt.getTime() / 1000);
-                const expectedInterval = plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
+                if (isPlanPaused(plan, now)) continue; // Nothing is due during a pause
                 
-                if (currentTime - lastPaymentTime > expectedInterval) {
-                    // Payment is overdue
-                    console.log(`Missed payment detected for plan ${plan.id}`);
+                const streak = planStreak(plan, now);
+                if (streak.status === 'grace') {
+                    // Payment is overdue; paying before the grace period ends keeps the streak
+                    console.log(`Missed payment detected for plan ${plan.id}, streak ${streak.streak} lapses at ${streak.graceEndsAt.toISOString()}`);
                     
                     // Send notification (implement your notification system)
                     // await notificationService.sendMissedPaymentAlert(plan.user.address, plan.id);
-                    
-                    // Update streak if needed
-                    if (currentTime - lastPaymentTime > expectedInterval * 2) {
-                        await prisma.dCAPlan.update({
-                            where: { id: plan.id },
-                            data: {
-                                streak: 0
-                            }
-                        });
-                    }
                 }
             } catch (error) {
                 console.error(`Error processing plan ${plan.id}:`, error);
@@ -1970,116 +3485,56 @@ cron.schedule('0 * * * *', async () => {
     }
 });
 
-// Every 6 hours - Check for reward distributions
+// Every 6 hours - Build the allocation report of the latest closed reward epoch
 cron.schedule('0 */6 * * *', async () => {
     try {
         console.log('Running automated reward distribution check...');
         
-        // Get all active users with their plans and payments
-        const users = await prisma.dCAUser.findMany({
-            where: {
-                plans: {
-                    some: {
-                        isActive: true
-                    }
-                }
-            },
-            include: {
-                plans: {
-                    where: {
-                        isActive: true
-                    },
-                    include: {
-                        payments: {
-                            orderBy: {
-                                createdAt: 'desc'
-                            }
-                        }
-                    }
-                }
-            }
-        });
-        
-        const eligibleUsers = [];
-        const rewardAmounts = [];
-        
-        for (const user of users) {
-            try {
-                let totalReward = 0;
-                
-                for (const plan of user.plans) {
-                    // Calculate streak
-                    let currentStreak = 0;
-                    if (plan.payments.length > 0) {
-                        const lastPaymentTime = plan.payments[0].createdAt.getTime() / 1000;
-                        const expectedInterval = plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
-                        
-                        if (Date.now() / 1000 - lastPaymentTime <= expectedInterval) {
-                            currentStreak = plan.payments.reduce((streak, payment, i, arr) => {
-                                if (i === 0) return 1;
-                                const timeDiff = arr[i-1].createdAt.getTime() - payment.createdAt.getTime();
-                                return timeDiff <= expectedInterval ? streak + 1 : streak;
-                            }, 0);
-                        }
-                    }
-                    
-                    // Check if eligible for rewards
-                    if (currentStreak > 0 && currentStreak % 7 === 0) {
-                        const streakWeight = currentStreak * 100;
-                        const commitmentWeight = plan.payments.reduce((sum, p) => sum + p.amount, 0) / 1000;
-                        const penaltyWeight = plan.penaltyMax;
-                        
-                        const totalWeight = streakWeight + commitmentWeight + penaltyWeight;
-                        const reward = Math.floor(totalWeight / 1000);
-                        
-                        if (reward > 0) {
-                            totalReward += reward;
-                        }
-                    }
-                }
-                
-                if (totalReward > 0) {
-                    eligibleUsers.push(user.address);
-                    rewardAmounts.push(totalReward);
-                }
-            } catch (error) {
-                console.error(`Error processing rewards for ${user.address}:`, error);
-            }
-        }
-        
-        if (eligibleUsers.length > 0) {
-            const nonce = BitmorDCAService.generateNonce();
-            
-            // Create signature for batch reward distribution
-            const messageHash = ethers.solidityPackedKeccak256(
-                ['address[]', 'uint128[]', 'bytes32', 'uint256'],
-                [eligibleUsers, rewardAmounts, nonce, 1]
-            );
-            
-            const signature = await BitmorDCAService.signMessage(messageHash);
-            
-            // Call contract to distribute rewards
-            // await contract.distributeRewards(eligibleUsers, rewardAmounts, nonce, signature);
-            
-            console.log(`Rewards distributed to ${eligibleUsers.length} users`);
-        }
+        // Stored once per epoch; /api/admin/rewards/distribute signs its Merkle root
+        const report = await rewardEngine.report(rewardEngine.lastClosedEpoch());
         
+        console.log(`Reward epoch ${report.epoch}: ${report.allocations.length} users, ` +
+            `${ethers.formatEther(report.pool.penaltyBTC)} BTC penalties, ${ethers.formatEther(report.pool.yieldBTC)} BTC yield`);
         console.log('Reward distribution check completed');
     } catch (error) {
         console.error('Error in reward distribution:', error);
     }
 });
 
+// Daily - Reconcile database user state with the contract
+cron.schedule('30 0 * * *', async () => {
+    try {
+        console.log('Reconciling user state with the contract...');
+        const report = await reconciler.run();
+        console.log(formatReport(report));
+    } catch (error) {
+        console.error('Error in reconciliation:', error);
+    }
+});
+
 // Daily maintenance tasks
 cron.schedule('0 0 * * *', async () => {
     try {
         console.log('Running daily maintenance tasks...');
         
-        // Clean up old price history (keep last 30 days)
+        // Clean up old price history (keep last 30 days), cutting at midnight
+        // so no day keeps only part of its ticks; the day about to go is rolled
+        // up into candles first
+        const priceCutoff = candleOpenTime(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), '1d');
+        await priceCandles.rollUp(new Date(priceCutoff.getTime() - 24 * 60 * 60 * 1000), priceCutoff);
         await prisma.priceHistory.deleteMany({
             where: {
                 fetchedAt: {
-                    lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+                    lt: priceCutoff
+                }
+            }
+        });
+        
+        // Clean up sign-in nonces that can no longer be used
+        await prisma.authNonce.deleteMany({
+            where: {
+                expiresAt: {
+                    lt: new Date()
                 }
             }
         });
@@ -2093,40 +3548,6 @@ cron.schedule('0 0 * * *', async () => {
             }
         }
         
-        // Update plan streaks
-        const activePlans = await prisma.dCAPlan.findMany({
-            where: {
-                isActive: true
-            },
-            include: {
-                payments: {
-                    orderBy: {
-                        createdAt: 'desc'
-                    }
-                }
-            }
-        });
-        
-        for (const plan of activePlans) {
-            try {
-                if (plan.payments.length === 0) continue;
-                
-                const lastPaymentTime = plan.payments[0].createdAt.getTime() / 1000;
-                const expectedInterval = plan.cadence === 'daily' ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
-                
-                if (Date.now() / 1000 - lastPaymentTime > expectedInterval * 2) {
-                    await prisma.dCAPlan.update({
-                        where: { id: plan.id },
-                        data: {
-                            streak: 0
-                        }
-                    });
-                }
-            } catch (error) {
-                console.error(`Error updating streak for plan ${plan.id}:`, error);
-            }
-        }
-        
         console.log('Daily maintenance completed');
     } catch (error) {
         console.error('Error in daily maintenance:', error);
@@ -2233,10 +3654,14 @@ process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Starting graceful shutdown...');
     
     // Close server
-    server.close(() => {
+    server?.close(() => {
         console.log('HTTP server closed');
     });
     
+    if (paymentKeeper) {
+        paymentKeeper.stop();
+    }
+    
     try {
         // Close database connection
         await prisma.$disconnect();
@@ -2253,13 +3678,22 @@ process.on('SIGTERM', async () => {
     }
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-    console.log(`BitmorDCA Backend API running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Database: ${process.env.DATABASE_URL.split('@')[1]}`); // Hide credentials
-    console.log(`Redis: ${process.env.REDIS_URL.split('@')[1]}`); // Hide credentials
-});
+// Start server when run directly (npm start runs the tsc build in dist/); tests require the app
+let server;
+if (require.main === module) {
+    redisClient.connect().catch((error) => console.error('Redis connection failed:', error));
+
+    server = app.listen(PORT, () => {
+        console.log(`BitmorDCA Backend API running on port ${PORT}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`Database: ${process.env.DATABASE_URL.split('@')[1]}`); // Hide credentials
+        console.log(`Redis: ${process.env.REDIS_URL.split('@')[1]}`); // Hide credentials
+        
+        if (paymentKeeper) {
+            paymentKeeper.start();
+            console.log(`Payment keeper: ${paymentKeeper.address}`);
+        }
+    });
+}
 
-module.exports = app;
 module.exports = app;
\ No newline at end of file
@@ -1,39 +1,102 @@
 import { ethers } from "ethers";
 import { PrismaClient } from "@prisma/client";
 import { 
-  fetchPrice, 
   swapToCbBTC, 
   depositToAave, 
-  withdrawFromAave,
-  getAaveYield
+  withdrawFromAave
 } from "./utils";
+import { EventIndexer } from "./services/EventIndexer";
+import { contractEventHandlers } from "./services/contractEventHandlers";
+import { TransactionManager } from "./services/TransactionManager";
+import { SwapQuoter } from "./services/SwapQuoter";
+import { createBTCPriceOracle } from "./services/PriceOracle";
+import { RewardEngine, parseRewardWeights } from "./services/RewardEngine";
+import { planStreak } from "./services/PlanStreaks";
+import CONTRACT_ABI from "./abis/BitmorDCA.json";
 
 const prisma = new PrismaClient();
 
 // ENV Variables
 const RPC_URL = process.env.RPC_URL!;
+const PRIVATE_KEY = process.env.BACKEND_PRIVATE_KEY!;
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS!;
-const CONTRACT_ABI = require("./BitmordCA.abi.json");
+const CONTRACT_DEPLOYMENT_BLOCK = parseInt(process.env.CONTRACT_DEPLOYMENT_BLOCK || "0");
+const INDEXER_CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || "12");
+const INDEXER_BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || "2000");
 const UNISWAP_ROUTER = process.env.UNISWAP_ROUTER!;
 const AAVE_POOL = process.env.AAVE_POOL!;
 const cbBTC_ADDRESS = process.env.cbBTC_ADDRESS!;
+const CHAINLINK_BTC_FEED = process.env.CHAINLINK_BTC_FEED;
+const BTC_TWAP_POOL = process.env.BTC_TWAP_POOL;
+const PRICE_HTTP_URL = process.env.PRICE_HTTP_URL ??
+  "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_last_updated_at=true";
+const SWAP_MAX_DEVIATION_BPS = parseInt(process.env.SWAP_MAX_DEVIATION_BPS || "200");
 const DUST_THRESHOLD = ethers.parseUnits("10", 6); // $10 USDC
+const CBBTC_DECIMALS = 8;
+const TX_STUCK_AFTER_MS = parseInt(process.env.TX_STUCK_AFTER_MS || "180000");
+const TX_FEE_BUMP_PERCENT = parseInt(process.env.TX_FEE_BUMP_PERCENT || "15");
+const TX_TIMEOUT_MS = parseInt(process.env.TX_TIMEOUT_MS || "1800000");
+const REWARD_EPOCH_HOURS = parseInt(process.env.REWARD_EPOCH_HOURS || "24");
+const STREAK_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
 // Initialize providers and contracts
 const provider = new ethers.JsonRpcProvider(RPC_URL);
+const signer = new ethers.Wallet(PRIVATE_KEY, provider);
+const txManager = new TransactionManager(signer, prisma, {
+  stuckAfterMs: TX_STUCK_AFTER_MS,
+  feeBumpPercent: TX_FEE_BUMP_PERCENT,
+  timeoutMs: TX_TIMEOUT_MS
+});
+const priceOracle = createBTCPriceOracle(provider, {
+  chainlinkFeed: CHAINLINK_BTC_FEED,
+  twapPool: BTC_TWAP_POOL,
+  twapBtcIsToken0: process.env.BTC_TWAP_BTC_IS_TOKEN0 !== "false",
+  httpUrl: PRICE_HTTP_URL
+}, {
+  maxAgeSeconds: parseInt(process.env.PRICE_MAX_AGE_SECONDS || "3600"),
+  maxDeviationBps: parseInt(process.env.PRICE_MAX_DEVIATION_BPS || "200"),
+  minSources: parseInt(process.env.PRICE_MIN_SOURCES || "2")
+});
+const swapQuoter = new SwapQuoter(provider, prisma, {
+  routerAddress: UNISWAP_ROUTER,
+  cbBTCAddress: cbBTC_ADDRESS,
+  maxDeviationBps: SWAP_MAX_DEVIATION_BPS,
+  getBTCPriceUSD: async () => (await priceOracle.getBTCPrice()).price
+});
 const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+const rewardEngine = new RewardEngine(prisma, {
+  weights: parseRewardWeights(process.env.REWARD_WEIGHTS),
+  epochHours: REWARD_EPOCH_HOURS,
+  getYieldInputs: async () => ({
+    totalValueLocked: await contract.totalValueLocked(),
+    liquidityRate: await contract.getAaveYield(),
+    btcPriceUSD: (await priceOracle.getBTCPrice()).price
+  })
+});
+const eventIndexer = new EventIndexer(provider, prisma, {
+  name: "BitmorDCA",
+  address: CONTRACT_ADDRESS,
+  abi: CONTRACT_ABI,
+  startBlock: CONTRACT_DEPLOYMENT_BLOCK,
+  confirmations: INDEXER_CONFIRMATIONS,
+  batchSize: INDEXER_BATCH_SIZE,
+  handlers: contractEventHandlers
+});
 
 // Price Updates
 async function updatePrices() {
   try {
-    const btcPrice = await fetchPrice("bitcoin");
+    const { price, low, high, rejected } = await priceOracle.getBTCPrice();
     await prisma.priceHistory.create({
       data: {
         asset: "BTC",
-        price: btcPrice
+        price
       }
     });
-    console.log(`[Price Updated] BTC: $${btcPrice}`);
+    for (const { source, reason } of rejected) {
+      console.warn(`[Price Source Rejected] ${source}: ${reason}`);
+    }
+    console.log(`[Price Updated] BTC: $${price} ($${low}-$${high})`);
   } catch (error) {
     console.error("[Price Update Failed]", error);
   }
@@ -51,43 +114,40 @@ async function processDeposit(deposit: any) {
       
       if (!dustSweep) throw new Error("Dust sweep not found");
       
-      // Swap all dust tokens to cbBTC
-      const swapTx = await swapToCbBTC(
-        dustSweep.tokens,
+      // Quote fails rather than swap at a manipulated price
+      const tokens = dustSweep.tokens as { token: string; amount: string }[];
+      const quote = await swapQuoter.quote(
+        tokens.map(({ token, amount }) => ({ token, amount: BigInt(amount) }))
+      );
+      
+      // Swap all dust tokens to cbBTC; the sweep row follows the receipts
+      const swaps = await swapToCbBTC(
+        quote,
         UNISWAP_ROUTER,
-        cbBTC_ADDRESS
+        txManager,
+        { type: "dustSweep", id: dustSweep.id }
       );
       
-      // Update dust sweep status
-      await prisma.dustSweep.update({
-        where: { id: dustSweep.id },
-        data: {
-          txHash: swapTx.hash,
-          status: "completed",
-          completedAt: new Date()
-        }
-      });
+      if (swaps.some((swap) => !swap.success)) {
+        throw new Error("Dust swap reverted");
+      }
     } else {
       // Regular deposit - already in cbBTC
       console.log(`[Regular Deposit] ${deposit.amount} cbBTC`);
     }
     
-    // Deposit to Aave
-    const aaveDepositTx = await depositToAave(
-      deposit.btcAmount,
+    // Deposit to Aave; the deposit row follows the receipt
+    const aaveDeposit = await depositToAave(
+      ethers.parseUnits(deposit.btcAmount.toFixed(CBBTC_DECIMALS), CBBTC_DECIMALS),
       AAVE_POOL,
-      cbBTC_ADDRESS
+      cbBTC_ADDRESS,
+      txManager,
+      { type: "deposit", id: deposit.id }
     );
     
-    // Update deposit status
-    await prisma.deposit.update({
-      where: { id: deposit.id },
-      data: {
-        aaveDepositTx: aaveDepositTx.hash,
-        status: "completed",
-        completedAt: new Date()
-      }
-    });
+    if (!aaveDeposit.success) {
+      throw new Error(`Aave deposit reverted: ${aaveDeposit.hash}`);
+    }
     
     console.log(`[Deposit Completed] ID: ${deposit.id}`);
   } catch (error) {
@@ -106,22 +166,18 @@ async function processDeposit(deposit: any) {
 // Withdrawal Processing
 async function processWithdrawal(withdrawal: any) {
   try {
-    // Withdraw from Aave
-    const aaveWithdrawTx = await withdrawFromAave(
-      withdrawal.btcAmount,
+    // Withdraw from Aave; the withdrawal row follows the receipt
+    const aaveWithdraw = await withdrawFromAave(
+      ethers.parseUnits(withdrawal.btcAmount.toFixed(CBBTC_DECIMALS), CBBTC_DECIMALS),
       AAVE_POOL,
-      cbBTC_ADDRESS
+      cbBTC_ADDRESS,
+      txManager,
+      { type: "withdrawal", id: withdrawal.id }
     );
     
-    // Update withdrawal status
-    await prisma.withdrawal.update({
-      where: { id: withdrawal.id },
-      data: {
-        aaveWithdrawTx: aaveWithdrawTx.hash,
-        status: "completed",
-        completedAt: new Date()
-      }
-    });
+    if (!aaveWithdraw.success) {
+      throw new Error(`Aave withdrawal reverted: ${aaveWithdraw.hash}`);
+    }
     
     console.log(`[Withdrawal Completed] ID: ${withdrawal.id}`);
   } catch (error) {
@@ -138,56 +194,20 @@ async function processWithdrawal(withdrawal: any) {
 }
 
 // Streak Management
+// Streaks are written by the event indexer from PaymentProcessed; this only
+// reports the plans whose grace period ran out in the last hour
 async function updateStreaks() {
   try {
     const currentTime = new Date();
-    
-    // Get all active plans
     const activePlans = await prisma.dCAPlan.findMany({
-      where: {
-        isActive: true
-      },
-      include: {
-        user: true,
-        payments: {
-          orderBy: {
-            createdAt: 'desc'
-          },
-          take: 1
-        }
-      }
+      where: { isActive: true, lastPaymentTime: { not: null } },
+      include: { user: true }
     });
-    
+
     for (const plan of activePlans) {
-      try {
-        if (plan.payments.length === 0) continue;
-        
-        const lastPayment = plan.payments[0];
-        const lastPaymentTime = lastPayment.createdAt;
-        const expectedInterval = plan.cadence === 'daily' ? 
-          24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000;
-        
-        // Check if payment is late
-        if (currentTime.getTime() - lastPaymentTime.getTime() > expectedInterval) {
-          // Check grace period
-          const graceWindow = plan.cadence === 'daily' ? 7 : 21; // days
-          const graceExpiry = new Date(lastPaymentTime.getTime() + graceWindow * 24 * 60 * 60 * 1000);
-          
-          if (currentTime > graceExpiry) {
-            // Reset streak
-            await prisma.dCAUser.update({
-              where: { id: plan.userId },
-              data: {
-                currentStreak: 0,
-                lastGraceUsed: currentTime
-              }
-            });
-            
-            console.log(`[Streak Reset] User: ${plan.user.address}`);
-          }
-        }
-      } catch (error) {
-        console.error(`[Streak Update Failed] Plan: ${plan.id}`, error);
+      const { status, graceEndsAt } = planStreak(plan, currentTime);
+      if (status === "lapsed" && currentTime.getTime() - graceEndsAt!.getTime() <= STREAK_CHECK_INTERVAL_MS) {
+        console.log(`[Streak Lapsed] User: ${plan.user.address} Plan: ${plan.id} Streak: ${plan.streak}`);
       }
     }
   } catch (error) {
@@ -196,301 +216,22 @@ async function updateStreaks() {
 }
 
 // Reward Distribution
+// Builds the allocation report of the latest closed reward epoch; the
+// treasurer signs it through /api/admin/rewards/distribute
 async function distributeRewards() {
   try {
-    // Get yield from Aave
-    const aaveYield = await getAaveYield(AAVE_POOL, cbBTC_ADDRESS);
-    
-    // Create new yield pool
-    const yieldPool = await prisma.yieldPool.create({
-      data: {
-        totalAmount: 0,
-        aaveYield: aaveYield,
-        penaltyAmount: 0
-      }
-    });
-    
-    // Get all users with active streaks
-    const eligibleUsers = await prisma.dCAUser.findMany({
-      where: {
-        currentStreak: {
-          gt: 0
-        }
-      }
-    });
-    
-    if (eligibleUsers.length === 0) {
-      console.log("[No Eligible Users for Rewards]");
-      return;
-    }
-    
-    // Calculate total pool
-    const totalPool = aaveYield;
-    const rewardPerUser = totalPool / eligibleUsers.length;
-    
-    // Distribute rewards
-    for (const user of eligibleUsers) {
-      await prisma.reward.create({
-        data: {
-          userId: user.id,
-          amount: rewardPerUser,
-          source: "yield",
-          eligibleSince: new Date(),
-          weight: 1.0 // Equal distribution for now
-        }
-      });
-    }
-    
-    // Update yield pool
-    await prisma.yieldPool.update({
-      where: { id: yieldPool.id },
-      data: {
-        totalAmount: totalPool,
-        distributedAt: new Date()
-      }
-    });
-    
-    console.log(`[Rewards Distributed] ${eligibleUsers.length} users`);
+    const report = await rewardEngine.report(rewardEngine.lastClosedEpoch());
+    console.log(`[Reward Epoch ${report.epoch}] ${report.allocations.length} users`);
   } catch (error) {
     console.error("[Reward Distribution Failed]", error);
   }
 }
 
 // Event Listeners
+// Contract events are indexed from the last checkpointed block, so nothing
+// emitted while the service was down is lost
 async function listenToContractEvents() {
-  // Plan Creation Event
-  contract.on("PlanCreated", async (user, targetBTC, dailyAmount, timePeriod, cadence, bitmorEnabled) => {
-    console.log(`[Plan Created] User: ${user}`);
-    
-    try {
-      await prisma.dCAUser.upsert({
-        where: { address: user.toLowerCase() },
-        update: {
-          plans: {
-            create: {
-              targetBTC: Number(targetBTC) / 1e18,
-              dailyAmount: Number(dailyAmount) / 1e6,
-              timePeriod: Number(timePeriod),
-              cadence: cadence === 0 ? "daily" : "weekly",
-              isActive: true,
-              bitmorEnabled
-            }
-          }
-        },
-        create: {
-          address: user.toLowerCase(),
-          totalPaid: 0,
-          btcAccumulated: 0,
-          startTime: new Date(),
-          lastPaymentTime: new Date(),
-          currentStreak: 0,
-          maxStreak: 0,
-          plans: {
-            create: {
-              targetBTC: Number(targetBTC) / 1e18,
-              dailyAmount: Number(dailyAmount) / 1e6,
-              timePeriod: Number(timePeriod),
-              cadence: cadence === 0 ? "daily" : "weekly",
-              isActive: true,
-              bitmorEnabled
-            }
-          }
-        }
-      });
-    } catch (error) {
-      console.error(`[Plan Creation Failed] User: ${user}`, error);
-    }
-  });
-  
-  // Payment Event
-  contract.on("PaymentProcessed", async (user, usdcAmount, btcAmount, streak, usesPrepaid) => {
-    console.log(`[Payment Processed] User: ${user}`);
-    
-    try {
-      const dbUser = await prisma.dCAUser.findUnique({
-        where: { address: user.toLowerCase() },
-        include: { plans: { where: { isActive: true } } }
-      });
-      
-      if (!dbUser || !dbUser.plans[0]) {
-        throw new Error("User or active plan not found");
-      }
-      
-      await prisma.dCAPayment.create({
-        data: {
-          planId: dbUser.plans[0].id,
-          amount: Number(usdcAmount) / 1e6,
-          btcAmount: Number(btcAmount) / 1e18,
-          usesPrepaid,
-          status: "completed",
-          completedAt: new Date()
-        }
-      });
-      
-      await prisma.dCAUser.update({
-        where: { id: dbUser.id },
-        data: {
-          totalPaid: { increment: Number(usdcAmount) / 1e6 },
-          btcAccumulated: { increment: Number(btcAmount) / 1e18 },
-          currentStreak: Number(streak),
-          maxStreak: Math.max(dbUser.maxStreak, Number(streak)),
-          lastPaymentTime: new Date()
-        }
-      });
-    } catch (error) {
-      console.error(`[Payment Processing Failed] User: ${user}`, error);
-    }
-  });
-  
-  // Early Withdrawal Event
-  contract.on("EarlyWithdrawal", async (user, btcAmount, penalty, daysRemaining) => {
-    console.log(`[Early Withdrawal] User: ${user}`);
-    
-    try {
-      const dbUser = await prisma.dCAUser.findUnique({
-        where: { address: user.toLowerCase() },
-        include: { plans: { where: { isActive: true } } }
-      });
-      
-      if (!dbUser || !dbUser.plans[0]) {
-        throw new Error("User or active plan not found");
-      }
-      
-      await prisma.withdrawal.create({
-        data: {
-          userId: dbUser.id,
-          planId: dbUser.plans[0].id,
-          btcAmount: Number(btcAmount) / 1e18,
-          penaltyAmount: Number(penalty) / 1e18,
-          status: "completed",
-          completedAt: new Date()
-        }
-      });
-      
-      await prisma.dCAUser.update({
-        where: { id: dbUser.id },
-        data: {
-          btcAccumulated: 0
-        }
-      });
-      
-      await prisma.dCAPlan.update({
-        where: { id: dbUser.plans[0].id },
-        data: {
-          isActive: false
-        }
-      });
-    } catch (error) {
-      console.error(`[Early Withdrawal Failed] User: ${user}`, error);
-    }
-  });
-  
-  // Bitmor Threshold Event
-  contract.on("BitmorThresholdReached", async (user, btcAmount, loanAmount) => {
-    console.log(`[Bitmor Threshold] User: ${user}`);
-    
-    try {
-      const dbUser = await prisma.dCAUser.findUnique({
-        where: { address: user.toLowerCase() },
-        include: { plans: { where: { isActive: true } } }
-      });
-      
-      if (!dbUser || !dbUser.plans[0]) {
-        throw new Error("User or active plan not found");
-      }
-      
-      await prisma.dCAUser.update({
-        where: { id: dbUser.id },
-        data: {
-          thresholdReached: true,
-          btcAccumulated: 0
-        }
-      });
-      
-      await prisma.dCAPlan.update({
-        where: { id: dbUser.plans[0].id },
-        data: {
-          isActive: false
-        }
-      });
-    } catch (error) {
-      console.error(`[Bitmor Threshold Failed] User: ${user}`, error);
-    }
-  });
-  
-  // Rewards Distribution Event
-  contract.on("RewardsDistributed", async (user, rewardAmount, yieldBoost) => {
-    console.log(`[Rewards Distributed] User: ${user}`);
-    
-    try {
-      const dbUser = await prisma.dCAUser.findUnique({
-        where: { address: user.toLowerCase() }
-      });
-      
-      if (!dbUser) {
-        throw new Error("User not found");
-      }
-      
-      await prisma.reward.create({
-        data: {
-          userId: dbUser.id,
-          amount: Number(rewardAmount) / 1e18,
-          source: "yield",
-          eligibleSince: new Date(),
-          weight: 1.0,
-          claimed: false
-        }
-      });
-      
-      // Track hidden yield boost
-      await prisma.reward.create({
-        data: {
-          userId: dbUser.id,
-          amount: Number(yieldBoost) / 1e18,
-          source: "boost",
-          eligibleSince: new Date(),
-          weight: 1.0,
-          claimed: false
-        }
-      });
-    } catch (error) {
-      console.error(`[Rewards Distribution Failed] User: ${user}`, error);
-    }
-  });
-  
-  // Dust Sweep Event
-  contract.on("DustSwept", async (user, dustAmount, btcAmount) => {
-    console.log(`[Dust Swept] User: ${user}`);
-    
-    try {
-      const dbUser = await prisma.dCAUser.findUnique({
-        where: { address: user.toLowerCase() },
-        include: { plans: { where: { isActive: true } } }
-      });
-      
-      if (!dbUser || !dbUser.plans[0]) {
-        throw new Error("User or active plan not found");
-      }
-      
-      await prisma.dustSweep.create({
-        data: {
-          userAddress: user.toLowerCase(),
-          totalValueUSD: Number(dustAmount) / 1e6,
-          status: "completed",
-          completedAt: new Date()
-        }
-      });
-      
-      await prisma.dCAUser.update({
-        where: { id: dbUser.id },
-        data: {
-          btcAccumulated: { increment: Number(btcAmount) / 1e18 }
-        }
-      });
-    } catch (error) {
-      console.error(`[Dust Sweep Failed] User: ${user}`, error);
-    }
-  });
+  eventIndexer.start();
 }
 
 // Main Loop
@@ -500,8 +241,8 @@ async function main() {
   // Update prices every 5 minutes
   setInterval(updatePrices, 5 * 60 * 1000);
   
-  // Update streaks every hour
-  setInterval(updateStreaks, 60 * 60 * 1000);
+  // Check streaks every hour
+  setInterval(updateStreaks, STREAK_CHECK_INTERVAL_MS);
   
   // Distribute rewards daily
   setInterval(distributeRewards, 24 * 60 * 60 * 1000);
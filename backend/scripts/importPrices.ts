@@ -0,0 +1,49 @@
+// Imports historical BTC prices from a CSV or JSON file into PriceCandle.
+//
+// Usage: node dist/scripts/importPrices.js <file> [--interval 1d|1h] [--format csv|json] [--replace]
+//   --interval  candle size to store (default 1d); finer rows are merged
+//   --format    file format (default: from the file extension)
+//   --replace   overwrite existing candles instead of keeping them
+import "dotenv/config";
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { PrismaClient } from "@prisma/client";
+import { CandleInterval, PriceCandleStore, parseCandleImport } from "../services/PriceCandles";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name: string) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const file = args.find((arg, i) => !arg.startsWith("--") && !["--interval", "--format"].includes(args[i - 1]));
+  if (!file) throw new Error("Usage: importPrices <file> [--interval 1d|1h] [--format csv|json] [--replace]");
+
+  const interval = option("--interval") ?? "1d";
+  if (interval !== "1h" && interval !== "1d") throw new Error(`Invalid interval: ${interval}`);
+
+  const format = option("--format") ?? (extname(file).toLowerCase() === ".json" ? "json" : "csv");
+  if (format !== "csv" && format !== "json") throw new Error(`Invalid format: ${format}`);
+
+  const candles = parseCandleImport(readFileSync(file, "utf8"), format, interval as CandleInterval);
+  if (candles.length === 0) {
+    console.log("No prices found");
+    return;
+  }
+
+  const prisma = new PrismaClient();
+  try {
+    const written = await new PriceCandleStore(prisma).import(candles, interval as CandleInterval, args.includes("--replace"));
+    const first = candles[0].openTime.toISOString();
+    const last = candles[candles.length - 1].openTime.toISOString();
+    console.log(`Imported ${written} of ${candles.length} ${interval} candles (${first} to ${last})`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("Price import failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Compares database user state with the contract and prints a discrepancy report.
+//
+// Usage: node dist/scripts/reconcile.js [--repair] [--json] [--address <0x...>]...
+//   --repair   overwrite repairable DB fields with chain state
+//   --json     print the full report as JSON
+//   --address  only reconcile the given user (repeatable)
+//
+// Exits with status 1 when discrepancies remain unrepaired.
+import "dotenv/config";
+import { ethers } from "ethers";
+import { PrismaClient } from "@prisma/client";
+import { Reconciler, formatReport } from "../services/Reconciler";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const addresses: string[] = [];
+  args.forEach((arg, i) => {
+    if (arg === "--address") addresses.push(args[i + 1]);
+  });
+
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) throw new Error(`Invalid address: ${address}`);
+  }
+
+  const prisma = new PrismaClient();
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const reconciler = new Reconciler(provider, prisma, {
+    contractAddress: process.env.CONTRACT_ADDRESS!,
+    autoRepair: args.includes("--repair")
+  });
+
+  try {
+    const report = await reconciler.run(addresses.length ? addresses : undefined);
+    console.log(args.includes("--json") ? JSON.stringify(report, null, 2) : formatReport(report));
+
+    const unresolved = report.discrepancies.some((d) => !d.repaired) || report.failures.length > 0;
+    process.exitCode = unresolved ? 1 : 0;
+  } finally {
+    await prisma.$disconnect();
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error("Reconciliation failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import { IndexedEvent } from "./EventIndexer";
+import { getPaymentInterval } from "../utils";
+
+// Streak lengths in days that earn a badge
+export const STREAK_MILESTONE_DAYS = [7, 30, 100, 365];
+
+// BTC a user has to accumulate for first_btc
+export const FIRST_BTC_THRESHOLD = 0.01;
+
+// Database BTC amounts are sums of floats; the contract compares exact units
+const BTC_TOLERANCE = 1e-9;
+
+// Every badge, in the order they are listed
+export const ACHIEVEMENTS = {
+  streak_7: { title: "7-Day Streak", description: "Kept a streak going for 7 days" },
+  streak_30: { title: "30-Day Streak", description: "Kept a streak going for 30 days" },
+  streak_100: { title: "100-Day Streak", description: "Kept a streak going for 100 days" },
+  streak_365: { title: "365-Day Streak", description: "Kept a streak going for a year" },
+  first_btc: { title: "First 0.01 BTC", description: `Accumulated ${FIRST_BTC_THRESHOLD} BTC` },
+  perfect_plan: { title: "Perfect Plan", description: "Reached a plan's target without missing a payment" },
+  dust_swept: { title: "Dust Collector", description: "Swept dust into BTC" }
+};
+
+export type AchievementKind = keyof typeof ACHIEVEMENTS;
+
+export interface UserAchievement {
+  kind: AchievementKind;
+  title: string;
+  description: string;
+  earned: boolean;
+  // The rest are null until earned
+  awardedAt: Date | null;
+  // DCAPlan id of the plan that earned it
+  planId: string | null;
+  txHash: string | null;
+}
+
+export interface UserAchievements {
+  address: string;
+  earned: number;
+  achievements: UserAchievement[];
+}
+
+/**
+ * Streak badges for a plan's streak. A streak counts payments, so a weekly
+ * streak covers seven days a payment.
+ */
+export function streakAchievements(streak: number, cadence: string): AchievementKind[] {
+  const days = (streak * getPaymentInterval(cadence)) / (24 * 60 * 60);
+  return STREAK_MILESTONE_DAYS
+    .filter((milestone) => days >= milestone)
+    .map((milestone) => `streak_${milestone}` as AchievementKind);
+}
+
+/**
+ * Whether a database BTC amount has reached `target`
+ */
+export function reachesBTC(amount: number, target: number): boolean {
+  return amount + BTC_TOLERANCE >= target;
+}
+
+/**
+ * Whether a plan was paid without ever restarting its streak: the contract
+ * only records a streak of 1 on a plan's first counted payment and after a
+ * missed one
+ */
+export function paidWithoutMiss(payments: { streak: number | null }[]): boolean {
+  return payments.filter((payment) => payment.streak === 1).length <= 1;
+}
+
+/**
+ * Stores the badges a user doesn't hold yet, stamped with the event that
+ * earned them so a reorg can take them back
+ */
+export async function awardAchievements(
+  tx: Prisma.TransactionClient,
+  award: { userId: string; planId?: string; kinds: AchievementKind[] },
+  event: IndexedEvent
+): Promise<AchievementKind[]> {
+  if (award.kinds.length === 0) return [];
+
+  const held = await tx.achievement.findMany({
+    where: { userId: award.userId, kind: { in: award.kinds } },
+    select: { kind: true }
+  });
+  const heldKinds = new Set(held.map((achievement) => achievement.kind));
+  const kinds = award.kinds.filter((kind) => !heldKinds.has(kind));
+
+  if (kinds.length > 0) {
+    await tx.achievement.createMany({
+      data: kinds.map((kind) => ({
+        userId: award.userId,
+        kind,
+        planId: award.planId ?? null,
+        awardedAt: event.timestamp,
+        txHash: event.txHash,
+        logIndex: event.logIndex
+      }))
+    });
+  }
+  return kinds;
+}
+
+/**
+ * Takes back the badges an event awarded
+ */
+export async function revokeAchievements(tx: Prisma.TransactionClient, event: IndexedEvent): Promise<void> {
+  await tx.achievement.deleteMany({
+    where: { txHash: event.txHash, logIndex: event.logIndex }
+  });
+}
+
+/**
+ * Reads a user's badges, which the event indexer awards from
+ * PaymentProcessed and DustSwept
+ */
+export class AchievementBook {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Every badge with whether and when the user earned it, or null if the
+   * user does not exist
+   */
+  async userAchievements(address: string): Promise<UserAchievements | null> {
+    const user = await this.prisma.dCAUser.findUnique({
+      where: { address: address.toLowerCase() },
+      include: { achievements: true }
+    });
+    if (!user) return null;
+
+    const earned = new Map(user.achievements.map((a) => [a.kind, a]));
+    const achievements = (Object.keys(ACHIEVEMENTS) as AchievementKind[]).map((kind) => {
+      const achievement = earned.get(kind);
+      return {
+        kind,
+        ...ACHIEVEMENTS[kind],
+        earned: Boolean(achievement),
+        awardedAt: achievement?.awardedAt ?? null,
+        planId: achievement?.planId ?? null,
+        txHash: achievement?.txHash ?? null
+      };
+    });
+
+    return {
+      address: user.address,
+      earned: achievements.filter((achievement) => achievement.earned).length,
+      achievements
+    };
+  }
+}
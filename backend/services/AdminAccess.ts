@@ -0,0 +1,143 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+import crypto from "crypto";
+
+export type AdminRole = "operator" | "treasurer" | "viewer";
+
+export type AdminPermission =
+  | "read"
+  | "manageTokens"
+  | "manageStrategies"
+  | "manageSettings"
+  | "operateCircuitBreaker"
+  | "distributeRewards";
+
+/**
+ * Viewers only read; operators run the platform; treasurers move funds
+ */
+export const ROLE_PERMISSIONS: Record<AdminRole, AdminPermission[]> = {
+  viewer: ["read"],
+  operator: ["read", "manageTokens", "manageStrategies", "manageSettings", "operateCircuitBreaker"],
+  treasurer: ["read", "distributeRewards"]
+};
+
+export interface AdminApiKey {
+  name: string;
+  role: AdminRole;
+  key: string;
+}
+
+export interface AdminWallet {
+  address: string;
+  role: AdminRole;
+}
+
+/**
+ * Who is performing an admin request; `actor` is the key name or wallet address
+ */
+export interface AdminIdentity {
+  actor: string;
+  role: AdminRole;
+  via: "apiKey" | "wallet";
+}
+
+export interface AdminAuditEntry {
+  action: string;
+  // What the action changed, e.g. "SupportedToken:<id>"
+  target?: string;
+  details?: unknown;
+  ip?: string;
+}
+
+const isRole = (role: string): role is AdminRole => role in ROLE_PERMISSIONS;
+
+const digest = (value: string) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Parses "name:role:key" entries separated by commas
+ */
+export function parseAdminApiKeys(value: string | undefined): AdminApiKey[] {
+  return (value ?? "").split(",").filter((entry) => entry.trim()).map((entry) => {
+    const [name, role, ...key] = entry.trim().split(":");
+    if (!name || !isRole(role) || !key.length) {
+      throw new Error(`Invalid admin API key entry "${name}"; expected name:role:key`);
+    }
+    return { name, role, key: key.join(":") };
+  });
+}
+
+/**
+ * Parses "address:role" entries separated by commas
+ */
+export function parseAdminWallets(value: string | undefined): AdminWallet[] {
+  return (value ?? "").split(",").filter((entry) => entry.trim()).map((entry) => {
+    const [address, role] = entry.trim().split(":");
+    if (!ethers.isAddress(address) || !isRole(role)) {
+      throw new Error(`Invalid admin wallet entry "${entry}"; expected address:role`);
+    }
+    return { address: ethers.getAddress(address), role };
+  });
+}
+
+/**
+ * Resolves admin requests to a role and records what they do.
+ *
+ * Admins authenticate with an API key or a Sign-In with Ethereum session
+ * for a configured wallet. Every change made through the admin API is
+ * written to AdminAuditLog.
+ */
+export class AdminAccess {
+  private readonly prisma: PrismaClient;
+  private readonly apiKeys: { name: string; role: AdminRole; digest: Buffer }[];
+  private readonly wallets: Map<string, AdminRole>;
+
+  constructor(prisma: PrismaClient, options: { apiKeys?: AdminApiKey[]; wallets?: AdminWallet[] }) {
+    this.prisma = prisma;
+    this.apiKeys = (options.apiKeys ?? []).map(({ name, role, key }) => ({ name, role, digest: digest(key) }));
+    this.wallets = new Map((options.wallets ?? []).map(({ address, role }) => [address.toLowerCase(), role]));
+  }
+
+  /**
+   * Identity for an API key, or null if it matches none
+   */
+  fromApiKey(key: string): AdminIdentity | null {
+    const given = digest(key);
+    // Compare against every key so timing does not reveal which one matched
+    let match: AdminIdentity | null = null;
+    for (const entry of this.apiKeys) {
+      if (crypto.timingSafeEqual(given, entry.digest)) {
+        match = { actor: entry.name, role: entry.role, via: "apiKey" };
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Identity for a signed-in wallet, or null if it holds no role
+   */
+  fromWallet(address: string): AdminIdentity | null {
+    const role = this.wallets.get(address.toLowerCase());
+    return role ? { actor: ethers.getAddress(address), role, via: "wallet" } : null;
+  }
+
+  can(identity: AdminIdentity, permission: AdminPermission): boolean {
+    return ROLE_PERMISSIONS[identity.role].includes(permission);
+  }
+
+  async audit(identity: AdminIdentity, entry: AdminAuditEntry): Promise<void> {
+    await this.prisma.adminAuditLog.create({
+      data: {
+        actor: identity.actor,
+        role: identity.role,
+        via: identity.via,
+        action: entry.action,
+        target: entry.target,
+        details: entry.details === undefined ? undefined : JSON.parse(JSON.stringify(entry.details, jsonSafe)),
+        ip: entry.ip
+      }
+    });
+  }
+}
+
+// Audit details may hold bigint amounts
+const jsonSafe = (_key: string, value: unknown) => (typeof value === "bigint" ? value.toString() : value);
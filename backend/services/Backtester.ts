@@ -0,0 +1,233 @@
+import { PrismaClient } from "@prisma/client";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest window a single backtest replays
+const MAX_WINDOW_DAYS = 3650;
+
+/**
+ * BTC close for one UTC day; `date` is YYYY-MM-DD
+ */
+export interface DailyClose {
+  date: string;
+  close: number;
+}
+
+export interface BacktestConfig {
+  targetBTC: number;
+  timePeriodDays: number;
+  cadence: "daily" | "weekly";
+  // USDC per day of plan; a weekly purchase buys seven days' worth
+  dailyAmount: number;
+  // Replay window, YYYY-MM-DD inclusive. Purchases stop after timePeriodDays;
+  // the position is valued through endDate.
+  startDate: string;
+  endDate: string;
+}
+
+export interface BacktestOutcome {
+  btcAccumulated: number;
+  // USDC per BTC
+  averageCostBasis: number;
+  finalValue: number;
+  returnPct: number;
+  // Largest peak-to-trough fall in value per USDC invested so far
+  maxDrawdownPct: number;
+}
+
+export interface BacktestResult extends BacktestOutcome {
+  purchases: number;
+  // Scheduled purchases before the first known close
+  skippedPurchases: number;
+  totalInvested: number;
+  finalPrice: number;
+  targetBTC: number;
+  targetReached: boolean;
+  // The same total bought at the first purchase's price
+  lumpSum: BacktestOutcome;
+  // How much more (or less) the DCA position is worth than the lump sum
+  dcaVsLumpSumPct: number;
+}
+
+/**
+ * A backtest input is unusable; the message is safe to return to clients
+ */
+export class BacktestError extends Error {
+  constructor(readonly code: "INVALID_WINDOW" | "INVALID_CSV" | "NO_PRICES", message: string) {
+    super(message);
+    this.name = "BacktestError";
+  }
+}
+
+const toDay = (date: Date) => date.toISOString().slice(0, 10);
+
+const parseDay = (value: string): number => {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(time)) {
+    throw new BacktestError("INVALID_WINDOW", `Invalid date ${value}, expected YYYY-MM-DD`);
+  }
+  return time;
+};
+
+/**
+ * Reads "date,close" rows. A header row may name the columns (date/time/timestamp
+ * and close/price); without one the first two columns are used.
+ */
+export function parseDailyClosesCsv(csv: string): DailyClose[] {
+  const rows = csv.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).map((line) => line.split(","));
+  if (rows.length === 0) return [];
+
+  let dateColumn = 0;
+  let closeColumn = 1;
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  if (Number.isNaN(Number(header[1]))) {
+    dateColumn = header.findIndex((cell) => ["date", "time", "timestamp"].includes(cell));
+    closeColumn = header.findIndex((cell) => ["close", "price"].includes(cell));
+    if (dateColumn < 0 || closeColumn < 0) {
+      throw new BacktestError("INVALID_CSV", "CSV header needs a date and a close column");
+    }
+    rows.shift();
+  }
+
+  const closes = new Map<string, number>();
+  rows.forEach((row, i) => {
+    const date = new Date(row[dateColumn]?.trim() ?? "");
+    const close = Number(row[closeColumn]);
+    if (Number.isNaN(date.getTime()) || !(close > 0)) {
+      throw new BacktestError("INVALID_CSV", `Invalid CSV row ${i + 1}: ${row.join(",")}`);
+    }
+    closes.set(toDay(date), close);
+  });
+
+  return [...closes].map(([date, close]) => ({ date, close })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Close the first purchase on `startDate` would pay: that day's or the latest
+ * before it, else the first one after it
+ */
+export function startingPrice(closes: DailyClose[], startDate: string): number | null {
+  const before = [...closes].reverse().find(({ date }) => date <= startDate);
+  return (before ?? closes.find(({ date }) => date > startDate))?.close ?? null;
+}
+
+/**
+ * Replays a plan's purchases over historical daily closes. A day without a
+ * close uses the most recent earlier one.
+ */
+export function runBacktest(config: BacktestConfig, closes: DailyClose[]): BacktestResult {
+  const start = parseDay(config.startDate);
+  const end = parseDay(config.endDate);
+  const windowDays = Math.round((end - start) / DAY_MS) + 1;
+  if (windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+    throw new BacktestError("INVALID_WINDOW", `Window must span 1 to ${MAX_WINDOW_DAYS} days`);
+  }
+
+  const byDate = new Map(closes.map(({ date, close }) => [date, close]));
+  const interval = config.cadence === "weekly" ? 7 : 1;
+  const purchaseAmount = config.dailyAmount * interval;
+
+  // Carries the last close forward, seeded from data before the window
+  let price = [...closes].reverse().find(({ date }) => date < config.startDate)?.close;
+
+  let purchases = 0;
+  let skippedPurchases = 0;
+  let invested = 0;
+  let btc = 0;
+  let firstPrice: number | undefined;
+  const dca = { peak: 0, maxDrawdown: 0 };
+  const lump = { peak: 0, maxDrawdown: 0 };
+
+  for (let day = 0; day < windowDays; day++) {
+    price = byDate.get(toDay(new Date(start + day * DAY_MS))) ?? price;
+
+    if (day < config.timePeriodDays && day % interval === 0) {
+      if (price === undefined) {
+        skippedPurchases++;
+      } else {
+        purchases++;
+        invested += purchaseAmount;
+        btc += purchaseAmount / price;
+        firstPrice ??= price;
+      }
+    }
+
+    if (price !== undefined && firstPrice !== undefined) {
+      trackDrawdown(dca, (btc * price) / invested);
+      trackDrawdown(lump, price / firstPrice);
+    }
+  }
+
+  if (price === undefined || firstPrice === undefined) {
+    throw new BacktestError("NO_PRICES", "No BTC prices in the backtest window");
+  }
+
+  const finalValue = btc * price;
+  const lumpBTC = invested / firstPrice;
+  const lumpValue = lumpBTC * price;
+
+  return {
+    purchases,
+    skippedPurchases,
+    totalInvested: invested,
+    btcAccumulated: btc,
+    averageCostBasis: invested / btc,
+    finalPrice: price,
+    finalValue,
+    returnPct: ((finalValue - invested) / invested) * 100,
+    maxDrawdownPct: dca.maxDrawdown * 100,
+    targetBTC: config.targetBTC,
+    targetReached: btc >= config.targetBTC,
+    lumpSum: {
+      btcAccumulated: lumpBTC,
+      averageCostBasis: firstPrice,
+      finalValue: lumpValue,
+      returnPct: ((lumpValue - invested) / invested) * 100,
+      maxDrawdownPct: lump.maxDrawdown * 100
+    },
+    dcaVsLumpSumPct: ((finalValue - lumpValue) / lumpValue) * 100
+  };
+}
+
+function trackDrawdown(state: { peak: number; maxDrawdown: number }, value: number): void {
+  state.peak = Math.max(state.peak, value);
+  state.maxDrawdown = Math.max(state.maxDrawdown, (state.peak - value) / state.peak);
+}
+
+/**
+ * Loads stored BTC prices for backtests
+ */
+export class Backtester {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Closes of the stored 1d candles in the window, plus the last one before
+   * it so the first days can carry a price forward
+   */
+  async loadDailyCloses(startDate: string, endDate: string): Promise<DailyClose[]> {
+    const from = new Date(parseDay(startDate));
+    const to = new Date(parseDay(endDate) + DAY_MS);
+    const select = { openTime: true, close: true };
+
+    const [candles, before] = await Promise.all([
+      this.prisma.priceCandle.findMany({
+        where: { asset: "BTC", interval: "1d", openTime: { gte: from, lt: to } },
+        orderBy: { openTime: "asc" },
+        select
+      }),
+      this.prisma.priceCandle.findFirst({
+        where: { asset: "BTC", interval: "1d", openTime: { lt: from } },
+        orderBy: { openTime: "desc" },
+        select
+      })
+    ]);
+
+    return (before ? [before, ...candles] : candles).map(({ openTime, close }) => ({
+      date: toDay(openTime),
+      close
+    }));
+  }
+}
@@ -0,0 +1,171 @@
+import { PrismaClient } from "@prisma/client";
+export type CircuitBreakerReason = "PRICE_MOVE" | "ORACLE_STALE";
+
+export interface CircuitBreakerOptions {
+  // Trip when BTC moves more than this percent...
+  maxMovePercent?: number;
+  // ...between any two PriceHistory rows in this window
+  windowMinutes?: number;
+  // Trip when the newest PriceHistory row is older than this
+  maxPriceAgeMinutes?: number;
+  // Called once per trip, e.g. to alert admins or pause the contract
+  onTrip?: (trip: CircuitBreakerTrip) => Promise<void>;
+}
+
+export interface CircuitBreakerTrip {
+  id: string;
+  reason: CircuitBreakerReason;
+  detail: string;
+  trippedAt: Date;
+}
+
+export interface CircuitBreakerStatus {
+  open: boolean;
+  trip: CircuitBreakerTrip | null;
+}
+
+/**
+ * Signed quotes are suspended; `code` is safe to return to clients
+ */
+export class CircuitBreakerError extends Error {
+  readonly code = "CIRCUIT_BREAKER_OPEN";
+
+  constructor(readonly trip: CircuitBreakerTrip) {
+    super(`Quotes suspended: ${trip.detail}`);
+    this.name = "CircuitBreakerError";
+  }
+}
+
+/**
+ * Suspends price-based quoting when BTC moves abnormally or the price feed
+ * goes stale, judged from PriceHistory. A trip is stored as a
+ * CircuitBreakerEvent and stays open until an admin resets it, so every
+ * API instance sees it and it survives restarts.
+ */
+export class CircuitBreaker {
+  private readonly prisma: PrismaClient;
+  private readonly maxMovePercent: number;
+  private readonly windowMinutes: number;
+  private readonly maxPriceAgeMinutes: number;
+  private readonly onTrip?: (trip: CircuitBreakerTrip) => Promise<void>;
+
+  constructor(prisma: PrismaClient, options: CircuitBreakerOptions = {}) {
+    this.prisma = prisma;
+    this.maxMovePercent = options.maxMovePercent ?? 10;
+    this.windowMinutes = options.windowMinutes ?? 60;
+    this.maxPriceAgeMinutes = options.maxPriceAgeMinutes ?? 15;
+    this.onTrip = options.onTrip;
+  }
+
+  async status(): Promise<CircuitBreakerStatus> {
+    const event = await this.prisma.circuitBreakerEvent.findFirst({
+      where: { resetAt: null },
+      orderBy: { trippedAt: "desc" }
+    });
+    return { open: Boolean(event), trip: event ? toTrip(event) : null };
+  }
+
+  /**
+   * Throws CircuitBreakerError while the breaker is open
+   */
+  async assertClosed(): Promise<void> {
+    const { trip } = await this.status();
+    if (trip) throw new CircuitBreakerError(trip);
+  }
+
+  /**
+   * Checks PriceHistory and trips the breaker if either condition holds
+   */
+  async evaluate(now: Date = new Date()): Promise<CircuitBreakerStatus> {
+    const current = await this.status();
+    if (current.open) return current;
+
+    const problem = await this.findProblem(now);
+    if (!problem) return current;
+
+    const event = await this.prisma.circuitBreakerEvent.create({
+      data: { reason: problem.reason, detail: problem.detail, trippedAt: now }
+    });
+    const trip = toTrip(event);
+    console.error(`[Circuit Breaker Tripped] ${trip.reason}: ${trip.detail}`);
+
+    if (this.onTrip) {
+      try {
+        await this.onTrip(trip);
+      } catch (error) {
+        console.error("[Circuit Breaker Trip Handler Failed]", error);
+      }
+    }
+
+    return { open: true, trip };
+  }
+
+  /**
+   * Records that the contract was paused for the open trip
+   */
+  async recordPause(tripId: string, txHash: string): Promise<void> {
+    await this.prisma.circuitBreakerEvent.update({
+      where: { id: tripId },
+      data: { contractPaused: true, pauseTxHash: txHash }
+    });
+  }
+
+  /**
+   * Closes the open trip; returns false if there was none
+   */
+  async reset(resetBy: string): Promise<boolean> {
+    const { count } = await this.prisma.circuitBreakerEvent.updateMany({
+      where: { resetAt: null },
+      data: { resetAt: new Date(), resetBy }
+    });
+    return count > 0;
+  }
+
+  private async findProblem(now: Date): Promise<{ reason: CircuitBreakerReason; detail: string } | null> {
+    const since = new Date(now.getTime() - this.windowMinutes * 60 * 1000);
+    const prices = await this.prisma.priceHistory.findMany({
+      where: { asset: "BTC", fetchedAt: { gte: since } },
+      orderBy: { fetchedAt: "asc" }
+    });
+
+    const latest = prices.length
+      ? prices[prices.length - 1]
+      : await this.prisma.priceHistory.findFirst({ where: { asset: "BTC" }, orderBy: { fetchedAt: "desc" } });
+
+    const ageMinutes = latest ? (now.getTime() - latest.fetchedAt.getTime()) / 60000 : Infinity;
+    if (ageMinutes > this.maxPriceAgeMinutes) {
+      return {
+        reason: "ORACLE_STALE",
+        detail: latest
+          ? `Last BTC price is ${Math.round(ageMinutes)} minutes old (max ${this.maxPriceAgeMinutes})`
+          : "No BTC price recorded"
+      };
+    }
+
+    // Largest move between a low and a later high, or a high and a later low
+    let low = prices[0].price;
+    let high = prices[0].price;
+    let maxMove = 0;
+    for (const { price } of prices) {
+      maxMove = Math.max(maxMove, (price - low) / low * 100, (high - price) / high * 100);
+      low = Math.min(low, price);
+      high = Math.max(high, price);
+    }
+
+    if (maxMove > this.maxMovePercent) {
+      return {
+        reason: "PRICE_MOVE",
+        detail: `BTC moved ${maxMove.toFixed(2)}% within ${this.windowMinutes} minutes (max ${this.maxMovePercent}%)`
+      };
+    }
+
+    return null;
+  }
+}
+
+const toTrip = (event: any): CircuitBreakerTrip => ({
+  id: event.id,
+  reason: event.reason,
+  detail: event.detail,
+  trippedAt: event.trippedAt
+});
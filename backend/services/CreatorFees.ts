@@ -0,0 +1,128 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+
+/**
+ * A creator's cut of a payment of `usdcAmount` (6 decimals), rounded down
+ */
+export function creatorFee(usdcAmount: bigint, feeBps: number): bigint {
+  return (usdcAmount * BigInt(feeBps)) / 10_000n;
+}
+
+/**
+ * Creator and fee signed into a payment of `usdcAmount` on `plan`; the zero
+ * address and 0 for plans without a paid strategy. The contract sets the fee
+ * aside for the creator as the payment is made.
+ */
+export function paymentCreatorFee(
+  plan: { creatorFeeBps: number; strategy?: { creator: string } | null },
+  usdcAmount: bigint
+): { creator: string; fee: bigint } {
+  const fee = plan.strategy ? creatorFee(usdcAmount, plan.creatorFeeBps) : 0n;
+  return { creator: fee > 0n ? plan.strategy!.creator : ethers.ZeroAddress, fee };
+}
+
+export interface StrategyEarnings {
+  strategyId: string;
+  creator: string;
+  feeBps: number;
+  // USDC
+  totalEarned: number;
+  payments: number;
+}
+
+export interface CreatorEarnings {
+  creator: string;
+  // USDC; claimable is what claimCreatorFees would pay out now
+  totalEarned: number;
+  totalClaimed: number;
+  claimable: number;
+  strategies: { strategyId: string; name: string; earned: number; payments: number }[];
+  claims: { amount: number; txHash: string; claimedAt: Date }[];
+}
+
+/**
+ * Reads the creator fee ledger. CreatorFee rows are written by the event
+ * indexer for every PaymentProcessed on a plan subscribed through a
+ * strategy, and CreatorFeeClaim rows for every CreatorFeesClaimed; the
+ * contract pays a claim up to the lifetime total the backend signs.
+ */
+export class CreatorFeeLedger {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Fees a strategy has earned its creator, or null if it does not exist
+   */
+  async strategyEarnings(strategyId: string): Promise<StrategyEarnings | null> {
+    const strategy = await this.prisma.dCAStrategy.findUnique({ where: { id: strategyId } });
+    if (!strategy) return null;
+
+    const { _sum, _count } = await this.prisma.creatorFee.aggregate({
+      where: { strategyId },
+      _sum: { amount: true },
+      _count: true
+    });
+
+    return {
+      strategyId,
+      creator: strategy.creator,
+      feeBps: strategy.fee,
+      totalEarned: _sum.amount ?? 0,
+      payments: _count
+    };
+  }
+
+  async creatorEarnings(address: string): Promise<CreatorEarnings> {
+    const creator = address.toLowerCase();
+    const [byStrategy, claims] = await Promise.all([
+      this.prisma.creatorFee.groupBy({
+        by: ["strategyId"],
+        where: { creator },
+        _sum: { amount: true },
+        _count: true
+      }),
+      this.prisma.creatorFeeClaim.findMany({
+        where: { creator },
+        orderBy: { claimedAt: "desc" }
+      })
+    ]);
+
+    const strategies = await this.prisma.dCAStrategy.findMany({
+      where: { id: { in: byStrategy.map((row) => row.strategyId) } },
+      select: { id: true, name: true }
+    });
+    const names = new Map(strategies.map((s) => [s.id, s.name]));
+
+    const totalEarned = byStrategy.reduce((sum, row) => sum + (row._sum.amount ?? 0), 0);
+    const totalClaimed = claims.reduce((sum, claim) => sum + claim.amount, 0);
+
+    return {
+      creator,
+      totalEarned,
+      totalClaimed,
+      claimable: Math.max(0, totalEarned - totalClaimed),
+      strategies: byStrategy.map((row) => ({
+        strategyId: row.strategyId,
+        name: names.get(row.strategyId) ?? "",
+        earned: row._sum.amount ?? 0,
+        payments: row._count
+      })),
+      claims: claims.map(({ amount, txHash, claimedAt }) => ({ amount, txHash, claimedAt }))
+    };
+  }
+
+  /**
+   * Lifetime earnings in USDC base units, the total claimCreatorFees is signed for
+   */
+  async totalEarned(address: string): Promise<bigint> {
+    const { _sum } = await this.prisma.creatorFee.aggregate({
+      where: { creator: address.toLowerCase() },
+      _sum: { amount: true }
+    });
+    // Each row is a whole number of base units, so rounding only drops float noise
+    return ethers.parseUnits((_sum.amount ?? 0).toFixed(6), 6);
+  }
+}
@@ -0,0 +1,298 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+
+/**
+ * A decoded contract log. Numeric arguments are kept as decimal strings so a
+ * live log and one reloaded from ChainEvent have the same shape.
+ */
+export interface IndexedEvent {
+  name: string;
+  args: Record<string, string | boolean>;
+  txHash: string;
+  logIndex: number;
+  blockNumber: number;
+  blockHash: string;
+  timestamp: Date;
+  // Plan the handler touched when the event was applied
+  planId?: string | null;
+}
+
+/**
+ * Applies one event type to the database and undoes it when its block is
+ * reorged out. Both run in the transaction that records the ChainEvent row,
+ * so `tx` is a Prisma transaction client.
+ */
+export interface ContractEventHandler {
+  // Returns the id of the plan the event was applied to, if any
+  apply(tx: Prisma.TransactionClient, event: IndexedEvent): Promise<string | null | void>;
+  revert(tx: Prisma.TransactionClient, event: IndexedEvent): Promise<void>;
+}
+
+export interface EventIndexerOptions {
+  // Checkpoint id, one per indexed contract
+  name: string;
+  address: string;
+  abi: ethers.InterfaceAbi;
+  // Block the contract was deployed in; backfill starts here
+  startBlock: number;
+  handlers: Record<string, ContractEventHandler>;
+  confirmations?: number;
+  batchSize?: number;
+  pollIntervalMs?: number;
+}
+
+interface Checkpoint {
+  blockNumber: number;
+  blockHash: string;
+}
+
+/**
+ * Polls contract logs in block ranges and applies them through idempotent
+ * handlers keyed by (txHash, logIndex).
+ *
+ * Only blocks with `confirmations` blocks on top are indexed. The last
+ * processed block and its hash are stored in IndexerCheckpoint; when that
+ * hash no longer matches the chain, events newer than the last block both
+ * sides agree on are reverted and the range is indexed again.
+ */
+export class EventIndexer {
+  private readonly provider: ethers.Provider;
+  private readonly prisma: PrismaClient;
+  private readonly iface: ethers.Interface;
+  private readonly options: EventIndexerOptions;
+  private readonly confirmations: number;
+  private readonly batchSize: number;
+  private readonly pollIntervalMs: number;
+  private timer: NodeJS.Timeout | null = null;
+  private polling = false;
+
+  constructor(provider: ethers.Provider, prisma: PrismaClient, options: EventIndexerOptions) {
+    this.provider = provider;
+    this.prisma = prisma;
+    this.iface = new ethers.Interface(options.abi);
+    this.options = options;
+    this.confirmations = options.confirmations ?? 12;
+    this.batchSize = options.batchSize ?? 2000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 15_000;
+  }
+
+  /**
+   * Polls on an interval until stopped; a poll never overlaps the previous one
+   */
+  start(): void {
+    if (this.timer) return;
+
+    const tick = async () => {
+      if (this.polling) return;
+      this.polling = true;
+      try {
+        await this.poll();
+      } catch (error) {
+        console.error(`[Indexer Poll Failed] ${this.options.name}`, error);
+      } finally {
+        this.polling = false;
+      }
+    };
+
+    this.timer = setInterval(tick, this.pollIntervalMs);
+    void tick();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rolls back reorged blocks, then indexes every confirmed block past the
+   * checkpoint. Returns the last processed block.
+   */
+  async poll(): Promise<number> {
+    let checkpoint = await this.loadCheckpoint();
+
+    if (checkpoint) {
+      const block = await this.provider.getBlock(checkpoint.blockNumber);
+      if (!block || block.hash !== checkpoint.blockHash) {
+        console.log(`[Reorg Detected] ${this.options.name} at block ${checkpoint.blockNumber}`);
+        checkpoint = await this.rollback(checkpoint.blockNumber);
+      }
+    }
+
+    const head = await this.provider.getBlockNumber();
+    const safeBlock = head - this.confirmations;
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.options.startBlock;
+
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, safeBlock);
+      await this.indexRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+
+    return fromBlock - 1;
+  }
+
+  /**
+   * Applies every handled log in [fromBlock, toBlock] and moves the checkpoint
+   */
+  private async indexRange(fromBlock: number, toBlock: number): Promise<void> {
+    const logs = await this.provider.getLogs({
+      address: this.options.address,
+      fromBlock,
+      toBlock
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    // Fetch every block up front so a reorg mid-range aborts before anything is written
+    const blocks = new Map<number, ethers.Block>();
+    for (const blockNumber of new Set([...logs.map((log) => log.blockNumber), toBlock])) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block || !block.hash) throw new Error(`Block ${blockNumber} not found`);
+      blocks.set(blockNumber, block);
+    }
+    for (const log of logs) {
+      if (blocks.get(log.blockNumber)!.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing`);
+      }
+    }
+
+    for (const log of logs) {
+      const parsed = this.iface.parseLog(log);
+      if (!parsed || !this.options.handlers[parsed.name]) continue;
+
+      await this.applyEvent({
+        name: parsed.name,
+        args: serializeArgs(parsed),
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: new Date(blocks.get(log.blockNumber)!.timestamp * 1000)
+      });
+    }
+
+    await this.saveCheckpoint(toBlock, blocks.get(toBlock)!.hash!);
+  }
+
+  /**
+   * Applies an event once; replays of the same (txHash, logIndex) are no-ops
+   */
+  private async applyEvent(event: IndexedEvent): Promise<void> {
+    const handler = this.options.handlers[event.name];
+
+    await this.prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      const existing = await tx.chainEvent.findUnique({
+        where: { txHash_logIndex: { txHash: event.txHash, logIndex: event.logIndex } }
+      });
+      if (existing) return;
+
+      const planId = await handler.apply(tx, event);
+
+      await tx.chainEvent.create({
+        data: {
+          txHash: event.txHash,
+          logIndex: event.logIndex,
+          blockNumber: event.blockNumber,
+          blockHash: event.blockHash,
+          blockTimestamp: event.timestamp,
+          eventName: event.name,
+          userAddress: typeof event.args.user === "string" ? event.args.user.toLowerCase() : null,
+          planId: planId ?? null,
+          args: event.args
+        }
+      });
+    });
+  }
+
+  /**
+   * Reverts events above the last block still on the canonical chain, newest
+   * first, and moves the checkpoint back to that block
+   */
+  private async rollback(blockNumber: number): Promise<Checkpoint | null> {
+    const ancestor = await this.findCommonAncestor(blockNumber);
+
+    const reorged = await this.prisma.chainEvent.findMany({
+      where: { blockNumber: { gt: ancestor } },
+      orderBy: [{ blockNumber: "desc" }, { logIndex: "desc" }]
+    });
+
+    for (const row of reorged) {
+      const handler = this.options.handlers[row.eventName];
+      await this.prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+        if (handler) {
+          await handler.revert(tx, {
+            name: row.eventName,
+            args: row.args as IndexedEvent["args"],
+            txHash: row.txHash,
+            logIndex: row.logIndex,
+            blockNumber: row.blockNumber,
+            blockHash: row.blockHash,
+            timestamp: row.blockTimestamp,
+            planId: row.planId
+          });
+        }
+        await tx.chainEvent.delete({ where: { id: row.id } });
+      });
+    }
+
+    console.log(`[Reorg Rolled Back] ${this.options.name} ${reorged.length} events above block ${ancestor}`);
+
+    if (ancestor < this.options.startBlock) {
+      await this.prisma.indexerCheckpoint.deleteMany({ where: { id: this.options.name } });
+      return null;
+    }
+
+    const block = await this.provider.getBlock(ancestor);
+    if (!block || !block.hash) throw new Error(`Block ${ancestor} not found`);
+    await this.saveCheckpoint(ancestor, block.hash);
+    return { blockNumber: ancestor, blockHash: block.hash };
+  }
+
+  /**
+   * Newest block at or below `blockNumber` whose stored event hash still
+   * matches the chain, or the block before deployment when none does
+   */
+  private async findCommonAncestor(blockNumber: number): Promise<number> {
+    const stored = await this.prisma.chainEvent.findMany({
+      where: { blockNumber: { lte: blockNumber } },
+      distinct: ["blockNumber"],
+      select: { blockNumber: true, blockHash: true },
+      orderBy: { blockNumber: "desc" }
+    });
+
+    for (const row of stored) {
+      const block = await this.provider.getBlock(row.blockNumber);
+      if (block && block.hash === row.blockHash) return row.blockNumber;
+    }
+
+    return this.options.startBlock - 1;
+  }
+
+  private async loadCheckpoint(): Promise<Checkpoint | null> {
+    const row = await this.prisma.indexerCheckpoint.findUnique({
+      where: { id: this.options.name }
+    });
+    return row ? { blockNumber: row.blockNumber, blockHash: row.blockHash } : null;
+  }
+
+  private async saveCheckpoint(blockNumber: number, blockHash: string): Promise<void> {
+    await this.prisma.indexerCheckpoint.upsert({
+      where: { id: this.options.name },
+      update: { blockNumber, blockHash },
+      create: { id: this.options.name, blockNumber, blockHash }
+    });
+  }
+}
+
+/**
+ * Converts decoded log arguments to JSON-safe values keyed by parameter name
+ */
+function serializeArgs(parsed: ethers.LogDescription): Record<string, string | boolean> {
+  const args: Record<string, string | boolean> = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "boolean" ? value : value.toString();
+  });
+  return args;
+}
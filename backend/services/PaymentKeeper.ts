@@ -0,0 +1,295 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+import { SignatureService } from "./SignatureService";
+import { paymentCreatorFee } from "./CreatorFees";
+import { isPlanPaused } from "./PlanPauses";
+import { TransactionManager, TransactionResult } from "./TransactionManager";
+import { isPaymentDue } from "../utils";
+
+import CONTRACT_ABI from "../abis/BitmorDCA.json";
+import ERC20_ABI from "../abis/ERC20.json";
+
+// A plan's daily amount in USDC base units
+const toUSDCUnits = (plan: { totalDailyAmount: number }) => ethers.parseUnits(plan.totalDailyAmount.toFixed(6), 6);
+
+export interface PaymentKeeperOptions {
+  contractAddress: string;
+  usdcAddress: string;
+  getSignatureService: () => Promise<SignatureService>;
+  // BTC amount (18 decimals) signed into a payment of `usdcAmount` (6 decimals)
+  quoteBTC: (usdcAmount: bigint) => Promise<bigint>;
+  intervalMs?: number;
+}
+
+export interface KeeperRunResult {
+  // Payments left pending by an earlier process whose receipts arrived this run
+  settled: number;
+  // planId is the DCAPlan id
+  submitted: { address: string; planId: string; txHash: string }[];
+  skipped: { address: string; planId: string; reason: string }[];
+}
+
+/**
+ * Submits due DCA payments for users who opted into auto-pay.
+ *
+ * A user opts in by approving the keeper with `setPaymentExecutor` and
+ * granting the contract a USDC allowance; the keeper then calls
+ * `makePaymentFor` with a fresh backend signature whenever a plan is due,
+ * one transaction per plan, sent through the keeper's TransactionManager.
+ * Each submission is recorded as a pending DCAPayment row that the manager
+ * stamps with the txHash and settles to completed/failed from the receipt.
+ */
+export class PaymentKeeper {
+  private readonly provider: ethers.Provider;
+  // Signs with the keeper key; its nonce queue keeps concurrent submissions apart
+  private readonly txManager: TransactionManager;
+  private readonly prisma: PrismaClient;
+  private readonly contract: ethers.Contract;
+  private readonly usdc: ethers.Contract;
+  private readonly options: PaymentKeeperOptions;
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+
+  constructor(provider: ethers.Provider, txManager: TransactionManager, prisma: PrismaClient, options: PaymentKeeperOptions) {
+    this.provider = provider;
+    this.txManager = txManager;
+    this.prisma = prisma;
+    this.contract = new ethers.Contract(options.contractAddress, CONTRACT_ABI, provider);
+    this.usdc = new ethers.Contract(options.usdcAddress, ERC20_ABI, provider);
+    this.options = options;
+  }
+
+  /**
+   * Executor address users approve with `setPaymentExecutor`
+   */
+  get address(): string {
+    return this.txManager.address;
+  }
+
+  /**
+   * Runs on an interval until stopped; a run never overlaps the previous one
+   */
+  start(): void {
+    if (this.timer) return;
+
+    const tick = async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        const result = await this.runOnce();
+        console.log(
+          `[Keeper] ${result.submitted.length} submitted, ${result.skipped.length} skipped, ${result.settled} settled`
+        );
+      } catch (error) {
+        console.error("[Keeper Run Failed]", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, this.options.intervalMs ?? 5 * 60 * 1000);
+    void tick();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Settles what an earlier process left pending, then pays every opted-in
+   * user with a due plan and waits for those payments to be mined
+   */
+  async runOnce(): Promise<KeeperRunResult> {
+    const result: KeeperRunResult = {
+      settled: await this.settlePending(),
+      submitted: [],
+      skipped: []
+    };
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    const users = await this.prisma.dCAUser.findMany({
+      where: { autoPayEnabled: true, plans: { some: { isActive: true } } },
+      include: {
+        plans: {
+          where: { isActive: true },
+          include: {
+            // Failed attempts don't count as paid, so the next run retries them
+            payments: {
+              where: { status: { in: ["pending", "completed"] } },
+              orderBy: { createdAt: "desc" },
+              take: 1
+            },
+            strategy: { select: { creator: true } }
+          }
+        }
+      }
+    });
+
+    const sending: { address: string; planId: string; result: Promise<TransactionResult> }[] = [];
+    for (const user of users) {
+      // A payment would end a running pause, so those plans wait it out
+      const duePlans = user.plans.filter((plan) => !isPlanPaused(plan) && isPaymentDue(plan, currentTime));
+      if (duePlans.length === 0) continue;
+
+      let blocked: string | null;
+      try {
+        blocked = await this.checkFunding(user.address, duePlans);
+      } catch (error) {
+        blocked = (error as Error).message;
+      }
+      if (blocked) {
+        for (const plan of duePlans) {
+          result.skipped.push({ address: user.address, planId: plan.id, reason: blocked });
+        }
+        continue;
+      }
+
+      for (const plan of duePlans) {
+        try {
+          const outcome = await this.payPlan(user.address, plan);
+          if ("result" in outcome) {
+            sending.push({ address: user.address, planId: plan.id, result: outcome.result });
+          } else {
+            result.skipped.push({ address: user.address, planId: plan.id, reason: outcome.reason });
+          }
+        } catch (error) {
+          result.skipped.push({ address: user.address, planId: plan.id, reason: (error as Error).message });
+        }
+      }
+    }
+
+    // The manager hands out nonces in submission order, so these are mined together
+    const sent = await Promise.allSettled(sending.map((payment) => payment.result));
+    sent.forEach((outcome, i) => {
+      const { address, planId } = sending[i];
+      if (outcome.status === "rejected") {
+        result.skipped.push({ address, planId, reason: (outcome.reason as Error).message });
+      } else if (!outcome.value.success) {
+        result.skipped.push({ address, planId, reason: `Payment reverted: ${outcome.value.hash}` });
+      } else {
+        result.submitted.push({ address, planId, txHash: outcome.value.hash });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Why the user's due plans cannot be paid at all, or null if they can
+   */
+  private async checkFunding(address: string, duePlans: any[]): Promise<string | null> {
+    const [approved, allowance, balance] = await Promise.all([
+      this.contract.paymentExecutors(address, this.address),
+      this.usdc.allowance(address, this.options.contractAddress),
+      this.usdc.balanceOf(address)
+    ]);
+    const usdcAmount = duePlans.reduce((sum, plan) => sum + toUSDCUnits(plan), 0n);
+
+    if (!approved) return "Keeper not approved as payment executor";
+    if (allowance < usdcAmount) return "Insufficient USDC allowance";
+    if (balance < usdcAmount) return "Insufficient USDC balance";
+    return null;
+  }
+
+  /**
+   * Signs the payment for one due plan and starts sending it; `result`
+   * settles once it is mined
+   */
+  private async payPlan(
+    address: string,
+    plan: any
+  ): Promise<{ result: Promise<TransactionResult> } | { reason: string }> {
+    if (plan.onchainPlanId == null || !plan.creationTxHash) {
+      return { reason: "Plan not created on chain" };
+    }
+
+    const state = await this.contract.plans(address, plan.onchainPlanId);
+    // A plan whose pause ran out is resumed by the payment
+    if (Number(state.status) !== 1 && Number(state.status) !== 2) return { reason: "Plan not active on chain" };
+
+    // Strategy subscribers get BTC for the payment net of the creator's fee
+    const usdcAmount = toUSDCUnits(plan);
+    const { creator, fee } = paymentCreatorFee(plan, usdcAmount);
+    const btcAmount = await this.options.quoteBTC(usdcAmount - fee);
+    const usesPrepaid = state.prepaidDays > 0n;
+
+    const signatureService = await this.options.getSignatureService();
+    const { nonce, signature, deadline } = await signatureService.signPayment(
+      address,
+      plan.onchainPlanId,
+      usdcAmount,
+      btcAmount,
+      usesPrepaid,
+      creator,
+      fee
+    );
+
+    // Pending from here, so the next run doesn't pay the plan again
+    const payment = await this.prisma.dCAPayment.create({
+      data: {
+        planId: plan.id,
+        amount: plan.totalDailyAmount,
+        btcAmount: Number(btcAmount) / 1e18,
+        usesPrepaid,
+        status: "pending"
+      }
+    });
+
+    const data = this.contract.interface.encodeFunctionData("makePaymentFor", [
+      address,
+      plan.onchainPlanId,
+      usdcAmount,
+      btcAmount,
+      usesPrepaid,
+      creator,
+      fee,
+      deadline,
+      nonce,
+      signature
+    ]);
+    const result = this.txManager
+      .send({ to: this.options.contractAddress, data, purpose: "keeperPayment" }, { type: "dCAPayment", id: payment.id })
+      .catch(async (error) => {
+        // Nothing was mined, so the plan is due again on the next run
+        await this.prisma.dCAPayment.updateMany({ where: { id: payment.id, status: "pending" }, data: { status: "failed" } });
+        throw error;
+      });
+    // Awaited with the rest of the run; until then a failed send must not count as unhandled
+    result.catch(() => undefined);
+
+    return { result };
+  }
+
+  /**
+   * Moves keeper payments a previous process left pending to completed or
+   * failed once mined
+   */
+  private async settlePending(): Promise<number> {
+    const pending = await this.prisma.dCAPayment.findMany({
+      where: { status: "pending", txHash: { not: null } },
+      select: { txHash: true },
+      distinct: ["txHash"]
+    });
+
+    let settled = 0;
+    for (const { txHash } of pending) {
+      const receipt = await this.provider.getTransactionReceipt(txHash!);
+      if (!receipt) continue;
+
+      const succeeded = receipt.status === 1;
+      await this.prisma.dCAPayment.updateMany({
+        where: { txHash, status: "pending" },
+        data: {
+          status: succeeded ? "completed" : "failed",
+          completedAt: succeeded ? new Date() : null
+        }
+      });
+      settled++;
+    }
+
+    return settled;
+  }
+}
@@ -0,0 +1,110 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest duration an extension may stretch a plan to
+const MAX_TIME_PERIOD_DAYS = 3650;
+
+export type Cadence = "daily" | "weekly";
+
+/**
+ * The amendable part of a plan, as the contract holds it
+ */
+export interface PlanTerms {
+  // USDC per payment
+  dailyAmount: number;
+  cadence: Cadence;
+  // Days from startTime to the plan's end
+  timePeriod: number;
+  startTime: Date;
+  withdrawalDelay: number;
+}
+
+export interface AmendmentRequest {
+  dailyAmount?: unknown;
+  cadence?: unknown;
+  extendDays?: unknown;
+}
+
+export interface PlanAmendment {
+  dailyAmount: number;
+  cadence: Cadence;
+  timePeriod: number;
+  // startTime as amendPlan re-bases it when submitted now
+  startTime: Date;
+  endDate: Date;
+}
+
+/**
+ * An amendment breaks the amendment rules; the message is safe to return to clients
+ */
+export class AmendmentError extends Error {
+  constructor(
+    readonly code: "NO_CHANGE" | "INVALID_AMOUNT" | "INVALID_CADENCE" | "INVALID_EXTENSION" | "WITHDRAWAL_DELAY" | "PLAN_ENDED",
+    message: string
+  ) {
+    super(message);
+    this.name = "AmendmentError";
+  }
+}
+
+/**
+ * New terms for a plan. The daily amount and cadence change as asked.
+ *
+ * An extension moves the plan's end out by `extendDays`, but the contract
+ * keeps the share of the period already elapsed when it lengthens a plan (so
+ * the early withdrawal penalty does not jump), re-basing startTime back. The
+ * signed timePeriod is therefore scaled: remaining time r becomes
+ * r + extendDays when timePeriod T becomes T * (r + extendDays) / r. Because
+ * re-basing moves startTime back, extensions wait out the withdrawal delay.
+ */
+export function amendPlanTerms(current: PlanTerms, request: AmendmentRequest, now = new Date()): PlanAmendment {
+  const { dailyAmount = current.dailyAmount, cadence = current.cadence, extendDays = 0 } = request;
+
+  if (typeof dailyAmount !== "number" || !(dailyAmount > 0) || !Number.isFinite(dailyAmount)) {
+    throw new AmendmentError("INVALID_AMOUNT", "dailyAmount must be a positive USDC amount");
+  }
+  if (cadence !== "daily" && cadence !== "weekly") {
+    throw new AmendmentError("INVALID_CADENCE", "Invalid cadence. Must be daily or weekly");
+  }
+  if (!Number.isInteger(extendDays) || (extendDays as number) < 0) {
+    throw new AmendmentError("INVALID_EXTENSION", "extendDays must be a whole number of days");
+  }
+
+  // Whole USDC base units, as signed
+  const amount = Math.round(dailyAmount * 1e6) / 1e6;
+  const startTime = current.startTime.getTime();
+  const endTime = startTime + current.timePeriod * DAY_MS;
+
+  if (amount === current.dailyAmount && cadence === current.cadence && extendDays === 0) {
+    throw new AmendmentError("NO_CHANGE", "Amendment changes nothing");
+  }
+
+  if (extendDays === 0) {
+    return { dailyAmount: amount, cadence, timePeriod: current.timePeriod, startTime: current.startTime, endDate: new Date(endTime) };
+  }
+
+  const elapsed = now.getTime() - startTime;
+  const remaining = endTime - now.getTime();
+  if (elapsed < current.withdrawalDelay * DAY_MS) {
+    throw new AmendmentError("WITHDRAWAL_DELAY", "Plans can be extended once the withdrawal delay has passed");
+  }
+  if (remaining <= 0) {
+    throw new AmendmentError("PLAN_ENDED", "Plan period has ended");
+  }
+
+  const timePeriod = Math.ceil((current.timePeriod * (remaining + (extendDays as number) * DAY_MS)) / remaining);
+  if (timePeriod > MAX_TIME_PERIOD_DAYS) {
+    throw new AmendmentError(
+      "INVALID_EXTENSION",
+      `Extension would stretch the plan to ${timePeriod} days (max ${MAX_TIME_PERIOD_DAYS}); it is too close to its end`
+    );
+  }
+
+  const rebasedStart = now.getTime() - (elapsed * timePeriod) / current.timePeriod;
+  return {
+    dailyAmount: amount,
+    cadence,
+    timePeriod,
+    startTime: new Date(rebasedStart),
+    endDate: new Date(rebasedStart + timePeriod * DAY_MS)
+  };
+}
@@ -0,0 +1,122 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Mirrors BitmorDCA.MAX_PAUSE_DAYS_PER_YEAR
+export const MAX_PAUSE_DAYS_PER_YEAR = 30;
+
+/**
+ * A plan's pause state as BitmorDCA.getPlanPause returns it
+ */
+export interface PauseState {
+  // Current pause, both null when the plan is not paused
+  pausedAt: Date | null;
+  pausedUntil: Date | null;
+  // Start of the year the allowance counts, null before the first pause
+  allowanceStart: Date | null;
+  // Days used in that year by pauses that have been resumed
+  daysUsed: number;
+}
+
+export interface PauseAllowance {
+  maxDays: number;
+  usedDays: number;
+  remainingDays: number;
+  // When the used days reset, null if nothing is used
+  renewsAt: Date | null;
+}
+
+/**
+ * One pause, open while resumedAt is null
+ */
+export interface PauseSpan {
+  pausedAt: Date;
+  pausedUntil: Date;
+  resumedAt?: Date | null;
+}
+
+/**
+ * A pause request breaks the pause rules; the message is safe to return to clients
+ */
+export class PauseError extends Error {
+  constructor(readonly code: "INVALID_DAYS" | "ALREADY_PAUSED" | "ALLOWANCE_EXCEEDED", message: string) {
+    super(message);
+    this.name = "PauseError";
+  }
+}
+
+/**
+ * Pause days left, with the contract's rule that a new allowance year starts
+ * with the first pause after the previous year ran out
+ */
+export function pauseAllowance(state: PauseState, now = new Date()): PauseAllowance {
+  if (!state.allowanceStart || now.getTime() >= state.allowanceStart.getTime() + YEAR_MS) {
+    return { maxDays: MAX_PAUSE_DAYS_PER_YEAR, usedDays: 0, remainingDays: MAX_PAUSE_DAYS_PER_YEAR, renewsAt: null };
+  }
+  return {
+    maxDays: MAX_PAUSE_DAYS_PER_YEAR,
+    usedDays: state.daysUsed,
+    remainingDays: Math.max(0, MAX_PAUSE_DAYS_PER_YEAR - state.daysUsed),
+    renewsAt: new Date(state.allowanceStart.getTime() + YEAR_MS)
+  };
+}
+
+/**
+ * Checks a pause of `days` days against the plan's allowance and returns
+ * when it runs out
+ */
+export function planPause(state: PauseState, days: unknown, now = new Date()): { days: number; pausedUntil: Date } {
+  if (!Number.isInteger(days) || (days as number) < 1 || (days as number) > MAX_PAUSE_DAYS_PER_YEAR) {
+    throw new PauseError("INVALID_DAYS", `days must be a whole number from 1 to ${MAX_PAUSE_DAYS_PER_YEAR}`);
+  }
+  if (state.pausedAt) {
+    throw new PauseError("ALREADY_PAUSED", "Plan is already paused");
+  }
+
+  const { remainingDays } = pauseAllowance(state, now);
+  if ((days as number) > remainingDays) {
+    throw new PauseError("ALLOWANCE_EXCEEDED", `Only ${remainingDays} pause days left this year`);
+  }
+
+  return { days: days as number, pausedUntil: new Date(now.getTime() + (days as number) * DAY_MS) };
+}
+
+/**
+ * Milliseconds of a pause that count as paused by `at`; time past
+ * pausedUntil does not
+ */
+export function pausedTime(pause: PauseSpan, at: Date): number {
+  const end = Math.min(at.getTime(), pause.resumedAt?.getTime() ?? Infinity, pause.pausedUntil.getTime());
+  return Math.max(0, end - pause.pausedAt.getTime());
+}
+
+/**
+ * Whether a plan's pause is still running; payments are not due until it ends
+ */
+export function isPlanPaused(plan: { pausedUntil?: Date | null }, now = new Date()): boolean {
+  return Boolean(plan.pausedUntil) && now < plan.pausedUntil!;
+}
+
+/**
+ * The plan's startTime once its open pause is resumed at `at`. The contract
+ * moves startTime, and so the penalty clock and the end date, by the time
+ * paused when the plan resumes.
+ */
+export function pauseAdjustedStart(
+  plan: { startTime: Date; pausedAt: Date | null; pausedUntil: Date | null },
+  at = new Date()
+): Date {
+  if (!plan.pausedAt || !plan.pausedUntil) return plan.startTime;
+  return new Date(plan.startTime.getTime() + pausedTime({ pausedAt: plan.pausedAt, pausedUntil: plan.pausedUntil }, at));
+}
+
+/**
+ * A payment time moved by the pauses after it, as the contract moves
+ * lastPaymentTime on resume so a pause doesn't break the streak. Open
+ * pauses count as resumed at `now`.
+ */
+export function pauseAdjustedTime(time: Date, pauses: PauseSpan[], now = new Date()): Date {
+  const paused = pauses
+    .filter((pause) => pause.pausedAt >= time)
+    .reduce((sum, pause) => sum + pausedTime(pause, now), 0);
+  return new Date(time.getTime() + paused);
+}
@@ -0,0 +1,214 @@
+import { PrismaClient } from "@prisma/client";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far past the plan's end the completion date is searched for
+const MAX_EXTENSION_DAYS = 3650;
+
+// Daily returns needed before volatility is estimated
+const MIN_RETURNS = 30;
+
+export interface ProjectionInput {
+  targetBTC: number;
+  btcAccumulated: number;
+  // USDC charged per payment; weekly plans pay it once a week
+  paymentAmount: number;
+  creatorFeeBps: number;
+  cadence: "daily" | "weekly";
+  nextPaymentAt: Date;
+  endDate: Date;
+  // USDC per BTC now
+  price: number;
+  now: Date;
+}
+
+export interface ProjectionOptions {
+  // Yearly BTC change of the bull and bear scenarios, in percent
+  annualChangePct: number;
+  // Annualized volatility of daily log returns; null skips the Monte Carlo
+  annualVolatility: number | null;
+  simulations?: number;
+  seed?: number;
+}
+
+export interface ScenarioProjection {
+  annualChangePct: number;
+  // BTC held at the plan's end date
+  projectedBTC: number;
+  // projectedBTC - targetBTC; negative is a shortfall
+  surplusBTC: number;
+  // When the target is reached if payments continue at the same amount past
+  // the end date; null if not within MAX_EXTENSION_DAYS of it
+  expectedCompletionDate: Date | null;
+}
+
+export interface MonteCarloProjection {
+  annualVolatilityPct: number;
+  simulations: number;
+  probabilityOfTarget: number;
+  // BTC held at the end date by percentile of the simulated paths
+  projectedBTC: { p10: number; p50: number; p90: number };
+  surplusBTC: number;
+}
+
+export interface PlanProjection {
+  remainingPayments: number;
+  scenarios: {
+    flat: ScenarioProjection;
+    bull: ScenarioProjection;
+    bear: ScenarioProjection;
+    monteCarlo: MonteCarloProjection | null;
+  };
+  // USDC per payment that reaches the target by the end date at today's
+  // price; null once no payment is left
+  suggestedPaymentAmount: number | null;
+}
+
+/**
+ * Days from now of each payment from the next due one until `until`
+ */
+function paymentOffsets(input: ProjectionInput, until: number): number[] {
+  const step = input.cadence === "weekly" ? 7 : 1;
+  const first = Math.max(0, (input.nextPaymentAt.getTime() - input.now.getTime()) / DAY_MS);
+  const offsets: number[] = [];
+  for (let day = first; day < until; day += step) offsets.push(day);
+  return offsets;
+}
+
+const netAmount = (input: ProjectionInput) => input.paymentAmount * (1 - input.creatorFeeBps / 10_000);
+
+function projectScenario(input: ProjectionInput, annualChangePct: number): ScenarioProjection {
+  const daysLeft = (input.endDate.getTime() - input.now.getTime()) / DAY_MS;
+  const priceAt = (day: number) => input.price * Math.pow(1 + annualChangePct / 100, day / 365);
+
+  let btc = input.btcAccumulated;
+  let projectedBTC = btc;
+  let completionDay: number | null = btc >= input.targetBTC ? 0 : null;
+
+  for (const day of paymentOffsets(input, Math.max(daysLeft, 0) + MAX_EXTENSION_DAYS)) {
+    if (day >= daysLeft && completionDay !== null) break;
+    btc += netAmount(input) / priceAt(day);
+    if (day < daysLeft) projectedBTC = btc;
+    if (completionDay === null && btc >= input.targetBTC) completionDay = day;
+  }
+
+  return {
+    annualChangePct,
+    projectedBTC,
+    surplusBTC: projectedBTC - input.targetBTC,
+    expectedCompletionDate: completionDay === null ? null : new Date(input.now.getTime() + completionDay * DAY_MS)
+  };
+}
+
+/**
+ * Seeded PRNG (mulberry32) so a projection is repeatable
+ */
+function random(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Prices follow a driftless geometric Brownian motion with the given volatility
+ */
+function projectMonteCarlo(input: ProjectionInput, annualVolatility: number, simulations: number, seed: number): MonteCarloProjection {
+  const daysLeft = (input.endDate.getTime() - input.now.getTime()) / DAY_MS;
+  const offsets = paymentOffsets(input, daysLeft);
+  const dailyVariance = (annualVolatility * annualVolatility) / 365;
+  const next = random(seed);
+  const normal = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+
+  const outcomes: number[] = [];
+  for (let path = 0; path < simulations; path++) {
+    let logPrice = Math.log(input.price);
+    let previous = 0;
+    let btc = input.btcAccumulated;
+    for (const day of offsets) {
+      const elapsed = day - previous;
+      logPrice += -0.5 * dailyVariance * elapsed + Math.sqrt(dailyVariance * elapsed) * normal();
+      btc += netAmount(input) / Math.exp(logPrice);
+      previous = day;
+    }
+    outcomes.push(btc);
+  }
+
+  outcomes.sort((a, b) => a - b);
+  const percentile = (p: number) => outcomes[Math.min(outcomes.length - 1, Math.floor(p * outcomes.length))];
+  const p50 = percentile(0.5);
+
+  return {
+    annualVolatilityPct: annualVolatility * 100,
+    simulations,
+    probabilityOfTarget: outcomes.filter((btc) => btc >= input.targetBTC).length / simulations,
+    projectedBTC: { p10: percentile(0.1), p50, p90: percentile(0.9) },
+    surplusBTC: p50 - input.targetBTC
+  };
+}
+
+/**
+ * Projects where a plan ends up if it keeps paying its fixed amount: at a
+ * flat price, at ± annualChangePct a year, and over simulated price paths
+ */
+export function projectPlan(input: ProjectionInput, options: ProjectionOptions): PlanProjection {
+  const daysLeft = (input.endDate.getTime() - input.now.getTime()) / DAY_MS;
+  const remainingPayments = paymentOffsets(input, daysLeft).length;
+  const neededBTC = Math.max(0, input.targetBTC - input.btcAccumulated);
+  const feeShare = 1 - input.creatorFeeBps / 10_000;
+
+  return {
+    remainingPayments,
+    scenarios: {
+      flat: projectScenario(input, 0),
+      bull: projectScenario(input, options.annualChangePct),
+      bear: projectScenario(input, -options.annualChangePct),
+      monteCarlo: options.annualVolatility === null
+        ? null
+        : projectMonteCarlo(input, options.annualVolatility, options.simulations ?? 1000, options.seed ?? 1)
+    },
+    // Rounded up to whole USDC base units
+    suggestedPaymentAmount: remainingPayments > 0
+      ? Math.ceil(((neededBTC * input.price) / remainingPayments / feeShare) * 1e6) / 1e6
+      : null
+  };
+}
+
+/**
+ * Annualized standard deviation of daily log returns, or null with fewer
+ * than MIN_RETURNS of them
+ */
+export function annualizedVolatility(closes: number[]): number | null {
+  const returns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+  if (returns.length < MIN_RETURNS) return null;
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * 365);
+}
+
+/**
+ * Loads the price history plan projections draw their volatility from
+ */
+export class PlanProjector {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Annualized BTC volatility over the daily candles of the last `days` days
+   */
+  async historicalVolatility(days = 365, now = new Date()): Promise<number | null> {
+    const candles = await this.prisma.priceCandle.findMany({
+      where: { asset: "BTC", interval: "1d", openTime: { gte: new Date(now.getTime() - days * DAY_MS) } },
+      orderBy: { openTime: "asc" },
+      select: { close: true }
+    });
+    return annualizedVolatility(candles.map(({ close }) => close));
+  }
+}
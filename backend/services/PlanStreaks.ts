@@ -0,0 +1,147 @@
+import { PauseSpan, pauseAdjustedTime } from "./PlanPauses";
+import { getPaymentInterval } from "../utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mirrors BitmorDCA.DAILY_GRACE_PERIOD and WEEKLY_GRACE_PERIOD
+export const GRACE_PERIOD_DAYS = { daily: 7, weekly: 21 };
+
+/**
+ * The part of a plan its streak rules depend on
+ */
+export interface StreakPlan {
+  cadence: string;
+  // Grace period in days, gracePeriodDays(cadence); kept in step by the API and the event indexer
+  graceWindow: number;
+}
+
+/**
+ * A plan's streak as the contract keeps it
+ */
+export interface StreakState {
+  streak: number;
+  maxStreak: number;
+  // Null before the first payment; moved out by the time paused when a pause is resumed
+  lastPaymentTime: Date | null;
+  // Prepaid payments left, only known from contract state
+  prepaidDays?: number;
+}
+
+// "prepaid" used a prepaid day, "grace" came after the payment was due but
+// within the grace period, "reset" came after it and restarted the streak
+export type PaymentOutcome = "prepaid" | "on_time" | "grace" | "reset";
+
+export interface StreakStatus {
+  // The streak the plan stands on; 0 once the grace period is over and no prepaid day keeps it
+  streak: number;
+  maxStreak: number;
+  // "new" before the first payment, "current" until the next payment is due,
+  // "grace" until the grace period ends and "lapsed" after
+  status: "new" | "current" | "grace" | "lapsed";
+  // What the streak would be after a payment now
+  nextStreak: number;
+  prepaidDays: number;
+  // Both null before the first payment
+  nextPaymentAt: Date | null;
+  graceEndsAt: Date | null;
+}
+
+/**
+ * The contract's grace period for a cadence; anything not daily is weekly,
+ * as in the contract
+ */
+export function gracePeriodDays(cadence: string): number {
+  return cadence === "daily" ? GRACE_PERIOD_DAYS.daily : GRACE_PERIOD_DAYS.weekly;
+}
+
+// Whether a payment at `at` came on time, within the grace period or after it
+function timing(plan: StreakPlan, lastPaymentTime: Date | null, at: Date): "on_time" | "grace" | "reset" {
+  if (!lastPaymentTime) return "on_time";
+  const elapsed = at.getTime() - lastPaymentTime.getTime();
+  if (elapsed <= getPaymentInterval(plan.cadence) * 1000) return "on_time";
+  return elapsed <= plan.graceWindow * DAY_MS ? "grace" : "reset";
+}
+
+/**
+ * A payment's effect on the streak, by BitmorDCA._makePayment's rules: a
+ * prepaid day leaves the streak as it is, a payment within the grace period
+ * of the last one extends it and a later one restarts it at 1. Every payment
+ * moves lastPaymentTime.
+ */
+export function applyPayment(
+  plan: StreakPlan,
+  state: StreakState,
+  payment: { at: Date; usesPrepaid: boolean }
+): { state: StreakState; outcome: PaymentOutcome } {
+  const prepaidDays = state.prepaidDays ?? 0;
+  if (payment.usesPrepaid && prepaidDays > 0) {
+    return { state: { ...state, prepaidDays: prepaidDays - 1, lastPaymentTime: payment.at }, outcome: "prepaid" };
+  }
+
+  const outcome = timing(plan, state.lastPaymentTime, payment.at);
+  const streak = outcome === "reset" ? 1 : state.streak + 1;
+  return {
+    state: { ...state, streak, maxStreak: Math.max(state.maxStreak, streak), lastPaymentTime: payment.at },
+    outcome
+  };
+}
+
+/**
+ * Where a plan's streak stands at `now`. Time paused by `pauses` does not
+ * count, with open pauses taken as resumed at `now`; a prepaid day keeps a
+ * lapsed streak, since the contract spends it instead of checking the grace
+ * period.
+ */
+export function streakStatus(plan: StreakPlan, state: StreakState, pauses: PauseSpan[], now = new Date()): StreakStatus {
+  const prepaidDays = state.prepaidDays ?? 0;
+  if (!state.lastPaymentTime) {
+    return {
+      streak: state.streak,
+      maxStreak: state.maxStreak,
+      status: "new",
+      nextStreak: applyPayment(plan, state, { at: now, usesPrepaid: prepaidDays > 0 }).state.streak,
+      prepaidDays,
+      nextPaymentAt: null,
+      graceEndsAt: null
+    };
+  }
+
+  const lastPaymentTime = pauseAdjustedTime(state.lastPaymentTime, pauses, now);
+  const adjusted = { ...state, lastPaymentTime };
+  const next = applyPayment(plan, adjusted, { at: now, usesPrepaid: prepaidDays > 0 });
+  const status = { on_time: "current", grace: "grace", reset: "lapsed" }[timing(plan, lastPaymentTime, now)] as StreakStatus["status"];
+
+  return {
+    streak: status === "lapsed" && next.outcome !== "prepaid" ? 0 : state.streak,
+    maxStreak: state.maxStreak,
+    status,
+    nextStreak: next.state.streak,
+    prepaidDays,
+    nextPaymentAt: new Date(lastPaymentTime.getTime() + getPaymentInterval(plan.cadence) * 1000),
+    graceEndsAt: new Date(lastPaymentTime.getTime() + plan.graceWindow * DAY_MS)
+  };
+}
+
+/**
+ * streakStatus of a plan row, whose persisted lastPaymentTime already has
+ * its resumed pauses in it
+ */
+export function planStreak(
+  plan: StreakPlan & {
+    streak: number;
+    maxStreak: number;
+    lastPaymentTime: Date | null;
+    pausedAt?: Date | null;
+    pausedUntil?: Date | null;
+  },
+  now = new Date(),
+  prepaidDays = 0
+): StreakStatus {
+  const pauses = plan.pausedAt && plan.pausedUntil ? [{ pausedAt: plan.pausedAt, pausedUntil: plan.pausedUntil }] : [];
+  return streakStatus(
+    plan,
+    { streak: plan.streak, maxStreak: plan.maxStreak, lastPaymentTime: plan.lastPaymentTime, prepaidDays },
+    pauses,
+    now
+  );
+}
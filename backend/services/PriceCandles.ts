@@ -0,0 +1,305 @@
+import { PrismaClient } from "@prisma/client";
+export type CandleInterval = "1h" | "1d";
+
+export const INTERVAL_MS: Record<CandleInterval, number> = {
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000
+};
+
+const ASSET = "BTC";
+
+// Most candles one GET /api/prices/btc returns
+const MAX_CANDLES = 1000;
+
+// Range GET /api/prices/btc covers when `from` is left out
+const DEFAULT_RANGE_MS: Record<CandleInterval, number> = {
+  "1h": 7 * INTERVAL_MS["1d"],
+  "1d": 365 * INTERVAL_MS["1d"]
+};
+
+export interface Candle {
+  // Start of the UTC hour or day the candle covers
+  openTime: Date;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+}
+
+export interface CandleQuery {
+  interval: CandleInterval;
+  from: Date;
+  to: Date;
+}
+
+/**
+ * A candle query or import is malformed; the message is safe to return to clients
+ */
+export class CandleError extends Error {
+  constructor(readonly code: "INVALID_INTERVAL" | "INVALID_RANGE" | "INVALID_IMPORT", message: string) {
+    super(message);
+    this.name = "CandleError";
+  }
+}
+
+const isInterval = (value: unknown): value is CandleInterval => value === "1h" || value === "1d";
+
+/**
+ * Start of the UTC hour or day containing `at`
+ */
+export function candleOpenTime(at: Date, interval: CandleInterval): Date {
+  return new Date(Math.floor(at.getTime() / INTERVAL_MS[interval]) * INTERVAL_MS[interval]);
+}
+
+/**
+ * Groups timestamped prices into candles: first price opens, last closes
+ */
+export function aggregateCandles(
+  points: { at: Date; open: number; high: number; low: number; close: number }[],
+  interval: CandleInterval
+): (Candle & { count: number })[] {
+  const candles = new Map<number, Candle & { count: number; first: number; last: number }>();
+
+  for (const { at, open, high, low, close } of points) {
+    const time = at.getTime();
+    const openTime = candleOpenTime(at, interval);
+    const candle = candles.get(openTime.getTime());
+    if (!candle) {
+      candles.set(openTime.getTime(), { openTime, open, high, low, close, count: 1, first: time, last: time });
+      continue;
+    }
+    candle.high = Math.max(candle.high, high);
+    candle.low = Math.min(candle.low, low);
+    candle.count++;
+    if (time < candle.first) {
+      candle.open = open;
+      candle.first = time;
+    }
+    if (time >= candle.last) {
+      candle.close = close;
+      candle.last = time;
+    }
+  }
+
+  return [...candles.values()]
+    .sort((a, b) => a.openTime.getTime() - b.openTime.getTime())
+    .map(({ openTime, open, high, low, close, count }) => ({ openTime, open, high, low, close, count }));
+}
+
+/**
+ * Rolls PriceHistory ticks up into candles
+ */
+export function candlesFromTicks(
+  ticks: { price: number; fetchedAt: Date }[],
+  interval: CandleInterval
+): (Candle & { count: number })[] {
+  return aggregateCandles(
+    ticks.map(({ price, fetchedAt }) => ({ at: fetchedAt, open: price, high: price, low: price, close: price })),
+    interval
+  );
+}
+
+// Unix seconds or milliseconds, or anything Date parses
+const parseTime = (value: unknown): Date => {
+  const numeric = typeof value === "number" ? value : typeof value === "string" && /^\d+$/.test(value.trim()) ? Number(value) : NaN;
+  if (!Number.isNaN(numeric)) return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  return new Date(typeof value === "string" ? value.trim() : NaN);
+};
+
+const TIME_KEYS = ["time", "date", "timestamp", "opentime"];
+const CLOSE_KEYS = ["close", "price"];
+
+/**
+ * Reads historical BTC prices from a CSV or JSON export into candles of
+ * `interval`. Rows may be full OHLC or close-only; finer rows are merged.
+ *
+ * CSV needs a header naming a time column (time/date/timestamp/openTime) and a
+ * close column (close/price); open, high and low are optional. JSON is an
+ * array of objects with the same keys, or of [time, open, high, low, close]
+ * arrays as exchange kline endpoints return them. Times are ISO strings or
+ * Unix seconds/milliseconds.
+ */
+export function parseCandleImport(text: string, format: "csv" | "json", interval: CandleInterval): Candle[] {
+  const rows: Record<string, unknown>[] = format === "json" ? jsonRows(text) : csvRows(text);
+
+  const points = rows.map((row, i) => {
+    const at = parseTime(TIME_KEYS.map((key) => row[key]).find((value) => value !== undefined));
+    const close = Number(CLOSE_KEYS.map((key) => row[key]).find((value) => value !== undefined));
+    const open = row.open === undefined ? close : Number(row.open);
+    const high = row.high === undefined ? Math.max(open, close) : Number(row.high);
+    const low = row.low === undefined ? Math.min(open, close) : Number(row.low);
+
+    if (Number.isNaN(at.getTime()) || ![open, high, low, close].every((price) => price > 0) || low > high) {
+      throw new CandleError("INVALID_IMPORT", `Invalid row ${i + 1}: ${JSON.stringify(row)}`);
+    }
+    return { at, open, high, low, close };
+  });
+
+  return aggregateCandles(points, interval).map(({ count, ...candle }) => candle);
+}
+
+function csvRows(text: string): Record<string, unknown>[] {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map((cell) => cell.trim().toLowerCase());
+  if (!header.some((cell) => TIME_KEYS.includes(cell)) || !header.some((cell) => CLOSE_KEYS.includes(cell))) {
+    throw new CandleError("INVALID_IMPORT", "CSV header needs a time and a close column");
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",");
+    return Object.fromEntries(header.map((name, i) => [name, cells[i]?.trim()]));
+  });
+}
+
+function jsonRows(text: string): Record<string, unknown>[] {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new CandleError("INVALID_IMPORT", "Invalid JSON");
+  }
+  if (!Array.isArray(data)) {
+    throw new CandleError("INVALID_IMPORT", "JSON import must be an array");
+  }
+
+  return data.map((entry) => {
+    if (Array.isArray(entry)) {
+      const [time, open, high, low, close] = entry;
+      return { time, open, high, low, close };
+    }
+    if (entry === null || typeof entry !== "object") return {};
+    return Object.fromEntries(Object.entries(entry).map(([key, value]) => [key.toLowerCase(), value]));
+  });
+}
+
+/**
+ * Reads GET /api/prices/btc query parameters. `to` defaults to now and `from`
+ * to a week (1h) or a year (1d) before it.
+ */
+export function parseCandleQuery(query: Record<string, unknown>, now = new Date()): CandleQuery {
+  const { interval = "1h" } = query;
+  if (!isInterval(interval)) {
+    throw new CandleError("INVALID_INTERVAL", "interval must be 1h or 1d");
+  }
+
+  const date = (name: string, fallback: Date): Date => {
+    if (query[name] === undefined) return fallback;
+    const value = parseTime(query[name]);
+    if (Number.isNaN(value.getTime())) {
+      throw new CandleError("INVALID_RANGE", `${name} must be an ISO date or a Unix timestamp`);
+    }
+    return value;
+  };
+
+  const to = date("to", now);
+  const from = date("from", new Date(to.getTime() - DEFAULT_RANGE_MS[interval]));
+  if (from >= to) {
+    throw new CandleError("INVALID_RANGE", "from must be before to");
+  }
+  if ((to.getTime() - from.getTime()) / INTERVAL_MS[interval] > MAX_CANDLES) {
+    throw new CandleError("INVALID_RANGE", `Range spans more than ${MAX_CANDLES} ${interval} candles`);
+  }
+
+  return { interval, from, to };
+}
+
+/**
+ * BTC OHLC candles. The price cron rolls stored ticks up into 1h and 1d
+ * candles as they arrive, and daily maintenance rolls up each day once more
+ * before its ticks are purged, so candles outlive PriceHistory. Older history
+ * comes from `npm run import-prices`.
+ */
+export class PriceCandleStore {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Rebuilds the 1h and 1d candles of every UTC day from the one containing
+   * `since` up to `until` from stored ticks. Whole days are rebuilt so a day
+   * candle never covers only part of its ticks. Returns the candles written.
+   */
+  async rollUp(since: Date, until = new Date()): Promise<number> {
+    const ticks = await this.prisma.priceHistory.findMany({
+      where: { asset: ASSET, fetchedAt: { gte: candleOpenTime(since, "1d"), lt: until } },
+      orderBy: { fetchedAt: "asc" },
+      select: { price: true, fetchedAt: true }
+    });
+
+    let written = 0;
+    for (const interval of ["1h", "1d"] as const) {
+      for (const { count, ...candle } of candlesFromTicks(ticks, interval)) {
+        const data = { ...candle, tickCount: count, source: "ticks" };
+        await this.prisma.priceCandle.upsert({
+          where: { asset_interval_openTime: { asset: ASSET, interval, openTime: candle.openTime } },
+          create: { asset: ASSET, interval, ...data },
+          update: data
+        });
+        written++;
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Stores imported candles. Existing candles are kept unless `replace` is
+   * set. Returns the candles written.
+   */
+  async import(candles: Candle[], interval: CandleInterval, replace = false): Promise<number> {
+    if (!replace) {
+      const { count } = await this.prisma.priceCandle.createMany({
+        data: candles.map((candle) => ({ asset: ASSET, interval, ...candle, source: "import" })),
+        skipDuplicates: true
+      });
+      return count;
+    }
+
+    for (const candle of candles) {
+      const data = { ...candle, tickCount: 0, source: "import" };
+      await this.prisma.priceCandle.upsert({
+        where: { asset_interval_openTime: { asset: ASSET, interval, openTime: candle.openTime } },
+        create: { asset: ASSET, interval, ...data },
+        update: data
+      });
+    }
+    return candles.length;
+  }
+
+  /**
+   * Candles opening within [from, to), oldest first
+   */
+  async candles({ interval, from, to }: CandleQuery): Promise<Candle[]> {
+    return this.prisma.priceCandle.findMany({
+      where: { asset: ASSET, interval, openTime: { gte: from, lt: to } },
+      orderBy: { openTime: "asc" },
+      select: { openTime: true, open: true, high: true, low: true, close: true }
+    });
+  }
+
+  /**
+   * Percent change from the close of the hour 24h before the latest hourly
+   * candle to that candle's close; null without an hourly candle from then
+   */
+  async change24h(): Promise<number | null> {
+    const latest = await this.prisma.priceCandle.findFirst({
+      where: { asset: ASSET, interval: "1h" },
+      orderBy: { openTime: "desc" }
+    });
+    if (!latest) return null;
+
+    const reference = await this.prisma.priceCandle.findFirst({
+      where: {
+        asset: ASSET,
+        interval: "1h",
+        openTime: new Date(latest.openTime.getTime() - INTERVAL_MS["1d"])
+      }
+    });
+    if (!reference) return null;
+
+    return ((latest.close - reference.close) / reference.close) * 100;
+  }
+}
@@ -0,0 +1,286 @@
+import { ethers } from "ethers";
+import axios from "axios";
+
+const CHAINLINK_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)"
+];
+
+const UNISWAP_V3_POOL_ABI = [
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+];
+
+/**
+ * One source's USD price for BTC
+ */
+export interface PriceReading {
+  source: string;
+  price: number;
+  updatedAt: Date;
+}
+
+export interface PriceSource {
+  name: string;
+  read(): Promise<PriceReading>;
+}
+
+export interface AggregatedPrice {
+  // Median of the accepted readings
+  price: number;
+  // Lowest and highest accepted reading
+  low: number;
+  high: number;
+  // (high - low) / price, in basis points
+  spreadBps: number;
+  readings: PriceReading[];
+  rejected: { source: string; reason: string }[];
+  timestamp: Date;
+}
+
+export interface PriceOracleOptions {
+  // Readings older than this are rejected
+  maxAgeSeconds?: number;
+  // Readings further than this from the median of all fresh readings are rejected
+  maxDeviationBps?: number;
+  // Fewer accepted readings than this fail the request
+  minSources?: number;
+  // Aggregated prices are reused for this long
+  cacheTtlMs?: number;
+}
+
+/**
+ * No price could be trusted; `code` is safe to return to clients
+ */
+export class PriceOracleError extends Error {
+  constructor(readonly code: "INSUFFICIENT_SOURCES", message: string) {
+    super(message);
+    this.name = "PriceOracleError";
+  }
+}
+
+const median = (values: number[]): number => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Chainlink aggregator; rounds that were never answered or carried over are rejected
+ */
+export class ChainlinkPriceSource implements PriceSource {
+  readonly name = "chainlink";
+  private readonly feed: ethers.Contract;
+  private decimals: number | null = null;
+
+  constructor(provider: ethers.Provider, feedAddress: string) {
+    this.feed = new ethers.Contract(feedAddress, CHAINLINK_ABI, provider);
+  }
+
+  async read(): Promise<PriceReading> {
+    if (this.decimals === null) {
+      this.decimals = Number(await this.feed.decimals());
+    }
+
+    const { roundId, answer, updatedAt, answeredInRound } = await this.feed.latestRoundData();
+    if (updatedAt === 0n) throw new Error(`Round ${roundId} is incomplete`);
+    if (answeredInRound < roundId) throw new Error(`Round ${roundId} carries a stale answer from ${answeredInRound}`);
+    if (answer <= 0n) throw new Error(`Round ${roundId} answered ${answer}`);
+
+    return {
+      source: this.name,
+      price: Number(ethers.formatUnits(answer, this.decimals)),
+      updatedAt: new Date(Number(updatedAt) * 1000)
+    };
+  }
+}
+
+export interface UniswapV3TwapOptions {
+  pool: string;
+  // Whether BTC is token0 of the pool (otherwise the stablecoin is)
+  btcIsToken0: boolean;
+  btcDecimals?: number;
+  usdDecimals?: number;
+  windowSeconds?: number;
+}
+
+/**
+ * Time-weighted average price of a Uniswap V3 BTC/stablecoin pool
+ */
+export class UniswapV3TwapSource implements PriceSource {
+  readonly name = "dex-twap";
+  private readonly pool: ethers.Contract;
+  private readonly options: UniswapV3TwapOptions;
+
+  constructor(provider: ethers.Provider, options: UniswapV3TwapOptions) {
+    this.pool = new ethers.Contract(options.pool, UNISWAP_V3_POOL_ABI, provider);
+    this.options = options;
+  }
+
+  async read(): Promise<PriceReading> {
+    const window = this.options.windowSeconds ?? 30 * 60;
+    const [tickCumulatives] = await this.pool.observe([window, 0]);
+    const averageTick = Number(tickCumulatives[1] - tickCumulatives[0]) / window;
+
+    // token1 per token0 in raw units, then scaled to whole tokens
+    const btcDecimals = this.options.btcDecimals ?? 8;
+    const usdDecimals = this.options.usdDecimals ?? 6;
+    const rawPrice = Math.pow(1.0001, averageTick);
+    const price = this.options.btcIsToken0
+      ? rawPrice * Math.pow(10, btcDecimals - usdDecimals)
+      : Math.pow(10, btcDecimals - usdDecimals) / rawPrice;
+
+    return { source: this.name, price, updatedAt: new Date() };
+  }
+}
+
+export interface HttpPriceSourceOptions {
+  url: string;
+  name?: string;
+  // Pulls the price and its update time out of the response body
+  parse?: (body: any) => { price: number; updatedAt?: Date };
+  timeoutMs?: number;
+}
+
+// CoinGecko /simple/price?ids=bitcoin&vs_currencies=usd&include_last_updated_at=true
+const parseCoinGecko = (body: any) => ({
+  price: Number(body.bitcoin?.usd),
+  updatedAt: body.bitcoin?.last_updated_at ? new Date(body.bitcoin.last_updated_at * 1000) : undefined
+});
+
+/**
+ * Price from an HTTP API; defaults to the CoinGecko response shape so a
+ * local stub serving the same JSON can stand in for it
+ */
+export class HttpPriceSource implements PriceSource {
+  readonly name: string;
+  private readonly options: HttpPriceSourceOptions;
+
+  constructor(options: HttpPriceSourceOptions) {
+    this.name = options.name ?? "http";
+    this.options = options;
+  }
+
+  async read(): Promise<PriceReading> {
+    const response = await axios.get(this.options.url, { timeout: this.options.timeoutMs ?? 5000 });
+    const { price, updatedAt } = (this.options.parse ?? parseCoinGecko)(response.data);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`Unusable price ${price}`);
+    }
+    return { source: this.name, price, updatedAt: updatedAt ?? new Date() };
+  }
+}
+
+/**
+ * Aggregates BTC/USD from several sources.
+ *
+ * Failed, stale and non-positive readings are dropped, then any reading
+ * further than `maxDeviationBps` from the median of the rest. The result is
+ * the median of what remains with its low/high as a confidence band; fewer
+ * than `minSources` survivors is an error rather than a guess.
+ */
+export class PriceOracle {
+  private readonly sources: PriceSource[];
+  private readonly maxAgeSeconds: number;
+  private readonly maxDeviationBps: number;
+  private readonly minSources: number;
+  private readonly cacheTtlMs: number;
+  private cached: AggregatedPrice | null = null;
+
+  constructor(sources: PriceSource[], options: PriceOracleOptions = {}) {
+    if (sources.length === 0) {
+      throw new Error("Price oracle needs at least one source");
+    }
+    this.sources = sources;
+    this.maxAgeSeconds = options.maxAgeSeconds ?? 60 * 60;
+    this.maxDeviationBps = options.maxDeviationBps ?? 200;
+    this.minSources = Math.min(options.minSources ?? 2, sources.length);
+    this.cacheTtlMs = options.cacheTtlMs ?? 30 * 1000;
+  }
+
+  async getBTCPrice(): Promise<AggregatedPrice> {
+    if (this.cached && Date.now() - this.cached.timestamp.getTime() < this.cacheTtlMs) {
+      return this.cached;
+    }
+
+    const rejected: AggregatedPrice["rejected"] = [];
+    const results = await Promise.allSettled(this.sources.map((source) => source.read()));
+
+    const fresh: PriceReading[] = [];
+    results.forEach((result, i) => {
+      const source = this.sources[i].name;
+      if (result.status === "rejected") {
+        rejected.push({ source, reason: (result.reason as Error)?.message ?? String(result.reason) });
+        return;
+      }
+
+      const ageSeconds = (Date.now() - result.value.updatedAt.getTime()) / 1000;
+      if (ageSeconds > this.maxAgeSeconds) {
+        rejected.push({ source, reason: `Stale: updated ${Math.round(ageSeconds)}s ago` });
+      } else if (!(result.value.price > 0)) {
+        rejected.push({ source, reason: `Unusable price ${result.value.price}` });
+      } else {
+        fresh.push(result.value);
+      }
+    });
+
+    const center = fresh.length ? median(fresh.map((r) => r.price)) : 0;
+    const readings = fresh.filter((reading) => {
+      const deviationBps = Math.abs(reading.price - center) / center * 10000;
+      if (deviationBps <= this.maxDeviationBps) return true;
+      rejected.push({ source: reading.source, reason: `Outlier: ${Math.round(deviationBps)}bps from median` });
+      return false;
+    });
+
+    if (readings.length < this.minSources) {
+      throw new PriceOracleError(
+        "INSUFFICIENT_SOURCES",
+        `Only ${readings.length} of ${this.sources.length} BTC price sources usable (need ${this.minSources}): ` +
+          rejected.map((r) => `${r.source}: ${r.reason}`).join("; ")
+      );
+    }
+
+    const prices = readings.map((r) => r.price);
+    const price = median(prices);
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+
+    this.cached = {
+      price,
+      low,
+      high,
+      spreadBps: Math.round((high - low) / price * 10000),
+      readings,
+      rejected,
+      timestamp: new Date()
+    };
+    return this.cached;
+  }
+}
+
+export interface BTCPriceOracleConfig {
+  chainlinkFeed?: string;
+  twapPool?: string;
+  twapBtcIsToken0?: boolean;
+  httpUrl?: string;
+}
+
+/**
+ * The oracle both the API and the off-chain service price BTC with
+ */
+export function createBTCPriceOracle(
+  provider: ethers.Provider,
+  config: BTCPriceOracleConfig,
+  options: PriceOracleOptions = {}
+): PriceOracle {
+  const sources: PriceSource[] = [];
+  if (config.chainlinkFeed) {
+    sources.push(new ChainlinkPriceSource(provider, config.chainlinkFeed));
+  }
+  if (config.twapPool) {
+    sources.push(new UniswapV3TwapSource(provider, { pool: config.twapPool, btcIsToken0: config.twapBtcIsToken0 ?? true }));
+  }
+  if (config.httpUrl) {
+    sources.push(new HttpPriceSource({ url: config.httpUrl }));
+  }
+  return new PriceOracle(sources, options);
+}
@@ -0,0 +1,369 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+
+import CONTRACT_ABI from "../abis/BitmorDCA.json";
+
+// PlanStatus enum in BitmorDCA.sol
+const PLAN_STATUS = ["INACTIVE", "ACTIVE", "PAUSED", "COMPLETED", "EARLY_EXIT"];
+
+// Float columns are compared within half a unit of the token's precision
+const USDC_TOLERANCE = 5e-7;
+const BTC_TOLERANCE = 1e-9;
+
+/**
+ * A DCAPlan row, keyed by its on-chain plan id
+ */
+export interface DbPlanState {
+  planId: number;
+  isActive: boolean;
+  // Created through the API but PlanCreated has not been indexed yet
+  pendingCreation: boolean;
+  // Completed DCAPayment amounts on the plan
+  paymentsTotal: number;
+}
+
+/**
+ * User state as stored in Prisma, flattened to what the contract tracks
+ */
+export interface DbUserState {
+  address: string;
+  totalPaid: number;
+  btcAccumulated: number;
+  currentStreak: number;
+  maxStreak: number;
+  prepaidDays: number;
+  status: number;
+  plans: DbPlanState[];
+  // Unclaimed rewards recorded from RewardsDistributed events
+  unclaimedRewards: number;
+}
+
+/**
+ * One entry of `getUserPlans(address)` converted to DB units
+ */
+export interface ChainPlanState {
+  planId: number;
+  totalPaid: number;
+  btcAccumulated: number;
+  streak: number;
+  maxStreak: number;
+  prepaidDays: number;
+  status: number;
+  lastPaymentTime: number;
+}
+
+/**
+ * The user's plans summed into the DCAUser columns, plus `userExtras(address)`
+ */
+export interface ChainUserState {
+  totalPaid: number;
+  btcAccumulated: number;
+  // Streak of the most recently paid plan, as the PaymentProcessed handler records it
+  streak: number;
+  maxStreak: number;
+  prepaidDays: number;
+  // Status of the newest plan
+  status: number;
+  rewardBalance: number;
+  plans: ChainPlanState[];
+}
+
+export interface Discrepancy {
+  address: string;
+  // On-chain plan id, for fields that belong to one plan
+  planId?: number;
+  field: string;
+  db: number | boolean;
+  chain: number | boolean;
+  // Whether the DB row can be rewritten from chain state
+  repairable: boolean;
+  repaired: boolean;
+}
+
+export interface ReconciliationReport {
+  startedAt: Date;
+  finishedAt: Date;
+  autoRepair: boolean;
+  usersChecked: number;
+  discrepancies: Discrepancy[];
+  failures: { address: string; error: string }[];
+}
+
+export interface ReconcilerOptions {
+  contractAddress: string;
+  // Rewrite DCAUser/DCAPlan from chain state when they disagree
+  autoRepair?: boolean;
+  // Users loaded from the database per page
+  batchSize?: number;
+}
+
+// DCAUser column each repairable field is written to
+const REPAIR_COLUMNS: Record<string, string> = {
+  totalPaid: "totalPaid",
+  btcAccumulated: "btcAccumulated",
+  streak: "currentStreak",
+  maxStreak: "maxStreak",
+  prepaidDays: "prepaidDays",
+  status: "status"
+};
+
+/**
+ * Folds per-plan contract state into the user-level totals the database keeps
+ */
+export function summarizePlans(plans: ChainPlanState[], rewardBalance: number): ChainUserState {
+  const lastPaid = plans.reduce<ChainPlanState | undefined>(
+    (latest, plan) => (!latest || plan.lastPaymentTime > latest.lastPaymentTime ? plan : latest),
+    undefined
+  );
+
+  return {
+    totalPaid: plans.reduce((sum, plan) => sum + plan.totalPaid, 0),
+    btcAccumulated: plans.reduce((sum, plan) => sum + plan.btcAccumulated, 0),
+    streak: lastPaid?.streak ?? 0,
+    maxStreak: plans.reduce((max, plan) => Math.max(max, plan.maxStreak), 0),
+    prepaidDays: plans.reduce((sum, plan) => sum + plan.prepaidDays, 0),
+    status: plans.length ? plans[plans.length - 1].status : 0,
+    rewardBalance,
+    plans
+  };
+}
+
+/**
+ * Lists every field where the database disagrees with the contract
+ */
+export function compareUserState(db: DbUserState, chain: ChainUserState): Discrepancy[] {
+  const discrepancies: Discrepancy[] = [];
+  const add = (
+    field: string,
+    dbValue: number | boolean,
+    chainValue: number | boolean,
+    repairable: boolean,
+    planId?: number
+  ) => {
+    discrepancies.push({
+      address: db.address,
+      ...(planId !== undefined && { planId }),
+      field,
+      db: dbValue,
+      chain: chainValue,
+      repairable,
+      repaired: false
+    });
+  };
+
+  if (Math.abs(db.totalPaid - chain.totalPaid) > USDC_TOLERANCE) {
+    add("totalPaid", db.totalPaid, chain.totalPaid, true);
+  }
+  if (Math.abs(db.btcAccumulated - chain.btcAccumulated) > BTC_TOLERANCE) {
+    add("btcAccumulated", db.btcAccumulated, chain.btcAccumulated, true);
+  }
+  if (db.currentStreak !== chain.streak) {
+    add("streak", db.currentStreak, chain.streak, true);
+  }
+  if (db.maxStreak !== chain.maxStreak) {
+    add("maxStreak", db.maxStreak, chain.maxStreak, true);
+  }
+  if (db.prepaidDays !== chain.prepaidDays) {
+    add("prepaidDays", db.prepaidDays, chain.prepaidDays, true);
+  }
+  if (db.status !== chain.status) {
+    add("status", db.status, chain.status, true);
+  }
+
+  const planIds = new Set([...db.plans.map((p) => p.planId), ...chain.plans.map((p) => p.planId)]);
+  for (const planId of [...planIds].sort((a, b) => a - b)) {
+    const dbPlan = db.plans.find((p) => p.planId === planId);
+    const chainPlan = chain.plans.find((p) => p.planId === planId);
+    const chainStatus = chainPlan?.status ?? 0;
+
+    // Paused plans are still active in the database
+    const chainActive = chainStatus === 1 || chainStatus === 2;
+    const dbActive = dbPlan?.isActive ?? false;
+    if (dbActive !== chainActive && !(dbPlan?.pendingCreation && chainStatus === 0)) {
+      // An inactive plan can be closed from chain state, a missing one cannot be recreated
+      add("activePlan", dbActive, chainActive, !chainActive, planId);
+    }
+
+    // Payment rows can only be rebuilt from events
+    const paymentsTotal = dbPlan?.paymentsTotal ?? 0;
+    const chainPaid = chainPlan?.totalPaid ?? 0;
+    if (Math.abs(paymentsTotal - chainPaid) > USDC_TOLERANCE) {
+      add("payments", paymentsTotal, chainPaid, false, planId);
+    }
+  }
+
+  // Reward ledgers can only be rebuilt from events
+  if (Math.abs(db.unclaimedRewards - chain.rewardBalance) > BTC_TOLERANCE) {
+    add("rewardBalance", db.unclaimedRewards, chain.rewardBalance, false);
+  }
+
+  return discrepancies;
+}
+
+/**
+ * One line per discrepancy, prefixed with a summary
+ */
+export function formatReport(report: ReconciliationReport): string {
+  const repaired = report.discrepancies.filter((d) => d.repaired).length;
+  const lines = [
+    `[Reconciliation] ${report.usersChecked} users checked, ${report.discrepancies.length} discrepancies` +
+      (report.autoRepair ? `, ${repaired} repaired` : "") +
+      (report.failures.length ? `, ${report.failures.length} failed` : "")
+  ];
+
+  for (const d of report.discrepancies) {
+    const field = d.field === "status"
+      ? `status db=${PLAN_STATUS[Number(d.db)] ?? d.db} chain=${PLAN_STATUS[Number(d.chain)] ?? d.chain}`
+      : `${d.field} db=${d.db} chain=${d.chain}`;
+    const subject = d.planId !== undefined ? `${d.address} plan ${d.planId}` : d.address;
+    lines.push(`  ${subject} ${field}${d.repaired ? " (repaired)" : d.repairable ? "" : " (manual)"}`);
+  }
+  for (const f of report.failures) {
+    lines.push(`  ${f.address} failed: ${f.error}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Compares DCAUser/DCAPlan/DCAPayment rows with the contract's plans and
+ * `userExtras` struct. DCAPlan rows are matched to on-chain plans by
+ * `onchainPlanId`. The chain is the source of truth: with auto-repair on,
+ * repairable fields are overwritten from it.
+ */
+export class Reconciler {
+  private readonly contract: ethers.Contract;
+  private readonly prisma: PrismaClient;
+  private readonly autoRepair: boolean;
+  private readonly batchSize: number;
+
+  constructor(provider: ethers.Provider, prisma: PrismaClient, options: ReconcilerOptions) {
+    this.contract = new ethers.Contract(options.contractAddress, CONTRACT_ABI, provider);
+    this.prisma = prisma;
+    this.autoRepair = options.autoRepair ?? false;
+    this.batchSize = options.batchSize ?? 100;
+  }
+
+  /**
+   * Reconciles the given addresses, or every user in the database
+   */
+  async run(addresses?: string[]): Promise<ReconciliationReport> {
+    const report: ReconciliationReport = {
+      startedAt: new Date(),
+      finishedAt: new Date(),
+      autoRepair: this.autoRepair,
+      usersChecked: 0,
+      discrepancies: [],
+      failures: []
+    };
+
+    const where = addresses ? { address: { in: addresses.map((a) => a.toLowerCase()) } } : {};
+
+    for (let skip = 0; ; skip += this.batchSize) {
+      const users = await this.prisma.dCAUser.findMany({
+        where,
+        orderBy: { id: "asc" },
+        skip,
+        take: this.batchSize,
+        include: {
+          plans: {
+            orderBy: { createdAt: "desc" },
+            include: { payments: { where: { status: "completed" } } }
+          },
+          rewards: {
+            // Published epochs are claimed straight from their root, not rewardBalance
+            where: { source: "penalty", claimed: false, txHash: { not: null }, epoch: null }
+          }
+        }
+      });
+
+      for (const user of users) {
+        try {
+          report.discrepancies.push(...await this.reconcileUser(user));
+        } catch (error) {
+          report.failures.push({ address: user.address, error: (error as Error).message });
+        }
+        report.usersChecked++;
+      }
+
+      if (users.length < this.batchSize) break;
+    }
+
+    report.finishedAt = new Date();
+    return report;
+  }
+
+  private async reconcileUser(user: any): Promise<Discrepancy[]> {
+    const [plans, extras] = await Promise.all([
+      this.contract.getUserPlans(user.address),
+      this.contract.userExtras(user.address)
+    ]);
+
+    // getUserPlans index i holds plan id i + 1
+    const chain = summarizePlans(
+      plans.map((plan: any, i: number) => ({
+        planId: i + 1,
+        totalPaid: Number(plan.totalPaid) / 1e6,
+        btcAccumulated: Number(plan.btcAccumulated) / 1e18,
+        streak: Number(plan.streak),
+        maxStreak: Number(plan.maxStreak),
+        prepaidDays: Number(plan.prepaidDays),
+        status: Number(plan.status),
+        lastPaymentTime: Number(plan.lastPaymentTime)
+      })),
+      Number(extras.rewardBalance) / 1e18
+    );
+
+    const discrepancies = compareUserState({
+      address: user.address,
+      totalPaid: user.totalPaid,
+      btcAccumulated: user.btcAccumulated,
+      currentStreak: user.currentStreak,
+      maxStreak: user.maxStreak,
+      prepaidDays: user.prepaidDays,
+      status: user.status,
+      // Plans never signed for the contract have nothing to compare against
+      plans: user.plans.filter((p: any) => p.onchainPlanId != null).map((p: any) => ({
+        planId: p.onchainPlanId,
+        isActive: p.isActive,
+        pendingCreation: !p.creationTxHash,
+        paymentsTotal: p.payments.reduce((sum: number, payment: any) => sum + payment.amount, 0)
+      })),
+      unclaimedRewards: user.rewards.reduce((sum: number, r: any) => sum + r.amount, 0)
+    }, chain);
+
+    if (this.autoRepair && discrepancies.some((d) => d.repairable)) {
+      await this.repair(user, chain, discrepancies);
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Writes chain values over every repairable discrepancy in one transaction
+   */
+  private async repair(user: any, chain: ChainUserState, discrepancies: Discrepancy[]): Promise<void> {
+    const repairable = discrepancies.filter((d) => d.repairable);
+    const data: Record<string, number> = {};
+    for (const d of repairable) {
+      if (REPAIR_COLUMNS[d.field]) {
+        data[REPAIR_COLUMNS[d.field]] = chain[d.field as keyof Omit<ChainUserState, "plans">];
+      }
+    }
+
+    await this.prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      if (Object.keys(data).length > 0) {
+        await tx.dCAUser.update({ where: { id: user.id }, data });
+      }
+      const closed = repairable.filter((d) => d.field === "activePlan").map((d) => d.planId!);
+      if (closed.length > 0) {
+        await tx.dCAPlan.updateMany({
+          where: { userId: user.id, onchainPlanId: { in: closed }, isActive: true },
+          data: { isActive: false }
+        });
+      }
+    });
+
+    for (const d of repairable) d.repaired = true;
+  }
+}
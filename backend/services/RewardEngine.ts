@@ -0,0 +1,455 @@
+import { Prisma, PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+import { buildRewardTree } from "./RewardMerkle";
+import { streakStatus } from "./PlanStreaks";
+
+const YEAR_SECONDS = 365n * 24n * 60n * 60n;
+const RAY = 10n ** 27n;
+
+// Weights are split in whole millionths so rounding is the same everywhere
+const WEIGHT_SCALE = 1_000_000;
+
+/**
+ * How much each factor counts towards a plan's weight
+ */
+export interface RewardWeights {
+  streak: number;
+  commitment: number;
+  penaltyTier: number;
+  duration: number;
+}
+
+export const DEFAULT_REWARD_WEIGHTS: RewardWeights = { streak: 4, commitment: 3, penaltyTier: 2, duration: 1 };
+
+/**
+ * A plan's standing at the end of an epoch
+ */
+export interface PlanStanding {
+  planId: string;
+  // Payments in a row, 0 once the grace period lapsed
+  streak: number;
+  // USDC paid into the plan
+  totalPaid: number;
+  // Maximum early withdrawal penalty, in percent
+  penaltyMax: number;
+  // Plan duration in days
+  timePeriod: number;
+}
+
+export interface RewardParticipant {
+  userId: string;
+  address: string;
+  plans: PlanStanding[];
+}
+
+/**
+ * What an epoch hands out, in 18-decimal BTC units
+ */
+export interface RewardPool {
+  // Aave yield accrued over the epoch, paid as yield boosts
+  yieldBTC: bigint;
+  // Early withdrawal penalties of the epoch, paid from the contract's rewardsPool
+  penaltyBTC: bigint;
+}
+
+export interface PlanWeight extends PlanStanding {
+  // Each factor relative to the epoch's best plan, from 0 to 1
+  factors: Record<keyof RewardWeights, number>;
+  weight: number;
+}
+
+export interface UserAllocation {
+  userId: string;
+  address: string;
+  weight: number;
+  // distributeRewards amount, from the penalty pool
+  amount: bigint;
+  // distributeRewards boost, from the yield pool
+  boost: bigint;
+  plans: PlanWeight[];
+}
+
+/**
+ * Inputs the yield of an epoch is measured from
+ */
+export interface YieldInputs {
+  // BitmorDCA.totalValueLocked, USDC with 6 decimals
+  totalValueLocked: bigint;
+  // BitmorDCA.getAaveYield, the Aave liquidity rate in ray
+  liquidityRate: bigint;
+  btcPriceUSD: number;
+}
+
+/**
+ * An epoch's persisted allocation; amounts are decimal strings of 18-decimal BTC units
+ */
+export interface RewardEpochReport {
+  epoch: number;
+  startsAt: Date;
+  endsAt: Date;
+  weights: RewardWeights;
+  yieldInputs: { totalValueLocked: string; liquidityRate: string; btcPriceUSD: number };
+  pool: { yieldBTC: string; penaltyBTC: string };
+  // Root of the claim tree over allocations with an amount or boost, null if there are none
+  merkleRoot: string | null;
+  allocations: {
+    address: string;
+    weight: number;
+    amount: string;
+    boost: string;
+    plans: PlanWeight[];
+    proof: string[] | null;
+  }[];
+  createdAt: Date;
+  // When the root was published on-chain
+  distributedAt: Date | null;
+}
+
+/**
+ * An allocation the user can claim, or has claimed, from a published epoch
+ */
+export interface RewardClaim {
+  epoch: number;
+  amount: string;
+  boost: string;
+  proof: string[];
+  claimed: boolean;
+  claimedAt: Date | null;
+}
+
+export class RewardEngineError extends Error {
+  constructor(readonly code: "INVALID_WEIGHTS" | "INVALID_EPOCH", message: string) {
+    super(message);
+    this.name = "RewardEngineError";
+  }
+}
+
+/**
+ * Parses "factor:weight" entries separated by commas; factors left out keep
+ * their default weight
+ */
+export function parseRewardWeights(value: string | undefined): RewardWeights {
+  const weights = { ...DEFAULT_REWARD_WEIGHTS };
+  for (const entry of (value ?? "").split(",").filter((e) => e.trim())) {
+    const [factor, weight] = entry.trim().split(":");
+    const parsed = Number(weight);
+    if (!(factor in weights) || weight === undefined || !(parsed >= 0)) {
+      throw new RewardEngineError("INVALID_WEIGHTS", `Invalid reward weight "${entry}"; expected factor:weight`);
+    }
+    weights[factor as keyof RewardWeights] = parsed;
+  }
+  if (Object.values(weights).every((weight) => weight === 0)) {
+    throw new RewardEngineError("INVALID_WEIGHTS", "At least one reward weight must be positive");
+  }
+  return weights;
+}
+
+/**
+ * BTC the contract's USDC earned on Aave over `seconds`, at the current
+ * rate and BTC price
+ */
+export function epochYieldBTC(inputs: YieldInputs, seconds: number): bigint {
+  if (!(inputs.btcPriceUSD > 0)) return 0n;
+  const yieldUSDC = (inputs.totalValueLocked * inputs.liquidityRate * BigInt(seconds)) / (RAY * YEAR_SECONDS);
+  // 6-decimal USDC to 18-decimal BTC at a price with 8 decimals
+  return (yieldUSDC * 10n ** 20n) / BigInt(Math.round(inputs.btcPriceUSD * 1e8));
+}
+
+/**
+ * Splits `total` by integer weights, handing the units lost to rounding to
+ * the largest remainders (earlier entries first on ties)
+ */
+function splitByWeight(total: bigint, weights: bigint[]): bigint[] {
+  const sum = weights.reduce((a, b) => a + b, 0n);
+  if (sum === 0n) return weights.map(() => 0n);
+
+  const shares = weights.map((weight) => (total * weight) / sum);
+  let left = total - shares.reduce((a, b) => a + b, 0n);
+  const byRemainder = weights
+    .map((weight, i) => ({ i, remainder: (total * weight) % sum }))
+    .sort((a, b) => (a.remainder === b.remainder ? a.i - b.i : a.remainder > b.remainder ? -1 : 1));
+  for (const { i } of byRemainder) {
+    if (left === 0n) break;
+    shares[i] += 1n;
+    left -= 1n;
+  }
+  return shares;
+}
+
+/**
+ * Allocates an epoch's pool. Plans without a live streak earn nothing; the
+ * others are weighted by their streak, total paid, penalty tier and
+ * duration, each relative to the best plan of the epoch, and a user's
+ * weight is the sum over their plans. The same participants, pool and
+ * weights always give the same allocation.
+ */
+export function allocateRewards(participants: RewardParticipant[], pool: RewardPool, weights: RewardWeights): UserAllocation[] {
+  const eligible = participants
+    .map((p) => ({ ...p, plans: p.plans.filter((plan) => plan.streak > 0) }))
+    .filter((p) => p.plans.length > 0)
+    .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+
+  const plans = eligible.flatMap((p) => p.plans);
+  const best = {
+    streak: Math.max(0, ...plans.map((plan) => plan.streak)),
+    commitment: Math.max(0, ...plans.map((plan) => plan.totalPaid)),
+    penaltyTier: Math.max(0, ...plans.map((plan) => plan.penaltyMax)),
+    duration: Math.max(0, ...plans.map((plan) => plan.timePeriod))
+  };
+  const relative = (value: number, max: number) => (max > 0 ? value / max : 0);
+
+  const weighted = eligible.map((p) => {
+    const planWeights: PlanWeight[] = p.plans.map((plan) => {
+      const factors = {
+        streak: relative(plan.streak, best.streak),
+        commitment: relative(plan.totalPaid, best.commitment),
+        penaltyTier: relative(plan.penaltyMax, best.penaltyTier),
+        duration: relative(plan.timePeriod, best.duration)
+      };
+      const weight = (Object.keys(weights) as (keyof RewardWeights)[])
+        .reduce((sum, factor) => sum + weights[factor] * factors[factor], 0);
+      return { ...plan, factors, weight };
+    });
+    return { ...p, plans: planWeights, weight: planWeights.reduce((sum, plan) => sum + plan.weight, 0) };
+  });
+
+  const units = weighted.map((p) => BigInt(Math.round(p.weight * WEIGHT_SCALE)));
+  const amounts = splitByWeight(pool.penaltyBTC, units);
+  const boosts = splitByWeight(pool.yieldBTC, units);
+
+  return weighted.map((p, i) => ({
+    userId: p.userId,
+    address: p.address,
+    weight: p.weight,
+    amount: amounts[i],
+    boost: boosts[i],
+    plans: p.plans
+  }));
+}
+
+export interface RewardEngineOptions {
+  weights: RewardWeights;
+  epochHours: number;
+  // Read when an epoch's report is first built
+  getYieldInputs: () => Promise<YieldInputs>;
+}
+
+/**
+ * Builds and keeps one reward allocation per epoch. The first caller to ask
+ * for a closed epoch builds its report from the indexed plans, payments and
+ * penalties and stores it as a YieldPool with its RewardAllocation rows and
+ * their claim tree; everyone after reads the stored report, so the admin
+ * distribution, the reward jobs and the off-chain service all hand out the
+ * same amounts.
+ */
+export class RewardEngine {
+  private readonly prisma: PrismaClient;
+  private readonly options: RewardEngineOptions;
+
+  constructor(prisma: PrismaClient, options: RewardEngineOptions) {
+    if (!(options.epochHours > 0)) {
+      throw new RewardEngineError("INVALID_EPOCH", "epochHours must be positive");
+    }
+    this.prisma = prisma;
+    this.options = options;
+  }
+
+  private get epochMs(): number {
+    return this.options.epochHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * The epoch `at` falls in; epochs are counted from the Unix epoch
+   */
+  epochAt(at = new Date()): number {
+    return Math.floor(at.getTime() / this.epochMs);
+  }
+
+  /**
+   * The latest epoch that has ended
+   */
+  lastClosedEpoch(now = new Date()): number {
+    return this.epochAt(now) - 1;
+  }
+
+  epochBounds(epoch: number): { startsAt: Date; endsAt: Date } {
+    return { startsAt: new Date(epoch * this.epochMs), endsAt: new Date((epoch + 1) * this.epochMs) };
+  }
+
+  /**
+   * The stored report of an epoch, building it first if needed
+   */
+  async report(epoch: number, now = new Date()): Promise<RewardEpochReport> {
+    if (!Number.isInteger(epoch) || epoch < 0 || epoch > this.lastClosedEpoch(now)) {
+      throw new RewardEngineError("INVALID_EPOCH", "epoch must be an epoch that has ended");
+    }
+
+    const stored = await this.findReport(epoch);
+    if (stored) return stored;
+
+    try {
+      await this.build(epoch);
+    } catch (error) {
+      // Another caller stored it first
+      if ((error as { code?: string }).code !== "P2002") throw error;
+    }
+    return (await this.findReport(epoch))!;
+  }
+
+  private async findReport(epoch: number): Promise<RewardEpochReport | null> {
+    const pool = await this.prisma.yieldPool.findUnique({
+      where: { epoch },
+      include: { allocations: { orderBy: { address: "asc" } } }
+    });
+    if (!pool) return null;
+
+    return {
+      epoch,
+      // Set on every pool the engine builds; only older rows leave them null
+      startsAt: pool.startsAt!,
+      endsAt: pool.endsAt!,
+      weights: pool.weights as unknown as RewardWeights,
+      yieldInputs: pool.yieldInputs as RewardEpochReport["yieldInputs"],
+      pool: { yieldBTC: pool.yieldBTC!, penaltyBTC: pool.penaltyBTC! },
+      merkleRoot: pool.merkleRoot,
+      allocations: pool.allocations.map((a) => ({
+        address: a.address,
+        weight: a.weight,
+        amount: a.amount,
+        boost: a.boost,
+        plans: a.plans as unknown as PlanWeight[],
+        proof: a.proof as string[] | null
+      })),
+      createdAt: pool.createdAt,
+      distributedAt: pool.distributedAt
+    };
+  }
+
+  private async build(epoch: number): Promise<void> {
+    const { startsAt, endsAt } = this.epochBounds(epoch);
+    const { weights } = this.options;
+
+    const inputs = await this.options.getYieldInputs();
+    const { _sum } = await this.prisma.withdrawal.aggregate({
+      where: { status: "completed", completedAt: { gte: startsAt, lt: endsAt } },
+      _sum: { penaltyAmount: true }
+    });
+    const pool: RewardPool = {
+      yieldBTC: epochYieldBTC(inputs, this.epochMs / 1000),
+      penaltyBTC: ethers.parseEther((_sum.penaltyAmount ?? 0).toFixed(18))
+    };
+
+    const allocations = allocateRewards(await this.participants(endsAt), pool, weights);
+    const claimable = allocations.filter((a) => a.amount > 0n || a.boost > 0n);
+    const tree = buildRewardTree(epoch, claimable);
+
+    // Stored with its allocations in one write
+    await this.prisma.yieldPool.create({
+      data: {
+        epoch,
+        startsAt,
+        endsAt,
+        weights: { ...weights },
+        yieldInputs: {
+          totalValueLocked: inputs.totalValueLocked.toString(),
+          liquidityRate: inputs.liquidityRate.toString(),
+          btcPriceUSD: inputs.btcPriceUSD
+        },
+        yieldBTC: pool.yieldBTC.toString(),
+        penaltyBTC: pool.penaltyBTC.toString(),
+        aaveYield: Number(ethers.formatEther(pool.yieldBTC)),
+        penaltyAmount: Number(ethers.formatEther(pool.penaltyBTC)),
+        totalAmount: Number(ethers.formatEther(pool.yieldBTC + pool.penaltyBTC)),
+        merkleRoot: claimable.length > 0 ? tree.root : null,
+        allocations: {
+          create: allocations.map((a) => ({
+            userId: a.userId,
+            address: a.address,
+            weight: a.weight,
+            amount: a.amount.toString(),
+            boost: a.boost.toString(),
+            plans: a.plans as unknown as Prisma.InputJsonValue,
+            proof: claimable.includes(a) ? tree.proofs[claimable.indexOf(a)] : Prisma.DbNull
+          }))
+        }
+      }
+    });
+  }
+
+  /**
+   * An address's allocations in epochs whose root is published, with the
+   * proof BitmorDCA.claim takes and whether the indexer saw it claimed
+   */
+  async claims(address: string): Promise<RewardClaim[]> {
+    const allocations = (await this.prisma.rewardAllocation.findMany({
+      where: { address: address.toLowerCase(), pool: { distributedAt: { not: null } } },
+      include: { pool: true },
+      orderBy: { pool: { epoch: "asc" } }
+    })).filter((a) => a.proof);
+
+    const claimed = await this.prisma.reward.findMany({
+      where: {
+        user: { address: address.toLowerCase() },
+        epoch: { in: allocations.map((a) => a.pool.epoch!) },
+        claimed: true
+      }
+    });
+
+    // Published pools were built by the engine, so each has an epoch
+    return allocations.map((a) => {
+      const reward = claimed.find((r) => r.epoch === a.pool.epoch);
+      return {
+        epoch: a.pool.epoch!,
+        amount: a.amount,
+        boost: a.boost,
+        proof: a.proof as string[],
+        claimed: Boolean(reward),
+        claimedAt: reward?.claimedAt ?? null
+      };
+    });
+  }
+
+  /**
+   * Every user with a plan running at `at`, and their plans' standing then
+   */
+  private async participants(at: Date): Promise<RewardParticipant[]> {
+    const users = await this.prisma.dCAUser.findMany({
+      where: { plans: { some: { isActive: true, createdAt: { lt: at } } } },
+      include: {
+        plans: {
+          where: { isActive: true, createdAt: { lt: at } },
+          include: {
+            payments: {
+              where: { status: "completed", completedAt: { lt: at } },
+              orderBy: { completedAt: "desc" }
+            },
+            pauses: true
+          }
+        }
+      }
+    });
+
+    return users.map((user) => ({
+      userId: user.id,
+      address: user.address,
+      plans: user.plans.map((plan) => {
+        // The streak as of the last payment before `at`, which the plan's
+        // persisted one may have moved past
+        const last = plan.payments[0];
+        const { streak } = streakStatus(
+          plan,
+          { streak: last?.streak ?? 0, maxStreak: 0, lastPaymentTime: last?.completedAt ?? null },
+          plan.pauses,
+          at
+        );
+        return {
+          planId: plan.id,
+          streak,
+          totalPaid: plan.payments.reduce((sum, payment) => sum + payment.amount, 0),
+          penaltyMax: plan.penaltyMax,
+          timePeriod: plan.timePeriod
+        };
+      })
+    }));
+  }
+}
@@ -0,0 +1,128 @@
+import { PrismaClient } from "@prisma/client";
+import { PlanWeight } from "./RewardEngine";
+
+/**
+ * One Reward row with what earned it
+ */
+export interface RewardAccrual {
+  id: string;
+  // Reward epoch, null for credits from distributeRewards
+  epoch: number | null;
+  // "penalty" is paid from the contract's rewardsPool, "yield" as a boost from Aave yield
+  source: string;
+  // BTC
+  amount: number;
+  weight: number;
+  // The user's streak when it was earned
+  streak: number | null;
+  // Each plan's factors and weight in the epoch; empty for distributeRewards credits
+  plans: PlanWeight[];
+  eligibleSince: Date;
+  // Transaction that published or distributed it
+  txHash: string | null;
+  claimed: boolean;
+  claimedAt: Date | null;
+  claimTxHash: string | null;
+}
+
+export interface RewardClaimRecord {
+  epoch: number | null;
+  // BTC
+  amount: number;
+  boost: number;
+  txHash: string;
+  claimedAt: Date;
+}
+
+export interface UserRewardHistory {
+  address: string;
+  // BTC
+  totalEarned: number;
+  totalClaimed: number;
+  accruals: RewardAccrual[];
+  claims: RewardClaimRecord[];
+}
+
+/**
+ * Reads a user's rewards. Reward rows are written by the event indexer for
+ * every RewardsDistributed and RewardRootPublished, and marked claimed on
+ * RewardsClaimed; claimRewards emits no event, so distributeRewards credits
+ * stay unclaimed here and what is left of them is the on-chain rewardBalance
+ * and yieldBoost.
+ */
+export class RewardHistory {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Every accrual of a user, newest first, and their claims, or null if the
+   * user does not exist
+   */
+  async userRewards(address: string): Promise<UserRewardHistory | null> {
+    const user = await this.prisma.dCAUser.findUnique({
+      where: { address: address.toLowerCase() },
+      include: {
+        rewards: { orderBy: [{ eligibleSince: "desc" }, { source: "asc" }] },
+        rewardAllocations: { include: { pool: { select: { epoch: true } } } },
+        plans: {
+          include: {
+            payments: {
+              where: { status: "completed", streak: { not: null } },
+              select: { completedAt: true, streak: true }
+            }
+          }
+        }
+      }
+    });
+    if (!user) return null;
+
+    const allocations = new Map(user.rewardAllocations.map((a) => [a.pool.epoch, a]));
+    // Completed payments all carry completedAt
+    const payments = user.plans
+      .flatMap((plan) => plan.payments)
+      .sort((a, b) => b.completedAt!.getTime() - a.completedAt!.getTime());
+    // distributeRewards credits carry no breakdown; the latest payment before them has the streak
+    const streakAt = (at: Date) => payments.find((payment) => payment.completedAt! <= at)?.streak ?? null;
+
+    const accruals: RewardAccrual[] = user.rewards.map((reward) => {
+      const allocation = reward.epoch !== null ? allocations.get(reward.epoch) : undefined;
+      const plans = (allocation?.plans ?? []) as unknown as PlanWeight[];
+      return {
+        id: reward.id,
+        epoch: reward.epoch,
+        source: reward.source,
+        amount: reward.amount,
+        weight: reward.weight,
+        streak: allocation ? Math.max(...plans.map((plan) => plan.streak)) : streakAt(reward.eligibleSince),
+        plans,
+        eligibleSince: reward.eligibleSince,
+        txHash: reward.txHash,
+        claimed: reward.claimed,
+        claimedAt: reward.claimedAt,
+        claimTxHash: reward.claimTxHash
+      };
+    });
+
+    // A claim pays an epoch's amount and boost together
+    const claims = new Map<string, RewardClaimRecord>();
+    for (const reward of user.rewards.filter((r) => r.claimTxHash)) {
+      const key = `${reward.claimTxHash}:${reward.claimLogIndex}`;
+      const claim = claims.get(key) ??
+        { epoch: reward.epoch, amount: 0, boost: 0, txHash: reward.claimTxHash!, claimedAt: reward.claimedAt! };
+      if (reward.source === "yield") claim.boost += reward.amount;
+      else claim.amount += reward.amount;
+      claims.set(key, claim);
+    }
+
+    return {
+      address: user.address,
+      totalEarned: accruals.reduce((sum, accrual) => sum + accrual.amount, 0),
+      totalClaimed: accruals.filter((accrual) => accrual.claimed).reduce((sum, accrual) => sum + accrual.amount, 0),
+      accruals,
+      claims: [...claims.values()]
+    };
+  }
+}
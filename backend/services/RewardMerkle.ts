@@ -0,0 +1,69 @@
+import { ethers } from "ethers";
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * One leaf of an epoch's reward tree, in 18-decimal BTC units
+ */
+export interface RewardLeaf {
+  address: string;
+  amount: bigint;
+  boost: bigint;
+}
+
+export interface RewardTree {
+  // Zero hash for an epoch without leaves, which the contract refuses
+  root: string;
+  // Proof of each leaf, in the order the leaves were given
+  proofs: string[][];
+}
+
+/**
+ * The leaf BitmorDCA.claim rebuilds from its caller and arguments. It is
+ * hashed twice so a leaf can never pass for an inner node.
+ */
+export function rewardLeafHash(epoch: number, leaf: RewardLeaf): string {
+  return ethers.keccak256(ethers.keccak256(
+    abiCoder.encode(["address", "uint256", "uint128", "uint128"], [leaf.address, epoch, leaf.amount, leaf.boost])
+  ));
+}
+
+// OpenZeppelin's MerkleProof hashes each pair in sorted order
+function hashPair(a: string, b: string): string {
+  return a < b ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds an epoch's reward tree. An odd node at the end of a level moves up
+ * unchanged, so the same leaves in the same order always give the same root.
+ */
+export function buildRewardTree(epoch: number, leaves: RewardLeaf[]): RewardTree {
+  if (leaves.length === 0) return { root: ethers.ZeroHash, proofs: [] };
+
+  let level = leaves.map((leaf) => rewardLeafHash(epoch, leaf));
+  let positions = leaves.map((_, i) => i);
+  const proofs: string[][] = leaves.map(() => []);
+
+  while (level.length > 1) {
+    positions.forEach((position, i) => {
+      const sibling = position ^ 1;
+      if (sibling < level.length) proofs[i].push(level[sibling]);
+    });
+
+    const next: string[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+    positions = positions.map((position) => position >> 1);
+  }
+
+  return { root: level[0], proofs };
+}
+
+/**
+ * Checks a proof the way MerkleProof.verify does
+ */
+export function verifyRewardProof(root: string, epoch: number, leaf: RewardLeaf, proof: string[]): boolean {
+  return proof.reduce(hashPair, rewardLeafHash(epoch, leaf)) === root;
+}
@@ -1,167 +1,469 @@
 import { ethers } from "ethers";
 import { generateNonce } from "../utils";
 
+/**
+ * "personal" signs keccak256(abi.encodePacked(...)) as an EIP-191 message,
+ * "typed" signs the EIP-712 struct so wallets can render every field
+ */
+export type SignatureMode = "personal" | "typed";
+
+export interface SignatureServiceOptions {
+  mode?: SignatureMode;
+  // BitmorDCA deployment the signatures are bound to, in both modes
+  verifyingContract?: string;
+  // Seconds a signed authorization stays valid on-chain
+  ttlSeconds?: number;
+}
+
+/**
+ * A signed authorization; the contract rejects it after `deadline` (unix seconds)
+ */
+export interface SignedAuthorization {
+  nonce: string;
+  signature: string;
+  deadline: number;
+}
+
+// Matches the 15 minute Redis TTL on cached quotes
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+/**
+ * EIP-712 structs checked by BitmorDCA.sol, one per authorized action
+ */
+export const TYPED_DATA_TYPES: Record<string, ethers.TypedDataField[]> = {
+  CreatePlan: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "targetBTC", type: "uint128" },
+    { name: "dailyAmount", type: "uint128" },
+    { name: "timePeriod", type: "uint32" },
+    { name: "withdrawalDelay", type: "uint32" },
+    { name: "cadence", type: "uint8" },
+    { name: "bitmorEnabled", type: "bool" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  Payment: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "usdcAmount", type: "uint128" },
+    { name: "btcAmount", type: "uint128" },
+    { name: "usesPrepaid", type: "bool" },
+    { name: "creator", type: "address" },
+    { name: "creatorFee", type: "uint128" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  PrepayDays: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "usdcAmount", type: "uint128" },
+    { name: "days", type: "uint32" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  EarlyWithdraw: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "btcAmount", type: "uint128" },
+    { name: "penaltyAmount", type: "uint128" },
+    { name: "daysRemaining", type: "uint32" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  CompletePlan: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  DustSweep: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "tokenAmounts", type: "uint128[]" },
+    { name: "tokens", type: "address[]" },
+    { name: "amountOutMins", type: "uint128[]" },
+    { name: "expectedBTC", type: "uint128" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  BitmorThreshold: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "btcAmount", type: "uint128" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  ClaimCreatorFees: [
+    { name: "creator", type: "address" },
+    { name: "totalEarned", type: "uint128" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  AmendPlan: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "dailyAmount", type: "uint128" },
+    { name: "timePeriod", type: "uint32" },
+    { name: "cadence", type: "uint8" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  PausePlan: [
+    { name: "user", type: "address" },
+    { name: "planId", type: "uint256" },
+    { name: "days", type: "uint32" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ],
+  PublishRewards: [
+    { name: "epoch", type: "uint256" },
+    { name: "root", type: "bytes32" },
+    { name: "totalAmount", type: "uint128" },
+    { name: "totalBoost", type: "uint128" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "bytes32" }
+  ]
+};
+
+/**
+ * Signs backend authorizations for BitmorDCA.
+ *
+ * Every payload mirrors what the matching contract function hashes before
+ * calling `_verifySignature`: the `abi.encodePacked(...)` layout in personal
+ * mode, or the EIP-712 struct in typed mode. Field order and Solidity types
+ * here must stay in lockstep with BitmorDCA.sol.
+ *
+ * Personal payloads end with the chain id and the contract address, the same
+ * pair the EIP-712 domain binds, so a signature for one deployment cannot be
+ * replayed against another that shares the backend signer.
+ *
+ * Plan-scoped actions carry the on-chain plan id (1-based, per user) so a
+ * signature for one plan cannot be spent on another of the same user's plans.
+ */
 export class SignatureService {
   private readonly wallet: ethers.Wallet;
   private readonly chainId: number;
+  private readonly mode: SignatureMode;
+  private readonly verifyingContract: string;
+  private readonly ttlSeconds: number;
 
-  constructor(privateKey: string, chainId: number) {
+  constructor(privateKey: string, chainId: number, options: SignatureServiceOptions = {}) {
     this.wallet = new ethers.Wallet(privateKey);
     this.chainId = chainId;
+    this.mode = options.mode ?? "personal";
+    this.ttlSeconds = options.ttlSeconds ?? DEFAULT_TTL_SECONDS;
+
+    if (!options.verifyingContract) {
+      throw new Error("Signatures require a verifying contract address");
+    }
+    this.verifyingContract = options.verifyingContract;
+  }
+
+  /**
+   * Creates a service bound to the chain id reported by the provider
+   */
+  static async fromProvider(
+    privateKey: string,
+    provider: ethers.Provider,
+    options: SignatureServiceOptions = {}
+  ): Promise<SignatureService> {
+    const network = await provider.getNetwork();
+    return new SignatureService(privateKey, Number(network.chainId), options);
+  }
+
+  /**
+   * Address of the backend signer
+   */
+  get address(): string {
+    return this.wallet.address;
+  }
+
+  /**
+   * Chain id included in every payload
+   */
+  getChainId(): number {
+    return this.chainId;
   }
 
   /**
-   * Signs plan creation parameters
+   * Unix timestamp after which a signature issued now is rejected
+   */
+  nextDeadline(): number {
+    return Math.floor(Date.now() / 1000) + this.ttlSeconds;
+  }
+
+  /**
+   * Signing mode used for action authorizations
+   */
+  getMode(): SignatureMode {
+    return this.mode;
+  }
+
+  /**
+   * EIP-712 domain bound to the contract and chain
+   */
+  getDomain(): ethers.TypedDataDomain {
+    return {
+      name: "BitmorDCA",
+      version: "1",
+      chainId: this.chainId,
+      verifyingContract: this.verifyingContract
+    };
+  }
+
+  /**
+   * Signs plan creation parameters (createDCAplan)
    */
   async signCreatePlan(
     user: string,
+    planId: number,
     targetBTC: bigint,
     dailyAmount: bigint,
     timePeriod: number,
     withdrawalDelay: number,
     cadence: number,
     bitmorEnabled: boolean
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128", "uint128", "uint32", "uint32", "uint8", "bool", "bytes32", "uint256"],
-        [user, targetBTC, dailyAmount, timePeriod, withdrawalDelay, cadence, bitmorEnabled, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "CreatePlan",
+      { user, planId, targetBTC, dailyAmount, timePeriod, withdrawalDelay, cadence, bitmorEnabled, deadline, nonce },
+      ["address", "uint256", "uint128", "uint128", "uint32", "uint32", "uint8", "bool", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, targetBTC, dailyAmount, timePeriod, withdrawalDelay, cadence, bitmorEnabled, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs payment parameters
+   * Signs payment parameters (makePayment). `creatorFee` is the part of
+   * `usdcAmount` owed to the strategy's `creator`; the zero address and 0 for
+   * plans without a paid strategy.
    */
   async signPayment(
     user: string,
+    planId: number,
     usdcAmount: bigint,
     btcAmount: bigint,
-    usesPrepaid: boolean
-  ): Promise<{ nonce: string; signature: string }> {
+    usesPrepaid: boolean,
+    creator: string,
+    creatorFee: bigint
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128", "uint128", "bool", "bytes32", "uint256"],
-        [user, usdcAmount, btcAmount, usesPrepaid, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "Payment",
+      { user, planId, usdcAmount, btcAmount, usesPrepaid, creator, creatorFee, deadline, nonce },
+      ["address", "uint256", "uint128", "uint128", "bool", "address", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, usdcAmount, btcAmount, usesPrepaid, creator, creatorFee, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs prepay days parameters
+   * Signs prepay days parameters (prepayDays)
    */
   async signPrepayDays(
     user: string,
+    planId: number,
     usdcAmount: bigint,
     days: number
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128", "uint32", "bytes32", "uint256"],
-        [user, usdcAmount, days, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "PrepayDays",
+      { user, planId, usdcAmount, days, deadline, nonce },
+      ["address", "uint256", "uint128", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, usdcAmount, days, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs early withdrawal parameters
+   * Signs early withdrawal parameters (earlyWithdraw)
    */
   async signEarlyWithdrawal(
     user: string,
+    planId: number,
     btcAmount: bigint,
     penaltyAmount: bigint,
     daysRemaining: number
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128", "uint128", "uint32", "bytes32", "uint256"],
-        [user, btcAmount, penaltyAmount, daysRemaining, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "EarlyWithdraw",
+      { user, planId, btcAmount, penaltyAmount, daysRemaining, deadline, nonce },
+      ["address", "uint256", "uint128", "uint128", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, btcAmount, penaltyAmount, daysRemaining, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs plan completion
+   * Signs plan completion (completePlan)
    */
-  async signCompletePlan(user: string): Promise<{ nonce: string; signature: string }> {
+  async signCompletePlan(user: string, planId: number): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "string", "bytes32", "uint256"],
-        [user, "COMPLETE", nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "CompletePlan",
+      { user, planId, deadline, nonce },
+      ["address", "uint256", "string", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, "COMPLETE", deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs reward distribution parameters
+   * Signs reward distribution parameters (distributeRewards).
+   * Batch distributions are keeper-submitted and always use personal mode.
    */
   async signRewardDistribution(
     users: string[],
     amounts: bigint[],
     boosts: bigint[]
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
+    const nonce = generateNonce();
+    const deadline = this.nextDeadline();
+    const signature = await this.signPacked(
+      ["address[]", "uint128[]", "uint128[]", "uint256", "bytes32", "uint256", "address"],
+      [users, amounts, boosts, deadline, nonce, this.chainId, this.verifyingContract]
+    );
+    return { nonce, signature, deadline };
+  }
+
+  /**
+   * Signs a reward epoch's Merkle root, the amounts it reserves from
+   * rewardsPool and the boosts it reserves from yieldPool (publishRewardRoot)
+   */
+  async signPublishRewards(epoch: number, root: string, totalAmount: bigint, totalBoost: bigint): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address[]", "uint128[]", "uint128[]", "bytes32", "uint256"],
-        [users, amounts, boosts, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "PublishRewards",
+      { epoch, root, totalAmount, totalBoost, deadline, nonce },
+      ["uint256", "bytes32", "uint128", "uint128", "string", "uint256", "bytes32", "uint256", "address"],
+      [epoch, root, totalAmount, totalBoost, "PUBLISH_REWARDS", deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs dust sweep parameters
+   * Signs dust sweep parameters (sweepDust). Each token's swap must return
+   * its `amountOutMins` entry, and the swaps together `expectedBTC`.
    */
   async signDustSweep(
     user: string,
+    planId: number,
     tokenAmounts: bigint[],
     tokens: string[],
+    amountOutMins: bigint[],
     expectedBTC: bigint
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128[]", "address[]", "uint128", "bytes32", "uint256"],
-        [user, tokenAmounts, tokens, expectedBTC, nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "DustSweep",
+      { user, planId, tokenAmounts, tokens, amountOutMins, expectedBTC, deadline, nonce },
+      ["address", "uint256", "uint128[]", "address[]", "uint128[]", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, tokenAmounts, tokens, amountOutMins, expectedBTC, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
   }
 
   /**
-   * Signs Bitmor threshold parameters
+   * Signs Bitmor threshold parameters (triggerBitmorThreshold)
    */
   async signBitmorThreshold(
     user: string,
+    planId: number,
     btcAmount: bigint
-  ): Promise<{ nonce: string; signature: string }> {
+  ): Promise<SignedAuthorization> {
+    const nonce = generateNonce();
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "BitmorThreshold",
+      { user, planId, btcAmount, deadline, nonce },
+      ["address", "uint256", "uint128", "string", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, btcAmount, "BITMOR_THRESHOLD", deadline, nonce, this.chainId, this.verifyingContract]
+    );
+    return { nonce, signature, deadline };
+  }
+
+  /**
+   * Signs a plan's new daily amount, duration and cadence (amendPlan)
+   */
+  async signAmendPlan(
+    user: string,
+    planId: number,
+    dailyAmount: bigint,
+    timePeriod: number,
+    cadence: number
+  ): Promise<SignedAuthorization> {
     const nonce = generateNonce();
-    const messageHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "uint128", "string", "bytes32", "uint256"],
-        [user, btcAmount, "BITMOR_THRESHOLD", nonce, this.chainId]
-      )
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "AmendPlan",
+      { user, planId, dailyAmount, timePeriod, cadence, deadline, nonce },
+      ["address", "uint256", "uint128", "uint32", "uint8", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, dailyAmount, timePeriod, cadence, deadline, nonce, this.chainId, this.verifyingContract]
     );
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
-    return { nonce, signature };
+    return { nonce, signature, deadline };
+  }
+
+  /**
+   * Signs a pause of a plan for a number of days (pausePlan)
+   */
+  async signPausePlan(user: string, planId: number, days: number): Promise<SignedAuthorization> {
+    const nonce = generateNonce();
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "PausePlan",
+      { user, planId, days, deadline, nonce },
+      ["address", "uint256", "uint32", "uint256", "bytes32", "uint256", "address"],
+      [user, planId, days, deadline, nonce, this.chainId, this.verifyingContract]
+    );
+    return { nonce, signature, deadline };
+  }
+
+  /**
+   * Signs a strategy creator's lifetime fee earnings (claimCreatorFees)
+   */
+  async signClaimCreatorFees(creator: string, totalEarned: bigint): Promise<SignedAuthorization> {
+    const nonce = generateNonce();
+    const deadline = this.nextDeadline();
+    const signature = await this.signAction(
+      "ClaimCreatorFees",
+      { creator, totalEarned, deadline, nonce },
+      ["address", "uint128", "uint256", "bytes32", "uint256", "address"],
+      [creator, totalEarned, deadline, nonce, this.chainId, this.verifyingContract]
+    );
+    return { nonce, signature, deadline };
+  }
+
+  /**
+   * Verifies a typed-data signature for one of the action structs
+   */
+  verifyTypedSignature(
+    primaryType: string,
+    message: Record<string, unknown>,
+    signature: string,
+    expectedSigner: string
+  ): boolean {
+    try {
+      const recoveredAddress = ethers.verifyTypedData(
+        this.getDomain(),
+        { [primaryType]: TYPED_DATA_TYPES[primaryType] },
+        message,
+        signature
+      );
+      return recoveredAddress.toLowerCase() === expectedSigner.toLowerCase();
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -182,4 +484,32 @@ export class SignatureService {
       return false;
     }
   }
+
+  /**
+   * Signs an action in the configured mode
+   */
+  private async signAction(
+    primaryType: string,
+    message: Record<string, unknown>,
+    packedTypes: string[],
+    packedValues: unknown[]
+  ): Promise<string> {
+    if (this.mode === "typed") {
+      return this.wallet.signTypedData(
+        this.getDomain(),
+        { [primaryType]: TYPED_DATA_TYPES[primaryType] },
+        message
+      );
+    }
+    return this.signPacked(packedTypes, packedValues);
+  }
+
+  /**
+   * Hashes a packed payload and signs it as an EIP-191 personal message,
+   * matching `keccak256(abi.encodePacked(...)).toEthSignedMessageHash()`
+   */
+  private async signPacked(types: string[], values: unknown[]): Promise<string> {
+    const messageHash = ethers.solidityPackedKeccak256(types, values);
+    return this.wallet.signMessage(ethers.getBytes(messageHash));
+  }
 }
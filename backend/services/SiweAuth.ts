@@ -0,0 +1,280 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+import crypto from "crypto";
+
+// bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+const EIP1271_MAGIC_VALUE = "0x1626ba7e";
+const EIP1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+export interface SiweAuthOptions {
+  // Host the frontend signs in from; messages for any other domain are refused
+  domain: string;
+  // HMAC key for session tokens
+  jwtSecret: string;
+  // Defaults to the provider's chain
+  chainId?: number;
+  nonceTtlSeconds?: number;
+  sessionTtlSeconds?: number;
+}
+
+/**
+ * The fields of an EIP-4361 message
+ */
+export interface SiweMessage {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+export interface Session {
+  address: string;
+  token: string;
+  expiresAt: Date;
+}
+
+/**
+ * A sign-in or session that must not be trusted; `code` is safe to return to clients
+ */
+export class AuthError extends Error {
+  constructor(
+    readonly code:
+      | "INVALID_MESSAGE"
+      | "DOMAIN_MISMATCH"
+      | "CHAIN_MISMATCH"
+      | "INVALID_NONCE"
+      | "MESSAGE_EXPIRED"
+      | "INVALID_SIGNATURE"
+      | "INVALID_SESSION",
+    message: string
+  ) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+const FIELDS: Record<string, keyof SiweMessage> = {
+  "URI": "uri",
+  "Version": "version",
+  "Chain ID": "chainId",
+  "Nonce": "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId"
+};
+
+/**
+ * Parses an EIP-4361 message; throws AuthError("INVALID_MESSAGE") on anything malformed
+ */
+export function parseSiweMessage(text: string): SiweMessage {
+  const lines = text.split("\n");
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new AuthError("INVALID_MESSAGE", "Not a Sign-In with Ethereum message");
+  }
+  if (!ethers.isAddress(lines[1])) {
+    throw new AuthError("INVALID_MESSAGE", "Message has no valid address");
+  }
+
+  const fields: Record<string, any> = {};
+  const statement: string[] = [];
+  let resources: string[] | undefined;
+
+  for (const line of lines.slice(2)) {
+    if (resources) {
+      if (!line.startsWith("- ")) throw new AuthError("INVALID_MESSAGE", `Unexpected line after Resources: ${line}`);
+      resources.push(line.slice(2));
+      continue;
+    }
+    if (line === "Resources:") {
+      resources = [];
+      continue;
+    }
+
+    const separator = line.indexOf(": ");
+    const field = separator > 0 ? FIELDS[line.slice(0, separator)] : undefined;
+    if (field) {
+      fields[field] = line.slice(separator + 2);
+    } else if (line !== "") {
+      if (fields.uri) throw new AuthError("INVALID_MESSAGE", `Unexpected line: ${line}`);
+      statement.push(line);
+    }
+  }
+
+  for (const required of ["uri", "version", "chainId", "nonce", "issuedAt"]) {
+    if (!fields[required]) throw new AuthError("INVALID_MESSAGE", `Message is missing ${required}`);
+  }
+  if (fields.version !== "1") {
+    throw new AuthError("INVALID_MESSAGE", `Unsupported message version ${fields.version}`);
+  }
+
+  return {
+    ...fields,
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: ethers.getAddress(lines[1]),
+    statement: statement.length ? statement.join("\n") : undefined,
+    chainId: Number(fields.chainId),
+    resources
+  } as SiweMessage;
+}
+
+/**
+ * Formats an EIP-4361 message, the inverse of parseSiweMessage
+ */
+export function formatSiweMessage(message: SiweMessage): string {
+  const lines = [`${message.domain}${HEADER_SUFFIX}`, message.address, ""];
+  if (message.statement) lines.push(message.statement, "");
+  lines.push(
+    `URI: ${message.uri}`,
+    `Version: ${message.version}`,
+    `Chain ID: ${message.chainId}`,
+    `Nonce: ${message.nonce}`,
+    `Issued At: ${message.issuedAt}`
+  );
+  if (message.expirationTime) lines.push(`Expiration Time: ${message.expirationTime}`);
+  if (message.notBefore) lines.push(`Not Before: ${message.notBefore}`);
+  if (message.requestId) lines.push(`Request ID: ${message.requestId}`);
+  if (message.resources) lines.push("Resources:", ...message.resources.map((r) => `- ${r}`));
+  return lines.join("\n");
+}
+
+const base64url = (value: string | Buffer) => Buffer.from(value).toString("base64url");
+
+/**
+ * Sign-In with Ethereum for the API.
+ *
+ * The client fetches a single-use nonce, has the wallet sign an EIP-4361
+ * message carrying it, and trades message and signature for an HS256 session
+ * token whose subject is the signing address. Smart contract wallets are
+ * checked with EIP-1271.
+ */
+export class SiweAuth {
+  private readonly provider: ethers.Provider;
+  private readonly prisma: PrismaClient;
+  private readonly options: SiweAuthOptions;
+  private readonly nonceTtlSeconds: number;
+  private readonly sessionTtlSeconds: number;
+
+  constructor(provider: ethers.Provider, prisma: PrismaClient, options: SiweAuthOptions) {
+    if (!options.jwtSecret) {
+      throw new Error("Session tokens need a secret");
+    }
+    this.provider = provider;
+    this.prisma = prisma;
+    this.options = options;
+    this.nonceTtlSeconds = options.nonceTtlSeconds ?? 10 * 60;
+    this.sessionTtlSeconds = options.sessionTtlSeconds ?? 24 * 60 * 60;
+  }
+
+  /**
+   * Issues a nonce for one sign-in message
+   */
+  async createNonce(): Promise<{ nonce: string; expiresAt: Date }> {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const expiresAt = new Date(Date.now() + this.nonceTtlSeconds * 1000);
+    await this.prisma.authNonce.create({ data: { nonce, expiresAt } });
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Checks a signed sign-in message and opens a session for its address
+   */
+  async verify(text: string, signature: string): Promise<Session> {
+    const message = parseSiweMessage(text);
+    const now = new Date();
+
+    if (message.domain !== this.options.domain) {
+      throw new AuthError("DOMAIN_MISMATCH", `Message is for ${message.domain}, not ${this.options.domain}`);
+    }
+    const chainId = this.options.chainId ?? Number((await this.provider.getNetwork()).chainId);
+    if (message.chainId !== chainId) {
+      throw new AuthError("CHAIN_MISMATCH", `Message is for chain ${message.chainId}, not ${chainId}`);
+    }
+    if (message.expirationTime && new Date(message.expirationTime) <= now) {
+      throw new AuthError("MESSAGE_EXPIRED", "Message has expired");
+    }
+    if (message.notBefore && new Date(message.notBefore) > now) {
+      throw new AuthError("MESSAGE_EXPIRED", "Message is not valid yet");
+    }
+
+    if (!(await this.isValidSignature(message.address, text, signature))) {
+      throw new AuthError("INVALID_SIGNATURE", "Signature does not match the message address");
+    }
+
+    // Consume the nonce last so a bad signature cannot burn someone else's
+    const { count } = await this.prisma.authNonce.updateMany({
+      where: { nonce: message.nonce, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now, address: message.address }
+    });
+    if (count !== 1) {
+      throw new AuthError("INVALID_NONCE", "Nonce is unknown, expired or already used");
+    }
+
+    return this.issueSession(message.address);
+  }
+
+  /**
+   * Resolves a session token to its address
+   */
+  verifySession(token: string): { address: string; expiresAt: Date } {
+    const [header, payload, signature] = token.split(".");
+    if (!header || !payload || !signature) {
+      throw new AuthError("INVALID_SESSION", "Malformed session token");
+    }
+
+    const expected = this.hmac(`${header}.${payload}`);
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+      throw new AuthError("INVALID_SESSION", "Session token signature is invalid");
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (claims.aud !== this.options.domain || !ethers.isAddress(claims.sub)) {
+      throw new AuthError("INVALID_SESSION", "Session token was not issued for this API");
+    }
+    if (claims.exp * 1000 <= Date.now()) {
+      throw new AuthError("INVALID_SESSION", "Session has expired");
+    }
+
+    return { address: claims.sub, expiresAt: new Date(claims.exp * 1000) };
+  }
+
+  private issueSession(address: string): Session {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const exp = issuedAt + this.sessionTtlSeconds;
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = base64url(JSON.stringify({ sub: address, aud: this.options.domain, iat: issuedAt, exp }));
+    const token = `${header}.${payload}.${this.hmac(`${header}.${payload}`)}`;
+    return { address, token, expiresAt: new Date(exp * 1000) };
+  }
+
+  private hmac(data: string): string {
+    return crypto.createHmac("sha256", this.options.jwtSecret).update(data).digest("base64url");
+  }
+
+  private async isValidSignature(address: string, text: string, signature: string): Promise<boolean> {
+    try {
+      if (ethers.verifyMessage(text, signature) === address) return true;
+    } catch {
+      // Not a 65-byte ECDSA signature; may still be valid for a contract wallet
+    }
+
+    if ((await this.provider.getCode(address)) === "0x") return false;
+    try {
+      const wallet = new ethers.Contract(address, EIP1271_ABI, this.provider);
+      return (await wallet.isValidSignature(ethers.hashMessage(text), signature)) === EIP1271_MAGIC_VALUE;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import { PrismaClient } from "@prisma/client";
+export type StrategySort = "subscribers" | "completionRate";
+
+export interface StrategyFilters {
+  cadence?: "daily" | "weekly";
+  // Plan duration in days, inclusive
+  minDays?: number;
+  maxDays?: number;
+  minTargetBTC?: number;
+  maxTargetBTC?: number;
+  // Basis points, inclusive
+  maxFee?: number;
+}
+
+export interface StrategyListQuery {
+  filters: StrategyFilters;
+  sort: StrategySort;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Performance of the plans subscribed to a strategy. Only plans whose
+ * createDCAplan transaction was mined count as subscribers.
+ */
+export interface StrategyStats {
+  subscribers: number;
+  activeSubscribers: number;
+  completed: number;
+  exitedEarly: number;
+  // completed / (completed + exitedEarly); null until a subscription ends
+  completionRate: number | null;
+}
+
+export interface StrategyPerformance extends StrategyStats {
+  totalInvestedUSDC: number;
+  btcAccumulated: number;
+  // USDC per BTC across all subscribers' payments; null before the first one
+  averagePrice: number | null;
+}
+
+/**
+ * A list query parameter is malformed; the message is safe to return to clients
+ */
+export class StrategyQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "StrategyQueryError";
+  }
+}
+
+// Plans that count as subscriptions, with what summarizeSubscriptions reads
+const SUBSCRIPTIONS = {
+  where: { creationTxHash: { not: null } },
+  select: { isActive: true, _count: { select: { withdrawals: true } } }
+};
+
+const number = (query: Record<string, unknown>, name: string): number | undefined => {
+  if (query[name] === undefined) return undefined;
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new StrategyQueryError(`${name} must be a non-negative number`);
+  }
+  return value;
+};
+
+/**
+ * Reads GET /api/strategies query parameters
+ */
+export function parseStrategyQuery(query: Record<string, unknown>): StrategyListQuery {
+  const { cadence, sort = "subscribers" } = query;
+
+  if (cadence !== undefined && cadence !== "daily" && cadence !== "weekly") {
+    throw new StrategyQueryError("cadence must be daily or weekly");
+  }
+  if (sort !== "subscribers" && sort !== "completionRate") {
+    throw new StrategyQueryError("sort must be subscribers or completionRate");
+  }
+
+  return {
+    filters: {
+      cadence,
+      minDays: number(query, "minDays"),
+      maxDays: number(query, "maxDays"),
+      minTargetBTC: number(query, "minTargetBTC"),
+      maxTargetBTC: number(query, "maxTargetBTC"),
+      maxFee: number(query, "maxFee")
+    },
+    sort,
+    limit: Math.min(number(query, "limit") || 20, 100),
+    offset: number(query, "offset") ?? 0
+  };
+}
+
+/**
+ * Counts a strategy's subscriptions. A closed plan completed unless it left
+ * through an early withdrawal.
+ */
+export function summarizeSubscriptions(
+  plans: { isActive: boolean; _count: { withdrawals: number } }[]
+): StrategyStats {
+  const ended = plans.filter((plan) => !plan.isActive);
+  const exitedEarly = ended.filter((plan) => plan._count.withdrawals > 0).length;
+  const completed = ended.length - exitedEarly;
+
+  return {
+    subscribers: plans.length,
+    activeSubscribers: plans.length - ended.length,
+    completed,
+    exitedEarly,
+    completionRate: ended.length > 0 ? completed / ended.length : null
+  };
+}
+
+const range = (min?: number, max?: number) =>
+  min === undefined && max === undefined ? undefined : { gte: min, lte: max };
+
+/**
+ * Browsing side of the strategy marketplace: active strategies with their
+ * subscription stats. Stats are derived from DCAPlan rows linked through
+ * `strategyId`, so they follow the event indexer.
+ */
+export class StrategyMarketplace {
+  private readonly prisma: PrismaClient;
+
+  constructor(prisma: PrismaClient) {
+    this.prisma = prisma;
+  }
+
+  async list({ filters, sort, limit, offset }: StrategyListQuery) {
+    const strategies = await this.prisma.dCAStrategy.findMany({
+      where: {
+        isActive: true,
+        cadence: filters.cadence,
+        timePeriod: range(filters.minDays, filters.maxDays),
+        targetBTC: range(filters.minTargetBTC, filters.maxTargetBTC),
+        fee: range(undefined, filters.maxFee)
+      },
+      include: { plans: SUBSCRIPTIONS }
+    });
+
+    // Stats are computed per strategy, so sorting and paging happen here
+    const ranked = strategies
+      .map(({ plans, ...strategy }) => ({ ...strategy, stats: summarizeSubscriptions(plans) }))
+      .sort((a, b) =>
+        (b.stats[sort] ?? -1) - (a.stats[sort] ?? -1) ||
+        b.stats.subscribers - a.stats.subscribers ||
+        b.createdAt.getTime() - a.createdAt.getTime()
+      );
+
+    return { strategies: ranked.slice(offset, offset + limit), total: ranked.length };
+  }
+
+  /**
+   * One strategy with its performance, or null if it does not exist
+   */
+  async get(id: string) {
+    const strategy = await this.prisma.dCAStrategy.findUnique({
+      where: { id },
+      include: { plans: SUBSCRIPTIONS }
+    });
+    if (!strategy) return null;
+
+    const { _sum } = await this.prisma.dCAPayment.aggregate({
+      where: { status: "completed", plan: { strategyId: id } },
+      _sum: { amount: true, btcAmount: true }
+    });
+    const totalInvestedUSDC = _sum.amount ?? 0;
+    const btcAccumulated = _sum.btcAmount ?? 0;
+
+    const { plans, ...rest } = strategy;
+    const performance: StrategyPerformance = {
+      ...summarizeSubscriptions(plans),
+      totalInvestedUSDC,
+      btcAccumulated,
+      averagePrice: btcAccumulated > 0 ? totalInvestedUSDC / btcAccumulated : null
+    };
+
+    return { ...rest, performance };
+  }
+}
@@ -0,0 +1,161 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+
+import UNISWAP_ROUTER_ABI from "../abis/UniswapRouter.json";
+
+const CHAINLINK_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)"
+];
+
+export interface TokenQuote {
+  token: string;
+  amountIn: bigint;
+  path: string[];
+  // cbBTC the router returns for `amountIn`
+  amountOut: bigint;
+  // cbBTC the reference prices say `amountIn` is worth
+  referenceAmountOut: bigint;
+  // Router vs reference price, in basis points of the reference
+  deviationBps: number;
+  slippageBps: number;
+  amountOutMin: bigint;
+}
+
+export interface SwapQuote {
+  tokens: TokenQuote[];
+  // Sum of router outputs, in cbBTC units
+  expectedBTC: bigint;
+  // Least cbBTC the swaps may return after slippage
+  minBTC: bigint;
+  // Unix seconds the router accepts the swaps until
+  deadline: number;
+}
+
+export interface SwapQuoterOptions {
+  routerAddress: string;
+  cbBTCAddress: string;
+  cbBTCDecimals?: number;
+  // USD per BTC from the price oracle
+  getBTCPriceUSD: () => Promise<number>;
+  // Refuse quotes whose router price is further than this from the reference
+  maxDeviationBps?: number;
+  // Slippage for tokens without their own setting
+  defaultSlippageBps?: number;
+  // Token USD feed answers older than this are not used as a reference
+  maxPriceAgeSeconds?: number;
+  deadlineSeconds?: number;
+}
+
+/**
+ * A quote that must not be signed or executed; `code` is safe to return to clients
+ */
+export class SwapQuoteError extends Error {
+  constructor(readonly code: "UNSUPPORTED_TOKEN" | "NO_REFERENCE_PRICE" | "NO_LIQUIDITY" | "PRICE_DEVIATION", message: string) {
+    super(message);
+    this.name = "SwapQuoteError";
+  }
+}
+
+/**
+ * Prices token -> cbBTC swaps on the router and checks them against the
+ * oracle BTC price before they are signed or sent. Each token's
+ * slippage tolerance and optional USD feed come from its SupportedToken row;
+ * stablecoins are referenced at $1.
+ */
+export class SwapQuoter {
+  private readonly provider: ethers.Provider;
+  private readonly prisma: PrismaClient;
+  private readonly router: ethers.Contract;
+  private readonly options: SwapQuoterOptions;
+
+  constructor(provider: ethers.Provider, prisma: PrismaClient, options: SwapQuoterOptions) {
+    this.provider = provider;
+    this.prisma = prisma;
+    this.router = new ethers.Contract(options.routerAddress, UNISWAP_ROUTER_ABI, provider);
+    this.options = options;
+  }
+
+  async quote(swaps: { token: string; amount: bigint }[]): Promise<SwapQuote> {
+    const cbBTC = this.options.cbBTCAddress.toLowerCase();
+    const supportedTokens = await this.prisma.supportedToken.findMany({
+      where: { address: { in: swaps.map((s) => s.token.toLowerCase()) }, isEnabled: true }
+    });
+    const btcPriceUSD = await this.options.getBTCPriceUSD();
+    const maxDeviationBps = this.options.maxDeviationBps ?? 200;
+
+    const tokens: TokenQuote[] = [];
+    for (const { token, amount } of swaps) {
+      const path = [token, this.options.cbBTCAddress];
+
+      // cbBTC dust is already the output token
+      if (token.toLowerCase() === cbBTC) {
+        tokens.push({ token, amountIn: amount, path, amountOut: amount, referenceAmountOut: amount, deviationBps: 0, slippageBps: 0, amountOutMin: amount });
+        continue;
+      }
+
+      const supported = supportedTokens.find((t) => t.address.toLowerCase() === token.toLowerCase());
+      if (!supported) {
+        throw new SwapQuoteError("UNSUPPORTED_TOKEN", `Token ${token} is not an enabled SupportedToken`);
+      }
+
+      const amounts: bigint[] = await this.router.getAmountsOut(amount, path);
+      const amountOut = amounts[amounts.length - 1];
+      if (amountOut === 0n) {
+        throw new SwapQuoteError("NO_LIQUIDITY", `Router returns nothing for ${supported.symbol}`);
+      }
+
+      const tokenPriceUSD = await this.getTokenPriceUSD(supported);
+      const valueUSD = Number(ethers.formatUnits(amount, supported.decimals)) * tokenPriceUSD;
+      const referenceAmountOut = ethers.parseUnits(
+        (valueUSD / btcPriceUSD).toFixed(this.cbBTCDecimals),
+        this.cbBTCDecimals
+      );
+
+      const deviationBps = Math.round(Math.abs(Number(amountOut - referenceAmountOut)) / Number(referenceAmountOut) * 10000);
+      if (deviationBps > maxDeviationBps) {
+        throw new SwapQuoteError(
+          "PRICE_DEVIATION",
+          `${supported.symbol} router price deviates ${deviationBps / 100}% from the reference (max ${maxDeviationBps / 100}%)`
+        );
+      }
+
+      const slippageBps = supported.slippageBps ?? this.options.defaultSlippageBps ?? 50;
+      const amountOutMin = (amountOut * BigInt(10000 - slippageBps)) / 10000n;
+      tokens.push({ token, amountIn: amount, path, amountOut, referenceAmountOut, deviationBps, slippageBps, amountOutMin });
+    }
+
+    return {
+      tokens,
+      expectedBTC: tokens.reduce((sum, t) => sum + t.amountOut, 0n),
+      minBTC: tokens.reduce((sum, t) => sum + t.amountOutMin, 0n),
+      deadline: Math.floor(Date.now() / 1000) + (this.options.deadlineSeconds ?? 30 * 60)
+    };
+  }
+
+  private get cbBTCDecimals(): number {
+    return this.options.cbBTCDecimals ?? 8;
+  }
+
+  private async getTokenPriceUSD(token: { symbol: string; isStablecoin: boolean; priceFeed: string | null }): Promise<number> {
+    if (token.isStablecoin) return 1;
+    if (!token.priceFeed) {
+      throw new SwapQuoteError("NO_REFERENCE_PRICE", `No USD price feed configured for ${token.symbol}`);
+    }
+
+    const feed = new ethers.Contract(token.priceFeed, CHAINLINK_ABI, this.provider);
+    const [{ roundId, answer, updatedAt, answeredInRound }, decimals] = await Promise.all([feed.latestRoundData(), feed.decimals()]);
+
+    // The checks PriceOracle makes of its Chainlink source
+    const unusable = (reason: string) => new SwapQuoteError("NO_REFERENCE_PRICE", `${token.symbol} USD feed: ${reason}`);
+    if (updatedAt === 0n) throw unusable(`round ${roundId} is incomplete`);
+    if (answeredInRound < roundId) throw unusable(`round ${roundId} carries a stale answer from ${answeredInRound}`);
+    if (answer <= 0n) throw unusable(`round ${roundId} answered ${answer}`);
+
+    const ageSeconds = Date.now() / 1000 - Number(updatedAt);
+    if (ageSeconds > (this.options.maxPriceAgeSeconds ?? 60 * 60)) {
+      throw unusable(`stale, updated ${Math.round(ageSeconds)}s ago`);
+    }
+    return Number(ethers.formatUnits(answer, decimals));
+  }
+}
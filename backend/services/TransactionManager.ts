@@ -0,0 +1,347 @@
+import { PrismaClient } from "@prisma/client";
+import { ethers } from "ethers";
+
+/**
+ * Row a transaction settles; its hash column and status follow the receipt
+ */
+export interface TransactionReference {
+  type: "deposit" | "withdrawal" | "dustSweep" | "dCAPayment";
+  id: string;
+  // One of several transactions the row waits on: a failure still fails the
+  // row, a success leaves its status to the last transaction
+  partial?: boolean;
+}
+
+export interface TransactionRequest {
+  to: string;
+  data: string;
+  value?: bigint;
+  // Short label stored with each attempt, e.g. "aaveDeposit"
+  purpose: string;
+}
+
+export interface TransactionResult {
+  hash: string;
+  nonce: number;
+  success: boolean;
+  receipt: ethers.TransactionReceipt;
+  attempts: number;
+}
+
+export interface TransactionManagerOptions {
+  // Replace a transaction that has not been mined after this long
+  stuckAfterMs?: number;
+  // Percent added to both fee fields on each replacement (nodes require >= 10)
+  feeBumpPercent?: number;
+  // Broadcasts per nonce, including the original; once used up a stuck
+  // nonce is cancelled with a zero-value transfer to the signer
+  maxAttempts?: number;
+  // Give up on a nonce this long after its first broadcast: its attempts
+  // are marked dropped and send rejects
+  timeoutMs?: number;
+  pollIntervalMs?: number;
+  // Percent added to the node's gas estimate
+  gasLimitBufferPercent?: number;
+}
+
+// Hash column each reference model stores the transaction under
+const REFERENCE_COLUMNS: Record<TransactionReference["type"], string> = {
+  deposit: "aaveDepositTx",
+  withdrawal: "aaveWithdrawTx",
+  dustSweep: "txHash",
+  dCAPayment: "txHash"
+};
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends backend transactions for one signer.
+ *
+ * Nonces are handed out from a local queue so concurrent sends never
+ * collide, fees are estimated as EIP-1559 and a transaction still unmined
+ * after `stuckAfterMs` is replaced at the same nonce with bumped fees.
+ * Every broadcast is stored as a TransactionAttempt row, and the final
+ * receipt status is written to the referenced Deposit, Withdrawal,
+ * DustSweep or DCAPayment. Create one manager per signer.
+ */
+export class TransactionManager {
+  private readonly signer: ethers.Wallet;
+  private readonly provider: ethers.Provider;
+  private readonly prisma: PrismaClient;
+  private readonly stuckAfterMs: number;
+  private readonly feeBumpPercent: bigint;
+  private readonly maxAttempts: number;
+  private readonly timeoutMs: number;
+  private readonly pollIntervalMs: number;
+  private readonly gasLimitBufferPercent: bigint;
+  // Next nonce to hand out; null until synced from the pending block
+  private nextNonce: number | null = null;
+  // Serializes nonce allocation and the first broadcast
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(signer: ethers.Wallet, prisma: PrismaClient, options: TransactionManagerOptions = {}) {
+    if (!signer.provider) {
+      throw new Error("Transaction signer must be connected to a provider");
+    }
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.prisma = prisma;
+    this.stuckAfterMs = options.stuckAfterMs ?? 3 * 60 * 1000;
+    this.feeBumpPercent = BigInt(options.feeBumpPercent ?? 15);
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.timeoutMs = options.timeoutMs ?? 30 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.gasLimitBufferPercent = BigInt(options.gasLimitBufferPercent ?? 20);
+  }
+
+  get address(): string {
+    return this.signer.address;
+  }
+
+  /**
+   * Broadcasts the request and resolves once one of its attempts is mined.
+   * A reverted transaction resolves with `success: false`; a nonce taken by
+   * a transaction this manager did not send, cancelled after `maxAttempts`
+   * or still unmined after `timeoutMs` rejects.
+   */
+  async send(request: TransactionRequest, reference?: TransactionReference): Promise<TransactionResult> {
+    // Estimated before a nonce is reserved, so a reverting call never leaves a gap
+    const estimate = await this.provider.estimateGas({
+      from: this.signer.address,
+      to: request.to,
+      data: request.data,
+      value: request.value
+    });
+    const gasLimit = (estimate * (100n + this.gasLimitBufferPercent)) / 100n;
+
+    let fees = await this.estimateFees();
+    const { nonce, hash } = await this.withNextNonce(async (nonce) => ({
+      nonce,
+      hash: await this.broadcast(request, reference, { nonce, gasLimit, ...fees })
+    }));
+
+    // Every accepted attempt at this nonce; any of them may be the one mined
+    const hashes = [hash];
+    let cancelHash: string | null = null;
+    const deadline = Date.now() + this.timeoutMs;
+    let lastSentAt = Date.now();
+
+    for (;;) {
+      await sleep(this.pollIntervalMs);
+
+      const sent = cancelHash ? [...hashes, cancelHash] : hashes;
+      let mined = await this.findReceipt(sent);
+      if (!mined && (await this.provider.getTransactionCount(this.address, "latest")) > nonce) {
+        // The receipt may have landed between the two lookups
+        mined = await this.findReceipt(sent);
+        if (!mined) {
+          await this.drop(nonce, reference);
+          throw new Error(`Nonce ${nonce} of ${this.address} was used by another transaction`);
+        }
+      }
+      if (mined && mined.hash === cancelHash) {
+        await this.settleCancel(nonce, mined, reference);
+        throw new Error(`Nonce ${nonce} of ${this.address} was cancelled after ${hashes.length} attempts`);
+      }
+      if (mined) return this.settle(nonce, mined, hashes.length, reference);
+
+      if (Date.now() >= deadline) {
+        await this.drop(nonce, reference);
+        throw new Error(`Nonce ${nonce} of ${this.address} was not mined within ${this.timeoutMs}ms`);
+      }
+
+      if (Date.now() - lastSentAt < this.stuckAfterMs || cancelHash) continue;
+
+      fees = await this.bumpFees(fees);
+      try {
+        if (hashes.length < this.maxAttempts) {
+          hashes.push(await this.broadcast(request, reference, { nonce, gasLimit, ...fees }));
+        } else {
+          // Frees the nonce so the transactions queued behind it can be mined
+          cancelHash = await this.broadcast(
+            { to: this.address, data: "0x", purpose: "cancel" },
+            undefined,
+            { nonce, gasLimit: 21_000n, ...fees }
+          );
+        }
+      } catch (error) {
+        // Usually the previous attempt was mined meanwhile; the next poll finds it
+        console.warn(`[Tx Replacement Rejected] nonce ${nonce}: ${(error as Error).message}`);
+      }
+      lastSentAt = Date.now();
+    }
+  }
+
+  /**
+   * Runs `fn` with the next nonce; nonces are only consumed when it succeeds
+   */
+  private withNextNonce<T>(fn: (nonce: number) => Promise<T>): Promise<T> {
+    const run = this.queue.then(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.provider.getTransactionCount(this.address, "pending");
+      }
+      const nonce = this.nextNonce;
+      try {
+        const result = await fn(nonce);
+        this.nextNonce = nonce + 1;
+        return result;
+      } catch (error) {
+        // Resync from the node rather than guess what the failed send consumed
+        this.nextNonce = null;
+        throw error;
+      }
+    });
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  private async estimateFees(): Promise<{ maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }> {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+      throw new Error("Network did not return EIP-1559 fee data");
+    }
+    return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  }
+
+  /**
+   * Replacement fees: the previous fees bumped, or the market rate if that is higher
+   */
+  private async bumpFees(previous: { maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }) {
+    const current = await this.estimateFees();
+    const bump = (value: bigint) => (value * (100n + this.feeBumpPercent) + 99n) / 100n;
+    const maxPriorityFeePerGas = [bump(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+    const maxFeePerGas = [bump(previous.maxFeePerGas), current.maxFeePerGas, maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Signs and broadcasts one attempt, recording it whether or not the node accepts it
+   */
+  private async broadcast(
+    request: TransactionRequest,
+    reference: TransactionReference | undefined,
+    params: { nonce: number; gasLimit: bigint; maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }
+  ): Promise<string> {
+    const { chainId } = await this.provider.getNetwork();
+    const signed = await this.signer.signTransaction({
+      type: 2,
+      chainId,
+      to: request.to,
+      data: request.data,
+      value: request.value ?? 0n,
+      ...params
+    });
+    const hash = ethers.Transaction.from(signed).hash!;
+
+    const attempt = {
+      signer: this.address,
+      nonce: params.nonce,
+      txHash: hash,
+      purpose: request.purpose,
+      referenceType: reference?.type ?? null,
+      referenceId: reference?.id ?? null,
+      to: request.to,
+      gasLimit: params.gasLimit.toString(),
+      maxFeePerGas: params.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: params.maxPriorityFeePerGas.toString()
+    };
+
+    try {
+      await this.provider.broadcastTransaction(signed);
+    } catch (error) {
+      await this.prisma.transactionAttempt.create({
+        data: { ...attempt, status: "rejected", error: (error as Error).message }
+      });
+      throw error;
+    }
+
+    await this.prisma.transactionAttempt.create({ data: { ...attempt, status: "pending" } });
+    if (reference) {
+      await this.updateReference(reference, { [REFERENCE_COLUMNS[reference.type]]: hash });
+    }
+    console.log(`[Tx Sent] ${request.purpose} nonce ${params.nonce}: ${hash}`);
+    return hash;
+  }
+
+  private async findReceipt(hashes: string[]): Promise<ethers.TransactionReceipt | null> {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Marks the mined attempt with its outcome and every other one as replaced
+   */
+  private async settle(
+    nonce: number,
+    receipt: ethers.TransactionReceipt,
+    attempts: number,
+    reference?: TransactionReference
+  ): Promise<TransactionResult> {
+    const success = receipt.status === 1;
+
+    await this.prisma.transactionAttempt.updateMany({
+      where: { txHash: receipt.hash, status: "pending" },
+      data: {
+        status: success ? "confirmed" : "reverted",
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      }
+    });
+    await this.prisma.transactionAttempt.updateMany({
+      where: { signer: this.address, nonce, status: "pending" },
+      data: { status: "replaced" }
+    });
+
+    if (reference?.partial && success) {
+      await this.updateReference(reference, { [REFERENCE_COLUMNS[reference.type]]: receipt.hash });
+    } else if (reference) {
+      await this.updateReference(reference, {
+        [REFERENCE_COLUMNS[reference.type]]: receipt.hash,
+        status: success ? "completed" : "failed",
+        completedAt: success ? new Date() : null
+      });
+    }
+
+    console.log(`[Tx ${success ? "Confirmed" : "Reverted"}] nonce ${nonce}: ${receipt.hash}`);
+    return { hash: receipt.hash, nonce, success, receipt, attempts };
+  }
+
+  /**
+   * Marks the mined cancellation confirmed and the attempts it replaced dropped
+   */
+  private async settleCancel(
+    nonce: number,
+    receipt: ethers.TransactionReceipt,
+    reference?: TransactionReference
+  ): Promise<void> {
+    await this.prisma.transactionAttempt.updateMany({
+      where: { txHash: receipt.hash, status: "pending" },
+      data: { status: "confirmed", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() }
+    });
+    await this.drop(nonce, reference);
+    console.warn(`[Tx Cancelled] nonce ${nonce}: ${receipt.hash}`);
+  }
+
+  private async drop(nonce: number, reference?: TransactionReference): Promise<void> {
+    await this.prisma.transactionAttempt.updateMany({
+      where: { signer: this.address, nonce, status: "pending" },
+      data: { status: "dropped" }
+    });
+    if (reference) {
+      await this.updateReference(reference, { status: "failed" });
+    }
+  }
+
+  private async updateReference(reference: TransactionReference, data: Record<string, unknown>): Promise<void> {
+    // The referenced models share an update by id, which TypeScript can't call through a union
+    const delegate = this.prisma[reference.type] as unknown as {
+      update(args: { where: { id: string }; data: Record<string, unknown> }): Promise<unknown>;
+    };
+    await delegate.update({ where: { id: reference.id }, data });
+  }
+}
@@ -0,0 +1,768 @@
+import { Prisma } from "@prisma/client";
+import { ContractEventHandler, IndexedEvent } from "./EventIndexer";
+import { creatorFee } from "./CreatorFees";
+import { pauseAdjustedTime, pausedTime } from "./PlanPauses";
+import { applyPayment, gracePeriodDays } from "./PlanStreaks";
+import {
+  AchievementKind,
+  FIRST_BTC_THRESHOLD,
+  awardAchievements,
+  paidWithoutMiss,
+  reachesBTC,
+  revokeAchievements,
+  streakAchievements
+} from "./Achievements";
+
+// Contract amounts: USDC has 6 decimals, BTC amounts are 18-decimal fixed point
+const toUSDC = (value: string | boolean) => Number(value) / 1e6;
+const toBTC = (value: string | boolean) => Number(value) / 1e18;
+
+const userAddress = (event: IndexedEvent) => String(event.args.user).toLowerCase();
+const onchainPlanId = (event: IndexedEvent) => Number(event.args.planId);
+// Streak a stored PaymentProcessed left the plan on
+const streakOf = (row: { args: Prisma.JsonValue }) => Number((row.args as IndexedEvent["args"]).streak);
+const cadenceName = (value: string | boolean) => (Number(value) === 0 ? "daily" : "weekly");
+
+/**
+ * Records an event the database has nothing to apply it to in ErrorLog. The
+ * event is still stored as indexed, so the rest of its block goes through
+ * and the indexer does not retry it forever.
+ */
+async function recordOrphan(tx: Prisma.TransactionClient, event: IndexedEvent, reason: string): Promise<void> {
+  await tx.errorLog.create({
+    data: {
+      path: `event:${event.name}`,
+      method: "INDEX",
+      errorName: "OrphanEvent",
+      errorMessage: `${reason} for ${event.name} ${event.txHash}:${event.logIndex}`,
+      status: 404
+    }
+  });
+}
+
+/**
+ * Loads the event's user together with the plan it names, or records the
+ * event as an orphan and returns null
+ */
+async function findUserWithPlan(tx: Prisma.TransactionClient, event: IndexedEvent) {
+  const dbUser = await tx.dCAUser.findUnique({
+    where: { address: userAddress(event) },
+    include: { plans: { where: { onchainPlanId: onchainPlanId(event) } } }
+  });
+
+  if (!dbUser || !dbUser.plans[0]) {
+    await recordOrphan(tx, event, `User or plan ${event.args.planId} not found`);
+    return null;
+  }
+
+  return { dbUser, plan: dbUser.plans[0] };
+}
+
+const planCreated: ContractEventHandler = {
+  async apply(tx, event) {
+    const address = userAddress(event);
+    const dbUser = await tx.dCAUser.upsert({
+      where: { address },
+      update: {},
+      create: {
+        address,
+        totalPaid: 0,
+        btcAccumulated: 0,
+        startTime: event.timestamp,
+        lastPaymentTime: event.timestamp,
+        currentStreak: 0,
+        maxStreak: 0,
+        bitmorEnabled: Boolean(event.args.bitmorEnabled)
+      }
+    });
+
+    // Plans created through the API reserved their plan id when signed
+    const pending = await tx.dCAPlan.findUnique({
+      where: { userId_onchainPlanId: { userId: dbUser.id, onchainPlanId: onchainPlanId(event) } }
+    });
+
+    if (pending) {
+      await tx.dCAPlan.update({
+        where: { id: pending.id },
+        data: { creationTxHash: event.txHash, startTime: event.timestamp }
+      });
+      return pending.id;
+    }
+
+    // Only reached when backfilling into an empty database; the event does
+    // not carry the withdrawal delay or penalty curve, so those stay at zero
+    const plan = await tx.dCAPlan.create({
+      data: {
+        userId: dbUser.id,
+        targetBTC: toBTC(event.args.targetBTC),
+        totalDailyAmount: toUSDC(event.args.dailyAmount),
+        timePeriod: Number(event.args.timePeriod),
+        withdrawalDelay: 0,
+        penaltyMin: 0,
+        penaltyMax: 0,
+        cadence: cadenceName(event.args.cadence),
+        graceWindow: gracePeriodDays(cadenceName(event.args.cadence)),
+        isActive: true,
+        onchainPlanId: onchainPlanId(event),
+        creationTxHash: event.txHash,
+        startTime: event.timestamp
+      }
+    });
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    // The plan row belongs to the API; it is stamped again if the transaction is re-mined
+    await tx.dCAPlan.updateMany({
+      where: { creationTxHash: event.txHash },
+      data: { creationTxHash: null, startTime: null }
+    });
+  }
+};
+
+const paymentProcessed: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { dbUser, plan } = found;
+    const streak = Number(event.args.streak);
+
+    // Keeper submissions already have their pending row
+    const submitted = await tx.dCAPayment.updateMany({
+      where: { txHash: event.txHash, logIndex: null },
+      data: { status: "completed", streak, completedAt: event.timestamp }
+    });
+
+    if (submitted.count === 0) {
+      await tx.dCAPayment.create({
+        data: {
+          planId: plan.id,
+          amount: toUSDC(event.args.usdcAmount),
+          btcAmount: toBTC(event.args.btcAmount),
+          usesPrepaid: Boolean(event.args.usesPrepaid),
+          streak,
+          status: "completed",
+          txHash: event.txHash,
+          logIndex: event.logIndex,
+          completedAt: event.timestamp
+        }
+      });
+    }
+
+    await tx.dCAUser.update({
+      where: { id: dbUser.id },
+      data: {
+        totalPaid: { increment: toUSDC(event.args.usdcAmount) },
+        btcAccumulated: { increment: toBTC(event.args.btcAmount) },
+        currentStreak: streak,
+        maxStreak: Math.max(dbUser.maxStreak, streak),
+        lastPaymentTime: event.timestamp
+      }
+    });
+
+    // The event's streak is the contract's. A prepaid payment leaves the
+    // streak as it was, which is all the event tells of whether a prepaid day
+    // was spent; replaying the payment says whether it leaned on the grace period.
+    const graceWindow = gracePeriodDays(plan.cadence);
+    const prepaid = Boolean(event.args.usesPrepaid) && streak === plan.streak;
+    const { outcome } = applyPayment(
+      { cadence: plan.cadence, graceWindow },
+      { streak: plan.streak, maxStreak: plan.maxStreak, lastPaymentTime: plan.lastPaymentTime, prepaidDays: prepaid ? 1 : 0 },
+      { at: event.timestamp, usesPrepaid: prepaid }
+    );
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: {
+        streak,
+        maxStreak: Math.max(plan.maxStreak, streak),
+        lastPaymentTime: event.timestamp,
+        graceWindow,
+        ...(outcome === "grace" && { lastGraceUsed: event.timestamp })
+      }
+    });
+
+    // The contract completes a plan on the payment that reaches its target
+    const payments = await tx.dCAPayment.findMany({
+      where: { planId: plan.id, status: "completed" },
+      select: { btcAmount: true, streak: true }
+    });
+    const planBTC = payments.reduce((sum, payment) => sum + payment.btcAmount, 0);
+    const kinds: AchievementKind[] = streakAchievements(streak, plan.cadence);
+    if (reachesBTC(dbUser.btcAccumulated + toBTC(event.args.btcAmount), FIRST_BTC_THRESHOLD)) kinds.push("first_btc");
+    if (reachesBTC(planBTC, plan.targetBTC) && paidWithoutMiss(payments)) kinds.push("perfect_plan");
+    await awardAchievements(tx, { userId: dbUser.id, planId: plan.id, kinds }, event);
+
+    // Strategy subscribers were credited BTC net of the creator's cut
+    if (plan.strategyId && plan.creatorFeeBps > 0) {
+      const strategy = await tx.dCAStrategy.findUnique({ where: { id: plan.strategyId } });
+      const fee = creatorFee(BigInt(String(event.args.usdcAmount)), plan.creatorFeeBps);
+
+      await tx.creatorFee.create({
+        data: {
+          strategyId: plan.strategyId,
+          creator: strategy!.creator,
+          planId: plan.id,
+          paymentAmount: toUSDC(event.args.usdcAmount),
+          feeBps: plan.creatorFeeBps,
+          amount: toUSDC(fee.toString()),
+          txHash: event.txHash,
+          logIndex: event.logIndex
+        }
+      });
+    }
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    await tx.dCAPayment.deleteMany({
+      where: {
+        txHash: event.txHash,
+        OR: [{ logIndex: event.logIndex }, { logIndex: null }]
+      }
+    });
+    await revokeAchievements(tx, event);
+
+    await tx.creatorFee.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+
+    // Streak and payment time fall back to the user's previous indexed payment
+    const previous = await tx.chainEvent.findFirst({
+      where: {
+        userAddress: userAddress(event),
+        eventName: "PaymentProcessed",
+        OR: [
+          { blockNumber: { lt: event.blockNumber } },
+          { blockNumber: event.blockNumber, logIndex: { lt: event.logIndex } }
+        ]
+      },
+      orderBy: [{ blockNumber: "desc" }, { logIndex: "desc" }]
+    });
+
+    await tx.dCAUser.update({
+      where: { address: userAddress(event) },
+      data: {
+        totalPaid: { decrement: toUSDC(event.args.usdcAmount) },
+        btcAccumulated: { decrement: toBTC(event.args.btcAmount) },
+        currentStreak: previous ? streakOf(previous) : 0,
+        ...(previous && { lastPaymentTime: previous.blockTimestamp })
+      }
+    });
+
+    if (!event.planId) return;
+
+    // The plan's streak falls back to its previous indexed payment, moved out
+    // by the pauses resumed since. maxStreak and lastGraceUsed only move
+    // forward and are left as they are.
+    const previousForPlan = await tx.chainEvent.findFirst({
+      where: {
+        planId: event.planId,
+        eventName: "PaymentProcessed",
+        OR: [
+          { blockNumber: { lt: event.blockNumber } },
+          { blockNumber: event.blockNumber, logIndex: { lt: event.logIndex } }
+        ]
+      },
+      orderBy: [{ blockNumber: "desc" }, { logIndex: "desc" }]
+    });
+    const resumed = previousForPlan
+      ? await tx.planPause.findMany({ where: { planId: event.planId, resumedAt: { not: null } } })
+      : [];
+
+    await tx.dCAPlan.update({
+      where: { id: event.planId },
+      data: {
+        streak: previousForPlan ? streakOf(previousForPlan) : 0,
+        lastPaymentTime: previousForPlan
+          ? pauseAdjustedTime(previousForPlan.blockTimestamp, resumed, event.timestamp)
+          : null
+      }
+    });
+  }
+};
+
+const earlyWithdrawal: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { dbUser, plan } = found;
+    const btcAmount = toBTC(event.args.btcAmount);
+    const penalty = toBTC(event.args.penalty);
+
+    await tx.withdrawal.create({
+      data: {
+        userId: dbUser.id,
+        planId: plan.id,
+        amount: btcAmount - penalty,
+        btcAmount,
+        penaltyAmount: penalty,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        status: "completed",
+        completedAt: event.timestamp
+      }
+    });
+
+    // The plan's whole balance leaves; the event reports it net of the penalty
+    await tx.dCAUser.update({
+      where: { id: dbUser.id },
+      data: {
+        btcAccumulated: { decrement: btcAmount + penalty },
+        totalPenaltyPaid: { increment: penalty }
+      }
+    });
+
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: { isActive: false }
+    });
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    await tx.withdrawal.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+
+    await tx.dCAUser.update({
+      where: { address: userAddress(event) },
+      data: {
+        btcAccumulated: { increment: toBTC(event.args.btcAmount) + toBTC(event.args.penalty) },
+        totalPenaltyPaid: { decrement: toBTC(event.args.penalty) }
+      }
+    });
+
+    if (event.planId) {
+      await tx.dCAPlan.update({
+        where: { id: event.planId },
+        data: { isActive: true }
+      });
+    }
+  }
+};
+
+const bitmorThresholdReached: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { dbUser, plan } = found;
+
+    await tx.dCAUser.update({
+      where: { id: dbUser.id },
+      data: {
+        thresholdReached: true,
+        btcAccumulated: { decrement: toBTC(event.args.btcAmount) }
+      }
+    });
+
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: { isActive: false }
+    });
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    await tx.dCAUser.update({
+      where: { address: userAddress(event) },
+      data: {
+        thresholdReached: false,
+        btcAccumulated: { increment: toBTC(event.args.btcAmount) }
+      }
+    });
+
+    if (event.planId) {
+      await tx.dCAPlan.update({
+        where: { id: event.planId },
+        data: { isActive: true }
+      });
+    }
+  }
+};
+
+const rewardsDistributed: ContractEventHandler = {
+  async apply(tx, event) {
+    const dbUser = await tx.dCAUser.findUnique({
+      where: { address: userAddress(event) }
+    });
+
+    if (!dbUser) {
+      await recordOrphan(tx, event, "User not found");
+      return;
+    }
+
+    // The rewardsPool-funded amount and the yield boost share the log, told apart by source
+    await tx.reward.createMany({
+      data: [
+        { source: "penalty", amount: toBTC(event.args.rewardAmount) },
+        { source: "yield", amount: toBTC(event.args.yieldBoost) }
+      ].map(({ source, amount }) => ({
+        userId: dbUser.id,
+        amount,
+        source,
+        eligibleSince: event.timestamp,
+        weight: 1.0,
+        claimed: false,
+        txHash: event.txHash,
+        logIndex: event.logIndex
+      }))
+    });
+  },
+
+  async revert(tx, event) {
+    await tx.reward.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+  }
+};
+
+const rewardRootPublished: ContractEventHandler = {
+  async apply(tx, event) {
+    const epoch = Number(event.args.epoch);
+    const pool = await tx.yieldPool.findUnique({
+      where: { epoch },
+      include: { allocations: true }
+    });
+
+    // The backend signed this root from its stored report
+    if (!pool || pool.merkleRoot !== String(event.args.root).toLowerCase()) {
+      await recordOrphan(tx, event, `No reward report with root ${event.args.root} for epoch ${epoch}`);
+      return;
+    }
+
+    await tx.yieldPool.update({
+      where: { id: pool.id },
+      data: { distributedAt: event.timestamp }
+    });
+
+    // Claimable per epoch, penalty amount and yield boost told apart by source
+    await tx.reward.createMany({
+      data: pool.allocations.flatMap((allocation) =>
+        [
+          { source: "penalty", amount: allocation.amount },
+          { source: "yield", amount: allocation.boost }
+        ]
+          .filter(({ amount }) => amount !== "0")
+          .map(({ source, amount }) => ({
+            userId: allocation.userId,
+            amount: toBTC(amount),
+            source,
+            epoch,
+            eligibleSince: event.timestamp,
+            weight: allocation.weight,
+            claimed: false,
+            txHash: event.txHash,
+            logIndex: event.logIndex
+          }))
+      )
+    });
+  },
+
+  async revert(tx, event) {
+    await tx.reward.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+
+    await tx.yieldPool.updateMany({
+      where: { epoch: Number(event.args.epoch) },
+      data: { distributedAt: null }
+    });
+  }
+};
+
+const rewardsClaimed: ContractEventHandler = {
+  async apply(tx, event) {
+    const dbUser = await tx.dCAUser.findUnique({
+      where: { address: userAddress(event) }
+    });
+
+    if (!dbUser) {
+      await recordOrphan(tx, event, "User not found");
+      return;
+    }
+
+    await tx.reward.updateMany({
+      where: { userId: dbUser.id, epoch: Number(event.args.epoch) },
+      data: {
+        claimed: true,
+        claimedAt: event.timestamp,
+        claimTxHash: event.txHash,
+        claimLogIndex: event.logIndex
+      }
+    });
+  },
+
+  async revert(tx, event) {
+    await tx.reward.updateMany({
+      where: { claimTxHash: event.txHash, claimLogIndex: event.logIndex },
+      data: { claimed: false, claimedAt: null, claimTxHash: null, claimLogIndex: null }
+    });
+  }
+};
+
+const dustSwept: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { dbUser, plan } = found;
+    const dustValue = toUSDC(event.args.dustAmount);
+
+    await tx.dustSweep.create({
+      data: {
+        userAddress: userAddress(event),
+        tokens: [],
+        totalValueUSD: dustValue,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        status: "completed",
+        completedAt: event.timestamp
+      }
+    });
+
+    await tx.dCAUser.update({
+      where: { id: dbUser.id },
+      data: {
+        btcAccumulated: { increment: toBTC(event.args.btcAmount) },
+        totalDustEarned: { increment: dustValue }
+      }
+    });
+
+    const kinds: AchievementKind[] = ["dust_swept"];
+    if (reachesBTC(dbUser.btcAccumulated + toBTC(event.args.btcAmount), FIRST_BTC_THRESHOLD)) kinds.push("first_btc");
+    await awardAchievements(tx, { userId: dbUser.id, planId: plan.id, kinds }, event);
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    await tx.dustSweep.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+    await revokeAchievements(tx, event);
+
+    await tx.dCAUser.update({
+      where: { address: userAddress(event) },
+      data: {
+        btcAccumulated: { decrement: toBTC(event.args.btcAmount) },
+        totalDustEarned: { decrement: toUSDC(event.args.dustAmount) }
+      }
+    });
+  }
+};
+
+const creatorFeesClaimed: ContractEventHandler = {
+  async apply(tx, event) {
+    await tx.creatorFeeClaim.create({
+      data: {
+        creator: String(event.args.creator).toLowerCase(),
+        amount: toUSDC(event.args.amount),
+        totalEarned: toUSDC(event.args.totalEarned),
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        claimedAt: event.timestamp
+      }
+    });
+  },
+
+  async revert(tx, event) {
+    await tx.creatorFeeClaim.deleteMany({
+      where: { txHash: event.txHash, logIndex: event.logIndex }
+    });
+  }
+};
+
+/**
+ * Splits a plan's total daily amount across its tokens by weight
+ */
+async function rescalePlanTokens(tx: Prisma.TransactionClient, planId: string, totalDailyAmount: number) {
+  const tokens = await tx.planToken.findMany({ where: { planId } });
+  for (const token of tokens) {
+    await tx.planToken.update({
+      where: { id: token.id },
+      data: { dailyAmount: (totalDailyAmount * token.weight) / 100 }
+    });
+  }
+}
+
+const planAmended: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { plan } = found;
+    const totalDailyAmount = toUSDC(event.args.dailyAmount);
+
+    // The replaced terms become a version of their own
+    await tx.planVersion.create({
+      data: {
+        planId: plan.id,
+        version: plan.version,
+        totalDailyAmount: plan.totalDailyAmount,
+        cadence: plan.cadence,
+        timePeriod: plan.timePeriod,
+        startTime: plan.startTime ?? plan.createdAt,
+        replacedAt: event.timestamp,
+        txHash: event.txHash,
+        logIndex: event.logIndex
+      }
+    });
+
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: {
+        totalDailyAmount,
+        cadence: cadenceName(event.args.cadence),
+        graceWindow: gracePeriodDays(cadenceName(event.args.cadence)),
+        timePeriod: Number(event.args.timePeriod),
+        startTime: new Date(Number(event.args.startTime) * 1000),
+        version: plan.version + 1
+      }
+    });
+    await rescalePlanTokens(tx, plan.id, totalDailyAmount);
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    const replaced = await tx.planVersion.findUnique({
+      where: { txHash_logIndex: { txHash: event.txHash, logIndex: event.logIndex } }
+    });
+    if (!replaced) return;
+
+    await tx.dCAPlan.update({
+      where: { id: replaced.planId },
+      data: {
+        totalDailyAmount: replaced.totalDailyAmount,
+        cadence: replaced.cadence,
+        graceWindow: gracePeriodDays(replaced.cadence),
+        timePeriod: replaced.timePeriod,
+        startTime: replaced.startTime,
+        version: replaced.version
+      }
+    });
+    await rescalePlanTokens(tx, replaced.planId, replaced.totalDailyAmount);
+
+    await tx.planVersion.delete({ where: { id: replaced.id } });
+  }
+};
+
+const planPaused: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { plan } = found;
+    const pausedUntil = new Date(Number(event.args.pausedUntil) * 1000);
+
+    await tx.planPause.create({
+      data: {
+        planId: plan.id,
+        pausedAt: event.timestamp,
+        pausedUntil,
+        txHash: event.txHash,
+        logIndex: event.logIndex
+      }
+    });
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: { pausedAt: event.timestamp, pausedUntil }
+    });
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    const pause = await tx.planPause.findUnique({
+      where: { txHash_logIndex: { txHash: event.txHash, logIndex: event.logIndex } }
+    });
+    if (!pause) return;
+
+    await tx.dCAPlan.update({
+      where: { id: pause.planId },
+      data: { pausedAt: null, pausedUntil: null }
+    });
+    await tx.planPause.delete({ where: { id: pause.id } });
+  }
+};
+
+// Emitted by resumePlan, and by a payment on a paused plan
+const planResumed: ContractEventHandler = {
+  async apply(tx, event) {
+    const found = await findUserWithPlan(tx, event);
+    if (!found) return null;
+    const { plan } = found;
+
+    const pause = await tx.planPause.findFirst({
+      where: { planId: plan.id, resumedAt: null },
+      orderBy: { pausedAt: "desc" }
+    });
+    if (pause) {
+      await tx.planPause.update({
+        where: { id: pause.id },
+        data: {
+          resumedAt: event.timestamp,
+          pausedDays: Number(event.args.pausedDays),
+          resumeTxHash: event.txHash,
+          resumeLogIndex: event.logIndex
+        }
+      });
+    }
+
+    // The contract moved startTime, and lastPaymentTime once there is one,
+    // out by the time paused
+    const paused = pause ? pausedTime(pause, event.timestamp) : 0;
+    await tx.dCAPlan.update({
+      where: { id: plan.id },
+      data: {
+        pausedAt: null,
+        pausedUntil: null,
+        startTime: new Date(Number(event.args.startTime) * 1000),
+        ...(plan.lastPaymentTime && { lastPaymentTime: new Date(plan.lastPaymentTime.getTime() + paused) })
+      }
+    });
+
+    return plan.id;
+  },
+
+  async revert(tx, event) {
+    const pause = await tx.planPause.findUnique({
+      where: { resumeTxHash_resumeLogIndex: { resumeTxHash: event.txHash, resumeLogIndex: event.logIndex } }
+    });
+    if (!pause) return;
+
+    const paused = pausedTime(pause, pause.resumedAt!);
+    const plan = await tx.dCAPlan.findUnique({ where: { id: pause.planId } });
+    await tx.dCAPlan.update({
+      where: { id: pause.planId },
+      data: {
+        pausedAt: pause.pausedAt,
+        pausedUntil: pause.pausedUntil,
+        startTime: new Date(Number(event.args.startTime) * 1000 - paused),
+        ...(plan?.lastPaymentTime && { lastPaymentTime: new Date(plan.lastPaymentTime.getTime() - paused) })
+      }
+    });
+    await tx.planPause.update({
+      where: { id: pause.id },
+      data: { resumedAt: null, pausedDays: null, resumeTxHash: null, resumeLogIndex: null }
+    });
+  }
+};
+
+/**
+ * Database handlers for the BitmorDCA events the indexer follows
+ */
+export const contractEventHandlers: Record<string, ContractEventHandler> = {
+  PlanCreated: planCreated,
+  PaymentProcessed: paymentProcessed,
+  EarlyWithdrawal: earlyWithdrawal,
+  BitmorThresholdReached: bitmorThresholdReached,
+  RewardsDistributed: rewardsDistributed,
+  RewardRootPublished: rewardRootPublished,
+  RewardsClaimed: rewardsClaimed,
+  DustSwept: dustSwept,
+  CreatorFeesClaimed: creatorFeesClaimed,
+  PlanAmended: planAmended,
+  PlanPaused: planPaused,
+  PlanResumed: planResumed
+};
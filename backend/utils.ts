@@ -1,61 +1,47 @@
 import { ethers } from "ethers";
-import axios from "axios";
+import { TransactionManager, TransactionReference, TransactionResult } from "./services/TransactionManager";
+import { SwapQuote } from "./services/SwapQuoter";
 
 // ABIs
-const UNISWAP_ROUTER_ABI = require("./abis/UniswapRouter.json");
-const AAVE_POOL_ABI = require("./abis/AavePool.json");
-const ERC20_ABI = require("./abis/ERC20.json");
-
-// Constants
-const COINGECKO_API = "https://api.coingecko.com/api/v3";
+import UNISWAP_ROUTER_ABI from "./abis/UniswapRouter.json";
+import AAVE_POOL_ABI from "./abis/AavePool.json";
+import ERC20_ABI from "./abis/ERC20.json";
 
 /**
- * Fetches current price from CoinGecko
- */
-export async function fetchPrice(asset: string): Promise<number> {
-  try {
-    const response = await axios.get(
-      `${COINGECKO_API}/simple/price?ids=${asset}&vs_currencies=usd`
-    );
-    return response.data[asset]?.usd || 0;
-  } catch (error) {
-    console.error("Error fetching price:", error);
-    throw error;
-  }
-}
-
-/**
- * Swaps tokens to WBTC via Uniswap
+ * Executes a SwapQuote via Uniswap, one transaction per token; the
+ * referenced row is completed by the last swap and failed by any that fails
  */
 export async function swapToCbBTC(
-  tokens: { token: string; amount: string }[],
+  quote: SwapQuote,
   routerAddress: string,
-  cbBTCAddress: string
-): Promise<ethers.TransactionResponse> {
+  txManager: TransactionManager,
+  reference?: TransactionReference
+): Promise<TransactionResult[]> {
   try {
-    // Initialize router contract
-    const router = new ethers.Contract(
-      routerAddress,
-      UNISWAP_ROUTER_ABI,
-      provider
-    );
-    
-    // Build swap path for each token
-    const swaps = tokens.map(({ token, amount }) => ({
-      path: [token, cbBTCAddress],
-      amountIn: amount,
-      amountOutMin: 0 // TODO: Add slippage protection
-    }));
-    
-    // Execute batch swap
-    const tx = await router.swapExactTokensForTokens(
-      swaps,
-      0, // amountOutMin
-      Date.now() + 1800, // deadline: 30 minutes
-      { gasLimit: 500000 }
-    );
-    
-    return tx;
+    const router = new ethers.Interface(UNISWAP_ROUTER_ABI);
+    const results: TransactionResult[] = [];
+
+    // cbBTC dust needs no swap
+    const swaps = quote.tokens.filter((t) => t.path[0].toLowerCase() !== t.path[1].toLowerCase());
+
+    for (const [i, { amountIn, amountOutMin, path }] of swaps.entries()) {
+      const data = router.encodeFunctionData("swapExactTokensForTokens", [
+        amountIn,
+        amountOutMin,
+        path,
+        txManager.address,
+        quote.deadline
+      ]);
+
+      const result = await txManager.send(
+        { to: routerAddress, data, purpose: "swap" },
+        reference && { ...reference, partial: i < swaps.length - 1 }
+      );
+      results.push(result);
+      if (!result.success) break; // Later swaps would leave the sweep half done
+    }
+
+    return results;
   } catch (error) {
     console.error("Error swapping to cbBTC:", error);
     throw error;
@@ -68,20 +54,15 @@ export async function swapToCbBTC(
 export async function depositToAave(
   amount: bigint,
   poolAddress: string,
-  cbBTCAddress: string
-): Promise<ethers.TransactionResponse> {
+  cbBTCAddress: string,
+  txManager: TransactionManager,
+  reference?: TransactionReference
+): Promise<TransactionResult> {
   try {
-    // Initialize Aave pool contract
-    const pool = new ethers.Contract(poolAddress, AAVE_POOL_ABI, provider);
-    
-    // Supply to Aave
-    const tx = await pool.supply(
-      cbBTCAddress,
-      amount,
-      { gasLimit: 300000 }
-    );
-    
-    return tx;
+    const pool = new ethers.Interface(AAVE_POOL_ABI);
+    const data = pool.encodeFunctionData("supply", [cbBTCAddress, amount, txManager.address, 0]);
+
+    return await txManager.send({ to: poolAddress, data, purpose: "aaveDeposit" }, reference);
   } catch (error) {
     console.error("Error depositing to Aave:", error);
     throw error;
@@ -94,20 +75,15 @@ export async function depositToAave(
 export async function withdrawFromAave(
   amount: bigint,
   poolAddress: string,
-  cbBTCAddress: string
-): Promise<ethers.TransactionResponse> {
+  cbBTCAddress: string,
+  txManager: TransactionManager,
+  reference?: TransactionReference
+): Promise<TransactionResult> {
   try {
-    // Initialize Aave pool contract
-    const pool = new ethers.Contract(poolAddress, AAVE_POOL_ABI, provider);
-    
-    // Withdraw from Aave
-    const tx = await pool.withdraw(
-      cbBTCAddress,
-      amount,
-      { gasLimit: 300000 }
-    );
-    
-    return tx;
+    const pool = new ethers.Interface(AAVE_POOL_ABI);
+    const data = pool.encodeFunctionData("withdraw", [cbBTCAddress, amount, txManager.address]);
+
+    return await txManager.send({ to: poolAddress, data, purpose: "aaveWithdraw" }, reference);
   } catch (error) {
     console.error("Error withdrawing from Aave:", error);
     throw error;
@@ -119,20 +95,21 @@ export async function withdrawFromAave(
  */
 export async function getAaveYield(
   poolAddress: string,
-  cbBTCAddress: string
+  cbBTCAddress: string,
+  provider: ethers.Provider
 ): Promise<number> {
   try {
     // Initialize Aave pool contract
     const pool = new ethers.Contract(poolAddress, AAVE_POOL_ABI, provider);
     
     // Get reserve data
-    const reserveData = await pool.getReserveData(wbtcAddress);
+    const reserveData = await pool.getReserveData(cbBTCAddress);
     
     // Calculate yield
     const liquidityRate = reserveData.currentLiquidityRate;
-    const yield = Number(liquidityRate) / 1e27; // Convert from RAY to decimal
+    const liquidityYield = Number(liquidityRate) / 1e27; // Convert from RAY to decimal
     
-    return yield;
+    return liquidityYield;
   } catch (error) {
     console.error("Error getting Aave yield:", error);
     throw error;
@@ -167,6 +144,27 @@ export function calculatePenalty(
   return Math.floor(penalty);
 }
 
+/**
+ * Seconds between scheduled payments for a plan cadence
+ */
+export function getPaymentInterval(cadence: string): number {
+  return cadence === "daily" ? 24 * 60 * 60 : 7 * 24 * 60 * 60;
+}
+
+/**
+ * Whether a plan's next payment is due, given its payments newest first
+ */
+export function isPaymentDue(
+  plan: { cadence: string; payments: { createdAt: Date }[] },
+  currentTime: number
+): boolean {
+  const lastPayment = plan.payments[0];
+  if (!lastPayment) return true; // First payment is always due
+
+  const nextPaymentTime = lastPayment.createdAt.getTime() / 1000 + getPaymentInterval(plan.cadence);
+  return currentTime >= nextPaymentTime;
+}
+
 /**
  * Validates and formats a wallet address
  */
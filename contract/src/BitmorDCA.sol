@@ -7,6 +7,8 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 interface IAavePool {
     function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode) external;
@@ -37,7 +39,7 @@ interface IUniswapV2Router {
     ) external returns (uint[] memory amounts);
 }
 
-contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
+contract BitmorDCA is ReentrancyGuard, Pausable, Ownable, EIP712 {
     using SafeERC20 for IERC20;
     using ECDSA for bytes32;
 
@@ -48,6 +50,42 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     uint256 public constant MIN_PENALTY = 100; // 1%
     uint256 public constant MAX_PENALTY = 5000; // 50%
     uint256 public constant PENALTY_EXPONENT = 15; // 1.5 in fixed point (x10)
+    uint256 public constant MAX_PAUSE_DAYS_PER_YEAR = 30;
+    
+    // EIP-712 typed authorizations
+    bytes32 public constant CREATE_PLAN_TYPEHASH = keccak256(
+        "CreatePlan(address user,uint256 planId,uint128 targetBTC,uint128 dailyAmount,uint32 timePeriod,uint32 withdrawalDelay,uint8 cadence,bool bitmorEnabled,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant PAYMENT_TYPEHASH = keccak256(
+        "Payment(address user,uint256 planId,uint128 usdcAmount,uint128 btcAmount,bool usesPrepaid,address creator,uint128 creatorFee,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant PREPAY_DAYS_TYPEHASH = keccak256(
+        "PrepayDays(address user,uint256 planId,uint128 usdcAmount,uint32 days,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant EARLY_WITHDRAW_TYPEHASH = keccak256(
+        "EarlyWithdraw(address user,uint256 planId,uint128 btcAmount,uint128 penaltyAmount,uint32 daysRemaining,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant COMPLETE_PLAN_TYPEHASH = keccak256(
+        "CompletePlan(address user,uint256 planId,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant DUST_SWEEP_TYPEHASH = keccak256(
+        "DustSweep(address user,uint256 planId,uint128[] tokenAmounts,address[] tokens,uint128[] amountOutMins,uint128 expectedBTC,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant BITMOR_THRESHOLD_TYPEHASH = keccak256(
+        "BitmorThreshold(address user,uint256 planId,uint128 btcAmount,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant CLAIM_CREATOR_FEES_TYPEHASH = keccak256(
+        "ClaimCreatorFees(address creator,uint128 totalEarned,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant AMEND_PLAN_TYPEHASH = keccak256(
+        "AmendPlan(address user,uint256 planId,uint128 dailyAmount,uint32 timePeriod,uint8 cadence,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant PAUSE_PLAN_TYPEHASH = keccak256(
+        "PausePlan(address user,uint256 planId,uint32 days,uint256 deadline,bytes32 nonce)"
+    );
+    bytes32 public constant PUBLISH_REWARDS_TYPEHASH = keccak256(
+        "PublishRewards(uint256 epoch,bytes32 root,uint128 totalAmount,uint128 totalBoost,uint256 deadline,bytes32 nonce)"
+    );
     
     // External contracts
     IERC20 public immutable usdc;
@@ -62,7 +100,7 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     enum PlanStatus { INACTIVE, ACTIVE, PAUSED, COMPLETED, EARLY_EXIT }
     enum Cadence { DAILY, WEEKLY }
     
-    // Core user state
+    // One DCA plan; a user may hold several
     struct UserPlan {
         uint128 totalPaid;           // Total USDC paid
         uint128 btcAccumulated;      // BTC accumulated
@@ -103,22 +141,40 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         bool isActive;           // Strategy status
     }
     
+    // Pause state of a plan
+    struct PlanPause {
+        uint64 pausedAt;          // Current pause start, 0 when not paused
+        uint64 pausedUntil;       // Current pause end
+        uint64 allowanceStart;    // Start of the year the pause allowance counts
+        uint32 daysUsed;          // Pause days used in that year
+    }
+    
     // State variables
-    mapping(address => UserPlan) public users;
+    mapping(address => mapping(uint256 => UserPlan)) public plans; // user => planId => plan, ids start at 1
+    mapping(address => uint256) public planCount; // highest planId issued to the user
     mapping(address => UserExtras) public userExtras;
     mapping(uint256 => Strategy) public strategies;
-    mapping(address => uint256) public userStrategyId; // 0 = custom plan
+    mapping(address => mapping(uint256 => uint256)) public planStrategyId; // 0 = custom plan
     mapping(bytes32 => bool) public usedNonces;
+    mapping(address => mapping(address => bool)) public paymentExecutors; // user => executor => approved
+    mapping(address => uint128) public creatorFeesClaimed; // USDC paid out to each strategy creator so far
+    mapping(address => uint128) public creatorFeesEarned; // USDC taken from subscribers' payments for each creator
+    mapping(address => mapping(uint256 => uint128)) public planCreatorFees; // user => planId => part of totalPaid owed to creators
+    mapping(address => mapping(uint256 => PlanPause)) public planPauses; // user => planId => pause
+    mapping(uint256 => bytes32) public rewardRoots; // epoch => Merkle root of (user, epoch, amount, boost) leaves
+    mapping(uint256 => mapping(address => bool)) public rewardsClaimed; // epoch => user => claimed
     
     uint256 public totalStrategies;
     uint256 public totalValueLocked;
     uint256 public rewardsPool;
-    uint256 public yieldPool;
+    uint256 public yieldPool; // WBTC funded for reward boosts, see fundYieldPool
     uint256 public dustThreshold = 10 * 10**6; // $10 USDC
+    address public pauseGuardian; // may pause but not unpause, e.g. the backend circuit breaker
     
     // Events
     event PlanCreated(
         address indexed user,
+        uint256 indexed planId,
         uint128 targetBTC,
         uint128 dailyAmount,
         uint32 timePeriod,
@@ -127,6 +183,7 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     );
     event PaymentProcessed(
         address indexed user,
+        uint256 indexed planId,
         uint128 usdcAmount,
         uint128 btcAmount,
         uint32 streak,
@@ -140,12 +197,14 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     );
     event EarlyWithdrawal(
         address indexed user,
+        uint256 indexed planId,
         uint128 btcAmount,
         uint128 penalty,
         uint32 daysRemaining
     );
     event BitmorThresholdReached(
         address indexed user,
+        uint256 indexed planId,
         uint128 btcAmount,
         uint128 loanAmount
     );
@@ -156,9 +215,51 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     );
     event DustSwept(
         address indexed user,
+        uint256 indexed planId,
         uint128 dustAmount,
         uint128 btcAmount
     );
+    event PaymentExecutorUpdated(
+        address indexed user,
+        address indexed executor,
+        bool approved
+    );
+    event PauseGuardianUpdated(address indexed guardian);
+    event CreatorFeesClaimed(
+        address indexed creator,
+        uint128 amount,
+        uint128 totalEarned
+    );
+    event PlanAmended(
+        address indexed user,
+        uint256 indexed planId,
+        uint128 dailyAmount,
+        uint32 timePeriod,
+        Cadence cadence,
+        uint64 startTime
+    );
+    event PlanPaused(
+        address indexed user,
+        uint256 indexed planId,
+        uint64 pausedUntil
+    );
+    event PlanResumed(
+        address indexed user,
+        uint256 indexed planId,
+        uint64 startTime,
+        uint32 pausedDays
+    );
+    event RewardRootPublished(
+        uint256 indexed epoch,
+        bytes32 root,
+        uint128 totalAmount
+    );
+    event RewardsClaimed(
+        address indexed user,
+        uint256 indexed epoch,
+        uint128 amount,
+        uint128 boost
+    );
     
     constructor(
         address _usdc,
@@ -166,7 +267,7 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         address _aavePool,
         address _uniswapRouter,
         address _backendSigner
-    ) Ownable() {
+    ) Ownable() EIP712("BitmorDCA", "1") {
         usdc = IERC20(_usdc);
         wbtc = IERC20(_wbtc);
         aavePool = IAavePool(_aavePool);
@@ -174,39 +275,58 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         backendSigner = _backendSigner;
     }
     
-    // Create DCA plan
+    // Create DCA plan; _planId must be the user's next id so the backend can sign it in advance
     function createDCAplan(
+        uint256 _planId,
         uint128 _targetBTC,
         uint128 _dailyAmount,
         uint32 _timePeriod,
         uint32 _withdrawalDelay,
         Cadence _cadence,
         bool _bitmorEnabled,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        require(users[msg.sender].status == PlanStatus.INACTIVE || 
-                users[msg.sender].status == PlanStatus.COMPLETED, "Active plan exists");
+        require(_planId == planCount[msg.sender] + 1, "Invalid plan id");
         require(_timePeriod > 0 && _withdrawalDelay > 0, "Invalid periods");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         
         // Verify backend signature
         bytes32 messageHash = keccak256(abi.encodePacked(
             msg.sender,
+            _planId,
             _targetBTC,
             _dailyAmount,
             _timePeriod,
             _withdrawalDelay,
             _cadence,
             _bitmorEnabled,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            CREATE_PLAN_TYPEHASH,
+            msg.sender,
+            _planId,
+            _targetBTC,
+            _dailyAmount,
+            _timePeriod,
+            _withdrawalDelay,
+            uint8(_cadence),
+            _bitmorEnabled,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
+        planCount[msg.sender] = _planId;
         
-        users[msg.sender] = UserPlan({
+        plans[msg.sender][_planId] = UserPlan({
             totalPaid: 0,
             btcAccumulated: 0,
             targetBTC: _targetBTC,
@@ -223,10 +343,11 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
             thresholdReached: false
         });
         
-        userStrategyId[msg.sender] = 0; // Custom plan
+        planStrategyId[msg.sender][_planId] = 0; // Custom plan
         
         emit PlanCreated(
             msg.sender,
+            _planId,
             _targetBTC,
             _dailyAmount,
             _timePeriod,
@@ -235,32 +356,103 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         );
     }
     
-    // Make payment
+    // Make payment; strategy subscribers pay `_creatorFee` of `_usdcAmount` to the strategy's `_creator`
     function makePayment(
+        uint256 _planId,
         uint128 _usdcAmount,
         uint128 _btcAmount,
         bool _usesPrepaid,
+        address _creator,
+        uint128 _creatorFee,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        UserPlan storage user = users[msg.sender];
-        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        _makePayment(
+            msg.sender, _planId, _usdcAmount, _btcAmount, _usesPrepaid, _creator, _creatorFee, _deadline, _nonce, _signature
+        );
+    }
+    
+    // Approve or revoke an executor (keeper or session key) that may pay on the caller's behalf
+    function setPaymentExecutor(address _executor, bool _approved) external {
+        require(_executor != address(0), "Invalid executor");
+        paymentExecutors[msg.sender][_executor] = _approved;
+        emit PaymentExecutorUpdated(msg.sender, _executor, _approved);
+    }
+    
+    // Make a payment for a user who approved the caller; USDC comes from the user's allowance
+    function makePaymentFor(
+        address _user,
+        uint256 _planId,
+        uint128 _usdcAmount,
+        uint128 _btcAmount,
+        bool _usesPrepaid,
+        address _creator,
+        uint128 _creatorFee,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        require(paymentExecutors[_user][msg.sender], "Executor not approved");
+        _makePayment(
+            _user, _planId, _usdcAmount, _btcAmount, _usesPrepaid, _creator, _creatorFee, _deadline, _nonce, _signature
+        );
+    }
+    
+    function _makePayment(
+        address _payer,
+        uint256 _planId,
+        uint128 _usdcAmount,
+        uint128 _btcAmount,
+        bool _usesPrepaid,
+        address _creator,
+        uint128 _creatorFee,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) internal {
+        UserPlan storage user = plans[_payer][_planId];
+        require(user.status == PlanStatus.ACTIVE || user.status == PlanStatus.PAUSED, "Plan not active");
         require(!usedNonces[_nonce], "Nonce used");
-        require(usdc.balanceOf(msg.sender) >= _usdcAmount, "Insufficient USDC");
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(usdc.balanceOf(_payer) >= _usdcAmount, "Insufficient USDC");
+        require(_creatorFee <= _usdcAmount && (_creatorFee == 0 || _creator != address(0)), "Invalid creator fee");
         
         // Verify backend calculation
         bytes32 messageHash = keccak256(abi.encodePacked(
-            msg.sender,
+            _payer,
+            _planId,
             _usdcAmount,
             _btcAmount,
             _usesPrepaid,
+            _creator,
+            _creatorFee,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            PAYMENT_TYPEHASH,
+            _payer,
+            _planId,
+            _usdcAmount,
+            _btcAmount,
+            _usesPrepaid,
+            _creator,
+            _creatorFee,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
         
+        // Paying ends a pause
+        if (user.status == PlanStatus.PAUSED) {
+            _resumePlan(_payer, _planId);
+        }
+        
         // Handle prepaid logic and streak
         if (_usesPrepaid && user.prepaidDays > 0) {
             user.prepaidDays--;
@@ -281,7 +473,7 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         }
         
         // Transfer USDC and deposit to Aave
-        usdc.safeTransferFrom(msg.sender, address(this), _usdcAmount);
+        usdc.safeTransferFrom(_payer, address(this), _usdcAmount);
         usdc.safeIncreaseAllowance(address(aavePool), _usdcAmount);
         aavePool.supply(address(usdc), _usdcAmount, address(this), 0);
         
@@ -291,13 +483,20 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         user.lastPaymentTime = uint64(block.timestamp);
         totalValueLocked += _usdcAmount;
         
+        // The creator's fee stays in Aave until claimed and is not the subscriber's to withdraw
+        if (_creatorFee > 0) {
+            planCreatorFees[_payer][_planId] += _creatorFee;
+            creatorFeesEarned[_creator] += _creatorFee;
+        }
+        
         // Check if target reached
         if (user.btcAccumulated >= user.targetBTC) {
             user.status = PlanStatus.COMPLETED;
         }
         
         emit PaymentProcessed(
-            msg.sender,
+            _payer,
+            _planId,
             _usdcAmount,
             _btcAmount,
             user.streak,
@@ -307,25 +506,40 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     
     // Prepay days
     function prepayDays(
+        uint256 _planId,
         uint128 _usdcAmount,
         uint32 _days,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        UserPlan storage user = users[msg.sender];
+        UserPlan storage user = plans[msg.sender][_planId];
         require(user.status == PlanStatus.ACTIVE, "Plan not active");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         require(usdc.balanceOf(msg.sender) >= _usdcAmount, "Insufficient USDC");
         
         // Verify backend calculation
         bytes32 messageHash = keccak256(abi.encodePacked(
             msg.sender,
+            _planId,
             _usdcAmount,
             _days,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            PREPAY_DAYS_TYPEHASH,
+            msg.sender,
+            _planId,
+            _usdcAmount,
+            _days,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
         
@@ -338,30 +552,194 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         totalValueLocked += _usdcAmount;
     }
     
+    // Amend a plan's daily amount, cadence or duration. The duration may only
+    // grow; startTime is re-based so the elapsed share of the plan, and with it
+    // the early withdrawal penalty, is the same right after the amendment.
+    function amendPlan(
+        uint256 _planId,
+        uint128 _dailyAmount,
+        uint32 _timePeriod,
+        Cadence _cadence,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        UserPlan storage user = plans[msg.sender][_planId];
+        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        require(_dailyAmount > 0, "Invalid amount");
+        require(_timePeriod >= user.timePeriod, "Cannot shorten plan");
+        require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        // Verify backend approval
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            msg.sender,
+            _planId,
+            _dailyAmount,
+            _timePeriod,
+            _cadence,
+            _deadline,
+            _nonce,
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            AMEND_PLAN_TYPEHASH,
+            msg.sender,
+            _planId,
+            _dailyAmount,
+            _timePeriod,
+            uint8(_cadence),
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
+        
+        usedNonces[_nonce] = true;
+        
+        if (_timePeriod > user.timePeriod) {
+            // An earlier start would otherwise cut the withdrawal delay short
+            require(block.timestamp >= user.startTime + user.withdrawalDelay * 1 days, "Withdrawal delay active");
+            
+            uint256 elapsed = block.timestamp - user.startTime;
+            require(elapsed < uint256(user.timePeriod) * 1 days, "Plan period ended");
+            
+            user.startTime = uint64(block.timestamp - (elapsed * _timePeriod) / user.timePeriod);
+            user.timePeriod = _timePeriod;
+        }
+        user.cadence = _cadence;
+        
+        emit PlanAmended(
+            msg.sender,
+            _planId,
+            _dailyAmount,
+            _timePeriod,
+            _cadence,
+            user.startTime
+        );
+    }
+    
+    // Pause a plan for up to MAX_PAUSE_DAYS_PER_YEAR days per plan year. No
+    // payment is due while paused; on resume the streak and penalty clocks
+    // skip the paused time and the plan's end moves out by it.
+    function pausePlan(
+        uint256 _planId,
+        uint32 _days,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        UserPlan storage user = plans[msg.sender][_planId];
+        PlanPause storage planPause = planPauses[msg.sender][_planId];
+        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        require(_days > 0, "Invalid pause");
+        require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        // Verify backend approval
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            msg.sender,
+            _planId,
+            _days,
+            _deadline,
+            _nonce,
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            PAUSE_PLAN_TYPEHASH,
+            msg.sender,
+            _planId,
+            _days,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
+        
+        usedNonces[_nonce] = true;
+        
+        // A new allowance year starts with the first pause after the last one ran out
+        if (planPause.allowanceStart == 0 || block.timestamp >= planPause.allowanceStart + 365 days) {
+            planPause.allowanceStart = uint64(block.timestamp);
+            planPause.daysUsed = 0;
+        }
+        require(planPause.daysUsed + _days <= MAX_PAUSE_DAYS_PER_YEAR, "Pause allowance exceeded");
+        
+        planPause.pausedAt = uint64(block.timestamp);
+        planPause.pausedUntil = uint64(block.timestamp + uint256(_days) * 1 days);
+        user.status = PlanStatus.PAUSED;
+        
+        emit PlanPaused(msg.sender, _planId, planPause.pausedUntil);
+    }
+    
+    // Resume a paused plan, before or after its pause ran out
+    function resumePlan(uint256 _planId) external nonReentrant whenNotPaused {
+        require(plans[msg.sender][_planId].status == PlanStatus.PAUSED, "Plan not paused");
+        _resumePlan(msg.sender, _planId);
+    }
+    
+    // Time past pausedUntil is not paused: it counts against the streak and
+    // the penalty like any other
+    function _resumePlan(address _user, uint256 _planId) internal {
+        UserPlan storage user = plans[_user][_planId];
+        PlanPause storage planPause = planPauses[_user][_planId];
+        
+        uint256 pauseEnd = block.timestamp < planPause.pausedUntil ? block.timestamp : planPause.pausedUntil;
+        uint256 pausedTime = pauseEnd - planPause.pausedAt;
+        uint32 pausedDays = uint32((pausedTime + 1 days - 1) / 1 days);
+        
+        user.startTime += uint64(pausedTime);
+        if (user.lastPaymentTime != 0) {
+            user.lastPaymentTime += uint64(pausedTime);
+        }
+        user.status = PlanStatus.ACTIVE;
+        planPause.daysUsed += pausedDays;
+        planPause.pausedAt = 0;
+        planPause.pausedUntil = 0;
+        
+        emit PlanResumed(_user, _planId, user.startTime, pausedDays);
+    }
+    
     // Early withdrawal
     function earlyWithdraw(
+        uint256 _planId,
         uint128 _btcAmount,
         uint128 _penaltyAmount,
         uint32 _daysRemaining,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        UserPlan storage user = users[msg.sender];
+        UserPlan storage user = plans[msg.sender][_planId];
         require(user.status == PlanStatus.ACTIVE, "Plan not active");
         require(user.btcAccumulated > 0, "No BTC to withdraw");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         require(block.timestamp >= user.startTime + user.withdrawalDelay * 1 days, "Withdrawal delay active");
         
         // Verify backend calculation
         bytes32 messageHash = keccak256(abi.encodePacked(
             msg.sender,
+            _planId,
             _btcAmount,
             _penaltyAmount,
             _daysRemaining,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            EARLY_WITHDRAW_TYPEHASH,
+            msg.sender,
+            _planId,
+            _btcAmount,
+            _penaltyAmount,
+            _daysRemaining,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
         
@@ -374,14 +752,15 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         user.status = PlanStatus.EARLY_EXIT;
         user.btcAccumulated = 0;
         
-        // Withdraw proportional USDC from Aave
-        _withdrawFromAave(user.totalPaid);
+        // Withdraw proportional USDC from Aave, leaving creator fees for their claims
+        _withdrawFromAave(user.totalPaid - planCreatorFees[msg.sender][_planId]);
         
         // Transfer BTC
         wbtc.safeTransfer(msg.sender, withdrawAmount);
         
         emit EarlyWithdrawal(
             msg.sender,
+            _planId,
             withdrawAmount,
             _penaltyAmount,
             _daysRemaining
@@ -390,22 +769,37 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
     
     // Complete plan
     function completePlan(
+        uint256 _planId,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        UserPlan storage user = users[msg.sender];
-        require(user.status == PlanStatus.ACTIVE, "Plan not active");
-        require(user.btcAccumulated >= user.targetBTC, "Target not reached");
+        UserPlan storage user = plans[msg.sender][_planId];
+        // The payment that reaches the target already marks the plan COMPLETED;
+        // its BTC stays in the contract until it is paid out here
+        require(user.status == PlanStatus.ACTIVE || user.status == PlanStatus.COMPLETED, "Plan not active");
+        require(user.btcAccumulated > 0 && user.btcAccumulated >= user.targetBTC, "Target not reached");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         
         // Verify backend completion verification
         bytes32 messageHash = keccak256(abi.encodePacked(
             msg.sender,
+            _planId,
             "COMPLETE",
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            COMPLETE_PLAN_TYPEHASH,
+            msg.sender,
+            _planId,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
         
@@ -413,31 +807,78 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         user.status = PlanStatus.COMPLETED;
         user.btcAccumulated = 0;
         
-        // Withdraw from Aave
-        _withdrawFromAave(user.totalPaid);
+        // Withdraw from Aave, leaving creator fees for their claims
+        _withdrawFromAave(user.totalPaid - planCreatorFees[msg.sender][_planId]);
         
         // Transfer BTC
         wbtc.safeTransfer(msg.sender, btcAmount);
     }
     
+    // Trigger Bitmor threshold
+    function triggerBitmorThreshold(
+        uint256 _planId,
+        uint128 _btcAmount,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        UserPlan storage user = plans[msg.sender][_planId];
+        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        require(user.bitmorEnabled && !user.thresholdReached, "Bitmor not available");
+        require(_btcAmount > 0 && _btcAmount <= user.btcAccumulated, "Invalid BTC amount");
+        require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        // Verify backend threshold check
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            msg.sender,
+            _planId,
+            _btcAmount,
+            "BITMOR_THRESHOLD",
+            _deadline,
+            _nonce,
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            BITMOR_THRESHOLD_TYPEHASH,
+            msg.sender,
+            _planId,
+            _btcAmount,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
+        
+        usedNonces[_nonce] = true;
+        user.thresholdReached = true;
+        
+        // Loan is originated off-chain by Bitmor against the accumulated BTC
+        emit BitmorThresholdReached(msg.sender, _planId, _btcAmount, 0);
+    }
+    
     // Distribute rewards
     function distributeRewards(
         address[] calldata _users,
         uint128[] calldata _amounts,
         uint128[] calldata _boosts,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external whenNotPaused {
         require(_users.length == _amounts.length && _amounts.length == _boosts.length, "Array length mismatch");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         
         // Verify backend reward calculation
         bytes32 messageHash = keccak256(abi.encodePacked(
             _users,
             _amounts,
             _boosts,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
         require(_verifySignature(messageHash, _signature), "Invalid signature");
         
@@ -469,31 +910,172 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         wbtc.safeTransfer(msg.sender, totalAmount);
     }
     
+    // Publish an epoch's reward allocation as a Merkle root. Users claim their own
+    // leaf, so gas no longer grows with the number of users rewarded. Everything a
+    // claim pays is reserved up front: the penalty-funded amounts from rewardsPool
+    // and the boosts from the WBTC funded into yieldPool.
+    function publishRewardRoot(
+        uint256 _epoch,
+        bytes32 _root,
+        uint128 _totalAmount,
+        uint128 _totalBoost,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external whenNotPaused {
+        require(_root != bytes32(0), "Invalid root");
+        require(rewardRoots[_epoch] == bytes32(0), "Epoch already published");
+        require(_totalAmount <= rewardsPool, "Insufficient rewards pool");
+        require(_totalBoost <= yieldPool, "Insufficient yield pool");
+        require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        // Verify backend reward allocation
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            _epoch,
+            _root,
+            _totalAmount,
+            _totalBoost,
+            "PUBLISH_REWARDS",
+            _deadline,
+            _nonce,
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            PUBLISH_REWARDS_TYPEHASH,
+            _epoch,
+            _root,
+            _totalAmount,
+            _totalBoost,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
+        
+        usedNonces[_nonce] = true;
+        rewardRoots[_epoch] = _root;
+        rewardsPool -= _totalAmount;
+        yieldPool -= _totalBoost;
+        
+        emit RewardRootPublished(_epoch, _root, _totalAmount);
+    }
+    
+    // Claim the caller's rewards of a published epoch
+    function claim(
+        uint256 _epoch,
+        uint128 _amount,
+        uint128 _boost,
+        bytes32[] calldata _proof
+    ) external nonReentrant whenNotPaused {
+        bytes32 root = rewardRoots[_epoch];
+        require(root != bytes32(0), "Epoch not published");
+        require(!rewardsClaimed[_epoch][msg.sender], "Already claimed");
+        
+        // Leaves are double hashed so they can't be mistaken for inner nodes
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, _epoch, _amount, _boost))));
+        require(MerkleProof.verify(_proof, root, leaf), "Invalid proof");
+        
+        rewardsClaimed[_epoch][msg.sender] = true;
+        userExtras[msg.sender].lastRewardClaim = uint64(block.timestamp);
+        
+        wbtc.safeTransfer(msg.sender, _amount + _boost);
+        
+        emit RewardsClaimed(msg.sender, _epoch, _amount, _boost);
+    }
+    
+    // Claim strategy creator fees. Subscribers' payments are credited BTC net of the
+    // creator's fee, so the fee USDC already sits in Aave, set aside in creatorFeesEarned
+    // as each payment is made. The backend signs the creator's lifetime earnings and
+    // only the part not yet claimed is paid out.
+    function claimCreatorFees(
+        uint128 _totalEarned,
+        uint256 _deadline,
+        bytes32 _nonce,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        require(_totalEarned > creatorFeesClaimed[msg.sender], "No fees to claim");
+        require(_totalEarned <= creatorFeesEarned[msg.sender], "Fees not earned");
+        require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        // Verify backend ledger total
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            msg.sender,
+            _totalEarned,
+            _deadline,
+            _nonce,
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            CLAIM_CREATOR_FEES_TYPEHASH,
+            msg.sender,
+            _totalEarned,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
+        
+        usedNonces[_nonce] = true;
+        uint128 amount = _totalEarned - creatorFeesClaimed[msg.sender];
+        creatorFeesClaimed[msg.sender] = _totalEarned;
+        totalValueLocked -= amount;
+        
+        _withdrawFromAave(amount);
+        usdc.safeTransfer(msg.sender, amount);
+        
+        emit CreatorFeesClaimed(msg.sender, amount, _totalEarned);
+    }
+    
     // Sweep dust
     function sweepDust(
+        uint256 _planId,
         uint128[] calldata _tokenAmounts,
         address[] calldata _tokens,
+        uint128[] calldata _amountOutMins,
         uint128 _expectedBTC,
+        uint256 _deadline,
         bytes32 _nonce,
         bytes memory _signature
     ) external nonReentrant whenNotPaused {
-        require(_tokenAmounts.length == _tokens.length, "Array length mismatch");
+        UserPlan storage user = plans[msg.sender][_planId];
+        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        require(_tokenAmounts.length == _tokens.length && _amountOutMins.length == _tokens.length, "Array length mismatch");
         require(!usedNonces[_nonce], "Nonce used");
+        require(block.timestamp <= _deadline, "Signature expired");
         
         // Verify backend dust calculation
         bytes32 messageHash = keccak256(abi.encodePacked(
             msg.sender,
+            _planId,
             _tokenAmounts,
             _tokens,
+            _amountOutMins,
             _expectedBTC,
+            _deadline,
             _nonce,
-            block.chainid
+            block.chainid,
+            address(this)
         ));
-        require(_verifySignature(messageHash, _signature), "Invalid signature");
+        bytes32 structHash = keccak256(abi.encode(
+            DUST_SWEEP_TYPEHASH,
+            msg.sender,
+            _planId,
+            keccak256(abi.encodePacked(_tokenAmounts)),
+            keccak256(abi.encodePacked(_tokens)),
+            keccak256(abi.encodePacked(_amountOutMins)),
+            _expectedBTC,
+            _deadline,
+            _nonce
+        ));
+        require(_verifySignature(messageHash, structHash, _signature), "Invalid signature");
         
         usedNonces[_nonce] = true;
         
         uint128 totalDustValue = 0;
+        // Only the WBTC this sweep brings in is credited, not what the contract already holds
+        uint256 btcBefore = wbtc.balanceOf(address(this));
         
         // Transfer dust tokens
         for (uint i = 0; i < _tokens.length; i++) {
@@ -505,9 +1087,9 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         
         require(totalDustValue >= dustThreshold, "Dust below threshold");
         
-        // Swap dust to BTC via Uniswap
+        // Swap dust to BTC via Uniswap; WBTC dust is already BTC
         for (uint i = 0; i < _tokens.length; i++) {
-            if (_tokenAmounts[i] > 0) {
+            if (_tokenAmounts[i] > 0 && _tokens[i] != address(wbtc)) {
                 IERC20(_tokens[i]).safeIncreaseAllowance(address(uniswapRouter), _tokenAmounts[i]);
                 
                 address[] memory path = new address[](2);
@@ -516,7 +1098,7 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
                 
                 uniswapRouter.swapExactTokensForTokens(
                     _tokenAmounts[i],
-                    0, // Accept any amount of BTC
+                    _amountOutMins[i], // the signed quote, less the token's slippage
                     path,
                     address(this),
                     block.timestamp + 1800 // 30 minute deadline
@@ -525,15 +1107,13 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         }
         
         // Verify received BTC amount
-        uint128 receivedBTC = uint128(wbtc.balanceOf(address(this)));
+        uint128 receivedBTC = uint128(wbtc.balanceOf(address(this)) - btcBefore);
         require(receivedBTC >= _expectedBTC, "Insufficient BTC from swap");
         
-        // Add to user's BTC balance
-        UserPlan storage user = users[msg.sender];
-        require(user.status == PlanStatus.ACTIVE, "Plan not active");
+        // Add to the plan's BTC balance
         user.btcAccumulated += receivedBTC;
         
-        emit DustSwept(msg.sender, totalDustValue, receivedBTC);
+        emit DustSwept(msg.sender, _planId, totalDustValue, receivedBTC);
     }
     
     // Internal functions
@@ -543,24 +1123,53 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         }
     }
     
+    // Personal-sign payloads end with block.chainid and address(this), like the EIP-712 domain
     function _verifySignature(bytes32 _messageHash, bytes memory _signature) internal view returns (bool) {
         bytes32 ethSignedMessageHash = _messageHash.toEthSignedMessageHash();
         return ethSignedMessageHash.recover(_signature) == backendSigner;
     }
     
+    // Accepts either an EIP-712 typed signature or a legacy personal-sign signature
+    function _verifySignature(
+        bytes32 _messageHash,
+        bytes32 _structHash,
+        bytes memory _signature
+    ) internal view returns (bool) {
+        if (_hashTypedDataV4(_structHash).recover(_signature) == backendSigner) {
+            return true;
+        }
+        return _verifySignature(_messageHash, _signature);
+    }
+    
     // View functions
-    function getUserPlan(address _user) external view returns (UserPlan memory) {
-        return users[_user];
+    function getUserPlan(address _user, uint256 _planId) external view returns (UserPlan memory) {
+        return plans[_user][_planId];
+    }
+    
+    // Every plan of a user; index i holds planId i + 1
+    function getUserPlans(address _user) external view returns (UserPlan[] memory userPlans) {
+        userPlans = new UserPlan[](planCount[_user]);
+        for (uint256 i = 0; i < userPlans.length; i++) {
+            userPlans[i] = plans[_user][i + 1];
+        }
     }
     
     function getUserExtras(address _user) external view returns (UserExtras memory) {
         return userExtras[_user];
     }
     
+    function getPlanPause(address _user, uint256 _planId) external view returns (PlanPause memory) {
+        return planPauses[_user][_planId];
+    }
+    
     function getStrategy(uint256 _strategyId) external view returns (Strategy memory) {
         return strategies[_strategyId];
     }
     
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
     function getAaveYield() external view returns (uint256) {
         (, uint256 currentLiquidityRate,,,,,,,,,,) = aavePool.getReserveData(address(usdc));
         return currentLiquidityRate;
@@ -579,6 +1188,12 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         wbtc.safeTransferFrom(msg.sender, address(this), _amount);
     }
     
+    // Funds the boosts of published reward epochs with WBTC bought from Aave yield
+    function fundYieldPool(uint256 _amount) external onlyOwner {
+        wbtc.safeTransferFrom(msg.sender, address(this), _amount);
+        yieldPool += _amount;
+    }
+    
     function emergencyWithdraw() external onlyOwner {
         // Withdraw all from Aave
         aavePool.withdraw(address(usdc), type(uint256).max, owner());
@@ -591,6 +1206,14 @@ contract BitmorDCA is ReentrancyGuard, Pausable, Ownable {
         if (btcBalance > 0) wbtc.safeTransfer(owner(), btcBalance);
     }
     
-    function pause() external onlyOwner { _pause(); }
+    function setPauseGuardian(address _guardian) external onlyOwner {
+        pauseGuardian = _guardian;
+        emit PauseGuardianUpdated(_guardian);
+    }
+    
+    function pause() external {
+        require(msg.sender == owner() || msg.sender == pauseGuardian, "Not authorized to pause");
+        _pause();
+    }
     function unpause() external onlyOwner { _unpause(); }
 }
\ No newline at end of file
@@ -157,6 +157,7 @@ contract BitmorDCATest is Test {
     // Events to test
     event PlanCreated(
         address indexed user,
+        uint256 indexed planId,
         uint128 targetBTC,
         uint128 dailyAmount,
         uint32 timePeriod,
@@ -166,12 +167,28 @@ contract BitmorDCATest is Test {
 
     event PaymentProcessed(
         address indexed user,
+        uint256 indexed planId,
         uint128 usdcAmount,
         uint128 btcAmount,
         uint32 streak,
         bool usesPrepaid
     );
 
+    event PlanAmended(
+        address indexed user,
+        uint256 indexed planId,
+        uint128 dailyAmount,
+        uint32 timePeriod,
+        BitmorDCA.Cadence cadence,
+        uint64 startTime
+    );
+    event PlanResumed(
+        address indexed user,
+        uint256 indexed planId,
+        uint64 startTime,
+        uint32 pausedDays
+    );
+
     function setUp() public {
         // Setup accounts
         owner = makeAddr("owner");
@@ -207,6 +224,7 @@ contract BitmorDCATest is Test {
         vm.startPrank(user1);
 
         // Plan parameters
+        uint256 planId = 1;
         uint128 targetBTC = 1e8; // 1 BTC
         uint128 dailyAmount = 100 * 1e6; // 100 USDC
         uint32 timePeriod = 365; // 1 year
@@ -214,18 +232,22 @@ contract BitmorDCATest is Test {
         BitmorDCA.Cadence cadence = BitmorDCA.Cadence.DAILY;
         bool bitmorEnabled = true;
         bytes32 nonce = bytes32(uint256(1));
+        uint256 deadline = block.timestamp + 15 minutes;
 
         // Create signature
         bytes32 messageHash = keccak256(abi.encodePacked(
             user1,
+            planId,
             targetBTC,
             dailyAmount,
             timePeriod,
             withdrawalDelay,
             cadence,
             bitmorEnabled,
+            deadline,
             nonce,
-            block.chainid
+            block.chainid,
+            address(dca)
         ));
         bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
@@ -233,22 +255,25 @@ contract BitmorDCATest is Test {
 
         // Expect event
         vm.expectEmit(true, true, true, true);
-        emit PlanCreated(user1, targetBTC, dailyAmount, timePeriod, cadence, bitmorEnabled);
+        emit PlanCreated(user1, planId, targetBTC, dailyAmount, timePeriod, cadence, bitmorEnabled);
 
         // Create plan
         dca.createDCAplan(
+            planId,
             targetBTC,
             dailyAmount,
             timePeriod,
             withdrawalDelay,
             cadence,
             bitmorEnabled,
+            deadline,
             nonce,
             signature
         );
 
         // Verify plan creation
-        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1);
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, planId);
+        assertEq(dca.planCount(user1), 1);
         assertEq(plan.targetBTC, targetBTC);
         assertEq(uint8(plan.status), uint8(BitmorDCA.PlanStatus.ACTIVE));
         assertEq(plan.bitmorEnabled, bitmorEnabled);
@@ -264,19 +289,26 @@ contract BitmorDCATest is Test {
         vm.startPrank(user1);
 
         // Payment parameters
+        uint256 planId = 1;
         uint128 usdcAmount = 100 * 1e6; // 100 USDC
         uint128 btcAmount = 5 * 1e6; // 0.05 BTC
         bool usesPrepaid = false;
         bytes32 nonce = bytes32(uint256(2));
+        uint256 deadline = block.timestamp + 15 minutes;
 
         // Create signature
         bytes32 messageHash = keccak256(abi.encodePacked(
             user1,
+            planId,
             usdcAmount,
             btcAmount,
             usesPrepaid,
+            address(0),
+            uint128(0),
+            deadline,
             nonce,
-            block.chainid
+            block.chainid,
+            address(dca)
         ));
         bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
@@ -287,19 +319,23 @@ contract BitmorDCATest is Test {
 
         // Expect event
         vm.expectEmit(true, true, true, true);
-        emit PaymentProcessed(user1, usdcAmount, btcAmount, 1, usesPrepaid);
+        emit PaymentProcessed(user1, planId, usdcAmount, btcAmount, 1, usesPrepaid);
 
         // Make payment
         dca.makePayment(
+            planId,
             usdcAmount,
             btcAmount,
             usesPrepaid,
+            address(0),
+            0,
+            deadline,
             nonce,
             signature
         );
 
         // Verify payment
-        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1);
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, planId);
         assertEq(plan.btcAccumulated, btcAmount);
         assertEq(plan.totalPaid, usdcAmount);
         assertEq(plan.streak, 1);
@@ -315,20 +351,25 @@ contract BitmorDCATest is Test {
         vm.warp(block.timestamp + 31 days); // Move past withdrawal delay
 
         // Withdrawal parameters
+        uint256 planId = 1;
         uint128 btcAmount = 5 * 1e6; // 0.05 BTC
         uint128 penaltyAmount = 1 * 1e6; // 0.01 BTC penalty
         uint128 withdrawAmount = btcAmount - penaltyAmount; // Expected withdrawal amount
         uint32 daysRemaining = 334; // 365 - 31
         bytes32 nonce = bytes32(uint256(3));
+        uint256 deadline = block.timestamp + 15 minutes;
 
         // Create signature
         bytes32 messageHash = keccak256(abi.encodePacked(
             user1,
+            planId,
             btcAmount,
             penaltyAmount,
             daysRemaining,
+            deadline,
             nonce,
-            block.chainid
+            block.chainid,
+            address(dca)
         ));
         bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
@@ -342,15 +383,17 @@ contract BitmorDCATest is Test {
         );
         
         dca.earlyWithdraw(
+            planId,
             btcAmount,
             penaltyAmount,
             daysRemaining,
+            deadline,
             nonce,
             signature
         );
 
         // Verify withdrawal
-        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1);
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, planId);
         assertEq(uint8(plan.status), uint8(BitmorDCA.PlanStatus.EARLY_EXIT));
         assertEq(plan.btcAccumulated, 0);
         assertEq(cbBTC.balanceOf(user1), withdrawAmount);
@@ -358,6 +401,123 @@ contract BitmorDCATest is Test {
         vm.stopPrank();
     }
 
+    function testCreateDCAPlanWithTypedSignature() public {
+        vm.startPrank(user1);
+
+        uint256 planId = 1;
+        uint128 targetBTC = 1e8; // 1 BTC
+        uint128 dailyAmount = 100 * 1e6; // 100 USDC
+        uint32 timePeriod = 365;
+        uint32 withdrawalDelay = 30;
+        BitmorDCA.Cadence cadence = BitmorDCA.Cadence.WEEKLY;
+        bool bitmorEnabled = false;
+        bytes32 nonce = bytes32(uint256(8));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // Create EIP-712 signature
+        bytes32 structHash = keccak256(abi.encode(
+            dca.CREATE_PLAN_TYPEHASH(),
+            user1,
+            planId,
+            targetBTC,
+            dailyAmount,
+            timePeriod,
+            withdrawalDelay,
+            uint8(cadence),
+            bitmorEnabled,
+            deadline,
+            nonce
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", dca.domainSeparator(), structHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, digest);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        vm.expectEmit(true, true, true, true);
+        emit PlanCreated(user1, planId, targetBTC, dailyAmount, timePeriod, cadence, bitmorEnabled);
+
+        dca.createDCAplan(
+            planId,
+            targetBTC,
+            dailyAmount,
+            timePeriod,
+            withdrawalDelay,
+            cadence,
+            bitmorEnabled,
+            deadline,
+            nonce,
+            signature
+        );
+
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, planId);
+        assertEq(uint8(plan.cadence), uint8(BitmorDCA.Cadence.WEEKLY));
+        assertEq(uint8(plan.status), uint8(BitmorDCA.PlanStatus.ACTIVE));
+
+        vm.stopPrank();
+    }
+
+    function testCannotUseTypedSignatureFromOtherDomain() public {
+        testCreateDCAPlan();
+        vm.startPrank(user1);
+
+        uint128 usdcAmount = 1000 * 1e6;
+        uint32 prepaid = 10;
+        bytes32 nonce = bytes32(uint256(9));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // Domain bound to another deployment of the contract
+        bytes32 otherDomain = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("BitmorDCA")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(0xdead)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            dca.PREPAY_DAYS_TYPEHASH(),
+            user1,
+            uint256(1),
+            usdcAmount,
+            prepaid,
+            deadline,
+            nonce
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", otherDomain, structHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, digest);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        usdc.approve(address(dca), usdcAmount);
+
+        vm.expectRevert("Invalid signature");
+        dca.prepayDays(1, usdcAmount, prepaid, deadline, nonce, signature);
+
+        vm.stopPrank();
+    }
+
+    function testCannotUsePersonalSignatureFromOtherDeployment() public {
+        testCreateDCAPlan();
+        vm.startPrank(user1);
+
+        uint128 usdcAmount = 1000 * 1e6;
+        uint32 prepaid = 10;
+        bytes32 nonce = bytes32(uint256(10));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // Same chain and signer, but bound to another deployment of the contract
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), usdcAmount, prepaid, deadline, nonce, block.chainid, address(0xdead)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        usdc.approve(address(dca), usdcAmount);
+
+        vm.expectRevert("Invalid signature");
+        dca.prepayDays(1, usdcAmount, prepaid, deadline, nonce, signature);
+
+        vm.stopPrank();
+    }
+
     function _setupTokenBalances() internal {
         // Mint tokens to users
         vm.startPrank(owner);
@@ -394,47 +554,228 @@ contract BitmorDCATest is Test {
     }
 
     function testSweepDust() public {
-        // TODO: Implement test
+        testCreateDCAPlan();
+        cbBTC.mint(address(uniswapRouter), 1e8);
+
+        // 20 USDC of dust buys 0.001 BTC at the mock rate
+        (uint128[] memory amounts, address[] memory tokens) = _usdcDust(20 * 1e6);
+        uint128[] memory amountOutMins = new uint128[](1);
+        amountOutMins[0] = 99_500;
+        bytes32 nonce = bytes32(uint256(40));
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signDustSweep(amounts, tokens, amountOutMins, 99_500, nonce, deadline);
+
+        vm.startPrank(user1);
+        usdc.approve(address(dca), amounts[0]);
+        dca.sweepDust(1, amounts, tokens, amountOutMins, 99_500, deadline, nonce, signature);
+        vm.stopPrank();
+
+        // Only the swap's output is credited, not the cbBTC the contract already held
+        assertEq(dca.getUserPlan(user1, 1).btcAccumulated, 100_000);
+    }
+
+    function testSweepDustRevertsBelowSignedMinimum() public {
+        testCreateDCAPlan();
+        cbBTC.mint(address(uniswapRouter), 1e8);
+
+        (uint128[] memory amounts, address[] memory tokens) = _usdcDust(20 * 1e6);
+        uint128[] memory amountOutMins = new uint128[](1);
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        vm.startPrank(user1);
+        usdc.approve(address(dca), type(uint256).max);
+
+        // The swap returns 100,000 sats, short of its own minimum
+        amountOutMins[0] = 100_001;
+        bytes memory signature = _signDustSweep(amounts, tokens, amountOutMins, 0, bytes32(uint256(41)), deadline);
+        vm.expectRevert("Insufficient output");
+        dca.sweepDust(1, amounts, tokens, amountOutMins, 0, deadline, bytes32(uint256(41)), signature);
+
+        // A total above what the swaps return reverts, however much cbBTC the contract already holds
+        amountOutMins[0] = 0;
+        signature = _signDustSweep(amounts, tokens, amountOutMins, 100_001, bytes32(uint256(42)), deadline);
+        vm.expectRevert("Insufficient BTC from swap");
+        dca.sweepDust(1, amounts, tokens, amountOutMins, 100_001, deadline, bytes32(uint256(42)), signature);
+        vm.stopPrank();
+    }
+
+    function _usdcDust(uint128 amount) internal view returns (uint128[] memory amounts, address[] memory tokens) {
+        amounts = new uint128[](1);
+        amounts[0] = amount;
+        tokens = new address[](1);
+        tokens[0] = address(usdc);
+    }
+
+    function _signDustSweep(
+        uint128[] memory amounts,
+        address[] memory tokens,
+        uint128[] memory amountOutMins,
+        uint128 expectedBTC,
+        bytes32 nonce,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), amounts, tokens, amountOutMins, expectedBTC, deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        return abi.encodePacked(r, s, v);
     }
 
     function testBitmorThreshold() public {
-        // TODO: Implement test
+        // Setup: Create Bitmor-enabled plan and make payment
+        testMakePayment();
+
+        vm.startPrank(user1);
+
+        uint128 btcAmount = 5 * 1e6; // 0.05 BTC
+        bytes32 nonce = bytes32(uint256(6));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // Create signature
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1,
+            uint256(1),
+            btcAmount,
+            "BITMOR_THRESHOLD",
+            deadline,
+            nonce,
+            block.chainid,
+            address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        dca.triggerBitmorThreshold(1, btcAmount, deadline, nonce, signature);
+
+        // Verify threshold flag
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, 1);
+        assertTrue(plan.thresholdReached);
+        assertTrue(dca.usedNonces(nonce));
+
+        // Threshold can only be triggered once
+        vm.expectRevert("Bitmor not available");
+        dca.triggerBitmorThreshold(1, btcAmount, deadline, bytes32(uint256(7)), signature);
+
+        vm.stopPrank();
     }
 
     // Failure cases...
-    function testCannotCreateDuplicatePlan() public {
+    function testCreateSecondPlanAlongsideActivePlan() public {
         testCreateDCAPlan();
         vm.startPrank(user1);
         
-        // Try to create another plan
-        uint128 targetBTC = 1e8;
+        // A second, independent plan while the first is active
+        uint256 planId = 2;
+        uint128 targetBTC = 5e7;
         uint128 dailyAmount = 100 * 1e6;
         uint32 timePeriod = 365;
         uint32 withdrawalDelay = 30;
         BitmorDCA.Cadence cadence = BitmorDCA.Cadence.DAILY;
         bool bitmorEnabled = true;
         bytes32 nonce = bytes32(uint256(4));
+        uint256 deadline = block.timestamp + 15 minutes;
 
         bytes32 messageHash = keccak256(abi.encodePacked(
-            user1, targetBTC, dailyAmount, timePeriod, withdrawalDelay,
-            cadence, bitmorEnabled, nonce, block.chainid
+            user1, planId, targetBTC, dailyAmount, timePeriod, withdrawalDelay,
+            cadence, bitmorEnabled, deadline, nonce, block.chainid, address(dca)
         ));
         bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
         bytes memory signature = abi.encodePacked(r, s, v);
 
-        vm.expectRevert("Active plan exists");
         dca.createDCAplan(
+            planId,
             targetBTC,
             dailyAmount,
             timePeriod,
             withdrawalDelay,
             cadence,
             bitmorEnabled,
+            deadline,
             nonce,
             signature
         );
 
+        BitmorDCA.UserPlan[] memory userPlans = dca.getUserPlans(user1);
+        assertEq(userPlans.length, 2);
+        assertEq(userPlans[0].targetBTC, 1e8);
+        assertEq(userPlans[1].targetBTC, targetBTC);
+        assertEq(uint8(userPlans[0].status), uint8(BitmorDCA.PlanStatus.ACTIVE));
+        assertEq(uint8(userPlans[1].status), uint8(BitmorDCA.PlanStatus.ACTIVE));
+
+        vm.stopPrank();
+    }
+
+    function testCannotSkipOrReusePlanId() public {
+        testCreateDCAPlan();
+        vm.startPrank(user1);
+
+        uint128 targetBTC = 1e8;
+        uint128 dailyAmount = 100 * 1e6;
+        uint32 timePeriod = 365;
+        uint32 withdrawalDelay = 30;
+        BitmorDCA.Cadence cadence = BitmorDCA.Cadence.DAILY;
+        bytes32 nonce = bytes32(uint256(4));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // Plan 1 exists, so only plan 2 may be created next
+        for (uint256 planId = 1; planId <= 3; planId += 2) {
+            bytes32 messageHash = keccak256(abi.encodePacked(
+                user1, planId, targetBTC, dailyAmount, timePeriod, withdrawalDelay,
+                cadence, false, deadline, nonce, block.chainid, address(dca)
+            ));
+            bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+            (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+
+            vm.expectRevert("Invalid plan id");
+            dca.createDCAplan(
+                planId,
+                targetBTC,
+                dailyAmount,
+                timePeriod,
+                withdrawalDelay,
+                cadence,
+                false,
+                deadline,
+                nonce,
+                abi.encodePacked(r, s, v)
+            );
+        }
+
+        vm.stopPrank();
+    }
+
+    function testPaymentOnlyMovesItsOwnPlan() public {
+        testCreateSecondPlanAlongsideActivePlan();
+        vm.startPrank(user1);
+
+        uint128 usdcAmount = 100 * 1e6;
+        uint128 btcAmount = 5 * 1e6;
+        bytes32 nonce = bytes32(uint256(13));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(2), usdcAmount, btcAmount, false, address(0), uint128(0), deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        usdc.approve(address(dca), usdcAmount);
+
+        // A signature for plan 2 cannot be spent on plan 1
+        vm.expectRevert("Invalid signature");
+        dca.makePayment(1, usdcAmount, btcAmount, false, address(0), 0, deadline, nonce, signature);
+
+        vm.expectEmit(true, true, true, true);
+        emit PaymentProcessed(user1, 2, usdcAmount, btcAmount, 1, false);
+        dca.makePayment(2, usdcAmount, btcAmount, false, address(0), 0, deadline, nonce, signature);
+
+        assertEq(dca.getUserPlan(user1, 1).btcAccumulated, 0);
+        assertEq(dca.getUserPlan(user1, 2).btcAccumulated, btcAmount);
+
         vm.stopPrank();
     }
 
@@ -446,9 +787,10 @@ contract BitmorDCATest is Test {
         uint128 penaltyAmount = 1 * 1e6;
         uint32 daysRemaining = 364;
         bytes32 nonce = bytes32(uint256(5));
+        uint256 deadline = block.timestamp + 15 minutes;
 
         bytes32 messageHash = keccak256(abi.encodePacked(
-            user1, btcAmount, penaltyAmount, daysRemaining, nonce, block.chainid
+            user1, uint256(1), btcAmount, penaltyAmount, daysRemaining, deadline, nonce, block.chainid, address(dca)
         ));
         bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
@@ -456,13 +798,509 @@ contract BitmorDCATest is Test {
 
         vm.expectRevert("Withdrawal delay active");
         dca.earlyWithdraw(
+            1,
             btcAmount,
             penaltyAmount,
             daysRemaining,
+            deadline,
             nonce,
             signature
         );
 
         vm.stopPrank();
     }
+
+    function testCannotUseExpiredSignature() public {
+        testCreateDCAPlan();
+        vm.startPrank(user1);
+
+        uint128 usdcAmount = 100 * 1e6;
+        uint128 btcAmount = 5 * 1e6;
+        bool usesPrepaid = false;
+        bytes32 nonce = bytes32(uint256(10));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), usdcAmount, btcAmount, usesPrepaid, address(0), uint128(0), deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        usdc.approve(address(dca), usdcAmount);
+
+        // Quote goes stale
+        vm.warp(deadline + 1);
+
+        vm.expectRevert("Signature expired");
+        dca.makePayment(
+            1,
+            usdcAmount,
+            btcAmount,
+            usesPrepaid,
+            address(0),
+            0,
+            deadline,
+            nonce,
+            signature
+        );
+
+        vm.stopPrank();
+    }
+
+    function testMakePaymentForApprovedExecutor() public {
+        testCreateDCAPlan();
+        address keeper = makeAddr("keeper");
+
+        uint128 usdcAmount = 100 * 1e6;
+        uint128 btcAmount = 5 * 1e6;
+        bytes32 nonce = bytes32(uint256(11));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        // User approves the keeper and the USDC pull
+        vm.startPrank(user1);
+        dca.setPaymentExecutor(keeper, true);
+        usdc.approve(address(dca), usdcAmount);
+        vm.stopPrank();
+
+        // Signature is bound to the user, not the executor
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), usdcAmount, btcAmount, false, address(0), uint128(0), deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        uint256 balanceBefore = usdc.balanceOf(user1);
+
+        vm.expectEmit(true, true, true, true);
+        emit PaymentProcessed(user1, 1, usdcAmount, btcAmount, 1, false);
+
+        vm.prank(keeper);
+        dca.makePaymentFor(user1, 1, usdcAmount, btcAmount, false, address(0), 0, deadline, nonce, signature);
+
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, 1);
+        assertEq(plan.totalPaid, usdcAmount);
+        assertEq(plan.streak, 1);
+        assertEq(usdc.balanceOf(user1), balanceBefore - usdcAmount);
+    }
+
+    function testCannotMakePaymentForWithoutApproval() public {
+        testCreateDCAPlan();
+        address keeper = makeAddr("keeper");
+
+        uint128 usdcAmount = 100 * 1e6;
+        uint128 btcAmount = 5 * 1e6;
+        bytes32 nonce = bytes32(uint256(12));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), usdcAmount, btcAmount, false, address(0), uint128(0), deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        bytes memory signature = abi.encodePacked(r, s, v);
+
+        vm.prank(user1);
+        usdc.approve(address(dca), usdcAmount);
+
+        vm.prank(keeper);
+        vm.expectRevert("Executor not approved");
+        dca.makePaymentFor(user1, 1, usdcAmount, btcAmount, false, address(0), 0, deadline, nonce, signature);
+
+        // Revoking removes a previous approval
+        vm.startPrank(user1);
+        dca.setPaymentExecutor(keeper, true);
+        dca.setPaymentExecutor(keeper, false);
+        vm.stopPrank();
+
+        vm.prank(keeper);
+        vm.expectRevert("Executor not approved");
+        dca.makePaymentFor(user1, 1, usdcAmount, btcAmount, false, address(0), 0, deadline, nonce, signature);
+    }
+
+    function _signCreatorFees(address creator, uint128 totalEarned, bytes32 nonce, uint256 deadline) internal view returns (bytes memory) {
+        bytes32 messageHash = keccak256(abi.encodePacked(creator, totalEarned, deadline, nonce, block.chainid, address(dca)));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function _signPayment(
+        uint128 usdcAmount,
+        uint128 btcAmount,
+        address creator,
+        uint128 creatorFee,
+        bytes32 nonce,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), usdcAmount, btcAmount, false, creator, creatorFee, deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        return abi.encodePacked(r, s, v);
+    }
+
+    // user1 pays 100 USDC into plan 1, 1 USDC of it owed to `creator`
+    function _payWithCreatorFee(address creator, uint128 btcAmount, bytes32 nonce) internal {
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signPayment(100 * 1e6, btcAmount, creator, 1e6, nonce, deadline);
+
+        vm.startPrank(user1);
+        usdc.approve(address(dca), 100 * 1e6);
+        dca.makePayment(1, 100 * 1e6, btcAmount, false, creator, 1e6, deadline, nonce, signature);
+        vm.stopPrank();
+    }
+
+    function testPaymentSetsCreatorFeeAside() public {
+        testCreateDCAPlan();
+        address creator = makeAddr("creator");
+        _payWithCreatorFee(creator, 5 * 1e6, bytes32(uint256(20)));
+
+        assertEq(dca.creatorFeesEarned(creator), 1e6);
+        assertEq(dca.planCreatorFees(user1, 1), 1e6);
+        assertEq(dca.getUserPlan(user1, 1).totalPaid, 100 * 1e6);
+
+        // A fee the payment cannot cover, or one owed to nobody, is refused
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signPayment(1e6, 5e4, creator, 2e6, bytes32(uint256(21)), deadline);
+        vm.startPrank(user1);
+        usdc.approve(address(dca), 1e6);
+        vm.expectRevert("Invalid creator fee");
+        dca.makePayment(1, 1e6, 5e4, false, creator, 2e6, deadline, bytes32(uint256(21)), signature);
+
+        signature = _signPayment(1e6, 5e4, address(0), 1e4, bytes32(uint256(21)), deadline);
+        vm.expectRevert("Invalid creator fee");
+        dca.makePayment(1, 1e6, 5e4, false, address(0), 1e4, deadline, bytes32(uint256(21)), signature);
+
+        // The fee is signed, so the payer cannot drop it
+        signature = _signPayment(1e6, 5e4, creator, 1e4, bytes32(uint256(21)), deadline);
+        vm.expectRevert("Invalid signature");
+        dca.makePayment(1, 1e6, 5e4, false, address(0), 0, deadline, bytes32(uint256(21)), signature);
+        vm.stopPrank();
+    }
+
+    function testClaimCreatorFees() public {
+        testCreateDCAPlan();
+        address creator = makeAddr("creator");
+        _payWithCreatorFee(creator, 5 * 1e6, bytes32(uint256(20)));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes memory signature = _signCreatorFees(creator, 1e6, bytes32(uint256(14)), deadline);
+        vm.prank(creator);
+        dca.claimCreatorFees(1e6, deadline, bytes32(uint256(14)), signature);
+
+        assertEq(usdc.balanceOf(creator), 1e6);
+        assertEq(dca.creatorFeesClaimed(creator), 1e6);
+        assertEq(dca.totalValueLocked(), 99 * 1e6);
+
+        // A fresh signature over the same total pays nothing more
+        signature = _signCreatorFees(creator, 1e6, bytes32(uint256(15)), deadline);
+        vm.prank(creator);
+        vm.expectRevert("No fees to claim");
+        dca.claimCreatorFees(1e6, deadline, bytes32(uint256(15)), signature);
+
+        // Nor can a signed total run ahead of the fees payments set aside
+        signature = _signCreatorFees(creator, 2e6, bytes32(uint256(16)), deadline);
+        vm.prank(creator);
+        vm.expectRevert("Fees not earned");
+        dca.claimCreatorFees(2e6, deadline, bytes32(uint256(16)), signature);
+
+        // Later earnings pay out only the difference
+        _payWithCreatorFee(creator, 5 * 1e6, bytes32(uint256(21)));
+        signature = _signCreatorFees(creator, 2e6, bytes32(uint256(16)), deadline);
+        vm.prank(creator);
+        dca.claimCreatorFees(2e6, deadline, bytes32(uint256(16)), signature);
+        assertEq(usdc.balanceOf(creator), 2e6);
+    }
+
+    function testCannotClaimAnotherCreatorsFees() public {
+        testCreateDCAPlan();
+        address creator = makeAddr("creator");
+        _payWithCreatorFee(creator, 5 * 1e6, bytes32(uint256(20)));
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signCreatorFees(creator, 1e6, bytes32(uint256(14)), deadline);
+
+        vm.prank(user2);
+        vm.expectRevert("Invalid signature");
+        dca.claimCreatorFees(1e6, deadline, bytes32(uint256(14)), signature);
+    }
+
+    function testCompletePlanAfterCreatorClaims() public {
+        testCreateDCAPlan();
+        address creator = makeAddr("creator");
+
+        // The payment reaches the 1 BTC target
+        _payWithCreatorFee(creator, 1e8, bytes32(uint256(20)));
+
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signCreatorFees(creator, 1e6, bytes32(uint256(14)), deadline);
+        vm.prank(creator);
+        dca.claimCreatorFees(1e6, deadline, bytes32(uint256(14)), signature);
+
+        // Completing withdraws only the subscriber's 99 USDC, which Aave still holds
+        bytes32 nonce = bytes32(uint256(22));
+        bytes32 messageHash = keccak256(abi.encodePacked(user1, uint256(1), "COMPLETE", deadline, nonce, block.chainid, address(dca)));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+
+        uint256 btcBefore = cbBTC.balanceOf(user1);
+        vm.prank(user1);
+        dca.completePlan(1, deadline, nonce, abi.encodePacked(r, s, v));
+
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, 1);
+        assertEq(uint8(plan.status), uint8(BitmorDCA.PlanStatus.COMPLETED));
+        assertEq(plan.btcAccumulated, 0);
+        assertEq(cbBTC.balanceOf(user1), btcBefore + 1e8);
+        assertEq(aavePool.deposits(address(dca)), 0);
+    }
+
+    function _signAmendPlan(
+        uint128 dailyAmount,
+        uint32 timePeriod,
+        BitmorDCA.Cadence cadence,
+        bytes32 nonce,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), dailyAmount, timePeriod, cadence, deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function testAmendPlanRebasesStartTime() public {
+        // 365-day plan with a 30-day withdrawal delay, a fifth of the way through;
+        // the clock starts late enough to re-base startTime back past it
+        vm.warp(1_700_000_000);
+        testCreateDCAPlan();
+        uint64 startTime = dca.getUserPlan(user1, 1).startTime;
+        vm.warp(block.timestamp + 73 days);
+
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signAmendPlan(50 * 1e6, 730, BitmorDCA.Cadence.WEEKLY, bytes32(uint256(17)), deadline);
+
+        vm.expectEmit(true, true, true, true);
+        emit PlanAmended(user1, 1, 50 * 1e6, 730, BitmorDCA.Cadence.WEEKLY, uint64(block.timestamp - 146 days));
+
+        vm.prank(user1);
+        dca.amendPlan(1, 50 * 1e6, 730, BitmorDCA.Cadence.WEEKLY, deadline, bytes32(uint256(17)), signature);
+
+        // Still a fifth of the way through the doubled period
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, 1);
+        assertEq(plan.timePeriod, 730);
+        assertEq(plan.startTime, startTime - 73 days);
+        assertEq(uint8(plan.cadence), uint8(BitmorDCA.Cadence.WEEKLY));
+    }
+
+    function testAmendPlanWithoutExtensionKeepsStartTime() public {
+        testCreateDCAPlan();
+        uint64 startTime = dca.getUserPlan(user1, 1).startTime;
+        vm.warp(block.timestamp + 5 days);
+
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes memory signature = _signAmendPlan(150 * 1e6, 365, BitmorDCA.Cadence.DAILY, bytes32(uint256(18)), deadline);
+        vm.prank(user1);
+        dca.amendPlan(1, 150 * 1e6, 365, BitmorDCA.Cadence.DAILY, deadline, bytes32(uint256(18)), signature);
+
+        assertEq(dca.getUserPlan(user1, 1).startTime, startTime);
+    }
+
+    function testCannotShortenOrExtendDuringWithdrawalDelay() public {
+        testCreateDCAPlan();
+        vm.warp(block.timestamp + 5 days);
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes memory signature = _signAmendPlan(100 * 1e6, 180, BitmorDCA.Cadence.DAILY, bytes32(uint256(19)), deadline);
+        vm.prank(user1);
+        vm.expectRevert("Cannot shorten plan");
+        dca.amendPlan(1, 100 * 1e6, 180, BitmorDCA.Cadence.DAILY, deadline, bytes32(uint256(19)), signature);
+
+        signature = _signAmendPlan(100 * 1e6, 730, BitmorDCA.Cadence.DAILY, bytes32(uint256(20)), deadline);
+        vm.prank(user1);
+        vm.expectRevert("Withdrawal delay active");
+        dca.amendPlan(1, 100 * 1e6, 730, BitmorDCA.Cadence.DAILY, deadline, bytes32(uint256(20)), signature);
+    }
+
+    function _pausePlan(uint32 pauseDays, bytes32 nonce) internal {
+        uint256 deadline = block.timestamp + 15 minutes;
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            user1, uint256(1), pauseDays, deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+
+        vm.prank(user1);
+        dca.pausePlan(1, pauseDays, deadline, nonce, abi.encodePacked(r, s, v));
+    }
+
+    function testPauseFreezesStreakAndPenaltyClocks() public {
+        testMakePayment();
+        BitmorDCA.UserPlan memory before = dca.getUserPlan(user1, 1);
+        vm.warp(block.timestamp + 1 days);
+
+        _pausePlan(10, bytes32(uint256(21)));
+        assertEq(uint8(dca.getUserPlan(user1, 1).status), uint8(BitmorDCA.PlanStatus.PAUSED));
+
+        // Resuming early only skips the days actually paused
+        vm.warp(block.timestamp + 4 days);
+        vm.expectEmit(true, true, true, true);
+        emit PlanResumed(user1, 1, before.startTime + 4 days, 4);
+        vm.prank(user1);
+        dca.resumePlan(1);
+
+        BitmorDCA.UserPlan memory plan = dca.getUserPlan(user1, 1);
+        assertEq(uint8(plan.status), uint8(BitmorDCA.PlanStatus.ACTIVE));
+        assertEq(plan.startTime, before.startTime + 4 days);
+        assertEq(plan.lastPaymentTime, before.lastPaymentTime + 4 days);
+        assertEq(dca.getPlanPause(user1, 1).daysUsed, 4);
+    }
+
+    function testPauseStopsAtItsEnd() public {
+        testCreateDCAPlan();
+        uint64 startTime = dca.getUserPlan(user1, 1).startTime;
+
+        _pausePlan(5, bytes32(uint256(22)));
+        vm.warp(block.timestamp + 8 days);
+        vm.prank(user1);
+        dca.resumePlan(1);
+
+        assertEq(dca.getUserPlan(user1, 1).startTime, startTime + 5 days);
+        assertEq(dca.getPlanPause(user1, 1).daysUsed, 5);
+    }
+
+    function testCannotPauseBeyondYearlyAllowance() public {
+        testCreateDCAPlan();
+
+        _pausePlan(20, bytes32(uint256(23)));
+        vm.warp(block.timestamp + 20 days);
+        vm.prank(user1);
+        dca.resumePlan(1);
+
+        vm.expectRevert("Pause allowance exceeded");
+        _pausePlan(11, bytes32(uint256(24)));
+
+        // The allowance renews a year after the first pause
+        vm.warp(block.timestamp + 345 days);
+        _pausePlan(30, bytes32(uint256(25)));
+        assertEq(dca.getPlanPause(user1, 1).daysUsed, 0);
+    }
+
+    function testPauseGuardianCanOnlyPause() public {
+        address guardian = makeAddr("guardian");
+        vm.prank(owner);
+        dca.setPauseGuardian(guardian);
+
+        vm.prank(guardian);
+        dca.pause();
+        assertTrue(dca.paused());
+
+        // Only the owner lifts the pause
+        vm.prank(guardian);
+        vm.expectRevert("Ownable: caller is not the owner");
+        dca.unpause();
+
+        vm.prank(owner);
+        dca.unpause();
+        assertFalse(dca.paused());
+    }
+
+    function testCannotPauseWithoutRole() public {
+        vm.prank(user1);
+        vm.expectRevert("Not authorized to pause");
+        dca.pause();
+    }
+
+    function _signRewardRoot(
+        uint256 epoch,
+        bytes32 root,
+        uint128 totalAmount,
+        uint128 totalBoost,
+        bytes32 nonce,
+        uint256 deadline
+    ) internal view returns (bytes memory) {
+        bytes32 messageHash = keccak256(abi.encodePacked(
+            epoch, root, totalAmount, totalBoost, "PUBLISH_REWARDS", deadline, nonce, block.chainid, address(dca)
+        ));
+        bytes32 ethSignedMessageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(backendSignerKey, ethSignedMessageHash);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function _fundYieldPool(uint256 amount) internal {
+        cbBTC.mint(owner, amount);
+        vm.startPrank(owner);
+        cbBTC.approve(address(dca), amount);
+        dca.fundYieldPool(amount);
+        vm.stopPrank();
+    }
+
+    function _rewardLeaf(address user, uint256 epoch, uint128 amount, uint128 boost) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(user, epoch, amount, boost))));
+    }
+
+    function testClaimPublishedRewards() public {
+        // The early withdrawal's 0.01 BTC penalty funds rewardsPool, and the owner the boosts
+        testEarlyWithdrawal();
+        _fundYieldPool(1e5);
+        uint256 epoch = 19731;
+        bytes32 leaf1 = _rewardLeaf(user1, epoch, 6 * 1e5, 1e5);
+        bytes32 leaf2 = _rewardLeaf(user2, epoch, 4 * 1e5, 0);
+        // A two-leaf tree's root is the hash of the sorted pair
+        bytes32 root = leaf1 < leaf2 ? keccak256(abi.encodePacked(leaf1, leaf2)) : keccak256(abi.encodePacked(leaf2, leaf1));
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes memory signature = _signRewardRoot(epoch, root, 1e6, 1e5, bytes32(uint256(26)), deadline);
+        dca.publishRewardRoot(epoch, root, 1e6, 1e5, deadline, bytes32(uint256(26)), signature);
+        assertEq(dca.rewardRoots(epoch), root);
+        assertEq(dca.rewardsPool(), 0);
+        assertEq(dca.yieldPool(), 0);
+
+        bytes32[] memory proof = new bytes32[](1);
+        proof[0] = leaf2;
+        uint256 balanceBefore = cbBTC.balanceOf(user1);
+
+        vm.prank(user1);
+        dca.claim(epoch, 6 * 1e5, 1e5, proof);
+        assertEq(cbBTC.balanceOf(user1), balanceBefore + 7 * 1e5);
+        assertTrue(dca.rewardsClaimed(epoch, user1));
+
+        vm.prank(user1);
+        vm.expectRevert("Already claimed");
+        dca.claim(epoch, 6 * 1e5, 1e5, proof);
+
+        // A leaf only pays the address it was built for
+        vm.prank(user2);
+        vm.expectRevert("Invalid proof");
+        dca.claim(epoch, 6 * 1e5, 1e5, proof);
+    }
+
+    function testCannotPublishBeyondRewardsPoolOrTwice() public {
+        testEarlyWithdrawal();
+        uint256 epoch = 19731;
+        bytes32 root = _rewardLeaf(user1, epoch, 1e6, 0);
+        uint256 deadline = block.timestamp + 15 minutes;
+
+        bytes memory signature = _signRewardRoot(epoch, root, 2 * 1e6, 0, bytes32(uint256(27)), deadline);
+        vm.expectRevert("Insufficient rewards pool");
+        dca.publishRewardRoot(epoch, root, 2 * 1e6, 0, deadline, bytes32(uint256(27)), signature);
+
+        // Boosts need WBTC funded into yieldPool, not just any WBTC the contract holds
+        signature = _signRewardRoot(epoch, root, 1e6, 1, bytes32(uint256(30)), deadline);
+        vm.expectRevert("Insufficient yield pool");
+        dca.publishRewardRoot(epoch, root, 1e6, 1, deadline, bytes32(uint256(30)), signature);
+
+        signature = _signRewardRoot(epoch, root, 1e6, 0, bytes32(uint256(28)), deadline);
+        dca.publishRewardRoot(epoch, root, 1e6, 0, deadline, bytes32(uint256(28)), signature);
+
+        signature = _signRewardRoot(epoch, root, 0, 0, bytes32(uint256(29)), deadline);
+        vm.expectRevert("Epoch already published");
+        dca.publishRewardRoot(epoch, root, 0, 0, deadline, bytes32(uint256(29)), signature);
+
+        vm.prank(user2);
+        vm.expectRevert("Epoch not published");
+        dca.claim(epoch + 1, 1e6, 0, new bytes32[](0));
+    }
 }
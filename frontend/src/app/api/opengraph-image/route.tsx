@@ -4,11 +4,32 @@ import { getNeynarUser } from "~/lib/neynar";
 
 export const dynamic = 'force-dynamic';
 
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
+
+type Achievement = { kind: string; title: string; earned: boolean };
+
+// Badges the user has earned on BitmorDCA, none if the backend doesn't know the address
+async function getEarnedAchievements(address: string | undefined): Promise<Achievement[]> {
+  if (!address) return [];
+  try {
+    const response = await fetch(`${API_BASE_URL}/users/${address}/achievements`);
+    if (!response.ok) return [];
+    const { data } = await response.json();
+    return data.achievements.filter((achievement: Achievement) => achievement.earned);
+  } catch (error) {
+    console.error('Error getting achievements:', error);
+    return [];
+  }
+}
+
 export async function GET(request: NextRequest) {
   const { searchParams } = new URL(request.url);
   const fid = searchParams.get('fid');
 
   const user = fid ? await getNeynarUser(Number(fid)) : null;
+  const achievements = await getEarnedAchievements(
+    user?.verified_addresses?.eth_addresses?.[0] ?? user?.custody_address
+  );
 
   return new ImageResponse(
     (
@@ -19,6 +40,15 @@ export async function GET(request: NextRequest) {
           </div>
         )}
         <h1 tw="text-8xl text-white">{user?.display_name ? `Hello from ${user.display_name ?? user.username}!` : 'Hello!'}</h1>
+        {achievements.length > 0 && (
+          <div tw="flex flex-wrap justify-center mt-4 px-16">
+            {achievements.map((achievement) => (
+              <div key={achievement.kind} tw="flex m-2 px-6 py-2 rounded-full bg-white text-3xl">
+                {achievement.title}
+              </div>
+            ))}
+          </div>
+        )}
         <p tw="text-5xl mt-4 text-white opacity-80">Powered by Neynar 🪐</p>
       </div>
     ),
@@ -27,4 +57,4 @@ export async function GET(request: NextRequest) {
       height: 800,
     }
   );
-}
\ No newline at end of file
+}
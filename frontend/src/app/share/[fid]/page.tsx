@@ -6,7 +6,8 @@ export const revalidate = 300;
 
 // This is an example of how to generate a dynamically generated share page based on fid:
 // Sharing this route e.g. exmaple.com/share/123 will generate a share page for fid 123,
-// with the image dynamically generated by the opengraph-image API route.
+// with the image dynamically generated by the opengraph-image API route, which
+// shows the achievements the user has earned on BitmorDCA.
 export async function generateMetadata({
   params,
 }: {
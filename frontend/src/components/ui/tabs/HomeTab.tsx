@@ -14,6 +14,7 @@
  */
 import React, { useState, useEffect, useContext, createContext } from 'react';
 import { ethers } from 'ethers';
+import { SiweMessage } from 'siwe';
 
 // Context for Web3 and App State
 const Web3Context = createContext();
@@ -25,6 +26,7 @@ const Web3Provider = ({ children }) => {
   const [signer, setSigner] = useState(null);
   const [contract, setContract] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [sessionToken, setSessionToken] = useState('');
 
   const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS || '0x...';
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
@@ -37,6 +39,35 @@ const Web3Provider = ({ children }) => {
     "function completePlan(bytes32 nonce, bytes signature)"
   ];
 
+  // Sign-In with Ethereum: the backend only serves a user's own routes to a session for their address
+  const signIn = async (web3Provider, web3Signer) => {
+    const nonceResponse = await fetch(`${API_BASE_URL}/auth/nonce`);
+    const { data: { nonce, domain } } = await nonceResponse.json();
+    const { chainId } = await web3Provider.getNetwork();
+
+    const message = new SiweMessage({
+      domain,
+      address: await web3Signer.getAddress(),
+      statement: 'Sign in to BitmorDCA',
+      uri: window.location.origin,
+      version: '1',
+      chainId: Number(chainId),
+      nonce
+    }).prepareMessage();
+    const signature = await web3Signer.signMessage(message);
+
+    const verifyResponse = await fetch(`${API_BASE_URL}/auth/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, signature })
+    });
+    const session = await verifyResponse.json();
+    if (!session.success) {
+      throw new Error(session.error || 'Sign-in failed');
+    }
+    return session.data.token;
+  };
+
   const connectWallet = async () => {
     try {
       if (window.ethereum) {
@@ -47,7 +78,9 @@ const Web3Provider = ({ children }) => {
         
         const web3Signer = await web3Provider.getSigner();
         const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, web3Signer);
+        const token = await signIn(web3Provider, web3Signer);
         
+        setSessionToken(token);
         setProvider(web3Provider);
         setSigner(web3Signer);
         setContract(contractInstance);
@@ -65,7 +98,10 @@ const Web3Provider = ({ children }) => {
     try {
       const options = {
         method,
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(sessionToken && { Authorization: `Bearer ${sessionToken}` })
+        },
         ...(body && { body: JSON.stringify(body) })
       };
 
@@ -86,12 +122,10 @@ const Web3Provider = ({ children }) => {
   useEffect(() => {
     if (window.ethereum) {
       window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-          setIsConnected(false);
-          setAccount('');
-        } else {
-          setAccount(accounts[0]);
-        }
+        // The session belongs to the previous account, so the new one has to sign in again
+        setSessionToken('');
+        setIsConnected(false);
+        setAccount('');
       });
     }
   }, []);